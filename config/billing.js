@@ -0,0 +1,46 @@
+// Default price books per plan. Amounts are in minor units (cents).
+// Super admins can override a plan's price book; issued invoices keep the prices they were created with.
+// Add-ons are charged per unit above `included` for the billing period:
+// both read the tenant's usage counters for the period (recruiterSeats is the peak of active recruiters).
+const ADD_ONS = {
+  extraRecruiterSeats: {
+    description: 'Extra recruiter seats',
+    usage: 'recruiterSeats'
+  },
+  aiGenerations: {
+    description: 'AI job generations',
+    usage: 'aiGenerations'
+  }
+};
+
+const PRICE_BOOKS = {
+  basic: {
+    currency: 'USD',
+    basePrice: 4900,
+    addOns: {
+      extraRecruiterSeats: { included: 5, unitPrice: 1500 },
+      aiGenerations: { included: 20, unitPrice: 50 }
+    }
+  },
+  premium: {
+    currency: 'USD',
+    basePrice: 19900,
+    addOns: {
+      extraRecruiterSeats: { included: 25, unitPrice: 1200 },
+      aiGenerations: { included: 200, unitPrice: 25 }
+    }
+  },
+  enterprise: {
+    currency: 'USD',
+    basePrice: 99900,
+    addOns: {
+      extraRecruiterSeats: { included: 100, unitPrice: 1000 },
+      aiGenerations: { included: 2000, unitPrice: 10 }
+    }
+  }
+};
+
+module.exports = {
+  ADD_ONS,
+  PRICE_BOOKS
+};
@@ -1,9 +1,40 @@
 const mongoose = require('mongoose');
+const { decryptSecret } = require('../utils/encryption');
+
+// Tenant connection cache limits (overridable through the environment)
+const DEFAULT_MAX_TENANT_CONNECTIONS = 50;
+const DEFAULT_TENANT_IDLE_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_TENANT_POOL_SIZE = 5;
+
+// Database holding every tenant that uses shared tenancy
+const DEFAULT_SHARED_DB_NAME = 'shared_tenants_db';
+const DEFAULT_SHARED_POOL_SIZE = 20;
 
 class DatabaseManager {
   constructor() {
+    // tenantId -> { connection, leases, lastUsedAt, openedAt }, kept in LRU order
     this.connections = new Map();
+    // Connections currently being opened, so concurrent requests share one socket pool
+    this.pendingConnections = new Map();
+    // Evicted connections that are still leased by in-flight requests
+    this.drainingConnections = new Set();
     this.masterConnection = null;
+    this.sharedConnection = null;
+    this.pendingSharedConnection = null;
+    this.sharedDbName = process.env.SHARED_TENANT_DB_NAME || DEFAULT_SHARED_DB_NAME;
+
+    this.maxTenantConnections = parseInt(process.env.TENANT_DB_MAX_CONNECTIONS) || DEFAULT_MAX_TENANT_CONNECTIONS;
+    this.idleTimeoutMs = parseInt(process.env.TENANT_DB_IDLE_TIMEOUT_MS) || DEFAULT_TENANT_IDLE_TIMEOUT_MS;
+    this.tenantPoolSize = parseInt(process.env.TENANT_DB_POOL_SIZE) || DEFAULT_TENANT_POOL_SIZE;
+    this.idleSweepTimer = null;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      idleEvictions: 0,
+      deferredCloses: 0
+    };
   }
 
   // Initialize master database connection (for super admin and tenant management)
@@ -26,51 +57,326 @@ class DatabaseManager {
     }
   }
 
-  // Get or create tenant-specific database connection
-  async getTenantDB(tenantId) {
+  // Get a tenant connection that will not be closed until release() is called,
+  // so an eviction never closes a connection while it is in use
+  async leaseTenantDB(tenantId) {
+    const entry = await this.acquireTenantEntry(tenantId);
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      this.releaseTenantEntry(entry);
+    };
+
+    return { connection: entry.connection, release };
+  }
+
+  // Look up a cached tenant connection (marking it most recently used) or open a new one.
+  // The lease is taken in the same synchronous step as the lookup, so the entry can
+  // never be evicted between being found and being counted as in use.
+  async acquireTenantEntry(tenantId) {
     if (!tenantId) {
       throw new Error('Tenant ID is required');
     }
 
     // Return existing connection if available
-    if (this.connections.has(tenantId)) {
-      return this.connections.get(tenantId);
+    const existing = this.connections.get(tenantId);
+    if (existing) {
+      // Re-insert so Map iteration order stays least -> most recently used
+      this.connections.delete(tenantId);
+      this.connections.set(tenantId, existing);
+      existing.lastUsedAt = Date.now();
+      existing.leases++;
+      this.stats.hits++;
+      return existing;
+    }
+
+    // Waiters are counted up front and become leases when the entry is cached
+    let pending = this.pendingConnections.get(tenantId);
+    if (!pending) {
+      this.stats.misses++;
+      pending = { waiters: 0 };
+      pending.promise = this.openTenantConnection(tenantId, pending)
+        .finally(() => this.pendingConnections.delete(tenantId));
+      this.pendingConnections.set(tenantId, pending);
     }
 
+    pending.waiters++;
+    return pending.promise;
+  }
+
+  // Open a tenant connection and add it to the cache, leased to everyone waiting for it,
+  // evicting others if over the cap
+  async openTenantConnection(tenantId, pending) {
     try {
-      const dbName = `tenant_${tenantId}`;
-      const connectionString = `${process.env.MONGODB_URI}${dbName}?${process.env.MONGODB_OPTIONS}`;
-      
-      const connection = await mongoose.createConnection(connectionString, {
-        maxPoolSize: 10,
-        serverSelectionTimeoutMS: 5000,
-        socketTimeoutMS: 45000,
-      });
+      const tenancy = await this.resolveTenancy(tenantId);
+      const connection = await this.connectTenantStorage(tenantId, tenancy);
+
+      const entry = {
+        tenantId,
+        connection,
+        mode: tenancy.mode,
+        cluster: tenancy.placement ? tenancy.placement.cluster : 'default',
+        leases: pending.waiters,
+        openedAt: Date.now(),
+        lastUsedAt: Date.now()
+      };
 
       // Store connection for reuse
-      this.connections.set(tenantId, connection);
+      this.connections.set(tenantId, entry);
+      this.startIdleSweep();
+      await this.enforceConnectionLimit(tenantId);
       
-      console.log(`✅ Tenant database connected: ${dbName}`);
-      return connection;
+      console.log(`✅ Tenant database connected: ${tenantId} (${tenancy.mode}, ${entry.cluster} cluster)`);
+      return entry;
     } catch (error) {
       console.error(`❌ Tenant database connection failed for ${tenantId}:`, error.message);
       throw error;
     }
   }
 
+  // How a tenant's data is stored, from its master record (tenants without one are dedicated)
+  async resolveTenancy(tenantId) {
+    if (!this.masterConnection) {
+      return { mode: 'dedicated' };
+    }
+
+    const Tenant = require('../models/master/Tenant')(this.masterConnection);
+    const tenant = await Tenant.findOne({ subdomain: tenantId }).select('tenancy').lean();
+
+    // Nothing may read or write a tenant while its data is being copied to other storage
+    if (tenant && tenant.tenancy && tenant.tenancy.status === 'migrating') {
+      throw Object.assign(new Error(`Tenant storage is being migrated: ${tenantId}`), {
+        statusCode: 503,
+        code: 'TENANT_MIGRATING'
+      });
+    }
+
+    const mode = (tenant && tenant.tenancy && tenant.tenancy.mode) || 'dedicated';
+
+    return {
+      mode,
+      id: tenant && tenant._id,
+      // Dedicated databases can live on another cluster; shared tenants always use the default one
+      placement: tenant && mode === 'dedicated' ? await this.getTenantPlacement(tenant._id) : null
+    };
+  }
+
+  // Decrypted cluster placement of a tenant, or null when it uses the default cluster
+  async getTenantPlacement(id) {
+    const TenantPlacement = require('../models/master/TenantPlacement')(this.masterConnection);
+    const placement = await TenantPlacement.findOne({ tenantId: id }).select('+encryptedUri').lean();
+
+    if (!placement) return null;
+
+    return {
+      cluster: placement.cluster,
+      uri: decryptSecret(placement.encryptedUri),
+      options: placement.options
+    };
+  }
+
+  // Open an uncached connection to a tenant's data in the given storage mode.
+  // Shared tenants get their own handle on the shared database tagged with their
+  // tenant id, which the tenantScope model plugin uses to scope every query.
+  // Dedicated databases are opened on the placement's cluster when one is given.
+  async connectTenantStorage(tenantId, { mode, id, placement }) {
+    if (mode === 'shared') {
+      if (!id) {
+        throw new Error(`Tenant record not found for shared tenant ${tenantId}`);
+      }
+
+      const shared = await this.getSharedConnection();
+      const connection = shared.useDb(this.sharedDbName, { useCache: false, noListener: true });
+      connection.tenantId = id;
+      connection.tenancyMode = 'shared';
+      return connection;
+    }
+
+    const dbName = `tenant_${tenantId}`;
+    const connectionString = placement
+      ? `${placement.uri}${dbName}?${placement.options || process.env.MONGODB_OPTIONS}`
+      : `${process.env.MONGODB_URI}${dbName}?${process.env.MONGODB_OPTIONS}`;
+
+    // Opened before it is returned: collection-level calls (find, insertMany) are not buffered
+    const connection = await mongoose.createConnection(connectionString, {
+      maxPoolSize: this.tenantPoolSize,
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    }).asPromise();
+    connection.tenancyMode = 'dedicated';
+    return connection;
+  }
+
+  // Unscoped connection to the shared tenant database (opened once, shared by all shared tenants).
+  // Indexes are managed by initializeTenantCollections because the schema's own
+  // unique indexes would be global across tenants here.
+  async getSharedConnection() {
+    if (this.sharedConnection) return this.sharedConnection;
+
+    if (!this.pendingSharedConnection) {
+      const connectionString = `${process.env.MONGODB_URI}${this.sharedDbName}?${process.env.MONGODB_OPTIONS}`;
+
+      this.pendingSharedConnection = mongoose.createConnection(connectionString, {
+        maxPoolSize: parseInt(process.env.SHARED_TENANT_DB_POOL_SIZE) || DEFAULT_SHARED_POOL_SIZE,
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000,
+        autoIndex: false
+      }).asPromise()
+        .then(connection => {
+          connection.tenancyMode = 'shared';
+          this.sharedConnection = connection;
+          console.log(`✅ Shared tenant database connected: ${this.sharedDbName}`);
+          return connection;
+        })
+        .finally(() => {
+          this.pendingSharedConnection = null;
+        });
+    }
+
+    return this.pendingSharedConnection;
+  }
+
+  isSharedConnection(connection) {
+    return connection.tenancyMode === 'shared';
+  }
+
+  releaseTenantEntry(entry) {
+    entry.leases = Math.max(0, entry.leases - 1);
+    entry.lastUsedAt = Date.now();
+
+    // Close evicted connections once the last request using them is done
+    if (entry.evicted && entry.leases === 0 && this.drainingConnections.has(entry)) {
+      this.drainingConnections.delete(entry);
+      this.closeEntry(entry);
+    }
+  }
+
+  // Evict least recently used connections until we are back under the global cap
+  async enforceConnectionLimit(keepTenantId) {
+    while (this.connections.size > this.maxTenantConnections) {
+      let victim = null;
+
+      // Prefer the least recently used connection that no request is using
+      for (const entry of this.connections.values()) {
+        if (entry.tenantId !== keepTenantId && entry.leases === 0) {
+          victim = entry;
+          break;
+        }
+      }
+
+      // Everything is busy: evict the least recently used one and close it once drained
+      if (!victim) {
+        for (const entry of this.connections.values()) {
+          if (entry.tenantId !== keepTenantId) {
+            victim = entry;
+            break;
+          }
+        }
+      }
+
+      if (!victim) return;
+
+      this.stats.evictions++;
+      await this.evictEntry(victim);
+    }
+  }
+
+  // Remove a connection from the cache, deferring the close while it is leased
+  async evictEntry(entry) {
+    if (this.connections.get(entry.tenantId) === entry) {
+      this.connections.delete(entry.tenantId);
+    }
+    entry.evicted = true;
+
+    if (entry.leases > 0) {
+      this.stats.deferredCloses++;
+      this.drainingConnections.add(entry);
+      console.log(`⏳ Tenant connection evicted, closing after in-flight requests: ${entry.tenantId}`);
+      return;
+    }
+
+    await this.closeEntry(entry);
+  }
+
+  async closeEntry(entry) {
+    try {
+      // Shared tenant handles reuse the shared database's socket pool, so there is nothing to close
+      if (entry.mode !== 'shared') {
+        await entry.connection.close();
+      }
+      console.log(`✅ Tenant connection closed: ${entry.tenantId}`);
+    } catch (error) {
+      console.error(`❌ Error closing tenant connection ${entry.tenantId}:`, error.message);
+    }
+  }
+
+  // Periodically close tenant connections that have been idle for too long
+  startIdleSweep() {
+    if (this.idleSweepTimer) return;
+
+    const interval = Math.min(this.idleTimeoutMs, 60 * 1000);
+    this.idleSweepTimer = setInterval(() => {
+      this.evictIdleConnections().catch(error => {
+        console.error('❌ Idle tenant connection sweep failed:', error.message);
+      });
+    }, interval);
+
+    // Do not keep the process alive just for the sweep
+    if (this.idleSweepTimer.unref) this.idleSweepTimer.unref();
+  }
+
+  async evictIdleConnections() {
+    const cutoff = Date.now() - this.idleTimeoutMs;
+
+    for (const entry of [...this.connections.values()]) {
+      if (entry.leases === 0 && entry.lastUsedAt < cutoff) {
+        this.stats.idleEvictions++;
+        await this.evictEntry(entry);
+      }
+    }
+  }
+
+  // Connection cache statistics (exposed through the super admin API)
+  getConnectionStats() {
+    const now = Date.now();
+
+    return {
+      open: this.connections.size,
+      draining: this.drainingConnections.size,
+      opening: this.pendingConnections.size,
+      maxConnections: this.maxTenantConnections,
+      idleTimeoutMs: this.idleTimeoutMs,
+      poolSizePerTenant: this.tenantPoolSize,
+      sharedDatabase: this.sharedConnection ? this.sharedDbName : null,
+      ...this.stats,
+      tenants: [...this.connections.values()].reverse().map(entry => ({
+        tenantId: entry.tenantId,
+        mode: entry.mode,
+        cluster: entry.cluster,
+        activeRequests: entry.leases,
+        idleMs: entry.leases > 0 ? 0 : now - entry.lastUsedAt,
+        openedAt: new Date(entry.openedAt),
+        lastUsedAt: new Date(entry.lastUsedAt)
+      }))
+    };
+  }
+
   // Create new tenant database
   async createTenantDB(tenantId) {
+    const { connection, release } = await this.leaseTenantDB(tenantId);
+
     try {
-      const connection = await this.getTenantDB(tenantId);
-      
       // Initialize tenant-specific collections with indexes
       await this.initializeTenantCollections(connection);
       
-      console.log(`✅ Tenant database created and initialized: tenant_${tenantId}`);
-      return connection;
+      console.log(`✅ Tenant database created and initialized: ${tenantId}`);
     } catch (error) {
       console.error(`❌ Failed to create tenant database for ${tenantId}:`, error.message);
       throw error;
+    } finally {
+      release();
     }
   }
 
@@ -86,7 +392,8 @@ class DatabaseManager {
             { role: 1 },
             { isActive: 1 },
             { createdAt: -1 }
-          ]
+          ],
+          sharedUniqueIndexes: [{ email: 1 }]
         },
         {
           name: 'requirements',
@@ -96,7 +403,8 @@ class DatabaseManager {
             { status: 1 },
             { dueDate: 1 },
             { createdAt: -1 }
-          ]
+          ],
+          sharedUniqueIndexes: []
         },
         {
           name: 'jobdescriptions',
@@ -106,7 +414,8 @@ class DatabaseManager {
             { isActive: 1 },
             { shareableLink: 1 },
             { createdAt: -1 }
-          ]
+          ],
+          sharedUniqueIndexes: [{ shareableLink: 1 }]
         },
         {
           name: 'applications',
@@ -115,7 +424,8 @@ class DatabaseManager {
             { candidateId: 1 },
             { status: 1 },
             { appliedAt: -1 }
-          ]
+          ],
+          sharedUniqueIndexes: [{ jobDescriptionId: 1, candidateId: 1 }]
         },
         {
           name: 'candidates',
@@ -125,16 +435,26 @@ class DatabaseManager {
             { skills: 1 },
             { experience: 1 },
             { createdAt: -1 }
-          ]
+          ],
+          sharedUniqueIndexes: [{ 'personalInfo.email': 1 }]
         }
       ];
 
+      const shared = this.isSharedConnection(connection);
+
       for (const collection of collections) {
         const coll = connection.collection(collection.name);
         
-        // Create indexes
+        // Create indexes (prefixed with tenantId in the shared database)
         for (const index of collection.indexes) {
-          await coll.createIndex(index);
+          await coll.createIndex(shared ? { tenantId: 1, ...index } : index);
+        }
+
+        // Uniqueness is per tenant in the shared database
+        if (shared) {
+          for (const index of collection.sharedUniqueIndexes) {
+            await coll.createIndex({ tenantId: 1, ...index }, { unique: true });
+          }
         }
       }
 
@@ -145,25 +465,86 @@ class DatabaseManager {
     }
   }
 
-  // Close specific tenant connection
+  // Drop a tenant database entirely (used for rollback and offboarding).
+  // Shared tenants only have their own documents deleted.
+  async dropTenantDB(tenantId) {
+    const { connection, release } = await this.leaseTenantDB(tenantId);
+
+    try {
+      if (this.isSharedConnection(connection)) {
+        await this.clearSharedTenantData(connection);
+        console.log(`🗑️  Shared tenant data deleted: ${tenantId}`);
+      } else {
+        await connection.dropDatabase();
+        console.log(`🗑️  Tenant database dropped: tenant_${tenantId}`);
+      }
+    } finally {
+      release();
+      await this.closeTenantConnection(tenantId);
+    }
+  }
+
+  // Delete one tenant's documents from every collection of the shared database
+  async clearSharedTenantData(connection) {
+    if (!connection.tenantId) {
+      throw new Error('Refusing to clear shared data without a tenant scope');
+    }
+
+    const collections = await connection.db.listCollections({}, { nameOnly: true }).toArray();
+
+    for (const { name } of collections) {
+      if (name === 'migrations' || name.startsWith('system.')) continue;
+      await connection.collection(name).deleteMany({ tenantId: connection.tenantId });
+    }
+  }
+
+  // Close specific tenant connection (deferred while requests are still using it)
   async closeTenantConnection(tenantId) {
     if (this.connections.has(tenantId)) {
-      await this.connections.get(tenantId).close();
-      this.connections.delete(tenantId);
-      console.log(`✅ Tenant connection closed: ${tenantId}`);
+      await this.evictEntry(this.connections.get(tenantId));
+    }
+  }
+
+  // Evict a tenant's cached connection and wait until requests still using it are done
+  async drainTenantConnection(tenantId, timeoutMs = 30 * 1000) {
+    await this.closeTenantConnection(tenantId);
+
+    const deadline = Date.now() + timeoutMs;
+    const isBusy = () => [...this.drainingConnections].some(entry => entry.tenantId === tenantId);
+
+    while (isBusy()) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for in-flight requests on ${tenantId}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
     }
   }
 
   // Close all connections
   async closeAllConnections() {
     try {
+      if (this.idleSweepTimer) {
+        clearInterval(this.idleSweepTimer);
+        this.idleSweepTimer = null;
+      }
+
       // Close tenant connections
-      for (const [tenantId, connection] of this.connections) {
-        await connection.close();
-        console.log(`✅ Closed tenant connection: ${tenantId}`);
+      for (const entry of this.connections.values()) {
+        await this.closeEntry(entry);
       }
       this.connections.clear();
 
+      for (const entry of this.drainingConnections) {
+        await this.closeEntry(entry);
+      }
+      this.drainingConnections.clear();
+
+      if (this.sharedConnection) {
+        await this.sharedConnection.close();
+        this.sharedConnection = null;
+        console.log('✅ Shared tenant connection closed');
+      }
+
       // Close master connection
       if (this.masterConnection) {
         await this.masterConnection.close();
@@ -0,0 +1,18 @@
+// Built-in feature flags and the defaults they have until a super admin stores a flag record.
+// plans: plans that get the feature by default; rolloutPercentage: share of other tenants that get it.
+const FEATURES = {
+  aiJobGeneration: {
+    description: 'Generate job descriptions with AI',
+    plans: ['basic', 'premium', 'enterprise'],
+    rolloutPercentage: 0
+  },
+  sso: {
+    description: 'Staff sign-in through the company identity provider (OIDC or SAML)',
+    plans: ['enterprise'],
+    rolloutPercentage: 0
+  }
+};
+
+module.exports = {
+  FEATURES
+};
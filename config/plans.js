@@ -0,0 +1,47 @@
+const GB = 1024 * 1024 * 1024;
+
+// Limits per subscription plan. null means unlimited.
+// users/recruiters/activeJobs are counted live; applications, aiGenerations and
+// storageBytes (bytes uploaded) are metered per billing period.
+const PLANS = {
+  basic: {
+    name: 'Basic',
+    limits: {
+      users: 10,
+      recruiters: 5,
+      activeJobs: 10,
+      applications: 500,
+      aiGenerations: 20,
+      storageBytes: 1 * GB
+    }
+  },
+  premium: {
+    name: 'Premium',
+    limits: {
+      users: 50,
+      recruiters: 25,
+      activeJobs: 100,
+      applications: 5000,
+      aiGenerations: 200,
+      storageBytes: 10 * GB
+    }
+  },
+  enterprise: {
+    name: 'Enterprise',
+    limits: {
+      users: 1000,
+      recruiters: 500,
+      activeJobs: null,
+      applications: null,
+      aiGenerations: null,
+      storageBytes: null
+    }
+  }
+};
+
+const getPlan = (plan) => PLANS[plan] || PLANS.basic;
+
+module.exports = {
+  PLANS,
+  getPlan
+};
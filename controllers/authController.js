@@ -1,11 +1,97 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { sendEmail } = require('../utils/email');
+const { completeOnboardingStep } = require('../utils/onboarding');
+const {
+  getRequestSubject,
+  startSession,
+  issueAccessToken,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeOwnSession,
+  revokeSubjectSessions
+} = require('../utils/authSessions');
+const {
+  isTwoFactorRequired,
+  beginEnrolment,
+  completeChallenge,
+  issueChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const { SECRET_FIELDS: TWO_FACTOR_FIELDS } = require('../models/plugins/twoFactor');
+const { isPasswordLoginBlocked } = require('../utils/sso');
+const {
+  getPasswordPolicy,
+  assertPasswordPolicy,
+  passwordFields,
+  setPassword,
+  isPasswordExpired,
+  issuePasswordChangeToken,
+  verifyPasswordChangeToken,
+  assertPasswordChangeToken
+} = require('../utils/passwordPolicy');
+const {
+  isEmailVerificationRequired,
+  verifyEmailToken,
+  resendVerificationEmail
+} = require('../utils/emailVerification');
+
+const ssoRequiredResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Your organization requires signing in with single sign-on',
+    code: 'SSO_REQUIRED',
+    loginUrl: '/api/sso/login'
+  });
+};
+
+// Finish a successful sign-in: start a session and send the user's tokens
+const sendLoginResponse = async (req, res, user, extra = {}) => {
+  // Reset login attempts on successful login
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
 
-// Generate JWT token
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  // An expired password has to be replaced before a session is started
+  if (isPasswordExpired(user, getPasswordPolicy(req.tenant, 'staff'))) {
+    return res.status(200).json({
+      success: true,
+      message: 'Your password has expired. Please choose a new one.',
+      data: {
+        passwordChangeRequired: true,
+        challengeToken: issuePasswordChangeToken({ subjectType: 'user', subject: user, tenant: req.tenant }),
+        ...extra
+      }
+    });
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await startSession(req, { subjectType: 'user', subject: user, tenant: req.tenant });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        permissions: user.permissions,
+        lastLogin: user.lastLogin
+      },
+      token,
+      refreshToken,
+      ...extra,
+      tenant: {
+        subdomain: req.tenant.subdomain,
+        companyName: req.tenant.companyName
+      }
+    }
   });
 };
 
@@ -71,47 +157,165 @@ const login = async (req, res) => {
       });
     }
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      await user.resetLoginAttempts();
+    // SSO-enforced tenants: staff sign in through the identity provider
+    if (await isPasswordLoginBlocked(req.tenant, user)) {
+      return ssoRequiredResponse(res);
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (isEmailVerificationRequired(req.tenant) && !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before signing in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
-    // Generate token with user id, role, and tenant subdomain
-    const token = generateToken({
-      id: user._id,
-      role: user.role,
-      tenant: req.tenant.subdomain
+    // With two-factor authentication the password only earns a challenge for the second step
+    if (user.twoFactor.enabled || isTwoFactorRequired('user', req.tenant)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          setupRequired: !user.twoFactor.enabled,
+          challengeToken: issueChallengeToken({ subjectType: 'user', subject: user, tenant: req.tenant })
+        }
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during login',
+      error: error.message
     });
+  }
+};
+
+// User behind a login challenge, if they can still sign in
+const loadChallengeUser = async (req) => {
+  const decoded = verifyChallengeToken(req.body.challengeToken, 'user', req.tenant);
+
+  const User = require('../models/tenant/User')(req.db);
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user || !user.isActive) {
+    throw Object.assign(new Error('Account is deactivated'), { statusCode: 401 });
+  }
+  if (user.isLocked) {
+    throw Object.assign(new Error('Account is temporarily locked due to too many failed login attempts'), { statusCode: 423 });
+  }
+
+  return user;
+};
+
+// @desc    Start the two-factor setup that the tenant requires before signing in
+// @route   POST /api/auth/login/2fa/setup
+// @access  Public (with login challenge)
+const setupTwoFactorLogin = async (req, res) => {
+  try {
+    if (!req.tenant || !req.db) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenant context not found. Please use the correct subdomain URL.'
+      });
+    }
+
+    const user = await loadChallengeUser(req);
+    const enrolment = await beginEnrolment(user, `${user.email} (${req.tenant.companyName})`);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          permissions: user.permissions,
-          lastLogin: user.lastLogin
-        },
-        token,
-        tenant: {
-          subdomain: req.tenant.subdomain,
-          companyName: req.tenant.companyName
-        }
-      }
+      message: 'Scan the QR code with your authenticator app, then sign in with a code',
+      data: enrolment
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
+    console.error('Two-factor login setup error:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error during login',
+      message: error.statusCode ? error.message : 'Error starting two-factor setup',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (with login challenge)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    if (!req.tenant || !req.db) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenant context not found. Please use the correct subdomain URL.'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const user = await loadChallengeUser(req);
+    const { recoveryCodes } = await completeChallenge(user, { code, recoveryCode });
+
+    // Recovery codes are only returned when the login finished a required setup
+    await sendLoginResponse(req, res, user, recoveryCodes ? { recoveryCodes } : {});
+  } catch (error) {
+    console.error('Two-factor login error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error during login',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace an expired password and finish login
+// @route   POST /api/auth/login/password
+// @access  Public (with password change challenge)
+const changeExpiredPassword = async (req, res) => {
+  try {
+    if (!req.tenant || !req.db) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenant context not found. Please use the correct subdomain URL.'
+      });
+    }
+
+    const decoded = verifyPasswordChangeToken(req.body.challengeToken, 'user', req.tenant);
+
+    const User = require('../models/tenant/User')(req.db);
+    const user = await User.findById(decoded.id).select(passwordFields('user'));
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+    assertPasswordChangeToken(decoded, user);
+
+    await setPassword(user, req.body.newPassword, getPasswordPolicy(req.tenant, 'staff'));
+    await user.save();
+
+    if (user.role === 'company_admin') {
+      await completeOnboardingStep(req.tenant, 'changePassword', user._id);
+    }
+
+    await revokeSubjectSessions(
+      { subjectType: 'user', subjectId: user._id, tenantId: req.tenant._id },
+      'password_changed'
+    );
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('Change expired password error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error changing password',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
@@ -131,15 +335,12 @@ const register = async (req, res) => {
       });
     }
 
-    // Verify invitation token (this would be stored in a separate collection or Redis)
-    // For now, we'll assume the invitation is valid and contains user data
-    
     const User = require('../models/tenant/User')(req.db);
 
-    // Find user by invitation token (you'd implement this based on your invitation system)
-    const user = await User.findOne({ 
-      emailVerificationToken: invitationToken,
-      emailVerificationExpire: { $gt: Date.now() }
+    // Invitation tokens are stored hashed (see inviteUser)
+    const user = await User.findOne({
+      invitationToken: crypto.createHash('sha256').update(String(invitationToken)).digest('hex'),
+      invitationExpire: { $gt: Date.now() }
     });
 
     if (!user) {
@@ -149,17 +350,24 @@ const register = async (req, res) => {
       });
     }
 
-    // Update user with new password and mark as verified
+    if (await isPasswordLoginBlocked(req.tenant, user)) {
+      return ssoRequiredResponse(res);
+    }
+
+    assertPasswordPolicy(password, getPasswordPolicy(req.tenant, 'staff'));
+
+    // Update user with new password; the invitation link proves the email address
     user.name = name;
     user.password = password;
     user.isEmailVerified = true;
+    user.invitationToken = undefined;
+    user.invitationExpire = undefined;
     user.emailVerificationToken = undefined;
     user.emailVerificationExpire = undefined;
     
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(req, { subjectType: 'user', subject: user, tenant: req.tenant });
 
     res.status(200).json({
       success: true,
@@ -172,14 +380,60 @@ const register = async (req, res) => {
           role: user.role,
           department: user.department
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
     console.error('Registration error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error during registration',
+      code: error.code,
+      errors: error.errors,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm a user's email address
+// @route   GET|POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    await verifyEmailToken(req.db, 'user', req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying email',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public (throttled per email address)
+const resendVerification = async (req, res) => {
+  try {
+    await resendVerificationEmail(req, 'user', req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error during registration',
+      message: error.statusCode ? error.message : 'Error sending verification email',
       error: error.message
     });
   }
@@ -258,7 +512,7 @@ const resetPassword = async (req, res) => {
     const user = await User.findOne({
       resetPasswordToken,
       resetPasswordExpire: { $gt: Date.now() }
-    });
+    }).select(passwordFields('user'));
 
     if (!user) {
       return res.status(400).json({
@@ -268,25 +522,36 @@ const resetPassword = async (req, res) => {
     }
 
     // Set new password
-    user.password = req.body.password;
+    await setPassword(user, req.body.password, getPasswordPolicy(req.tenant, 'staff'));
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.role === 'company_admin') {
+      await completeOnboardingStep(req.tenant, 'changePassword', user._id);
+    }
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeSubjectSessions(
+      { subjectType: 'user', subjectId: user._id, tenantId: req.tenant._id },
+      'password_changed'
+    );
+
+    const { token, refreshToken } = await startSession(req, { subjectType: 'user', subject: user, tenant: req.tenant });
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
-      data: { token }
+      data: { token, refreshToken }
     });
   } catch (error) {
     console.error('Reset password error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error resetting password',
+      message: error.statusCode ? error.message : 'Error resetting password',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
@@ -300,7 +565,7 @@ const updatePassword = async (req, res) => {
     const { currentPassword, newPassword } = req.body;
 
     const User = require('../models/tenant/User')(req.db);
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select(passwordFields('user'));
 
     // Check current password
     if (!(await user.matchPassword(currentPassword))) {
@@ -310,10 +575,19 @@ const updatePassword = async (req, res) => {
       });
     }
 
-    user.password = newPassword;
+    await setPassword(user, newPassword, getPasswordPolicy(req.tenant, 'staff'));
     await user.save();
 
-    const token = generateToken(user._id);
+    if (user.role === 'company_admin') {
+      await completeOnboardingStep(req.tenant, 'changePassword', user._id);
+    }
+
+    // Other devices are signed out; this session continues with a token issued after the change
+    await revokeSubjectSessions(getRequestSubject(req), 'password_changed', {
+      except: req.authSession && req.authSession._id
+    });
+
+    const token = req.authSession ? issueAccessToken(req.authSession, user, req.tenant) : undefined;
 
     res.status(200).json({
       success: true,
@@ -322,9 +596,11 @@ const updatePassword = async (req, res) => {
     });
   } catch (error) {
     console.error('Update password error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error updating password',
+      message: error.statusCode ? error.message : 'Error updating password',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
@@ -404,12 +680,120 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (with refresh token; users, candidates and super admins)
+const refreshToken = async (req, res) => {
+  try {
+    const tokens = await refreshSession(req, req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error refreshing token',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    if (req.authSession) {
+      await revokeSession(req.authSession._id, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private (users, candidates and super admins)
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(getRequestSubject(req));
+    const currentId = req.authSession && req.authSession._id.toString();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          lastIp: session.lastIp,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === currentId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions (its refresh and access tokens stop working)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private (users, candidates and super admins)
+const deleteSession = async (req, res) => {
+  try {
+    await revokeOwnSession(getRequestSubject(req), req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   login,
+  setupTwoFactorLogin,
+  verifyTwoFactorLogin,
+  changeExpiredPassword,
   register,
+  verifyEmail,
+  resendVerification,
   forgotPassword,
   resetPassword,
   updatePassword,
   getMe,
-  updateProfile
+  updateProfile,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession
 };
\ No newline at end of file
@@ -0,0 +1,278 @@
+const { pipeline } = require('stream/promises');
+const dbManager = require('../config/database');
+const billing = require('../utils/billing');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+const getInvoiceModel = () => require('../models/master/Invoice')(dbManager.getMasterConnection());
+
+// @desc    List price books (stored overrides or plan defaults)
+// @route   GET /api/super-admin/billing/price-books
+// @access  Private (Super Admin)
+const getPriceBooks = async (req, res) => {
+  try {
+    const priceBooks = await billing.listPriceBooks();
+
+    res.status(200).json({
+      success: true,
+      data: { priceBooks }
+    });
+  } catch (error) {
+    console.error('Get price books error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching price books',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a plan's price book ({ currency, basePrice, addOns })
+// @route   PUT /api/super-admin/billing/price-books/:plan
+// @access  Private (Super Admin)
+const updatePriceBook = async (req, res) => {
+  try {
+    const priceBook = await billing.updatePriceBook(req.params.plan, req.body, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Price book updated successfully',
+      data: { priceBook }
+    });
+  } catch (error) {
+    console.error('Update price book error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating price book',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset a plan's price book to the defaults
+// @route   DELETE /api/super-admin/billing/price-books/:plan
+// @access  Private (Super Admin)
+const resetPriceBook = async (req, res) => {
+  try {
+    const priceBook = await billing.resetPriceBook(req.params.plan);
+
+    res.status(200).json({
+      success: true,
+      message: 'Price book reset to the plan defaults',
+      data: { priceBook }
+    });
+  } catch (error) {
+    console.error('Reset price book error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error resetting price book',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Generate invoices for a billing period (defaults to last month)
+// @route   POST /api/super-admin/billing/invoices/generate
+// @access  Private (Super Admin)
+const generateInvoices = async (req, res) => {
+  try {
+    const { period, tenantId } = req.body;
+
+    const summary = await billing.generateInvoices({ period, tenantId });
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.created.length} invoices generated for ${summary.period}`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Generate invoices error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating invoices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List invoices
+// @route   GET /api/super-admin/billing/invoices?tenant=&status=&period=
+// @access  Private (Super Admin)
+const getInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, tenant, status, period } = req.query;
+    const Invoice = getInvoiceModel();
+
+    const query = {};
+    if (tenant) query.tenantId = tenant;
+    if (status) query.status = status;
+    if (period) query.period = period;
+
+    const invoices = await Invoice.find(query)
+      .sort({ issuedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Invoice.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching invoices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single invoice
+// @route   GET /api/super-admin/billing/invoices/:id
+// @access  Private (Super Admin)
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await getInvoiceModel().findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download invoice as PDF
+// @route   GET /api/super-admin/billing/invoices/:id/pdf
+// @access  Private (Super Admin)
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await getInvoiceModel().findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+
+    await pipeline(renderInvoicePdf(invoice), res);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error rendering invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Charge an open or failed invoice through the payment provider
+// @route   POST /api/super-admin/billing/invoices/:id/charge
+// @access  Private (Super Admin)
+const chargeInvoice = async (req, res) => {
+  try {
+    const invoice = await billing.chargeInvoice(req.params.id);
+    const paid = invoice.status === 'paid';
+
+    res.status(paid ? 200 : 402).json({
+      success: paid,
+      message: paid ? 'Invoice paid' : `Payment failed: ${invoice.payments[invoice.payments.length - 1].error}`,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Charge invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error charging invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record a payment received outside the provider
+// @route   POST /api/super-admin/billing/invoices/:id/mark-paid
+// @access  Private (Super Admin)
+const markInvoicePaid = async (req, res) => {
+  try {
+    const { reference, note } = req.body;
+
+    const invoice = await billing.markInvoicePaid(req.params.id, { reference, note }, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice marked as paid',
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Mark invoice paid error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Void an unpaid invoice
+// @route   POST /api/super-admin/billing/invoices/:id/void
+// @access  Private (Super Admin)
+const voidInvoice = async (req, res) => {
+  try {
+    const invoice = await billing.voidInvoice(req.params.id, { reason: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice voided',
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error voiding invoice',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPriceBooks,
+  updatePriceBook,
+  resetPriceBook,
+  generateInvoices,
+  getInvoices,
+  getInvoice,
+  downloadInvoicePdf,
+  chargeInvoice,
+  markInvoicePaid,
+  voidInvoice
+};
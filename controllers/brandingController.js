@@ -0,0 +1,99 @@
+const { formatBranding, updateBranding, removeBrandingImage } = require('../utils/branding');
+const { completeOnboardingStep } = require('../utils/onboarding');
+
+const sendBrandingError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage,
+    errors: error.errors,
+    error: error.message
+  });
+};
+
+// @desc    Get tenant branding
+// @route   GET /api/branding
+// @access  Private (Company Admin)
+const getBranding = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { branding: formatBranding(req.tenant) }
+    });
+  } catch (error) {
+    console.error('Get branding error:', error);
+    sendBrandingError(res, error, 'Error fetching branding');
+  }
+};
+
+// @desc    Update tenant branding (colours, theme, logo/wallpaper uploads)
+// @route   PUT /api/branding
+// @access  Private (Company Admin)
+const updateTenantBranding = async (req, res) => {
+  try {
+    const branding = await updateBranding(req.tenant, {
+      fields: req.body,
+      files: req.files
+    });
+
+    await completeOnboardingStep(req.tenant, 'setupBranding', req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Branding updated successfully',
+      data: { branding }
+    });
+  } catch (error) {
+    console.error('Update branding error:', error);
+    sendBrandingError(res, error, 'Error updating branding');
+  }
+};
+
+// @desc    Remove tenant logo or wallpaper
+// @route   DELETE /api/branding/:image
+// @access  Private (Company Admin)
+const removeTenantBrandingImage = async (req, res) => {
+  try {
+    const branding = await removeBrandingImage(req.tenant, req.params.image);
+
+    res.status(200).json({
+      success: true,
+      message: `Branding ${req.params.image} removed`,
+      data: { branding }
+    });
+  } catch (error) {
+    console.error('Remove branding image error:', error);
+    sendBrandingError(res, error, 'Error removing branding image');
+  }
+};
+
+// @desc    Get tenant branding for the careers site and emails
+// @route   GET /api/public/branding
+// @access  Public
+const getPublicBranding = async (req, res) => {
+  try {
+    if (!req.tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+        code: 'TENANT_NOT_FOUND'
+      });
+    }
+
+    // Branding changes rarely; let browsers and CDNs keep it briefly
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json({
+      success: true,
+      data: { branding: formatBranding(req.tenant) }
+    });
+  } catch (error) {
+    console.error('Get public branding error:', error);
+    sendBrandingError(res, error, 'Error fetching branding');
+  }
+};
+
+module.exports = {
+  getBranding,
+  updateTenantBranding,
+  removeTenantBrandingImage,
+  getPublicBranding
+};
@@ -1,12 +1,115 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { sendEmail } = require('../utils/email');
+const { getTenantSettings, applyDefaultCurrency, formatTenantDate } = require('../utils/tenantSettings');
+const { formatBranding } = require('../utils/branding');
 const { generateApplicationId } = require('../utils/helpers');
 const { cloudinary, upload } = require('../utils/cloudinary');
+const { startSession, revokeSubjectSessions } = require('../utils/authSessions');
+const {
+  getPasswordPolicy,
+  assertPasswordPolicy,
+  passwordFields,
+  setPassword,
+  isPasswordExpired,
+  issuePasswordChangeToken,
+  verifyPasswordChangeToken,
+  assertPasswordChangeToken
+} = require('../utils/passwordPolicy');
+const {
+  isEmailVerificationRequired,
+  sendVerificationEmail,
+  verifyEmailToken,
+  resendVerificationEmail
+} = require('../utils/emailVerification');
+
+// Fill in the tenant's default currency when a salary expectation has none
+const withDefaultCurrency = (professionalInfo, tenant) => {
+  if (!professionalInfo || !professionalInfo.salaryExpectation) return professionalInfo;
+
+  return {
+    ...professionalInfo,
+    salaryExpectation: applyDefaultCurrency(professionalInfo.salaryExpectation, tenant)
+  };
+};
+
+// Frontend page that asks for the new password and sends it to PUT /reset-password/:resetToken.
+// The token travels in the URL fragment, which browsers never send to servers.
+const getCandidateResetUrl = (tenant, resetToken) => {
+  const page = process.env.CANDIDATE_RESET_PASSWORD_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/candidates/reset-password`;
+
+  return `${page}#token=${resetToken}&tenant=${tenant.subdomain}`;
+};
 
-// Generate JWT token
-const generateToken = (data) => {
-  return jwt.sign(data, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// What a candidate may change on their own profile. The email address is their login and
+// only changes through verification; documents go through the upload route and the
+// account (password, verification, status) through its own endpoints.
+const EDITABLE_PERSONAL_INFO = ['firstName', 'lastName', 'phone', 'dateOfBirth', 'gender', 'nationality'];
+const EDITABLE_PROFILE_SECTIONS = ['contactInfo', 'professionalInfo', 'education', 'experience', 'preferences'];
+
+const emailNotVerifiedResponse = (res, message) => {
+  return res.status(403).json({
+    success: false,
+    message,
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+const registrationDisabledResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Candidate registration is disabled for this company',
+    code: 'CANDIDATE_REGISTRATION_DISABLED'
+  });
+};
+
+// Finish a successful candidate sign-in: start a session and send the tokens
+const sendCandidateLoginResponse = async (req, res, candidate) => {
+  // Reset login attempts on successful login
+  if (candidate.account.loginAttempts > 0) {
+    await candidate.resetLoginAttempts();
+  }
+
+  // An expired password has to be replaced before a session is started
+  if (isPasswordExpired(candidate, getPasswordPolicy(req.tenant, 'candidate'), 'candidate')) {
+    return res.status(200).json({
+      success: true,
+      message: 'Your password has expired. Please choose a new one.',
+      data: {
+        passwordChangeRequired: true,
+        challengeToken: issuePasswordChangeToken({ subjectType: 'candidate', subject: candidate, tenant: req.tenant })
+      }
+    });
+  }
+
+  // Update last login
+  candidate.account.lastLogin = new Date();
+  await candidate.save();
+
+  const { token, refreshToken } = await startSession(req, {
+    subjectType: 'candidate',
+    subject: candidate,
+    tenant: req.tenant
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      candidate: {
+        id: candidate._id,
+        name: candidate.fullName,
+        email: candidate.personalInfo.email,
+        lastLogin: candidate.account.lastLogin
+      },
+      token,
+      refreshToken,
+      tenant: {
+        companyName: req.tenant.companyName,
+        branding: req.tenant.branding,
+        subdomain: req.tenant.subdomain // Add this for clarity
+      }
+    }
   });
 };
 
@@ -25,6 +128,13 @@ const registerCandidate = async (req, res) => {
       account: { password }
     } = req.body;
 
+    const settings = getTenantSettings(req.tenant);
+    if (!settings.allowCandidateRegistration) {
+      return registrationDisabledResponse(res);
+    }
+
+    assertPasswordPolicy(password, getPasswordPolicy(req.tenant, 'candidate'));
+
     const Candidate = require('../models/tenant/Candidate')(req.db);
 
     // Check if candidate already exists
@@ -43,7 +153,7 @@ const registerCandidate = async (req, res) => {
     const candidate = await Candidate.create({
       personalInfo,
       contactInfo,
-      professionalInfo,
+      professionalInfo: withDefaultCurrency(professionalInfo, req.tenant),
       education,
       experience,
       preferences,
@@ -54,20 +164,40 @@ const registerCandidate = async (req, res) => {
       }
     });
 
-    // Generate token
-    const token = generateToken(candidate._id);
+    const candidateData = {
+      id: candidate._id,
+      name: candidate.fullName,
+      email: candidate.personalInfo.email,
+      isEmailVerified: candidate.account.isEmailVerified
+    };
+
+    // No session until the email is confirmed: login would refuse this account too
+    if (settings.requireEmailVerification) {
+      await sendVerificationEmail(req, 'candidate', candidate);
+
+      return res.status(201).json({
+        success: true,
+        message: `Registration successful. We sent a verification link to ${candidate.personalInfo.email}. Please confirm your email, then sign in.`,
+        data: {
+          candidate: candidateData,
+          emailVerificationRequired: true
+        }
+      });
+    }
+
+    const { token, refreshToken } = await startSession(req, {
+      subjectType: 'candidate',
+      subject: candidate,
+      tenant: req.tenant
+    });
 
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       data: {
-        candidate: {
-          id: candidate._id,
-          name: candidate.fullName,
-          email: candidate.personalInfo.email,
-          isEmailVerified: candidate.account.isEmailVerified
-        },
+        candidate: candidateData,
         token,
+        refreshToken,
         tenant: {
           companyName: req.tenant.companyName,
           branding: req.tenant.branding
@@ -76,9 +206,11 @@ const registerCandidate = async (req, res) => {
     });
   } catch (error) {
     console.error('Candidate registration error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error during registration',
+      message: error.statusCode ? error.message : 'Error during registration',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
@@ -139,45 +271,213 @@ const loginCandidate = async (req, res) => {
       });
     }
 
-    // Reset login attempts on successful login
-    if (candidate.account.loginAttempts > 0) {
-      await candidate.resetLoginAttempts();
+    if (isEmailVerificationRequired(req.tenant) && !candidate.account.isEmailVerified) {
+      return emailNotVerifiedResponse(res, 'Please verify your email address before signing in');
+    }
+
+    await sendCandidateLoginResponse(req, res, candidate);
+  } catch (error) {
+    console.error('Candidate login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during login',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace an expired password and finish login
+// @route   POST /api/candidates/login/password
+// @access  Public (with password change challenge)
+const changeExpiredCandidatePassword = async (req, res) => {
+  try {
+    const decoded = verifyPasswordChangeToken(req.body.challengeToken, 'candidate', req.tenant);
+
+    const Candidate = require('../models/tenant/Candidate')(req.db);
+    const candidate = await Candidate.findById(decoded.id).select(passwordFields('candidate'));
+
+    if (!candidate || !candidate.account.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
     }
+    assertPasswordChangeToken(decoded, candidate, 'candidate');
 
-    // Update last login
-    candidate.account.lastLogin = new Date();
+    await setPassword(candidate, req.body.newPassword, getPasswordPolicy(req.tenant, 'candidate'), 'candidate');
     await candidate.save();
 
-    // Generate token with tenant info
-    const token = generateToken({
-      id: candidate._id,
-      tenant: req.tenant.subdomain, // Add tenant subdomain
-      type: 'candidate'
+    await revokeSubjectSessions(
+      { subjectType: 'candidate', subjectId: candidate._id, tenantId: req.tenant._id },
+      'password_changed'
+    );
+
+    await sendCandidateLoginResponse(req, res, candidate);
+  } catch (error) {
+    console.error('Change expired candidate password error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error changing password',
+      code: error.code,
+      errors: error.errors,
+      error: error.message
     });
+  }
+};
+
+// @desc    Verify candidate email
+// @route   GET|POST /api/candidates/verify-email/:token
+// @access  Public
+const verifyCandidateEmail = async (req, res) => {
+  try {
+    await verifyEmailToken(req.db, 'candidate', req.params.token);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        candidate: {
-          id: candidate._id,
-          name: candidate.fullName,
-          email: candidate.personalInfo.email,
-          lastLogin: candidate.account.lastLogin
-        },
-        token,
-        tenant: {
-          companyName: req.tenant.companyName,
-          branding: req.tenant.branding,
-          subdomain: req.tenant.subdomain // Add this for clarity
-        }
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify candidate email error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying email',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/candidates/resend-verification
+// @access  Public (throttled per email address)
+const resendCandidateVerification = async (req, res) => {
+  try {
+    await resendVerificationEmail(req, 'candidate', req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend candidate verification error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/candidates/forgot-password
+// @access  Public (throttled per email address)
+const forgotCandidatePassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const Candidate = require('../models/tenant/Candidate')(req.db);
+    const candidate = await Candidate.findOne({ 'personalInfo.email': email.trim().toLowerCase() });
+
+    // Unknown and deactivated accounts get the same answer, so the response
+    // cannot be used to find out which addresses have accounts
+    if (candidate && candidate.account.isActive) {
+      const resetToken = candidate.createPasswordResetToken();
+      await candidate.save({ validateBeforeSave: false });
+
+      // A failed delivery is logged, not reported: an error only for existing accounts would reveal them
+      try {
+        await sendEmail({
+          to: candidate.personalInfo.email,
+          template: 'candidate-password-reset',
+          data: {
+            name: candidate.fullName,
+            companyName: req.tenant.companyName,
+            branding: formatBranding(req.tenant),
+            resetUrl: getCandidateResetUrl(req.tenant, resetToken)
+          }
+        });
+      } catch (emailError) {
+        console.error('Candidate password reset email error:', emailError.message);
       }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
   } catch (error) {
-    console.error('Candidate login error:', error);
+    console.error('Forgot candidate password error:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Error during login',
+      message: 'Error sending password reset email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with a reset link
+// @route   PUT /api/candidates/reset-password/:resetToken
+// @access  Public
+const resetCandidatePassword = async (req, res) => {
+  try {
+    const resetPasswordToken = crypto
+      .createHash('sha256')
+      .update(req.params.resetToken)
+      .digest('hex');
+
+    const Candidate = require('../models/tenant/Candidate')(req.db);
+    const candidate = await Candidate.findOne({
+      'account.resetPasswordToken': resetPasswordToken,
+      'account.resetPasswordExpire': { $gt: Date.now() },
+      'account.isActive': true
+    }).select(passwordFields('candidate'));
+
+    if (!candidate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    await setPassword(candidate, req.body.password, getPasswordPolicy(req.tenant, 'candidate'), 'candidate');
+    candidate.account.resetPasswordToken = undefined;
+    candidate.account.resetPasswordExpire = undefined;
+
+    // The link was delivered to the candidate's inbox, which proves they own the address
+    candidate.account.isEmailVerified = true;
+    candidate.account.emailVerificationToken = undefined;
+    candidate.account.emailVerificationExpire = undefined;
+
+    await candidate.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeSubjectSessions(
+      { subjectType: 'candidate', subjectId: candidate._id, tenantId: req.tenant._id },
+      'password_changed'
+    );
+
+    const { token, refreshToken } = await startSession(req, { subjectType: 'candidate', subject: candidate, tenant: req.tenant });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful',
+      data: { token, refreshToken }
+    });
+  } catch (error) {
+    console.error('Reset candidate password error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error resetting password',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
@@ -218,10 +518,19 @@ const getCandidateProfile = async (req, res) => {
 const updateCandidateProfile = async (req, res) => {
   try {
     const Candidate = require('../models/tenant/Candidate')(req.db);
-    
+
+    const updateData = {};
+    const personalInfo = req.body.personalInfo || {};
+    EDITABLE_PERSONAL_INFO.forEach(field => {
+      if (personalInfo[field] !== undefined) updateData[`personalInfo.${field}`] = personalInfo[field];
+    });
+    EDITABLE_PROFILE_SECTIONS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
     const candidate = await Candidate.findByIdAndUpdate(
       req.user.id,
-      req.body,
+      { $set: updateData },
       {
         new: true,
         runValidators: true
@@ -292,21 +601,62 @@ const applyToJob = async (req, res) => {
       });
     }
 
+    const settings = getTenantSettings(req.tenant);
+
     // Check if candidate exists or create new one
     let candidate = await Candidate.findOne({ 
       'personalInfo.email': candidateData.personalInfo.email 
     });
 
     if (!candidate) {
+      // Applying with a new email creates a candidate account
+      if (!settings.allowCandidateRegistration) {
+        return registrationDisabledResponse(res);
+      }
+
+      if (candidateData.password) {
+        assertPasswordPolicy(candidateData.password, getPasswordPolicy(req.tenant, 'candidate'));
+      }
+
       // Create new candidate
       candidate = await Candidate.create({
         ...candidateData,
+        professionalInfo: withDefaultCurrency(candidateData.professionalInfo, req.tenant),
         account: {
-          password: candidateData.password || 'TempPassword123!',
+          // Without a password nobody can sign in until the candidate sets one via forgot-password
+          password: candidateData.password || crypto.randomBytes(32).toString('hex'),
           isActive: true,
           isEmailVerified: false
         }
       });
+
+      if (settings.requireEmailVerification) {
+        await sendVerificationEmail(req, 'candidate', candidate);
+        return emailNotVerifiedResponse(
+          res,
+          `We sent a verification link to ${candidate.personalInfo.email}. Please confirm your email, then submit your application again.`
+        );
+      }
+    }
+
+    if (settings.requireEmailVerification && !candidate.account.isEmailVerified) {
+      return emailNotVerifiedResponse(res, 'Please verify your email address before applying');
+    }
+
+    // Withdrawn applications do not count towards the per-candidate limit
+    if (settings.maxApplicationsPerCandidate) {
+      const applicationCount = await Application.countDocuments({
+        candidateId: candidate._id,
+        status: { $ne: 'withdrawn' }
+      });
+
+      if (applicationCount >= settings.maxApplicationsPerCandidate) {
+        return res.status(403).json({
+          success: false,
+          message: `Candidates can have at most ${settings.maxApplicationsPerCandidate} applications with this company`,
+          code: 'APPLICATION_LIMIT_REACHED'
+        });
+      }
     }
 
     // Check if candidate has already applied
@@ -343,7 +693,8 @@ const applyToJob = async (req, res) => {
         candidateName: candidate.fullName,
         jobTitle: job.title,
         companyName: req.tenant.companyName,
-        appliedDate: new Date().toLocaleDateString(),
+        appliedDate: formatTenantDate(application.appliedAt, req.tenant),
+        branding: formatBranding(req.tenant),
         applicationId: application._id
       }
     });
@@ -366,9 +717,11 @@ const applyToJob = async (req, res) => {
     });
   } catch (error) {
     console.error('Apply to job error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error submitting application',
+      message: error.statusCode ? error.message : 'Error submitting application',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
@@ -530,6 +883,11 @@ const uploadDocument = async (req, res) => {
 module.exports = {
   registerCandidate,
   loginCandidate,
+  changeExpiredCandidatePassword,
+  verifyCandidateEmail,
+  resendCandidateVerification,
+  forgotCandidatePassword,
+  resetCandidatePassword,
   getCandidateProfile,
   updateCandidateProfile,
   applyToJob,
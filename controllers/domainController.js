@@ -0,0 +1,100 @@
+const {
+  formatCustomDomain,
+  addCustomDomain,
+  verifyCustomDomain,
+  removeCustomDomain
+} = require('../utils/customDomains');
+
+// @desc    Get tenant custom domains
+// @route   GET /api/domains
+// @access  Private (Company Admin)
+const getDomains = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        domains: req.tenant.customDomains.map(formatCustomDomain)
+      }
+    });
+  } catch (error) {
+    console.error('Get domains error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching custom domains',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add custom domain
+// @route   POST /api/domains
+// @access  Private (Company Admin)
+const addDomain = async (req, res) => {
+  try {
+    const entry = await addCustomDomain(req.tenant, req.body.domain);
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom domain added. Create the DNS TXT record and verify the domain.',
+      data: { domain: formatCustomDomain(entry) }
+    });
+  } catch (error) {
+    console.error('Add domain error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error adding custom domain',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify custom domain via DNS TXT record
+// @route   POST /api/domains/:domain/verify
+// @access  Private (Company Admin)
+const verifyDomain = async (req, res) => {
+  try {
+    const entry = await verifyCustomDomain(req.tenant, req.params.domain);
+    const verified = entry.status === 'verified';
+
+    res.status(verified ? 200 : 400).json({
+      success: verified,
+      message: verified ? 'Custom domain verified successfully' : 'Custom domain could not be verified',
+      data: { domain: formatCustomDomain(entry) }
+    });
+  } catch (error) {
+    console.error('Verify domain error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying custom domain',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove custom domain
+// @route   DELETE /api/domains/:domain
+// @access  Private (Company Admin)
+const removeDomain = async (req, res) => {
+  try {
+    await removeCustomDomain(req.tenant, req.params.domain);
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom domain removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove domain error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error removing custom domain',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDomains,
+  addDomain,
+  verifyDomain,
+  removeDomain
+};
@@ -0,0 +1,26 @@
+const { getEnabledFeatures } = require('../utils/featureFlags');
+
+// @desc    List features enabled for the current tenant
+// @route   GET /api/features
+// @access  Private
+const getFeatures = async (req, res) => {
+  try {
+    const features = await getEnabledFeatures(req.tenant);
+
+    res.status(200).json({
+      success: true,
+      data: { features }
+    });
+  } catch (error) {
+    console.error('Get features error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching features',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getFeatures
+};
@@ -1,3 +1,6 @@
+const { applyDefaultCurrency } = require('../utils/tenantSettings');
+const { completeOnboardingStep } = require('../utils/onboarding');
+
 // @desc    Get all jobs
 // @route   GET /api/jobs
 // @access  Private
@@ -241,7 +244,7 @@ const createJob = async (req, res) => {
       experience,
       location,
       employmentType,
-      salary,
+      salary: applyDefaultCurrency(salary, req.tenant),
       benefits,
       applicationDeadline,
       applicationSettings,
@@ -251,6 +254,8 @@ const createJob = async (req, res) => {
     await job.populate('requirementId', 'title priority');
     await job.populate('createdBy', 'name email');
 
+    await completeOnboardingStep(req.tenant, 'createJob', req.user._id);
+
     res.status(201).json({
       success: true,
       message: 'Job description created successfully',
@@ -649,6 +654,8 @@ const createAIJob = async (req, res) => {
     await job.populate('requirementId', 'title priority');
     await job.populate('createdBy', 'name email');
 
+    await completeOnboardingStep(req.tenant, 'createJob', req.user._id);
+
     res.status(201).json({
       success: true,
       message: 'AI-generated job description created successfully',
@@ -0,0 +1,26 @@
+const { getOnboarding: getOnboardingChecklist } = require('../utils/onboarding');
+
+// @desc    Get the tenant's onboarding checklist
+// @route   GET /api/onboarding
+// @access  Private
+const getOnboarding = async (req, res) => {
+  try {
+    const onboarding = await getOnboardingChecklist(req.tenant, req.db);
+
+    res.status(200).json({
+      success: true,
+      data: { onboarding }
+    });
+  } catch (error) {
+    console.error('Get onboarding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching onboarding checklist',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getOnboarding
+};
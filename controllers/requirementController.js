@@ -1,3 +1,6 @@
+const { applyDefaultCurrency } = require('../utils/tenantSettings');
+const { completeOnboardingStep } = require('../utils/onboarding');
+
 // @desc    Get all requirements
 // @route   GET /api/requirements
 // @access  Private
@@ -150,7 +153,7 @@ const createRequirement = async (req, res) => {
       positions,
       location,
       employmentType,
-      salary,
+      salary: applyDefaultCurrency(salary, req.tenant),
       priority,
       dueDate,
       createdBy: req.user._id,
@@ -159,6 +162,8 @@ const createRequirement = async (req, res) => {
 
     await requirement.populate('createdBy', 'name email');
 
+    await completeOnboardingStep(req.tenant, 'createRequirement', req.user._id);
+
     res.status(201).json({
       success: true,
       message: 'Requirement created successfully',
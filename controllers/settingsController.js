@@ -0,0 +1,144 @@
+const { SETTINGS, getTenantSettings, updateTenantSettings } = require('../utils/tenantSettings');
+const { revokeSessionsWithoutTwoFactor } = require('../utils/twoFactor');
+const { POLICY_SETTINGS, getPasswordPolicies, updatePasswordPolicies } = require('../utils/passwordPolicy');
+
+// Setting definitions without the validation functions
+const describeSettings = (definitions = SETTINGS) => Object.fromEntries(
+  Object.entries(definitions).map(([key, { type, default: defaultValue, min, max, nullable }]) => [
+    key,
+    { type, default: defaultValue, min, max, nullable: !!nullable }
+  ])
+);
+
+// @desc    Get tenant settings
+// @route   GET /api/settings
+// @access  Private (Company Admin)
+const getSettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: getTenantSettings(req.tenant),
+        schema: describeSettings()
+      }
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update tenant settings (partial)
+// @route   PUT /api/settings
+// @access  Private (Company Admin)
+const updateSettings = async (req, res) => {
+  try {
+    const requiredTwoFactor = getTenantSettings(req.tenant).requireTwoFactor;
+    const settings = await updateTenantSettings(req.tenant, req.body);
+
+    // Requiring two-factor authentication signs out everyone who has not set it up (except this session)
+    if (settings.requireTwoFactor && !requiredTwoFactor) {
+      await revokeSessionsWithoutTwoFactor(req.tenant, req.db, {
+        except: req.authSession && req.authSession._id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating settings',
+      errors: error.errors,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the staff and candidate password policies
+// @route   GET /api/settings/password-policy
+// @access  Private (Company Admin)
+const getPasswordPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        policy: getPasswordPolicies(req.tenant),
+        schema: describeSettings(POLICY_SETTINGS)
+      }
+    });
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching password policy',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update the password policies (partial, e.g. { staff: { minLength: 12 } })
+// @route   PUT /api/settings/password-policy
+// @access  Private (Company Admin)
+const updatePasswordPolicy = async (req, res) => {
+  try {
+    const policy = await updatePasswordPolicies(req.tenant, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Update password policy error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating password policy',
+      errors: error.errors,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Password rules for sign-up and change-password forms
+// @route   GET /api/public/password-policy
+// @access  Public
+const getPublicPasswordPolicy = async (req, res) => {
+  try {
+    if (!req.tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+        code: 'TENANT_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { policy: getPasswordPolicies(req.tenant) }
+    });
+  } catch (error) {
+    console.error('Get public password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching password policy',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getPasswordPolicy,
+  updatePasswordPolicy,
+  getPublicPasswordPolicy
+};
@@ -0,0 +1,306 @@
+const {
+  STATE_EXPIRE_SECONDS,
+  BINDING_COOKIE,
+  BINDING_COOKIE_OPTIONS,
+  getTenantSso,
+  getActiveSso,
+  describeSso,
+  getServiceProviderUrls,
+  getSamlMetadata,
+  startSsoLogin,
+  completeOidcLogin,
+  completeSamlLogin,
+  provisionSsoUser,
+  issueLoginCode,
+  redeemLoginCode,
+  saveTenantSso,
+  deleteTenantSso
+} = require('../utils/sso');
+const { startSession } = require('../utils/authSessions');
+const { isTwoFactorRequired, issueChallengeToken } = require('../utils/twoFactor');
+
+// Frontend page that finishes an SSO sign-in. The outcome travels in the URL fragment, which
+// browsers never send to servers; it holds a one-time code that the frontend exchanges by POST.
+const getFrontendCallbackUrl = () => {
+  return process.env.SSO_FRONTEND_CALLBACK_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/sso/callback`;
+};
+
+const redirectToFrontend = (res, params) => {
+  const fragment = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined));
+  res.redirect(302, `${getFrontendCallbackUrl()}#${fragment}`);
+};
+
+// The sign-in is over either way; its browser binding is not needed any more
+const clearBindingCookie = (res) => {
+  res.clearCookie(BINDING_COOKIE, BINDING_COOKIE_OPTIONS);
+};
+
+const redirectWithError = (res, error) => {
+  redirectToFrontend(res, {
+    error: error.code || 'SSO_ERROR',
+    message: error.statusCode ? error.message : 'Single sign-on failed'
+  });
+};
+
+const notConfigured = () => Object.assign(new Error('Single sign-on is not configured for this organization'), {
+  statusCode: 404,
+  code: 'SSO_NOT_CONFIGURED'
+});
+
+// Sign the identity provider's user in: provision them and hand a login code to the frontend
+const finishSsoLogin = async (req, res, config, identity) => {
+  const user = await provisionSsoUser(req.tenant, req.db, config, identity);
+  const code = await issueLoginCode(req.tenant, user);
+
+  redirectToFrontend(res, {
+    code,
+    tenant: req.tenant.subdomain,
+    returnTo: identity.returnTo
+  });
+};
+
+// @desc    Whether staff can (or must) sign in with SSO, for the login page
+// @route   GET /api/sso
+// @access  Public
+const getSsoStatus = async (req, res) => {
+  try {
+    const config = await getActiveSso(req.tenant);
+
+    res.status(200).json({
+      success: true,
+      data: config
+        ? { enabled: true, protocol: config.protocol, enforced: config.enforced, loginUrl: '/api/sso/login' }
+        : { enabled: false }
+    });
+  } catch (error) {
+    console.error('Get SSO status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SSO status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Redirect to the identity provider's sign-in page
+// @route   GET /api/sso/login?returnTo=/path
+// @access  Public
+const ssoLogin = async (req, res) => {
+  try {
+    const config = await getActiveSso(req.tenant);
+    if (!config) throw notConfigured();
+
+    const { url, binding } = await startSsoLogin(req, config, { returnTo: req.query.returnTo });
+    res.cookie(BINDING_COOKIE, binding, { ...BINDING_COOKIE_OPTIONS, maxAge: STATE_EXPIRE_SECONDS * 1000 });
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('SSO login error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting single sign-on',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    OIDC redirect URI: finish sign-in and redirect to the frontend
+// @route   GET /api/sso/oidc/callback
+// @access  Public (identity provider redirect)
+const oidcCallback = async (req, res) => {
+  clearBindingCookie(res);
+
+  try {
+    const config = await getActiveSso(req.tenant, { withSecret: true });
+    if (!config || config.protocol !== 'oidc') throw notConfigured();
+
+    if (req.query.error) {
+      throw Object.assign(new Error(req.query.error_description || req.query.error), { statusCode: 401, code: 'SSO_DENIED' });
+    }
+
+    const identity = await completeOidcLogin(req, config, { code: req.query.code, state: req.query.state });
+    await finishSsoLogin(req, res, config, identity);
+  } catch (error) {
+    console.error('OIDC callback error:', error.message);
+    redirectWithError(res, error);
+  }
+};
+
+// @desc    SAML assertion consumer service: finish sign-in and redirect to the frontend
+// @route   POST /api/sso/saml/acs
+// @access  Public (identity provider form post)
+const samlAcs = async (req, res) => {
+  clearBindingCookie(res);
+
+  try {
+    const config = await getActiveSso(req.tenant);
+    if (!config || config.protocol !== 'saml') throw notConfigured();
+
+    const identity = await completeSamlLogin(req, config, req.body);
+    await finishSsoLogin(req, res, config, identity);
+  } catch (error) {
+    console.error('SAML ACS error:', error.message);
+    redirectWithError(res, error);
+  }
+};
+
+// @desc    Exchange the code from an SSO redirect for a session (or a two-factor challenge)
+// @route   POST /api/sso/exchange
+// @access  Public (with SSO login code)
+const exchangeSsoCode = async (req, res) => {
+  try {
+    if (!req.tenant || !req.db) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenant context not found. Please use the correct subdomain URL.'
+      });
+    }
+
+    const user = await redeemLoginCode(req.tenant, req.db, req.body.code);
+
+    // The identity provider stands in for the password only; the tenant's second factor still applies
+    if (user.twoFactor.enabled || isTwoFactorRequired('user', req.tenant)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          setupRequired: !user.twoFactor.enabled,
+          challengeToken: issueChallengeToken({ subjectType: 'user', subject: user, tenant: req.tenant })
+        }
+      });
+    }
+
+    const { token, refreshToken } = await startSession(req, { subjectType: 'user', subject: user, tenant: req.tenant });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          department: user.department,
+          permissions: user.permissions,
+          lastLogin: user.lastLogin
+        },
+        token,
+        refreshToken,
+        tenant: {
+          subdomain: req.tenant.subdomain,
+          companyName: req.tenant.companyName
+        }
+      }
+    });
+  } catch (error) {
+    console.error('SSO code exchange error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error completing single sign-on',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    SAML service provider metadata for the identity provider
+// @route   GET /api/sso/saml/metadata
+// @access  Public
+const samlMetadata = async (req, res) => {
+  try {
+    res.type('application/samlmetadata+xml').send(getSamlMetadata(req));
+  } catch (error) {
+    console.error('SAML metadata error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating SAML metadata',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the SSO configuration and the URLs to register with the identity provider
+// @route   GET /api/sso/config
+// @access  Private (Company Admin)
+const getSsoConfig = async (req, res) => {
+  try {
+    const config = await getTenantSso(req.tenant, { withSecret: true });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        config: describeSso(config),
+        serviceProvider: getServiceProviderUrls(req)
+      }
+    });
+  } catch (error) {
+    console.error('Get SSO config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SSO configuration',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create or update the SSO configuration
+// @route   PUT /api/sso/config
+// @access  Private (Company Admin)
+const updateSsoConfig = async (req, res) => {
+  try {
+    const config = await saveTenantSso(req.tenant, req.body, { by: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'SSO configuration saved',
+      data: {
+        config: describeSso(config),
+        serviceProvider: getServiceProviderUrls(req)
+      }
+    });
+  } catch (error) {
+    console.error('Update SSO config error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error saving SSO configuration',
+      code: error.code,
+      errors: error.errors,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove the SSO configuration (staff sign in with passwords again)
+// @route   DELETE /api/sso/config
+// @access  Private (Company Admin)
+const deleteSsoConfig = async (req, res) => {
+  try {
+    await deleteTenantSso(req.tenant);
+
+    res.status(200).json({
+      success: true,
+      message: 'SSO configuration removed'
+    });
+  } catch (error) {
+    console.error('Delete SSO config error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error removing SSO configuration',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSsoStatus,
+  ssoLogin,
+  oidcCallback,
+  samlAcs,
+  exchangeSsoCode,
+  samlMetadata,
+  getSsoConfig,
+  updateSsoConfig,
+  deleteSsoConfig
+};
@@ -1,17 +1,134 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const dbManager = require('../config/database');
-const { sendEmail } = require('../utils/email');
 const { generatePassword } = require('../utils/helpers');
+const fs = require('fs');
+const offboarding = require('../utils/tenantOffboarding');
+const { pipeline } = require('stream/promises');
+const {
+  createExportStream,
+  importArchive,
+  saveUploadedArchive
+} = require('../utils/tenantArchive');
+const {
+  createProvisioningState,
+  runProvisioning,
+  abortProvisioning
+} = require('../utils/tenantProvisioning');
+const {
+  formatCustomDomain,
+  addCustomDomain,
+  verifyCustomDomain,
+  removeCustomDomain
+} = require('../utils/customDomains');
+const {
+  TENANCY_MODES,
+  moveTenantStorage,
+  renameTenantSubdomain,
+  getTenantPlacementInfo,
+  moveTenantPlacement
+} = require('../utils/tenantStorage');
+const {
+  getSubscriptionState,
+  extendSubscription,
+  reinstateSubscription
+} = require('../utils/subscription');
+const { getUsageReport } = require('../utils/quota');
+const { startImpersonation, endImpersonation } = require('../utils/impersonation');
+const { invalidateTenant, clearTenantCache, getTenantCacheStats } = require('../utils/tenantCache');
+const featureFlags = require('../utils/featureFlags');
+const { getStuckTenants } = require('../utils/onboarding');
+const {
+  getRequestSubject,
+  startSession,
+  issueAccessToken,
+  revokeSubjectSessions
+} = require('../utils/authSessions');
+const {
+  isTwoFactorRequired,
+  beginEnrolment,
+  completeChallenge,
+  issueChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const { SECRET_FIELDS: TWO_FACTOR_FIELDS } = require('../models/plugins/twoFactor');
+const {
+  getPasswordPolicy,
+  assertPasswordPolicy,
+  passwordFields,
+  setPassword
+} = require('../utils/passwordPolicy');
+const {
+  loadMigrations,
+  migrateTenants
+} = require('../utils/migrationRunner');
+
+// Tenant fields that only change through their own endpoints:
+// tenancy (/tenancy), subdomain and aliases (/rename), isActive and lifecycle
+// (/deactivate, /schedule-deletion, /reactivate), provisioning (/provision/retry, /abort)
+// and custom domains (/domains, which verify ownership over DNS)
+const WORKFLOW_TENANT_FIELDS = [
+  'tenancy',
+  'subdomain',
+  'subdomainAliases',
+  'isActive',
+  'lifecycle',
+  'provisioning',
+  'customDomains'
+];
+
+// Finish a successful sign-in: start a session and send the super admin's tokens
+const sendSuperAdminLoginResponse = async (req, res, superAdmin, extra = {}) => {
+  // Reset login attempts on successful login
+  if (superAdmin.loginAttempts > 0) {
+    await superAdmin.resetLoginAttempts();
+  }
 
-// Generate JWT token
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  // Update last login
+  superAdmin.lastLogin = new Date();
+  await superAdmin.save();
+
+  const { token, refreshToken } = await startSession(req, { subjectType: 'super_admin', subject: superAdmin });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      superAdmin: {
+        id: superAdmin._id,
+        name: superAdmin.name,
+        email: superAdmin.email,
+        role: superAdmin.role,
+        lastLogin: superAdmin.lastLogin
+      },
+      token,
+      refreshToken,
+      ...extra
+    }
   });
 };
 
+// Super admin behind a login challenge, if they can still sign in
+const loadChallengeSuperAdmin = async (req) => {
+  const decoded = verifyChallengeToken(req.body.challengeToken, 'super_admin');
+
+  if (!dbManager.masterConnection) {
+    await dbManager.initializeMasterDB();
+  }
+
+  const SuperAdmin = require('../models/master/SuperAdmin')(dbManager.getMasterConnection());
+  const superAdmin = await SuperAdmin.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+  if (!superAdmin || !superAdmin.isActive) {
+    throw Object.assign(new Error('Account is deactivated'), { statusCode: 401 });
+  }
+  if (superAdmin.isLocked) {
+    throw Object.assign(new Error('Account is temporarily locked due to too many failed login attempts'), { statusCode: 423 });
+  }
+
+  return superAdmin;
+};
+
 // @desc    Register super admin
 // @route   POST /api/super-admin/register
 // @access  Public (should be restricted in production)
@@ -24,6 +141,8 @@ const registerSuperAdmin = async (req, res) => {
       await dbManager.initializeMasterDB();
     }
 
+    assertPasswordPolicy(password, getPasswordPolicy(null, 'super_admin'));
+
     const SuperAdmin = require('../models/master/SuperAdmin')(dbManager.getMasterConnection());
 
     // Check if super admin already exists
@@ -42,27 +161,46 @@ const registerSuperAdmin = async (req, res) => {
       password
     });
 
-  // Generate token with role
-  const token = generateToken({ id: superAdmin._id, role: 'super_admin' });
+    const superAdminData = {
+      id: superAdmin._id,
+      name: superAdmin.name,
+      email: superAdmin.email,
+      role: superAdmin.role
+    };
+
+    // Registration must not bypass the second factor that every later login needs:
+    // the account first sets it up through the same challenge as the login flow
+    if (isTwoFactorRequired('super_admin')) {
+      return res.status(201).json({
+        success: true,
+        message: 'Super admin registered. Set up two-factor authentication to sign in',
+        data: {
+          superAdmin: superAdminData,
+          twoFactorRequired: true,
+          setupRequired: true,
+          challengeToken: issueChallengeToken({ subjectType: 'super_admin', subject: superAdmin })
+        }
+      });
+    }
+
+    const { token, refreshToken } = await startSession(req, { subjectType: 'super_admin', subject: superAdmin });
 
     res.status(201).json({
       success: true,
       message: 'Super admin registered successfully',
       data: {
-        superAdmin: {
-          id: superAdmin._id,
-          name: superAdmin.name,
-          email: superAdmin.email,
-          role: superAdmin.role
-        },
-        token
+        superAdmin: superAdminData,
+        token,
+        refreshToken
       }
     });
   } catch (error) {
     console.error('Super admin registration error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error registering super admin',
+      message: error.statusCode ? error.message : 'Error registering super admin',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
@@ -126,42 +264,130 @@ const loginSuperAdmin = async (req, res) => {
       });
     }
 
-    // Reset login attempts on successful login
-    if (superAdmin.loginAttempts > 0) {
-      await superAdmin.resetLoginAttempts();
+    // Super admins need a second factor whenever SUPER_ADMIN_REQUIRE_2FA is on (the default)
+    if (superAdmin.twoFactor.enabled || isTwoFactorRequired('super_admin')) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          setupRequired: !superAdmin.twoFactor.enabled,
+          challengeToken: issueChallengeToken({ subjectType: 'super_admin', subject: superAdmin })
+        }
+      });
+    }
+
+    await sendSuperAdminLoginResponse(req, res, superAdmin);
+  } catch (error) {
+    console.error('Super admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during login',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start the two-factor setup that super admins need before signing in
+// @route   POST /api/super-admin/login/2fa/setup
+// @access  Public (with login challenge)
+const setupSuperAdminTwoFactorLogin = async (req, res) => {
+  try {
+    const superAdmin = await loadChallengeSuperAdmin(req);
+    const enrolment = await beginEnrolment(superAdmin, superAdmin.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then sign in with a code',
+      data: enrolment
+    });
+  } catch (error) {
+    console.error('Super admin two-factor setup error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting two-factor setup',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete super admin login with an authenticator or recovery code
+// @route   POST /api/super-admin/login/2fa
+// @access  Public (with login challenge)
+const verifySuperAdminTwoFactorLogin = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const superAdmin = await loadChallengeSuperAdmin(req);
+    const { recoveryCodes } = await completeChallenge(superAdmin, { code, recoveryCode });
+
+    // Recovery codes are only returned when the login finished a required setup
+    await sendSuperAdminLoginResponse(req, res, superAdmin, recoveryCodes ? { recoveryCodes } : {});
+  } catch (error) {
+    console.error('Super admin two-factor login error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error during login',
+      code: error.code,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change the signed-in super admin's password
+// @route   PUT /api/super-admin/update-password
+// @access  Private (Super Admin)
+const updateSuperAdminPassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const SuperAdmin = require('../models/master/SuperAdmin')(dbManager.getMasterConnection());
+    const superAdmin = await SuperAdmin.findById(req.user._id).select(passwordFields('super_admin'));
+
+    if (!(await superAdmin.matchPassword(currentPassword || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
     }
 
-    // Update last login
-    superAdmin.lastLogin = new Date();
+    await setPassword(superAdmin, newPassword, getPasswordPolicy(null, 'super_admin'), 'super_admin');
     await superAdmin.save();
 
-  // Generate token with role
-  const token = generateToken({ id: superAdmin._id, role: 'super_admin' });
+    // Other devices are signed out; this session continues with a token issued after the change
+    await revokeSubjectSessions(getRequestSubject(req), 'password_changed', {
+      except: req.authSession && req.authSession._id
+    });
+
+    const token = req.authSession ? issueAccessToken(req.authSession, superAdmin) : undefined;
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        superAdmin: {
-          id: superAdmin._id,
-          name: superAdmin.name,
-          email: superAdmin.email,
-          role: superAdmin.role,
-          lastLogin: superAdmin.lastLogin
-        },
-        token
-      }
+      message: 'Password updated successfully',
+      data: { token }
     });
   } catch (error) {
-    console.error('Super admin login error:', error);
-    res.status(500).json({
+    console.error('Update super admin password error:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error during login',
+      message: error.statusCode ? error.message : 'Error updating password',
+      code: error.code,
+      errors: error.errors,
       error: error.message
     });
   }
 };
 
+// Plans listed in SHARED_TENANCY_PLANS (e.g. "basic") default to shared-database tenancy
+const getDefaultTenancyMode = (plan) => {
+  const sharedPlans = (process.env.SHARED_TENANCY_PLANS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return sharedPlans.includes(plan) ? 'shared' : 'dedicated';
+};
+
 // @desc    Create new tenant
 // @route   POST /api/super-admin/tenants
 // @access  Private (Super Admin)
@@ -172,7 +398,8 @@ const createTenant = async (req, res) => {
       email,
       phone,
       address,
-      subscription = {}
+      subscription = {},
+      tenancyMode
     } = req.body;
 
     const slugify = require('slugify');
@@ -189,7 +416,7 @@ const createTenant = async (req, res) => {
     // Ensure subdomain is unique (add number if needed)
     let subdomain = baseSubdomain;
     let counter = 1;
-    while (await Tenant.findOne({ subdomain })) {
+    while (await Tenant.isSubdomainTaken(subdomain)) {
       subdomain = `${baseSubdomain}-${counter}`;
       if (subdomain.length > 30) subdomain = subdomain.substring(0, 30);
       counter++;
@@ -204,11 +431,18 @@ const createTenant = async (req, res) => {
       });
     }
 
+    if (tenancyMode && !TENANCY_MODES.includes(tenancyMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tenancy mode must be one of: ${TENANCY_MODES.join(', ')}`
+      });
+    }
+
     // Generate admin credentials
     const adminUsername = subdomain + '_admin';
     const tempPassword = generatePassword();
 
-    // Create tenant
+    // Create tenant (inactive until provisioning completes)
     const tenant = await Tenant.create({
       companyName,
       email,
@@ -217,13 +451,20 @@ const createTenant = async (req, res) => {
       subdomain,
       subscription: {
         plan: subscription.plan || 'basic',
-        maxUsers: subscription.maxUsers || 10,
-        maxRecruiters: subscription.maxRecruiters || 5
+        // Limits follow the plan unless explicit ones are given
+        customLimits: !!(subscription.maxUsers || subscription.maxRecruiters),
+        maxUsers: subscription.maxUsers,
+        maxRecruiters: subscription.maxRecruiters
+      },
+      tenancy: {
+        mode: tenancyMode || getDefaultTenancyMode(subscription.plan || 'basic')
       },
       adminCredentials: {
         username: adminUsername,
         tempPassword: await bcrypt.hash(tempPassword, 12)
       },
+      isActive: false,
+      provisioning: createProvisioningState(),
       createdBy: req.user._id
     });
 
@@ -235,63 +476,104 @@ const createTenant = async (req, res) => {
       });
     }
 
-    // Create tenant database using subdomain as DB name
-    await dbManager.createTenantDB(subdomain);
-
-    // Create company admin user in tenant database
-    const tenantDB = await dbManager.getTenantDB(subdomain);
-    const User = require('../models/tenant/User')(tenantDB);
+    // Create the tenant database, company admin and welcome email step by step
+    const result = await runProvisioning(tenant._id, { tempPassword });
 
-    await User.create({
-      name: `${companyName} Admin`,
-      email: email,
-      password: tempPassword,
-      role: 'company_admin',
-      isEmailVerified: true,
-      createdBy: null // First user, no creator
+    sendProvisioningResult(res, result, 201, 'Tenant created successfully');
+  } catch (error) {
+    console.error('Tenant creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tenant',
+      error: error.message
     });
+  }
+};
 
-    // Send welcome email with credentials
-    const emailData = {
-      companyName,
-      subdomain,
-      username: adminUsername,
-      password: tempPassword,
+// Shared response for tenant creation and provisioning retries
+const sendProvisioningResult = (res, result, successStatus, successMessage) => {
+  const { tenant, context } = result;
+  const adminCreated = tenant.getProvisioningStep('create_admin_user').status === 'completed';
+
+  const data = {
+    tenant: {
+      id: tenant._id,
+      companyName: tenant.companyName,
+      subdomain: tenant.subdomain,
+      email: tenant.email,
+      isActive: tenant.isActive,
+      subscription: tenant.subscription,
+      provisioning: tenant.provisioning,
+      createdAt: tenant.createdAt
+    }
+  };
+
+  // Only hand out credentials that actually work
+  if (adminCreated && context.tempPassword) {
+    data.credentials = {
+      username: tenant.adminCredentials.username,
+      tempPassword: context.tempPassword,
       loginUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}`
     };
+  }
+
+  if (!result.completed) {
+    return res.status(502).json({
+      success: false,
+      message: `Tenant provisioning failed at step "${result.failedStep}". Retry or abort provisioning for this tenant.`,
+      error: result.error.message,
+      data
+    });
+  }
+
+  res.status(successStatus).json({
+    success: true,
+    message: successMessage,
+    data
+  });
+};
+
+// @desc    Retry failed tenant provisioning steps
+// @route   POST /api/super-admin/tenants/:id/provision/retry
+// @access  Private (Super Admin)
+const retryTenantProvisioning = async (req, res) => {
+  try {
+    const result = await runProvisioning(req.params.id);
 
-    await sendEmail({
-      to: email,
-      subject: `Welcome to ${process.env.APP_NAME || 'Multi-Tenant App'} - Your Account is Ready!`,
-      template: 'tenant-welcome',
-      data: emailData
+    sendProvisioningResult(res, result, 200, 'Tenant provisioning completed successfully');
+  } catch (error) {
+    console.error('Retry tenant provisioning error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrying tenant provisioning',
+      error: error.message
     });
+  }
+};
 
-    res.status(201).json({
+// @desc    Abort tenant provisioning and roll back (drop tenant DB, delete record)
+// @route   POST /api/super-admin/tenants/:id/provision/abort
+// @access  Private (Super Admin)
+const abortTenantProvisioning = async (req, res) => {
+  try {
+    const tenant = await abortProvisioning(req.params.id);
+
+    res.status(200).json({
       success: true,
-      message: 'Tenant created successfully',
+      message: 'Tenant provisioning aborted and rolled back',
       data: {
         tenant: {
           id: tenant._id,
           companyName: tenant.companyName,
-          subdomain: tenant.subdomain,
-          email: tenant.email,
-          isActive: tenant.isActive,
-          subscription: tenant.subscription,
-          createdAt: tenant.createdAt
-        },
-        credentials: {
-          username: adminUsername,
-          tempPassword: tempPassword,
-          loginUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}`
+          subdomain: tenant.subdomain
         }
       }
     });
   } catch (error) {
-    console.error('Tenant creation error:', error);
-    res.status(500).json({
+    console.error('Abort tenant provisioning error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error creating tenant',
+      message: error.statusCode ? error.message : 'Error aborting tenant provisioning',
       error: error.message
     });
   }
@@ -308,6 +590,7 @@ const getAllTenants = async (req, res) => {
       search,
       status,
       plan,
+      lifecycleState,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -333,6 +616,10 @@ const getAllTenants = async (req, res) => {
       query['subscription.plan'] = plan;
     }
 
+    if (lifecycleState) {
+      query['lifecycle.state'] = lifecycleState;
+    }
+
     // Execute query with pagination
     const options = {
       page: parseInt(page),
@@ -391,9 +678,12 @@ const getTenant = async (req, res) => {
       });
     }
 
+    // Cluster the tenant's data lives on (credentials are never returned)
+    const placement = await getTenantPlacementInfo(tenant._id);
+
     res.status(200).json({
       success: true,
-      data: { tenant }
+      data: { tenant, placement }
     });
   } catch (error) {
     console.error('Get tenant error:', error);
@@ -412,9 +702,15 @@ const updateTenant = async (req, res) => {
   try {
     const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
 
+    // Fields with their own workflow are never written here. Update operators and dotted
+    // paths are dropped too, so "$set" or "lifecycle.state" cannot get around the list.
+    const updates = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([key]) => !key.startsWith('$') && !WORKFLOW_TENANT_FIELDS.includes(key.split('.')[0]))
+    );
+
     const tenant = await Tenant.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
@@ -428,6 +724,9 @@ const updateTenant = async (req, res) => {
       });
     }
 
+    // Requests on every instance must see the new settings right away
+    await invalidateTenant(tenant);
+
     res.status(200).json({
       success: true,
       message: 'Tenant updated successfully',
@@ -448,20 +747,13 @@ const updateTenant = async (req, res) => {
 // @access  Private (Super Admin)
 const deactivateTenant = async (req, res) => {
   try {
-    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
-
-    const tenant = await Tenant.findByIdAndUpdate(
-      req.params.id,
-      { isActive: false },
-      { new: true }
-    );
+    const tenant = await offboarding.deactivateTenant(req.params.id, {
+      by: req.user._id,
+      reason: req.body.reason
+    });
 
-    if (!tenant) {
-      return res.status(404).json({
-        success: false,
-        message: 'Tenant not found'
-      });
-    }
+    // Stop serving the tenant on every instance right away
+    await invalidateTenant(tenant);
 
     res.status(200).json({
       success: true,
@@ -470,9 +762,94 @@ const deactivateTenant = async (req, res) => {
     });
   } catch (error) {
     console.error('Deactivate tenant error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error deactivating tenant',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Schedule tenant for deletion after a grace period
+// @route   POST /api/super-admin/tenants/:id/schedule-deletion
+// @access  Private (Super Admin)
+const scheduleTenantDeletion = async (req, res) => {
+  try {
+    const tenant = await offboarding.scheduleTenantDeletion(req.params.id, {
+      by: req.user._id,
+      reason: req.body.reason,
+      graceDays: req.body.graceDays
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Tenant scheduled for deletion on ${tenant.lifecycle.scheduledDeletionAt.toISOString()}`,
+      data: { tenant }
+    });
+  } catch (error) {
+    console.error('Schedule tenant deletion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error scheduling tenant deletion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reactivate a deactivated tenant (also cancels a scheduled deletion)
+// @route   PATCH /api/super-admin/tenants/:id/reactivate
+// @access  Private (Super Admin)
+const reactivateTenant = async (req, res) => {
+  try {
+    const tenant = await offboarding.reactivateTenant(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tenant reactivated successfully',
+      data: { tenant }
+    });
+  } catch (error) {
+    console.error('Reactivate tenant error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error reactivating tenant',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get purged tenant tombstones
+// @route   GET /api/super-admin/tombstones
+// @access  Private (Super Admin)
+const getTenantTombstones = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const TenantTombstone = require('../models/master/TenantTombstone')(dbManager.getMasterConnection());
+
+    const tombstones = await TenantTombstone.find()
+      .sort({ purgedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await TenantTombstone.countDocuments();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tombstones,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get tenant tombstones error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deactivating tenant',
+      message: 'Error fetching tenant tombstones',
       error: error.message
     });
   }
@@ -483,14 +860,35 @@ const deactivateTenant = async (req, res) => {
 // @access  Private (Super Admin)
 const getTenantStats = async (req, res) => {
   try {
-    const tenantId = req.params.id;
-  // Use subdomain as DB name for tenant DB
-  const tenantDB = await dbManager.getTenantDB(req.tenant ? req.tenant.subdomain : tenantId);
+    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+    const tenant = await Tenant.findById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
 
-    const User = require('../models/tenant/User')(tenantDB);
-    const Requirement = require('../models/tenant/Requirement')(tenantDB);
-    const JobDescription = require('../models/tenant/JobDescription')(tenantDB);
-    const Application = require('../models/tenant/Application')(tenantDB);
+    const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+    let counts;
+    try {
+      const User = require('../models/tenant/User')(connection);
+      const Requirement = require('../models/tenant/Requirement')(connection);
+      const JobDescription = require('../models/tenant/JobDescription')(connection);
+      const Application = require('../models/tenant/Application')(connection);
+
+      counts = await Promise.all([
+        User.countDocuments({ isActive: true }),
+        User.countDocuments({ role: 'recruiter', isActive: true }),
+        Requirement.countDocuments(),
+        JobDescription.countDocuments(),
+        Application.countDocuments(),
+        JobDescription.countDocuments({ isActive: true, status: 'published' })
+      ]);
+    } finally {
+      release();
+    }
 
     const [
       totalUsers,
@@ -499,14 +897,7 @@ const getTenantStats = async (req, res) => {
       totalJobs,
       totalApplications,
       activeJobs
-    ] = await Promise.all([
-      User.countDocuments({ isActive: true }),
-      User.countDocuments({ role: 'recruiter', isActive: true }),
-      Requirement.countDocuments(),
-      JobDescription.countDocuments(),
-      Application.countDocuments(),
-      JobDescription.countDocuments({ isActive: true, status: 'published' })
-    ]);
+    ] = counts;
 
     res.status(200).json({
       success: true,
@@ -588,14 +979,968 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+// @desc    Get tenant database connection cache statistics
+// @route   GET /api/super-admin/system/connections
+// @access  Private (Super Admin)
+const getConnectionStats = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { connections: dbManager.getConnectionStats() }
+    });
+  } catch (error) {
+    console.error('Get connection stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching connection statistics',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get security events (e.g. cross-tenant token use)
+// @route   GET /api/super-admin/security-events?type=&tenant=
+// @access  Private (Super Admin)
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, tenant } = req.query;
+    const SecurityEvent = require('../models/master/SecurityEvent')(dbManager.getMasterConnection());
+
+    const query = {};
+    if (type) query.type = type;
+    if (tenant) {
+      query.$or = [
+        { 'tenants.token': tenant },
+        { 'tenants.host': tenant },
+        { 'tenants.header': tenant }
+      ];
+    }
+
+    const events = await SecurityEvent.find(query)
+      .sort({ at: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching security events',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List feature flags
+// @route   GET /api/super-admin/feature-flags
+// @access  Private (Super Admin)
+const getFeatureFlags = async (req, res) => {
+  try {
+    const flags = await featureFlags.listFeatureFlags();
+
+    res.status(200).json({
+      success: true,
+      data: { flags }
+    });
+  } catch (error) {
+    console.error('Get feature flags error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching feature flags',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one feature flag
+// @route   GET /api/super-admin/feature-flags/:key
+// @access  Private (Super Admin)
+const getFeatureFlag = async (req, res) => {
+  try {
+    const flag = await featureFlags.getFeatureFlag(req.params.key);
+
+    res.status(200).json({
+      success: true,
+      data: { flag }
+    });
+  } catch (error) {
+    console.error('Get feature flag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching feature flag',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create feature flag
+// @route   POST /api/super-admin/feature-flags
+// @access  Private (Super Admin)
+const createFeatureFlag = async (req, res) => {
+  try {
+    const flag = await featureFlags.createFeatureFlag(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Feature flag created successfully',
+      data: { flag }
+    });
+  } catch (error) {
+    console.error('Create feature flag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating feature flag',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update feature flag (description, enabled, plans, rolloutPercentage)
+// @route   PUT /api/super-admin/feature-flags/:key
+// @access  Private (Super Admin)
+const updateFeatureFlag = async (req, res) => {
+  try {
+    const flag = await featureFlags.updateFeatureFlag(req.params.key, req.body, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Feature flag updated successfully',
+      data: { flag }
+    });
+  } catch (error) {
+    console.error('Update feature flag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating feature flag',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete feature flag (built-in flags revert to their defaults)
+// @route   DELETE /api/super-admin/feature-flags/:key
+// @access  Private (Super Admin)
+const deleteFeatureFlag = async (req, res) => {
+  try {
+    const result = await featureFlags.deleteFeatureFlag(req.params.key);
+
+    res.status(200).json({
+      success: true,
+      message: result.builtIn ? 'Feature flag reset to its defaults' : 'Feature flag deleted successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Delete feature flag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error deleting feature flag',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Turn a feature on or off for one tenant
+// @route   PUT /api/super-admin/feature-flags/:key/tenants/:tenantId
+// @access  Private (Super Admin)
+const setFeatureFlagOverride = async (req, res) => {
+  try {
+    const { enabled, note } = req.body;
+
+    const flag = await featureFlags.setTenantOverride(req.params.key, req.params.tenantId, { enabled, note }, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Feature ${enabled ? 'enabled' : 'disabled'} for tenant`,
+      data: { flag }
+    });
+  } catch (error) {
+    console.error('Set feature flag override error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error setting feature flag override',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a tenant override (the tenant follows plan defaults and rollout again)
+// @route   DELETE /api/super-admin/feature-flags/:key/tenants/:tenantId
+// @access  Private (Super Admin)
+const removeFeatureFlagOverride = async (req, res) => {
+  try {
+    const flag = await featureFlags.removeTenantOverride(req.params.key, req.params.tenantId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tenant override removed',
+      data: { flag }
+    });
+  } catch (error) {
+    console.error('Remove feature flag override error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error removing feature flag override',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Feature flags as evaluated for one tenant
+// @route   GET /api/super-admin/tenants/:id/features
+// @access  Private (Super Admin)
+const getTenantFeatures = async (req, res) => {
+  try {
+    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+    const tenant = await Tenant.findById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const features = await featureFlags.getTenantFeatureReport(tenant);
+
+    res.status(200).json({
+      success: true,
+      data: { features }
+    });
+  } catch (error) {
+    console.error('Get tenant features error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching tenant features',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Tenants that stopped making onboarding progress
+// @route   GET /api/super-admin/onboarding/stuck?days=7
+// @access  Private (Super Admin)
+const getStuckOnboardingTenants = async (req, res) => {
+  try {
+    const tenants = await getStuckTenants({ stuckDays: req.query.days });
+
+    res.status(200).json({
+      success: true,
+      data: { tenants, total: tenants.length }
+    });
+  } catch (error) {
+    console.error('Get stuck onboarding tenants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching onboarding progress',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get tenant resolution cache statistics
+// @route   GET /api/super-admin/system/tenant-cache
+// @access  Private (Super Admin)
+const getTenantCacheStatistics = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { tenantCache: getTenantCacheStats() }
+    });
+  } catch (error) {
+    console.error('Get tenant cache stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tenant cache statistics',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Flush the tenant resolution cache on every instance
+// @route   DELETE /api/super-admin/system/tenant-cache
+// @access  Private (Super Admin)
+const flushTenantCache = async (req, res) => {
+  try {
+    await clearTenantCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tenant cache flushed'
+    });
+  } catch (error) {
+    console.error('Flush tenant cache error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error flushing tenant cache',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add custom domain to tenant
+// @route   POST /api/super-admin/tenants/:id/domains
+// @access  Private (Super Admin)
+const addTenantDomain = async (req, res) => {
+  try {
+    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+    const tenant = await Tenant.findById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const entry = await addCustomDomain(tenant, req.body.domain);
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom domain added successfully',
+      data: { domain: formatCustomDomain(entry) }
+    });
+  } catch (error) {
+    console.error('Add tenant domain error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error adding custom domain',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify tenant custom domain via DNS TXT record
+// @route   POST /api/super-admin/tenants/:id/domains/:domain/verify
+// @access  Private (Super Admin)
+const verifyTenantDomain = async (req, res) => {
+  try {
+    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+    const tenant = await Tenant.findById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const entry = await verifyCustomDomain(tenant, req.params.domain);
+    const verified = entry.status === 'verified';
+
+    res.status(verified ? 200 : 400).json({
+      success: verified,
+      message: verified ? 'Custom domain verified successfully' : 'Custom domain could not be verified',
+      data: { domain: formatCustomDomain(entry) }
+    });
+  } catch (error) {
+    console.error('Verify tenant domain error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying custom domain',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove custom domain from tenant
+// @route   DELETE /api/super-admin/tenants/:id/domains/:domain
+// @access  Private (Super Admin)
+const removeTenantDomain = async (req, res) => {
+  try {
+    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+    const tenant = await Tenant.findById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    await removeCustomDomain(tenant, req.params.domain);
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom domain removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove tenant domain error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error removing custom domain',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export tenant data as a compressed archive
+// @route   POST /api/super-admin/tenants/:id/export
+// @access  Private (Super Admin)
+const exportTenant = async (req, res) => {
+  try {
+    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+    const tenant = await Tenant.findById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const fileName = `${tenant.subdomain}-${new Date().toISOString().slice(0, 10)}.ndjson.gz`;
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const archive = createExportStream(tenant, {
+      onProgress: ({ collection, processed, done }) => {
+        if (done) console.log(`📦 Exported ${processed} ${collection} for ${tenant.subdomain}`);
+      }
+    });
+
+    await pipeline(archive, res);
+  } catch (error) {
+    console.error('Export tenant error:', error);
+    if (res.headersSent) {
+      // Archive already streaming: abort so the client sees a truncated download
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting tenant',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Import tenant archive into a new or existing subdomain
+// @route   POST /api/super-admin/tenants/import?subdomain=&mode=create|replace|merge&dryRun=true
+// @access  Private (Super Admin)
+const importTenant = async (req, res) => {
+  let filePath;
+
+  try {
+    if (!req.is('application/gzip') && !req.is('application/octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Upload the archive as application/gzip'
+      });
+    }
+
+    const { subdomain, mode = 'create' } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+
+    filePath = await saveUploadedArchive(req);
+
+    // Progress is streamed as NDJSON events, ending with a "complete" or "error" event
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    const emit = (event) => res.write(JSON.stringify(event) + '\n');
+
+    try {
+      const summary = await importArchive(filePath, {
+        subdomain,
+        mode,
+        dryRun,
+        createdBy: req.user._id,
+        onProgress: (progress) => emit({ event: 'progress', ...progress })
+      });
+
+      emit({ event: 'complete', success: true, summary });
+    } catch (error) {
+      console.error('Import tenant error:', error);
+      emit({
+        event: 'error',
+        success: false,
+        statusCode: error.statusCode || 500,
+        message: error.statusCode ? error.message : 'Error importing tenant',
+        error: error.message
+      });
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Import tenant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing tenant',
+      error: error.message
+    });
+  } finally {
+    if (filePath) {
+      fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+};
+
+// @desc    Get tenant plan usage and limits for the current billing period
+// @route   GET /api/super-admin/tenants/:id/usage
+// @access  Private (Super Admin)
+const getTenantUsage = async (req, res) => {
+  try {
+    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+    const tenant = await Tenant.findById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+    let usage;
+    try {
+      usage = await getUsageReport(tenant, connection);
+    } finally {
+      release();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { usage }
+    });
+  } catch (error) {
+    console.error('Get tenant usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tenant usage',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Impersonate a tenant user
+// @route   POST /api/super-admin/tenants/:id/impersonate/:userId
+// @access  Private (Super Admin)
+const impersonateTenantUser = async (req, res) => {
+  try {
+    const { reason, allowDestructive } = req.body;
+
+    const { token, session, notifiedAdmins } = await startImpersonation({
+      superAdmin: req.user,
+      tenantId: req.params.id,
+      userId: req.params.userId,
+      reason,
+      allowDestructive,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation session started',
+      data: {
+        token,
+        session,
+        notifiedAdmins
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate tenant user error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting impersonation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get impersonation sessions
+// @route   GET /api/super-admin/impersonations?tenantId=&superAdminId=&active=true
+// @access  Private (Super Admin)
+const getImpersonationSessions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, tenantId, superAdminId, active } = req.query;
+    const ImpersonationSession = require('../models/master/ImpersonationSession')(dbManager.getMasterConnection());
+
+    const query = {};
+    if (tenantId) query.tenantId = tenantId;
+    if (superAdminId) query['superAdmin.id'] = superAdminId;
+    if (active === 'true') {
+      query.endedAt = { $exists: false };
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const sessions = await ImpersonationSession.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await ImpersonationSession.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get impersonation sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching impersonation sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get requests made during an impersonation session
+// @route   GET /api/super-admin/impersonations/:sessionId/logs
+// @access  Private (Super Admin)
+const getImpersonationLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const ImpersonationLog = require('../models/master/ImpersonationLog')(dbManager.getMasterConnection());
+
+    const query = { sessionId: req.params.sessionId };
+
+    const logs = await ImpersonationLog.find(query)
+      .sort({ at: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await ImpersonationLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get impersonation logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching impersonation logs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    End an impersonation session
+// @route   POST /api/super-admin/impersonations/:sessionId/end
+// @access  Private (Super Admin)
+const endImpersonationSession = async (req, res) => {
+  try {
+    const session = await endImpersonation(req.params.sessionId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation session ended',
+      data: { session }
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error ending impersonation session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Extend tenant subscription end date
+// @route   POST /api/super-admin/tenants/:id/subscription/extend
+// @access  Private (Super Admin)
+const extendTenantSubscription = async (req, res) => {
+  try {
+    const { days, endDate } = req.body;
+
+    const tenant = await extendSubscription(req.params.id, { days, endDate });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription extended successfully',
+      data: {
+        subscription: tenant.subscription,
+        state: getSubscriptionState(tenant)
+      }
+    });
+  } catch (error) {
+    console.error('Extend subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error extending subscription',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reinstate suspended, cancelled or expired subscription
+// @route   POST /api/super-admin/tenants/:id/subscription/reinstate
+// @access  Private (Super Admin)
+const reinstateTenantSubscription = async (req, res) => {
+  try {
+    const { days, endDate } = req.body;
+
+    const tenant = await reinstateSubscription(req.params.id, { days, endDate });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription reinstated successfully',
+      data: {
+        subscription: tenant.subscription,
+        state: getSubscriptionState(tenant)
+      }
+    });
+  } catch (error) {
+    console.error('Reinstate subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error reinstating subscription',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move tenant between dedicated and shared database storage
+// @route   POST /api/super-admin/tenants/:id/tenancy
+// @access  Private (Super Admin)
+const changeTenantTenancy = async (req, res) => {
+  try {
+    const { mode } = req.body;
+
+    const result = await moveTenantStorage(req.params.id, mode);
+
+    res.status(200).json({
+      success: true,
+      message: `Tenant moved to ${result.to} storage`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Change tenant tenancy error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error migrating tenant storage',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rename tenant subdomain (moves a dedicated database, keeps the old subdomain as a redirect)
+// @route   POST /api/super-admin/tenants/:id/rename
+// @access  Private (Super Admin)
+const renameTenant = async (req, res) => {
+  try {
+    const { subdomain, aliasDays } = req.body;
+
+    const result = await renameTenantSubdomain(req.params.id, subdomain, { aliasDays });
+
+    res.status(200).json({
+      success: true,
+      message: `Tenant renamed from ${result.from} to ${result.to}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Rename tenant error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error renaming tenant',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move a dedicated tenant database to another cluster (copy, verify, switch)
+// @route   PUT /api/super-admin/tenants/:id/placement
+// @access  Private (Super Admin)
+const changeTenantPlacement = async (req, res) => {
+  try {
+    const { cluster, region, uri, options } = req.body;
+
+    const result = await moveTenantPlacement(
+      req.params.id,
+      { cluster, region, uri, options },
+      { by: req.user._id }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Tenant moved to the ${result.to.cluster} cluster`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Change tenant placement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error moving tenant database',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move a dedicated tenant database back to the default cluster
+// @route   DELETE /api/super-admin/tenants/:id/placement
+// @access  Private (Super Admin)
+const resetTenantPlacement = async (req, res) => {
+  try {
+    const result = await moveTenantPlacement(req.params.id, null, { by: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tenant moved back to the default cluster',
+      data: result
+    });
+  } catch (error) {
+    console.error('Reset tenant placement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error moving tenant database',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Show applied and pending migrations for every tenant
+// @route   GET /api/super-admin/migrations?tenants=a,b
+// @access  Private (Super Admin)
+const getMigrationStatus = async (req, res) => {
+  try {
+    const tenants = req.query.tenants ? req.query.tenants.split(',').map(t => t.trim()).filter(Boolean) : undefined;
+
+    const report = await migrateTenants({
+      tenants,
+      dryRun: true,
+      concurrency: process.env.MIGRATION_CONCURRENCY
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        migrations: loadMigrations().map(({ version, name, description }) => ({ version, name, description })),
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get migration status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching migration status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Apply or roll back migrations on one, several or all tenants
+// @route   POST /api/super-admin/migrations/run
+// @access  Private (Super Admin)
+const runMigrations = async (req, res) => {
+  try {
+    const { tenants, direction = 'up', targetVersion, dryRun = false, concurrency } = req.body;
+
+    if (!['up', 'down'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Direction must be "up" or "down"'
+      });
+    }
+
+    if (tenants !== undefined && !Array.isArray(tenants)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenants must be an array of subdomains'
+      });
+    }
+
+    const report = await migrateTenants({
+      tenants,
+      direction,
+      targetVersion: targetVersion !== undefined ? parseInt(targetVersion) : undefined,
+      dryRun: !!dryRun,
+      concurrency: concurrency || process.env.MIGRATION_CONCURRENCY
+    });
+
+    res.status(200).json({
+      success: !report.summary.failed,
+      message: report.summary.failed
+        ? `Migrations failed for ${report.summary.failed} tenant(s)`
+        : (report.dryRun ? 'Migration dry run completed' : 'Migrations completed'),
+      data: report
+    });
+  } catch (error) {
+    console.error('Run migrations error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error running migrations',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   registerSuperAdmin,
   loginSuperAdmin,
+  setupSuperAdminTwoFactorLogin,
+  verifySuperAdminTwoFactorLogin,
+  updateSuperAdminPassword,
   createTenant,
   getAllTenants,
   getTenant,
   updateTenant,
   deactivateTenant,
   getTenantStats,
-  getDashboardStats
+  getDashboardStats,
+  getConnectionStats,
+  addTenantDomain,
+  verifyTenantDomain,
+  removeTenantDomain,
+  retryTenantProvisioning,
+  abortTenantProvisioning,
+  exportTenant,
+  importTenant,
+  scheduleTenantDeletion,
+  reactivateTenant,
+  getTenantTombstones,
+  getMigrationStatus,
+  runMigrations,
+  changeTenantTenancy,
+  renameTenant,
+  changeTenantPlacement,
+  resetTenantPlacement,
+  extendTenantSubscription,
+  reinstateTenantSubscription,
+  getTenantUsage,
+  impersonateTenantUser,
+  getImpersonationSessions,
+  getImpersonationLogs,
+  endImpersonationSession,
+  getTenantCacheStatistics,
+  flushTenantCache,
+  getSecurityEvents,
+  getFeatureFlags,
+  getFeatureFlag,
+  createFeatureFlag,
+  updateFeatureFlag,
+  deleteFeatureFlag,
+  setFeatureFlagOverride,
+  removeFeatureFlagOverride,
+  getTenantFeatures,
+  getStuckOnboardingTenants
 };
\ No newline at end of file
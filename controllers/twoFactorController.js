@@ -0,0 +1,167 @@
+const {
+  isTwoFactorRequired,
+  describeTwoFactor,
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../utils/twoFactor');
+const { getRequestSubject, revokeSubjectSessions } = require('../utils/authSessions');
+const { SECRET_FIELDS } = require('../models/plugins/twoFactor');
+
+// Two-factor settings of the signed-in tenant user or super admin.
+// These handlers are mounted under both /api/auth and /api/super-admin.
+
+const isSuperAdmin = (req) => req.user.role === 'super_admin';
+
+// The signed-in account with its two-factor secrets (candidates have no two-factor authentication)
+const loadAccount = async (req, { withPassword = false } = {}) => {
+  if (req.userType === 'candidate') {
+    throw Object.assign(new Error('Two-factor authentication is not available for candidate accounts'), { statusCode: 403 });
+  }
+
+  const Model = isSuperAdmin(req)
+    ? require('../models/master/SuperAdmin')(req.db)
+    : require('../models/tenant/User')(req.db);
+
+  return Model.findById(req.user._id).select(`${SECRET_FIELDS}${withPassword ? ' +password' : ''}`);
+};
+
+const isRequired = (req) => isTwoFactorRequired(isSuperAdmin(req) ? 'super_admin' : 'user', req.tenant);
+
+const sendTwoFactorError = (res, error, fallback) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+    code: error.code,
+    error: error.message
+  });
+};
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa, GET /api/super-admin/2fa
+// @access  Private (tenant users and super admins)
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const account = await loadAccount(req);
+
+    res.status(200).json({
+      success: true,
+      data: describeTwoFactor(account, isRequired(req))
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error.message);
+    sendTwoFactorError(res, error, 'Error fetching two-factor status');
+  }
+};
+
+// @desc    Start two-factor enrolment (returns the secret and otpauth:// URI for the QR code)
+// @route   POST /api/auth/2fa/setup, POST /api/super-admin/2fa/setup
+// @access  Private (tenant users and super admins)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const account = await loadAccount(req);
+    const accountName = isSuperAdmin(req) ? account.email : `${account.email} (${req.tenant.companyName})`;
+    const enrolment = await beginEnrolment(account, accountName);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrolment
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+    sendTwoFactorError(res, error, 'Error starting two-factor setup');
+  }
+};
+
+// @desc    Confirm enrolment with a code; returns the recovery codes once
+// @route   POST /api/auth/2fa/enable, POST /api/super-admin/2fa/enable
+// @access  Private (tenant users and super admins)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const account = await loadAccount(req);
+    const recoveryCodes = await confirmEnrolment(account, req.body.code);
+
+    // Sessions signed in with only a password end; this one continues
+    await revokeSubjectSessions(getRequestSubject(req), 'two_factor_enabled', {
+      except: req.authSession && req.authSession._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error.message);
+    sendTwoFactorError(res, error, 'Error enabling two-factor authentication');
+  }
+};
+
+// @desc    Turn off two-factor authentication (needs the password and a code)
+// @route   POST /api/auth/2fa/disable, POST /api/super-admin/2fa/disable
+// @access  Private (tenant users and super admins)
+const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (isRequired(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for this account',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const account = await loadAccount(req, { withPassword: true });
+
+    if (!password || !(await account.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await verifySecondFactor(account, { code, recoveryCode });
+    await disableTwoFactor(account);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error.message);
+    sendTwoFactorError(res, error, 'Error disabling two-factor authentication');
+  }
+};
+
+// @desc    Replace the recovery codes (the old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes, POST /api/super-admin/2fa/recovery-codes
+// @access  Private (tenant users and super admins)
+const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const account = await loadAccount(req);
+
+    await verifySecondFactor(account, { code: req.body.code });
+    const recoveryCodes = await regenerateRecoveryCodes(account);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. The previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error.message);
+    sendTwoFactorError(res, error, 'Error generating recovery codes');
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes
+};
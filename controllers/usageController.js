@@ -0,0 +1,26 @@
+const { getUsageReport } = require('../utils/quota');
+
+// @desc    Get plan usage and limits for the current billing period
+// @route   GET /api/usage
+// @access  Private (Company Admin)
+const getUsage = async (req, res) => {
+  try {
+    const usage = await getUsageReport(req.tenant, req.db);
+
+    res.status(200).json({
+      success: true,
+      data: { usage }
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching usage',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUsage
+};
@@ -1,6 +1,10 @@
 const crypto = require('crypto');
 const { sendEmail } = require('../utils/email');
 const { generatePassword } = require('../utils/helpers');
+const { USER_ROLE_STEPS, completeOnboardingStep } = require('../utils/onboarding');
+const { recordRecruiterSeats } = require('../utils/billing');
+const { revokeSubjectSessions } = require('../utils/authSessions');
+const { isEmailVerificationRequired, getVerificationUrl } = require('../utils/emailVerification');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -168,6 +172,19 @@ const createUser = async (req, res) => {
       isEmailVerified: false
     });
 
+    if (USER_ROLE_STEPS[role]) {
+      await completeOnboardingStep(req.tenant, USER_ROLE_STEPS[role], req.user._id);
+    }
+    if (role === 'recruiter') await recordRecruiterSeats(req.tenant, req.db);
+
+    // The credentials email doubles as the verification email
+    let verificationLink = '';
+    if (isEmailVerificationRequired(req.tenant)) {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+      verificationLink = `<p>Before your first login, please confirm your email address: <a href="${getVerificationUrl(req.tenant, 'user', verificationToken)}">Confirm Email</a> (valid for 24 hours).</p>`;
+    }
+
     // Send credentials email
     await sendEmail({
       to: email,
@@ -178,6 +195,7 @@ const createUser = async (req, res) => {
         <p><b>Email:</b> ${email}</p>
         <p><b>Password:</b> ${tempPassword}</p>
         <p>Login URL: <a href="${req.protocol}://${req.get('host')}/login">${req.protocol}://${req.get('host')}/login</a></p>
+        ${verificationLink}
         <p>Please change your password after your first login.</p>
       `
     });
@@ -258,6 +276,17 @@ const updateUser = async (req, res) => {
       }
     );
 
+    if (updatedUser && updatedUser.role === 'recruiter' && updatedUser.isActive) {
+      await recordRecruiterSeats(req.tenant, req.db);
+    }
+
+    if (updateData.isActive === false) {
+      await revokeSubjectSessions(
+        { subjectType: 'user', subjectId: updatedUser._id, tenantId: req.tenant._id },
+        'deactivated'
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -301,6 +330,8 @@ const deleteUser = async (req, res) => {
     user.isActive = false;
     await user.save();
 
+    await revokeSubjectSessions({ subjectType: 'user', subjectId: user._id, tenantId: req.tenant._id }, 'deactivated');
+
     res.status(200).json({
       success: true,
       message: 'User deactivated successfully'
@@ -349,10 +380,15 @@ const inviteUser = async (req, res) => {
       department,
       createdBy: req.user._id,
       isEmailVerified: false,
-      emailVerificationToken: hashedToken,
-      emailVerificationExpire: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
+      invitationToken: hashedToken,
+      invitationExpire: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
     });
 
+    if (USER_ROLE_STEPS[role]) {
+      await completeOnboardingStep(req.tenant, USER_ROLE_STEPS[role], req.user._id);
+    }
+    if (role === 'recruiter') await recordRecruiterSeats(req.tenant, req.db);
+
     // Send invitation email
     const invitationUrl = `${req.protocol}://${req.get('host')}/register?token=${invitationToken}`;
     
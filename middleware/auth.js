@@ -1,5 +1,67 @@
 const jwt = require('jsonwebtoken');
 const dbManager = require('../config/database');
+const {
+  verifyImpersonation,
+  isRestrictedRequest,
+  logImpersonatedRequest
+} = require('../utils/impersonation');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { verifySession } = require('../utils/authSessions');
+const { getTenantBySubdomain, getTenantBySubdomainAlias } = require('../utils/tenantCache');
+const { subscriptionGuard } = require('./subscription');
+
+const tenantRejected = (res, statusCode, message, code) => {
+  return res.status(statusCode).json({ success: false, message, code });
+};
+
+// When the subject last changed their password (candidates keep it under account)
+const getPasswordChangedAt = (user) => user.passwordChangedAt || (user.account && user.account.passwordChangedAt);
+
+// The token's tenant, the tenant resolved from the host and the x-tenant-id header must all agree.
+// Returns the tenant subdomain, or null after rejecting the request.
+const bindTenant = async (req, res, decoded) => {
+  const tenants = {
+    token: decoded.tenant,
+    host: req.tenant ? req.tenant.subdomain : undefined,
+    header: req.headers['x-tenant-id'] ? String(req.headers['x-tenant-id']).trim().toLowerCase() : undefined
+  };
+
+  if (!tenants.token) {
+    await recordSecurityEvent(req, {
+      type: 'TOKEN_TENANT_MISSING',
+      severity: 'medium',
+      message: 'Tenant token without a tenant claim',
+      tenants,
+      decoded
+    });
+    tenantRejected(res, 401, 'Token is not bound to a tenant', 'TOKEN_TENANT_MISSING');
+    return null;
+  }
+
+  // Tokens issued before a subdomain rename still name the old subdomain
+  const renamed = !!req.tenant && tenants.token !== tenants.host && req.tenant.hasSubdomainAlias(tenants.token);
+  const accepted = renamed ? [tenants.token, tenants.host] : [tenants.token];
+
+  const mismatched = ['host', 'header'].filter(source => tenants[source] && !accepted.includes(tenants[source]));
+
+  if (mismatched.length) {
+    await recordSecurityEvent(req, {
+      type: 'TENANT_MISMATCH',
+      severity: 'high',
+      message: `Token for tenant "${tenants.token}" used with ${mismatched.map(source => `${source} tenant "${tenants[source]}"`).join(' and ')}`,
+      tenants,
+      decoded
+    });
+    tenantRejected(res, 403, 'Token is not valid for this tenant', 'TENANT_MISMATCH');
+    return null;
+  }
+
+  if (renamed) {
+    res.set('X-Tenant-Renamed', tenants.host);
+  }
+
+  return tenants.token;
+};
  
 const protect = async (req, res, next) => {
   try {
@@ -16,6 +78,7 @@ const protect = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
  
     let Model;
+    let resolvedTenantHere = false;
  
     if (decoded.role === 'super_admin') {
       // ✅ Master DB for super admin
@@ -25,16 +88,40 @@ const protect = async (req, res, next) => {
     } else {
       // ✅ Tenant-based users & candidates
  
-      const tenant = decoded.tenant || req.headers['x-tenant-id'];
-      if (!tenant) {
-        return res.status(400).json({
-          success: false,
-          message: 'Tenant is required for this user type'
-        });
+      const tenant = await bindTenant(req, res, decoded);
+      if (!tenant) return;
+
+      // No tenant host (e.g. API called on the bare domain): resolve the token's tenant here
+      if (!req.tenant) {
+        let tokenTenant = await getTenantBySubdomain(tenant);
+
+        // Token issued before the tenant was renamed
+        if (!tokenTenant) {
+          tokenTenant = await getTenantBySubdomainAlias(tenant);
+          if (tokenTenant) res.set('X-Tenant-Renamed', tokenTenant.subdomain);
+        }
+
+        if (!tokenTenant || !tokenTenant.isActive) {
+          await recordSecurityEvent(req, {
+            type: 'TOKEN_TENANT_UNKNOWN',
+            severity: 'medium',
+            message: `Token for unknown or inactive tenant "${tenant}"`,
+            tenants: { token: tenant },
+            decoded
+          });
+          return tenantRejected(res, 401, 'Tenant not found or inactive', 'TENANT_NOT_FOUND');
+        }
+
+        req.tenant = tokenTenant;
+        resolvedTenantHere = true;
       }
  
-      req.db = await dbManager.getTenantDB(tenant);
-      req.tenantId = tenant;
+      const { connection, release } = await dbManager.leaseTenantDB(req.tenant.subdomain);
+      res.on('finish', release);
+      res.on('close', release);
+
+      req.db = connection;
+      req.tenantId = req.tenant.subdomain;
  
       if (decoded.type === 'candidate') {
         Model = require('../models/tenant/Candidate')(req.db);
@@ -52,9 +139,58 @@ const protect = async (req, res, next) => {
     if (!user.isActive && (!user.account || !user.account.isActive)) {
       return res.status(401).json({ success: false, message: 'Account is inactive' });
     }
+
+    // Tokens issued before the last password change are dead, sessions or not (iat has second precision)
+    const passwordChangedAt = getPasswordChangedAt(user);
+    if (passwordChangedAt && decoded.iat < Math.floor(passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please sign in again.',
+        code: 'PASSWORD_CHANGED'
+      });
+    }
+
+    // Access tokens belong to a revocable session (impersonation tokens have their own)
+    if (!decoded.impersonation) {
+      try {
+        req.authSession = await verifySession(decoded);
+      } catch (error) {
+        if (!error.code) throw error;
+        return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+      }
+    }
  
     req.user = user;
     req.userType = decoded.type;
+
+    // Super admin acting as this user: audit every request and block the restricted ones
+    if (decoded.impersonation) {
+      const session = await verifyImpersonation(decoded);
+      const startedAt = Date.now();
+      const blocked = !session.allowDestructive && isRestrictedRequest(req);
+
+      req.impersonation = session;
+      res.set('X-Impersonated-By', session.superAdmin.email);
+      res.on('finish', () => {
+        logImpersonatedRequest(session, req, res, { blocked, startedAt }).catch(error => {
+          console.error('Impersonation audit log error:', error.message);
+        });
+      });
+
+      if (blocked) {
+        return res.status(403).json({
+          success: false,
+          message: 'This action is not allowed while impersonating',
+          code: 'IMPERSONATION_RESTRICTED'
+        });
+      }
+    }
+
+    // The app-level subscription guard ran before the tenant was known
+    if (resolvedTenantHere) {
+      return subscriptionGuard(req, res, next);
+    }
+
     next();
  
   } catch (error) {
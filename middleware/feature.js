@@ -0,0 +1,32 @@
+const { isFeatureEnabled } = require('../utils/featureFlags');
+
+// Refuse the request unless every listed feature is enabled for the current tenant
+const requireFeature = (...keys) => {
+  return async (req, res, next) => {
+    try {
+      for (const key of keys) {
+        if (!req.tenant || !(await isFeatureEnabled(req.tenant, key))) {
+          return res.status(403).json({
+            success: false,
+            message: 'This feature is not enabled for your organization',
+            code: 'FEATURE_DISABLED',
+            feature: key
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Feature flag check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking feature flags',
+        error: error.message
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requireFeature
+};
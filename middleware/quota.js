@@ -0,0 +1,95 @@
+const {
+  METRICS,
+  assertQuota,
+  consumeQuota,
+  recordUsage,
+  refundQuota
+} = require('../utils/quota');
+
+// Metrics that only apply to some requests
+const APPLIES_TO = {
+  recruiters: (req) => req.body && req.body.role === 'recruiter'
+};
+
+const quotaExceededResponse = (res, error) => {
+  return res.status(403).json({
+    success: false,
+    message: error.message,
+    code: 'QUOTA_EXCEEDED',
+    quota: error.quota
+  });
+};
+
+// Bytes stored by upload.single() or upload.fields()
+const getUploadedBytes = (req) => {
+  if (req.file) return req.file.size || 0;
+
+  return Object.values(req.files || {})
+    .flat()
+    .reduce((total, file) => total + (file.size || 0), 0);
+};
+
+// Enforce plan quotas before the route handler runs.
+// Metered counters are reserved up front and refunded if the request fails.
+const enforceQuota = (...metrics) => {
+  return async (req, res, next) => {
+    if (!req.tenant) return next();
+
+    const reserved = [];
+
+    try {
+      for (const metric of metrics) {
+        if (APPLIES_TO[metric] && !APPLIES_TO[metric](req)) continue;
+
+        if (metric === 'storageBytes') {
+          // File size is unknown until the upload is parsed: check against the request size, record the real size after
+          await assertQuota(req.tenant, req.db, metric, parseInt(req.headers['content-length']) || 0);
+          res.on('finish', () => {
+            const uploadedBytes = getUploadedBytes(req);
+            if (res.statusCode < 400 && uploadedBytes) {
+              recordUsage(req.tenant, metric, uploadedBytes).catch(error => {
+                console.error('Record storage usage error:', error.message);
+              });
+            }
+          });
+        } else if (METRICS[metric].type === 'metered') {
+          await consumeQuota(req.tenant, metric);
+          reserved.push(metric);
+        } else {
+          await assertQuota(req.tenant, req.db, metric);
+        }
+      }
+    } catch (error) {
+      await Promise.all(reserved.map(metric => refundQuota(req.tenant, metric).catch(() => {})));
+
+      if (error.code === 'QUOTA_EXCEEDED') {
+        return quotaExceededResponse(res, error);
+      }
+
+      console.error('Quota check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking plan limits',
+        error: error.message
+      });
+    }
+
+    if (reserved.length) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          reserved.forEach(metric => {
+            refundQuota(req.tenant, metric).catch(error => {
+              console.error('Refund quota error:', error.message);
+            });
+          });
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  enforceQuota
+};
@@ -0,0 +1,76 @@
+const { getSubscriptionState } = require('../utils/subscription');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Mutations that stay available in read-only mode so users can still sign in
+const READ_ONLY_ALLOWLIST = [
+  /^\/api\/auth\/login$/,
+  /^\/api\/auth\/login\/2fa(\/setup)?$/,
+  /^\/api\/auth\/login\/password$/,
+  /^\/api\/auth\/refresh$/,
+  /^\/api\/auth\/logout$/,
+  /^\/api\/auth\/sessions\/[^/]+$/,
+  /^\/api\/auth\/2fa\/[^/]+$/,
+  /^\/api\/auth\/verify-email\/[^/]+$/,
+  /^\/api\/auth\/resend-verification$/,
+  /^\/api\/auth\/forgot-password$/,
+  /^\/api\/auth\/reset-password\/[^/]+$/,
+  /^\/api\/sso\/saml\/acs$/,
+  /^\/api\/candidates\/login(\/password)?$/,
+  /^\/api\/candidates\/verify-email\/[^/]+$/,
+  /^\/api\/candidates\/resend-verification$/,
+  /^\/api\/candidates\/forgot-password$/,
+  /^\/api\/candidates\/reset-password\/[^/]+$/
+];
+
+const inactiveResponse = (res, state, message) => {
+  return res.status(403).json({
+    success: false,
+    message,
+    code: 'SUBSCRIPTION_INACTIVE',
+    subscription: {
+      status: state.status,
+      endDate: state.endDate,
+      graceEndsAt: state.graceEndsAt
+    }
+  });
+};
+
+// Read-only mode for tenants whose subscription is expired, suspended or cancelled
+const subscriptionGuard = (req, res, next) => {
+  if (!req.tenant) return next();
+
+  const state = getSubscriptionState(req.tenant);
+  req.subscription = state;
+
+  if (state.status === 'grace') {
+    res.set('X-Subscription-Warning', `Subscription ended, read-only from ${state.graceEndsAt.toISOString()}`);
+  }
+
+  if (!state.readOnly || SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  if (READ_ONLY_ALLOWLIST.some(pattern => pattern.test(path))) {
+    return next();
+  }
+
+  return inactiveResponse(res, state, `Subscription is ${state.status}. The account is read-only.`);
+};
+
+// Public candidate-facing pages are switched off entirely for cancelled tenants
+const requireOpenSubscription = (req, res, next) => {
+  const state = req.subscription || (req.tenant && getSubscriptionState(req.tenant));
+
+  if (state && state.status === 'cancelled') {
+    return inactiveResponse(res, state, 'This company is no longer accepting applications');
+  }
+
+  next();
+};
+
+module.exports = {
+  subscriptionGuard,
+  requireOpenSubscription
+};
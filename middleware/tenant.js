@@ -1,4 +1,16 @@
 const dbManager = require('../config/database');
+const {
+  getTenantBySubdomain,
+  getTenantBySubdomainAlias,
+  getTenantByFormerSubdomain,
+  getTenantByCustomDomain
+} = require('../utils/tenantCache');
+
+// Shared job links, which keep redirecting after a rename alias has expired
+const JOB_LINK_PATHS = [
+  /^\/api\/jobs\/public\/[^/]+$/,
+  /^\/api\/candidates\/apply\/[^/]+$/
+];
 
 // Extract tenant information from subdomain
 const extractTenantFromHost = (host) => {
@@ -44,19 +56,45 @@ const tenantMiddleware = async (req, res, next) => {
       await dbManager.initializeMasterDB();
     }
 
-    // For super admin routes or non-tenant specific routes
-    if (!tenantSubdomain || req.path.startsWith('/api/super-admin')) {
+    // Super admin routes always use the master database
+    if (req.path.startsWith('/api/super-admin')) {
       req.db = dbManager.getMasterConnection();
       req.tenant = null;
       return next();
     }
 
-    // Get tenant info from master database
-    const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
-    const tenant = await Tenant.findOne({ 
-      subdomain: tenantSubdomain, 
-      isActive: true 
-    });
+    let tenant;
+
+    if (tenantSubdomain) {
+      // Get tenant info from the resolution cache (backed by the master database)
+      const subdomainTenant = await getTenantBySubdomain(tenantSubdomain);
+      tenant = subdomainTenant && subdomainTenant.isActive ? subdomainTenant : null;
+
+      // A renamed tenant's previous subdomain redirects to the new one while its alias lasts.
+      // Job links were shared publicly, so they redirect for as long as nobody else takes the subdomain.
+      if (!subdomainTenant) {
+        const renamedTenant = await getTenantBySubdomainAlias(tenantSubdomain) ||
+          (JOB_LINK_PATHS.some(pattern => pattern.test(req.path)) ? await getTenantByFormerSubdomain(tenantSubdomain) : null);
+
+        if (renamedTenant && renamedTenant.isActive) {
+          const newHost = host.replace(tenantSubdomain, renamedTenant.subdomain);
+          res.set('X-Tenant-Renamed', renamedTenant.subdomain);
+          return res.redirect(308, `${req.protocol}://${newHost}${req.originalUrl}`);
+        }
+      }
+    } else {
+      // Not a platform subdomain: check the verified custom domain registry
+      const customDomainTenant = await getTenantByCustomDomain(host);
+
+      // Non-tenant specific routes
+      if (!customDomainTenant) {
+        req.db = dbManager.getMasterConnection();
+        req.tenant = null;
+        return next();
+      }
+
+      tenant = customDomainTenant.isActive ? customDomainTenant : null;
+    }
 
     if (!tenant) {
       return res.status(404).json({
@@ -66,8 +104,19 @@ const tenantMiddleware = async (req, res, next) => {
       });
     }
 
-    // Get tenant-specific database connection using subdomain as DB name
-    const tenantDB = await dbManager.getTenantDB(tenant.subdomain);
+    if (tenant.tenancy && tenant.tenancy.status === 'migrating') {
+      return res.status(503).json({
+        success: false,
+        message: 'Tenant data is being migrated, please try again shortly',
+        code: 'TENANT_MIGRATING'
+      });
+    }
+
+    // Get tenant-specific database connection using subdomain as DB name.
+    // The lease keeps the connection open until the response is done.
+    const { connection: tenantDB, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+    res.on('finish', release);
+    res.on('close', release);
     
     // Attach tenant info and database to request
     req.tenant = tenant;
@@ -77,12 +126,14 @@ const tenantMiddleware = async (req, res, next) => {
     next();
   } catch (error) {
     console.error('Tenant middleware error:', error);
-    res.status(500).json({
+    // e.g. 503 TENANT_MIGRATING when a storage move starts between the status check and the lease
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Internal server error in tenant resolution',
-      code: 'TENANT_RESOLUTION_ERROR'
+      message: error.statusCode ? error.message : 'Internal server error in tenant resolution',
+      code: error.code || 'TENANT_RESOLUTION_ERROR'
     });
   }
 };
 
-module.exports = tenantMiddleware;
\ No newline at end of file
+module.exports = tenantMiddleware;
+module.exports.extractTenantFromHost = extractTenantFromHost;
\ No newline at end of file
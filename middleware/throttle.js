@@ -0,0 +1,37 @@
+const rateLimit = require('express-rate-limit');
+
+const ACCOUNT_EMAIL_WINDOW_MS = 15 * 60 * 1000;
+const ACCOUNT_EMAILS_PER_WINDOW = 3;
+
+// Emails per address and tenant, whichever IP asks for them,
+// so a mailbox cannot be flooded by spreading requests over many clients
+const throttleAccountEmails = (message, code) => rateLimit({
+  windowMs: ACCOUNT_EMAIL_WINDOW_MS,
+  max: ACCOUNT_EMAILS_PER_WINDOW,
+  keyGenerator: (req) => {
+    const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return `${req.tenant ? req.tenant.subdomain : ''}:${req.baseUrl}:${email}`;
+  },
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      message,
+      code
+    });
+  }
+});
+
+const throttleVerificationEmails = throttleAccountEmails(
+  'Too many verification emails requested. Please try again later.',
+  'VERIFICATION_EMAIL_THROTTLED'
+);
+
+const throttlePasswordResetEmails = throttleAccountEmails(
+  'Too many password reset emails requested. Please try again later.',
+  'PASSWORD_RESET_THROTTLED'
+);
+
+module.exports = {
+  throttleVerificationEmails,
+  throttlePasswordResetEmails
+};
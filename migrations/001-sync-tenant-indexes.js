@@ -0,0 +1,15 @@
+const dbManager = require('../config/database');
+
+// Tenants created before indexes were managed centrally may be missing some of them.
+// createIndex is idempotent, so this is safe to run on every tenant database.
+module.exports = {
+  version: 1,
+  description: 'Create the standard tenant collection indexes',
+
+  up: async (db) => {
+    await dbManager.initializeTenantCollections(db);
+  },
+
+  // Indexes are left in place: dropping them could hurt tenants that relied on them
+  down: async () => {}
+};
@@ -0,0 +1,17 @@
+// Staff login now requires a verified email when the tenant's requireEmailVerification
+// setting is on. Users who have already signed in received their credentials by email,
+// so they are marked verified instead of being locked out.
+module.exports = {
+  version: 2,
+  description: 'Mark users who have signed in before as email-verified',
+
+  up: async (db) => {
+    await db.collection('users').updateMany(
+      { isEmailVerified: { $ne: true }, lastLogin: { $exists: true } },
+      { $set: { isEmailVerified: true } }
+    );
+  },
+
+  // Which users were verified by this migration is not recorded, so nothing is undone
+  down: async () => {}
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// Candidates who applied without a password used to get this shared default
+const DEFAULT_PASSWORD = 'TempPassword123!';
+
+// Replace the default password with a random one nobody knows. Those candidates
+// set their own through POST /api/candidates/forgot-password. Only passwords that
+// were never changed are compared, since every comparison is a bcrypt hash.
+module.exports = {
+  version: 3,
+  description: 'Replace the default password of candidates created by applying',
+
+  up: async (db) => {
+    const candidates = db.collection('candidates').find(
+      {
+        'account.password': { $exists: true },
+        $expr: {
+          $lt: [{ $abs: { $subtract: ['$account.passwordChangedAt', '$createdAt'] } }, 5000]
+        }
+      },
+      { projection: { 'account.password': 1 } }
+    );
+
+    for await (const candidate of candidates) {
+      if (!(await bcrypt.compare(DEFAULT_PASSWORD, candidate.account.password))) continue;
+
+      const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+      await db.collection('candidates').updateOne(
+        { _id: candidate._id },
+        { $set: { 'account.password': password, 'account.passwordChangedAt': new Date() } }
+      );
+    }
+  },
+
+  // The shared default password is not restored
+  down: async () => {}
+};
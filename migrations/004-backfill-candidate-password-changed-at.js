@@ -0,0 +1,17 @@
+// Candidates created before passwordChangedAt was tracked have no value stored.
+// Their creation time is the latest password change that can be vouched for, and
+// every token they hold was issued after it, so no session is cut off.
+module.exports = {
+  version: 4,
+  description: 'Backfill passwordChangedAt for candidates created before it was tracked',
+
+  up: async (db) => {
+    await db.collection('candidates').updateMany(
+      { 'account.passwordChangedAt': { $exists: false } },
+      [{ $set: { 'account.passwordChangedAt': { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+  },
+
+  // Which candidates were backfilled is not recorded, so nothing is undone
+  down: async () => {}
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A signed-in device: one rotating refresh token family for a tenant user, candidate or super admin
+const authSessionSchema = new mongoose.Schema({
+  subjectType: {
+    type: String,
+    enum: ['user', 'candidate', 'super_admin'],
+    required: [true, 'Subject type is required']
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Subject ID is required']
+  },
+  // Tenant of users and candidates (by id, so sessions survive subdomain renames)
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant'
+  },
+  // Hash of the id (jti) of the only refresh token that may be used next
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotations: {
+    type: Number,
+    default: 0
+  },
+  userAgent: String,
+  ip: String,
+  lastIp: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_changed', 'deactivated', 'reuse_detected', 'expired', 'two_factor_enabled', 'two_factor_required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+authSessionSchema.index({ subjectType: 1, subjectId: 1, tenantId: 1 });
+// Expired sessions are removed by MongoDB a day after they end
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Usable for refreshing and for the access tokens issued from it
+authSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+authSessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = (connection) => {
+  return connection.model('AuthSession', authSessionSchema);
+};
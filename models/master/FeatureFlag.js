@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { PLANS } = require('../../config/plans');
+
+// A feature that can be rolled out per plan, per tenant or to a percentage of tenants
+const featureFlagSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Feature key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_.-]{1,63}$/, 'Feature key may only contain letters, numbers, ".", "_" and "-"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Kill switch: when false the feature is off for every tenant, overrides included
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Plans that have the feature by default
+  plans: [{
+    type: String,
+    enum: Object.keys(PLANS)
+  }],
+  // Share of the remaining tenants that get the feature (stable per tenant)
+  rolloutPercentage: {
+    type: Number,
+    min: [0, 'Rollout percentage cannot be negative'],
+    max: [100, 'Rollout percentage cannot exceed 100'],
+    default: 0
+  },
+  // Explicit per-tenant decisions, applied before plan defaults and the rollout
+  tenantOverrides: [{
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true
+    },
+    enabled: {
+      type: Boolean,
+      required: true
+    },
+    note: String,
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+featureFlagSchema.index({ 'tenantOverrides.tenantId': 1 });
+
+module.exports = (connection) => {
+  return connection.model('FeatureFlag', featureFlagSchema);
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One request made under an impersonation session, attributed to the real super admin
+const impersonationLogSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImpersonationSession',
+    required: true
+  },
+  superAdminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin',
+    required: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  ip: String,
+  userAgent: String,
+  durationMs: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+impersonationLogSchema.index({ sessionId: 1, at: 1 });
+impersonationLogSchema.index({ tenantId: 1, at: -1 });
+
+module.exports = (connection) => {
+  return connection.model('ImpersonationLog', impersonationLogSchema);
+};
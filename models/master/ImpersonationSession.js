@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A super admin acting as a tenant user. Every request made with the
+// session's token is recorded in ImpersonationLog.
+const impersonationSessionSchema = new mongoose.Schema({
+  superAdmin: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SuperAdmin',
+      required: [true, 'Super admin is required']
+    },
+    name: String,
+    email: String
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+  subdomain: {
+    type: String,
+    required: [true, 'Subdomain is required']
+  },
+  user: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Impersonated user is required']
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason for impersonation is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Destructive actions (deletes, credential changes) are blocked unless explicitly allowed
+  allowDestructive: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin'
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastRequestAt: Date,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+impersonationSessionSchema.index({ tenantId: 1, createdAt: -1 });
+impersonationSessionSchema.index({ 'superAdmin.id': 1, createdAt: -1 });
+
+// Virtual for whether the session can still be used
+impersonationSessionSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > Date.now();
+});
+
+impersonationSessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = (connection) => {
+  return connection.model('ImpersonationSession', impersonationSessionSchema);
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Monthly invoice of one tenant. Line items are a snapshot of the price book and usage at generation time.
+// Amounts are in minor units of `currency`.
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    unique: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+  companyName: String,
+  subdomain: String,
+  billingEmail: String,
+  plan: String,
+  period: {
+    type: String,
+    required: [true, 'Billing period is required'],
+    match: [/^\d{4}-\d{2}$/, 'Billing period must be YYYY-MM']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lineItems: [{
+    code: String,
+    description: String,
+    quantity: Number,
+    unitAmount: Number,
+    amount: Number
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // processing: a charge is in flight with the payment provider
+  status: {
+    type: String,
+    enum: ['open', 'processing', 'paid', 'payment_failed', 'void'],
+    default: 'open'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueAt: Date,
+  paidAt: Date,
+  voidedAt: Date,
+  voidReason: String,
+  // Every charge attempt, including manual payments recorded by a super admin
+  payments: [{
+    provider: String,
+    reference: String,
+    status: {
+      type: String,
+      enum: ['succeeded', 'failed']
+    },
+    amount: Number,
+    error: String,
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SuperAdmin'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ tenantId: 1, period: 1 }, { unique: true });
+invoiceSchema.index({ status: 1, dueAt: 1 });
+invoiceSchema.index({ period: 1 });
+
+module.exports = (connection) => {
+  return connection.model('Invoice', invoiceSchema);
+};
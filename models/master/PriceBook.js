@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { PLANS } = require('../../config/plans');
+const { ADD_ONS } = require('../../config/billing');
+
+// Super admin override of a plan's default price book (config/billing.js). Amounts in minor units.
+const priceBookSchema = new mongoose.Schema({
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    required: [true, 'Plan is required'],
+    unique: true
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  basePrice: {
+    type: Number,
+    required: [true, 'Base price is required'],
+    min: [0, 'Base price cannot be negative'],
+    validate: [Number.isInteger, 'Base price must be a whole number of minor units']
+  },
+  addOns: [{
+    code: {
+      type: String,
+      enum: Object.keys(ADD_ONS),
+      required: true
+    },
+    included: {
+      type: Number,
+      min: [0, 'Included units cannot be negative'],
+      default: 0
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative'],
+      validate: [Number.isInteger, 'Unit price must be a whole number of minor units']
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = (connection) => {
+  return connection.model('PriceBook', priceBookSchema);
+};
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A rejected or suspicious request, kept for security review
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    enum: ['TENANT_MISMATCH', 'TOKEN_TENANT_MISSING', 'TOKEN_TENANT_UNKNOWN', 'REFRESH_TOKEN_REUSE']
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  message: String,
+  // Tenant each source claimed for the request (subdomains)
+  tenants: {
+    token: String,
+    host: String,
+    header: String
+  },
+  userId: mongoose.Schema.Types.ObjectId,
+  userType: String,
+  role: String,
+  method: String,
+  path: String,
+  host: String,
+  ip: String,
+  userAgent: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+securityEventSchema.index({ at: -1 });
+securityEventSchema.index({ type: 1, at: -1 });
+securityEventSchema.index({ 'tenants.token': 1, at: -1 });
+securityEventSchema.index({ 'tenants.host': 1, at: -1 });
+
+module.exports = (connection) => {
+  return connection.model('SecurityEvent', securityEventSchema);
+};
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One-time values of SSO sign-ins. A sign-in state is recorded when its callback is handled,
+// so the same identity provider response cannot be played back. A login code is what the
+// frontend gets instead of tokens, and is exchanged for a session once.
+const ssoTokenSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['state', 'code'],
+    required: [true, 'Type is required']
+  },
+  // SHA-256 of the value
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+  // User a login code signs in
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Removed once the value could not be used anyway
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+ssoTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = (connection) => {
+  return connection.model('SsoToken', ssoTokenSchema);
+};
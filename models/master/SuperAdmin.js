@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const twoFactor = require('../plugins/twoFactor');
 
 const superAdminSchema = new mongoose.Schema({
   name: {
@@ -47,6 +48,11 @@ const superAdminSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Hashes of previous passwords, newest first (see utils/passwordPolicy)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date
 }, {
@@ -110,6 +116,9 @@ superAdminSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// TOTP two-factor authentication
+superAdminSchema.plugin(twoFactor);
+
 module.exports = (connection) => {
   return connection.model('SuperAdmin', superAdminSchema);
 };
\ No newline at end of file
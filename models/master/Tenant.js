@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 
+// Password rules for one audience; unset values fall back to the defaults in utils/passwordPolicy
+const passwordPolicyFields = () => ({
+  minLength: Number,
+  requireUppercase: Boolean,
+  requireLowercase: Boolean,
+  requireNumber: Boolean,
+  requireSymbol: Boolean,
+  blockCommonPasswords: Boolean,
+  historyCount: Number,
+  maxAgeDays: Number
+});
+
 const tenantSchema = new mongoose.Schema({
   companyName: {
     type: String,
@@ -79,14 +91,41 @@ const tenantSchema = new mongoose.Schema({
       default: Date.now
     },
     endDate: Date,
-    maxUsers: {
-      type: Number,
-      default: 10
+    // maxUsers and maxRecruiters replace the plan's limits only when customLimits is set
+    // (see utils/quota); otherwise the limits follow the plan, also after a plan change
+    customLimits: {
+      type: Boolean,
+      default: false
     },
-    maxRecruiters: {
-      type: Number,
-      default: 5
-    }
+    maxUsers: Number,
+    maxRecruiters: Number
+  },
+  // Guided setup checklist (steps are defined in utils/onboarding)
+  onboarding: {
+    steps: [{
+      key: {
+        type: String,
+        required: true
+      },
+      completedAt: {
+        type: Date,
+        default: Date.now
+      },
+      completedBy: mongoose.Schema.Types.ObjectId,
+      // Found already done in the tenant's data rather than recorded when it happened
+      detected: Boolean
+    }],
+    completedAt: Date
+  },
+  // Invoice recipient and payment provider references (see utils/paymentProviders)
+  billing: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    paymentMethod: String,
+    customerId: String
   },
   adminCredentials: {
     username: {
@@ -105,10 +144,130 @@ const tenantSchema = new mongoose.Schema({
       default: false
     }
   },
+  customDomains: [{
+    domain: {
+      type: String,
+      required: [true, 'Domain is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/, 'Please provide a valid domain name']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'verified'],
+      default: 'pending'
+    },
+    verificationToken: {
+      type: String,
+      required: true
+    },
+    verifiedAt: Date,
+    lastCheckedAt: Date,
+    lastError: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Domains of the verified customDomains entries, kept in sync on save
+  verifiedDomains: [{
+    type: String
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  lifecycle: {
+    state: {
+      type: String,
+      enum: ['active', 'deactivated', 'scheduled_for_deletion', 'purged'],
+      default: 'active'
+    },
+    reason: String,
+    deactivatedAt: Date,
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SuperAdmin'
+    },
+    scheduledDeletionAt: Date,
+    deletionScheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SuperAdmin'
+    },
+    reactivatedAt: Date,
+    purgeStartedAt: Date,
+    lastPurgeError: String
+  },
+  provisioning: {
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'completed', 'failed'],
+      default: 'completed' // Tenants created before provisioning was tracked
+    },
+    steps: [{
+      name: {
+        type: String,
+        required: true
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'in_progress', 'completed', 'failed'],
+        default: 'pending'
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      startedAt: Date,
+      completedAt: Date,
+      lastError: String
+    }],
+    lockedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String
+  },
+  tenancy: {
+    // dedicated: own tenant_<subdomain> database, shared: rows tagged with tenantId in the shared database
+    mode: {
+      type: String,
+      enum: ['dedicated', 'shared'],
+      default: 'dedicated'
+    },
+    status: {
+      type: String,
+      enum: ['ready', 'migrating', 'failed'],
+      default: 'ready'
+    },
+    targetMode: {
+      type: String,
+      enum: ['dedicated', 'shared']
+    },
+    // Set while the tenant is being renamed (its data moves to tenant_<targetSubdomain>)
+    targetSubdomain: String,
+    // Set while a dedicated database is being moved to another cluster
+    targetCluster: String,
+    migrationStartedAt: Date,
+    migratedAt: Date,
+    renamedAt: Date,
+    lastError: String
+  },
+  // Previous subdomains that keep redirecting to this tenant until they expire
+  subdomainAliases: [{
+    subdomain: {
+      type: String,
+      lowercase: true,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   settings: {
     allowCandidateRegistration: {
       type: Boolean,
@@ -118,11 +277,35 @@ const tenantSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Staff must set up two-factor authentication before signing in
+    requireTwoFactor: {
+      type: Boolean,
+      default: false
+    },
     maxApplicationsPerCandidate: {
       type: Number,
       default: 10
+    },
+    defaultCurrency: {
+      type: String,
+      default: 'USD',
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    // Days to keep closed applications (rejected/withdrawn); null keeps them forever
+    applicationRetentionDays: {
+      type: Number,
+      default: null
     }
   },
+  passwordPolicy: {
+    staff: passwordPolicyFields(),
+    candidate: passwordPolicyFields()
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SuperAdmin',
@@ -142,6 +325,24 @@ tenantSchema.index({ subdomain: 1 });
 tenantSchema.index({ isActive: 1 });
 tenantSchema.index({ 'subscription.status': 1 });
 tenantSchema.index({ createdAt: -1 });
+tenantSchema.index({ 'lifecycle.state': 1, 'lifecycle.scheduledDeletionAt': 1 });
+tenantSchema.index({ 'subdomainAliases.subdomain': 1 });
+// Not unique: several tenants may have a pending claim on a domain until one of them verifies it
+tenantSchema.index({ 'customDomains.domain': 1 });
+// Only one tenant can own a verified domain. The index is on the derived list because a
+// partial filter selects whole tenants, not array entries: on customDomains it would also
+// cover the pending claims of every tenant that has verified some other domain.
+tenantSchema.index(
+  { verifiedDomains: 1 },
+  { unique: true, partialFilterExpression: { 'verifiedDomains.0': { $exists: true } } }
+);
+
+tenantSchema.pre('save', function(next) {
+  this.verifiedDomains = (this.customDomains || [])
+    .filter(entry => entry.status === 'verified')
+    .map(entry => entry.domain);
+  next();
+});
 
 // Pre-save middleware to generate subdomain from company name if not provided
 tenantSchema.pre('save', function(next) {
@@ -162,14 +363,34 @@ tenantSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to check if tenant can add more users
-tenantSchema.methods.canAddUsers = function(currentUserCount) {
-  return currentUserCount < this.subscription.maxUsers;
+// Drop cached copies of a tenant whenever it is written (see utils/tenantCache).
+// Lazy require: the cache module loads this model.
+const invalidateCachedTenant = (tenant) => {
+  const { invalidateTenant, clearTenantCache } = require('../../utils/tenantCache');
+  const pending = tenant ? invalidateTenant(tenant) : clearTenantCache();
+
+  pending.catch(error => {
+    console.error('❌ Tenant cache invalidation failed:', error.message);
+  });
 };
 
-// Instance method to check if tenant can add more recruiters
-tenantSchema.methods.canAddRecruiters = function(currentRecruiterCount) {
-  return currentRecruiterCount < this.subscription.maxRecruiters;
+tenantSchema.post('save', function(doc) {
+  invalidateCachedTenant(doc);
+});
+
+tenantSchema.post(['findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'], function(doc) {
+  invalidateCachedTenant(doc);
+});
+
+// Query updates without a returned document: invalidate by _id when the filter has one, otherwise everything
+tenantSchema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, function() {
+  const { _id } = this.getFilter();
+  invalidateCachedTenant(mongoose.isObjectIdOrHexString(_id) ? { _id } : null);
+});
+
+// Instance method to get a provisioning step by name
+tenantSchema.methods.getProvisioningStep = function(name) {
+  return this.provisioning.steps.find(step => step.name === name);
 };
 
 // Instance method to update last activity
@@ -178,6 +399,53 @@ tenantSchema.methods.updateActivity = function() {
   return this.save();
 };
 
+// Instance method to get a custom domain entry by name
+tenantSchema.methods.getCustomDomain = function(domain) {
+  return this.customDomains.find(entry => entry.domain === domain);
+};
+
+// Static method to find the tenant owning a verified custom domain
+tenantSchema.statics.findByCustomDomain = function(domain) {
+  return this.findOne({
+    customDomains: { $elemMatch: { domain, status: 'verified' } }
+  });
+};
+
+// Static method to find the tenant a previous subdomain still redirects to
+tenantSchema.statics.findBySubdomainAlias = function(subdomain) {
+  return this.findOne({
+    subdomainAliases: { $elemMatch: { subdomain, expiresAt: { $gt: new Date() } } }
+  });
+};
+
+// Static method to find the tenant most recently renamed away from a subdomain, expired alias or not
+tenantSchema.statics.findByFormerSubdomain = async function(subdomain) {
+  const tenants = await this.find({ 'subdomainAliases.subdomain': subdomain }).lean();
+  const aliasExpiry = (tenant) => Math.max(
+    ...tenant.subdomainAliases.filter(alias => alias.subdomain === subdomain).map(alias => new Date(alias.expiresAt).getTime())
+  );
+
+  return tenants.sort((a, b) => aliasExpiry(b) - aliasExpiry(a))[0] || null;
+};
+
+// Static method to check whether a subdomain is used by a tenant or an unexpired alias
+tenantSchema.statics.isSubdomainTaken = async function(subdomain, excludeTenantId) {
+  const query = {
+    $or: [
+      { subdomain },
+      { subdomainAliases: { $elemMatch: { subdomain, expiresAt: { $gt: new Date() } } } }
+    ]
+  };
+  if (excludeTenantId) query._id = { $ne: excludeTenantId };
+
+  return !!(await this.exists(query));
+};
+
+// Instance method to check whether a subdomain is one of this tenant's unexpired aliases
+tenantSchema.methods.hasSubdomainAlias = function(subdomain) {
+  return (this.subdomainAliases || []).some(alias => alias.subdomain === subdomain && alias.expiresAt > new Date());
+};
+
 // Static method to find active tenants
 tenantSchema.statics.findActive = function() {
   return this.find({ 
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Where a dedicated tenant's database lives when it is not on the default cluster (MONGODB_URI)
+const tenantPlacementSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    unique: true
+  },
+  cluster: {
+    type: String,
+    required: [true, 'Cluster name is required'],
+    trim: true,
+    maxlength: [100, 'Cluster name cannot exceed 100 characters']
+  },
+  region: {
+    type: String,
+    trim: true
+  },
+  // Connection URI including credentials, encrypted with utils/encryption
+  encryptedUri: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Host part of the URI without credentials, for display
+  host: String,
+  // Connection string options appended after the database name (like MONGODB_OPTIONS)
+  options: String,
+  placedAt: {
+    type: Date,
+    default: Date.now
+  },
+  placedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = (connection) => {
+  return connection.model('TenantPlacement', tenantPlacementSchema);
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const STAFF_ROLES = ['company_admin', 'rmg_admin', 'recruiter'];
+
+// A tenant's identity provider for staff sign-in (one per tenant)
+const tenantSsoSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    unique: true
+  },
+  protocol: {
+    type: String,
+    enum: ['oidc', 'saml'],
+    required: [true, 'Protocol is required']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Staff must sign in through the identity provider
+  enforced: {
+    type: Boolean,
+    default: false
+  },
+  // Company admins keep password login while enforced, so a broken IdP cannot lock the tenant out
+  allowAdminPasswordLogin: {
+    type: Boolean,
+    default: true
+  },
+  oidc: {
+    issuer: {
+      type: String,
+      trim: true
+    },
+    clientId: {
+      type: String,
+      trim: true
+    },
+    // Encrypted with utils/encryption (SSO_ENCRYPTION_KEY)
+    encryptedClientSecret: {
+      type: String,
+      select: false
+    },
+    scopes: {
+      type: [String],
+      default: ['openid', 'email', 'profile']
+    }
+  },
+  saml: {
+    // IdP single sign-on URL (HTTP-Redirect binding)
+    entryPoint: {
+      type: String,
+      trim: true
+    },
+    // Expected Issuer of the IdP's responses
+    idpIssuer: {
+      type: String,
+      trim: true
+    },
+    // IdP signing certificate or public key (PEM or base64)
+    idpCert: String
+  },
+  // OIDC claim or SAML attribute with the user's groups
+  groupsClaim: {
+    type: String,
+    default: 'groups',
+    trim: true
+  },
+  roleMappings: [{
+    _id: false,
+    group: {
+      type: String,
+      required: [true, 'Group is required'],
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, 'Role is required']
+    }
+  }],
+  // Role of users in none of the mapped groups; null refuses them
+  defaultRole: {
+    type: String,
+    enum: [...STAFF_ROLES, null],
+    default: null
+  },
+  // Create users on their first sign-in; when off, only existing users can use SSO
+  jitProvisioning: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = (connection) => {
+  return connection.model('TenantSso', tenantSsoSchema);
+};
+module.exports.STAFF_ROLES = STAFF_ROLES;
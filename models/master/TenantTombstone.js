@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Audit record left behind after a tenant has been purged.
+// Holds no candidate or user PII, only what is needed to prove the deletion happened.
+const tenantTombstoneSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Tenant ID is required']
+  },
+  companyName: {
+    type: String,
+    required: [true, 'Company name is required']
+  },
+  subdomain: {
+    type: String,
+    required: [true, 'Subdomain is required'],
+    lowercase: true
+  },
+  plan: String,
+  state: {
+    type: String,
+    default: 'purged',
+    immutable: true
+  },
+  reason: String,
+  tenantCreatedAt: Date,
+  deactivatedAt: Date,
+  scheduledDeletionAt: Date,
+  purgedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deletionScheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin'
+  },
+  databaseDropped: {
+    type: Boolean,
+    default: false
+  },
+  documentCounts: {
+    type: Map,
+    of: Number
+  },
+  assets: {
+    deleted: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tenantTombstoneSchema.index({ tenantId: 1 });
+tenantTombstoneSchema.index({ subdomain: 1 });
+tenantTombstoneSchema.index({ purgedAt: -1 });
+
+module.exports = (connection) => {
+  return connection.model('TenantTombstone', tenantTombstoneSchema);
+};
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Metered usage of one tenant in one billing period (calendar month, "YYYY-MM")
+const tenantUsageSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+  period: {
+    type: String,
+    required: [true, 'Billing period is required'],
+    match: [/^\d{4}-\d{2}$/, 'Billing period must be YYYY-MM']
+  },
+  counters: {
+    applications: {
+      type: Number,
+      default: 0
+    },
+    aiGenerations: {
+      type: Number,
+      default: 0
+    },
+    storageBytes: {
+      type: Number,
+      default: 0
+    },
+    // Most active recruiters at any time in the period
+    recruiterSeats: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tenantUsageSchema.index({ tenantId: 1, period: 1 }, { unique: true });
+tenantUsageSchema.index({ period: 1 });
+
+module.exports = (connection) => {
+  return connection.model('TenantUsage', tenantUsageSchema);
+};
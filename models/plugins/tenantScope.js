@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Query operations that must only ever see the current tenant's documents
+const SCOPED_QUERIES = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Shared-database connections carry the owning tenant's id (see dbManager.connectTenantStorage).
+// Dedicated connections have none, so the plugin is a no-op for them.
+const getScopeTenantId = (connection) => (connection && connection.tenantId) || null;
+
+// Filter to use for raw driver calls (connection.collection(...)) on a tenant connection
+const scopeFilter = (connection) => {
+  const tenantId = getScopeTenantId(connection);
+  return tenantId ? { tenantId } : {};
+};
+
+// Scope every tenant model by tenantId when it is compiled on a shared-database connection
+const tenantScope = (schema) => {
+  schema.add({
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      select: false
+    }
+  });
+
+  schema.pre(SCOPED_QUERIES, function() {
+    const tenantId = getScopeTenantId(this.model.db);
+    if (tenantId) {
+      this.where({ tenantId });
+    }
+  });
+
+  schema.pre('estimatedDocumentCount', function() {
+    if (getScopeTenantId(this.model.db)) {
+      throw new Error('estimatedDocumentCount cannot be scoped to a tenant, use countDocuments');
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const tenantId = getScopeTenantId(this.model().db);
+    if (tenantId) {
+      this.pipeline().unshift({ $match: { tenantId } });
+    }
+  });
+
+  schema.pre('save', function(next) {
+    const tenantId = getScopeTenantId(this.constructor.db);
+    if (tenantId && this.isNew) {
+      this.tenantId = tenantId;
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const tenantId = getScopeTenantId(this.db);
+    if (tenantId) {
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+        doc.tenantId = tenantId;
+      });
+    }
+    next();
+  });
+};
+
+module.exports = tenantScope;
+module.exports.scopeFilter = scopeFilter;
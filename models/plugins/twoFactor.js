@@ -0,0 +1,41 @@
+// TOTP two-factor state for accounts that sign in with a password (tenant users and super admins).
+// Secrets are encrypted (see utils/twoFactor) and, like the recovery code hashes, never selected by default.
+const twoFactor = (schema) => {
+  schema.add({
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret being enrolled, until the first code confirms it
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      recoveryCodes: {
+        type: [{
+          _id: false,
+          hash: String,
+          usedAt: Date
+        }],
+        select: false
+      },
+      // Time step of the last accepted code, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false
+      }
+    }
+  });
+};
+
+// Projection that loads the hidden two-factor fields
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+module.exports = twoFactor;
+module.exports.SECRET_FIELDS = SECRET_FIELDS;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
 
 const applicationSchema = new mongoose.Schema({
     jobDescriptionId: {
@@ -318,6 +319,9 @@ applicationSchema.statics.getStatistics = function (jobDescriptionId) {
     ]);
 };
 
+// Scope queries by tenantId on shared-database connections
+applicationSchema.plugin(tenantScope);
+
 module.exports = (connection) => {
     return connection.model('Application', applicationSchema);
 };
\ No newline at end of file
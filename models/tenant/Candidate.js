@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const candidateSchema = new mongoose.Schema({
   personalInfo: {
@@ -221,6 +223,14 @@ const candidateSchema = new mongoose.Schema({
       default: 0
     },
     lockUntil: Date,
+    // No default: a default would be applied to legacy documents whenever they are loaded,
+    // making every token look older than the password (see migrations/004)
+    passwordChangedAt: Date,
+    // Hashes of previous passwords, newest first (see utils/passwordPolicy)
+    passwordHistory: {
+      type: [String],
+      select: false
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date
   }
@@ -255,6 +265,14 @@ candidateSchema.pre('save', async function(next) {
   next();
 });
 
+// Pre-save middleware to set passwordChangedAt, also for new candidates
+candidateSchema.pre('save', function(next) {
+  if (!this.isModified('account.password')) return next();
+
+  this.account.passwordChangedAt = Date.now() - 1000;
+  next();
+});
+
 // Instance method to check password
 candidateSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.account.password);
@@ -278,6 +296,26 @@ candidateSchema.methods.incLoginAttempts = function() {
   return this.updateOne(updates);
 };
 
+// Instance method to create an email verification token (stored hashed, valid for 24 hours)
+candidateSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+
+  this.account.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.account.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Instance method to create a password reset token (stored hashed, valid for 1 hour)
+candidateSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+
+  this.account.resetPasswordToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.account.resetPasswordExpire = Date.now() + 60 * 60 * 1000;
+
+  return token;
+};
+
 // Instance method to reset login attempts
 candidateSchema.methods.resetLoginAttempts = function() {
   return this.updateOne({
@@ -311,6 +349,9 @@ candidateSchema.statics.searchCandidates = function(searchCriteria) {
   return this.find(query);
 };
 
+// Scope queries by tenantId on shared-database connections
+candidateSchema.plugin(tenantScope);
+
 module.exports = (connection) => {
   return connection.model('Candidate', candidateSchema);
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
 const { v4: uuidv4 } = require('uuid');
 
 const jobDescriptionSchema = new mongoose.Schema({
@@ -255,6 +256,9 @@ jobDescriptionSchema.statics.findByRecruiter = function(recruiterId) {
   return this.find({ createdBy: recruiterId });
 };
 
+// Scope queries by tenantId on shared-database connections
+jobDescriptionSchema.plugin(tenantScope);
+
 module.exports = (connection) => {
   return connection.model('JobDescription', jobDescriptionSchema);
 };
\ No newline at end of file
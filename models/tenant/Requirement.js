@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
 
 const requirementSchema = new mongoose.Schema({
   title: {
@@ -205,6 +206,9 @@ requirementSchema.statics.findByPriority = function(priority) {
   return this.find({ priority, status: { $ne: 'cancelled' } });
 };
 
+// Scope queries by tenantId on shared-database connections
+requirementSchema.plugin(tenantScope);
+
 module.exports = (connection) => {
   return connection.model('Requirement', requirementSchema);
 };
\ No newline at end of file
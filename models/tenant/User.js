@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+const twoFactor = require('../plugins/twoFactor');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -91,8 +94,20 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Identity provider account this user signs in with (see utils/sso)
+  sso: {
+    protocol: {
+      type: String,
+      enum: ['oidc', 'saml']
+    },
+    subject: String,
+    lastLoginAt: Date
+  },
   emailVerificationToken: String,
   emailVerificationExpire: Date,
+  // Invitation to set a password (POST /api/auth/register), stored hashed
+  invitationToken: String,
+  invitationExpire: Date,
   lastLogin: Date,
   loginAttempts: {
     type: Number,
@@ -103,6 +118,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Hashes of previous passwords, newest first (see utils/passwordPolicy)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   createdBy: {
@@ -119,6 +139,7 @@ userSchema.index({ role: 1 });
 userSchema.index({ department: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'sso.protocol': 1, 'sso.subject': 1 }, { sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -146,6 +167,16 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Instance method to create an email verification token (stored hashed, valid for 24 hours)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
 // Instance method to handle failed login attempts
 userSchema.methods.incLoginAttempts = function() {
   if (this.lockUntil && this.lockUntil < Date.now()) {
@@ -185,6 +216,12 @@ userSchema.statics.findRecruiters = function() {
   });
 };
 
+// TOTP two-factor authentication
+userSchema.plugin(twoFactor);
+
+// Scope queries by tenantId on shared-database connections
+userSchema.plugin(tenantScope);
+
 module.exports = (connection) => {
   return connection.model('User', userSchema);
 };
\ No newline at end of file
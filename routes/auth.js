@@ -1,26 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { throttleVerificationEmails } = require('../middleware/throttle');
 const {
   login,
+  setupTwoFactorLogin,
+  verifyTwoFactorLogin,
+  changeExpiredPassword,
   register,
+  verifyEmail,
+  resendVerification,
   forgotPassword,
   resetPassword,
   updatePassword,
   getMe,
-  updateProfile
+  updateProfile,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes
+} = require('../controllers/twoFactorController');
 
 // Public routes
 router.post('/login', login);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/login/2fa/setup', setupTwoFactorLogin);
+router.post('/login/password', changeExpiredPassword);
 router.post('/register', register);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', throttleVerificationEmails, resendVerification);
 router.post('/forgot-password', forgotPassword);
 router.put('/reset-password/:resetToken', resetPassword);
+router.post('/refresh', refreshToken);
 
 // Protected routes
 router.use(protect);
 router.get('/me', getMe);
 router.put('/update-password', updatePassword);
-router.put('/update-profile', updateProfile); 
+router.put('/update-profile', updateProfile);
+router.post('/logout', logout);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', deleteSession);
+
+// Two-factor authentication
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', enableTwoFactor);
+router.post('/2fa/disable', disableTwoFactorAuth);
+router.post('/2fa/recovery-codes', regenerateTwoFactorRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { enforceQuota } = require('../middleware/quota');
+const { brandingUpload } = require('../utils/cloudinary');
+
+const {
+  getBranding,
+  updateTenantBranding,
+  removeTenantBrandingImage
+} = require('../controllers/brandingController');
+
+router.use(protect);
+router.use(authorize('company_admin'));
+
+router.get('/', getBranding);
+router.put(
+  '/',
+  enforceQuota('storageBytes'),
+  brandingUpload.fields([
+    { name: 'logo', maxCount: 1 },
+    { name: 'wallpaper', maxCount: 1 }
+  ]),
+  updateTenantBranding
+);
+router.delete('/:image', removeTenantBrandingImage);
+
+module.exports = router;
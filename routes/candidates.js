@@ -1,11 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { requireOpenSubscription } = require('../middleware/subscription');
+const { enforceQuota } = require('../middleware/quota');
+const { throttleVerificationEmails, throttlePasswordResetEmails } = require('../middleware/throttle');
 const { upload } = require('../utils/cloudinary');
 
 const {
   registerCandidate,
   loginCandidate,
+  changeExpiredCandidatePassword,
+  verifyCandidateEmail,
+  resendCandidateVerification,
+  forgotCandidatePassword,
+  resetCandidatePassword,
   getCandidateProfile,
   updateCandidateProfile,
   applyToJob,
@@ -16,7 +24,13 @@ const {
 // Public routes
 router.post('/register', registerCandidate);
 router.post('/login', loginCandidate);
-router.post('/apply/:jobId', applyToJob);
+router.post('/login/password', changeExpiredCandidatePassword);
+router.get('/verify-email/:token', verifyCandidateEmail);
+router.post('/verify-email/:token', verifyCandidateEmail);
+router.post('/resend-verification', throttleVerificationEmails, resendCandidateVerification);
+router.post('/forgot-password', throttlePasswordResetEmails, forgotCandidatePassword);
+router.put('/reset-password/:resetToken', resetCandidatePassword);
+router.post('/apply/:jobId', requireOpenSubscription, enforceQuota('applications'), applyToJob);
 
 // Protected routes
 router.use(protect);
@@ -25,6 +39,7 @@ router.put('/profile', updateCandidateProfile);
 router.get('/applications', getCandidateApplications);
 router.post(
   '/upload-document',
+  enforceQuota('storageBytes'),
   upload.single('resume'), // Changed field name to 'resume'
   uploadDocument
 );
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+
+const {
+  getDomains,
+  addDomain,
+  verifyDomain,
+  removeDomain
+} = require('../controllers/domainController');
+
+// All routes are protected and limited to the company admin
+router.use(protect);
+router.use(authorize('company_admin'));
+
+router.get('/', getDomains);
+router.post('/', addDomain);
+router.post('/:domain/verify', verifyDomain);
+router.delete('/:domain', removeDomain);
+
+module.exports = router;
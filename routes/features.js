@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+
+const { getFeatures } = require('../controllers/featureController');
+
+router.use(protect);
+
+router.get('/', getFeatures);
+
+module.exports = router;
@@ -10,6 +10,14 @@ const jobRoutes = require('./jobs');
 const applicationRoutes = require('./applications');
 const candidateRoutes = require('./candidates');
 const dashboardRoutes = require('./dashboard');
+const domainRoutes = require('./domains');
+const usageRoutes = require('./usage');
+const settingsRoutes = require('./settings');
+const brandingRoutes = require('./branding');
+const publicRoutes = require('./public');
+const featureRoutes = require('./features');
+const onboardingRoutes = require('./onboarding');
+const ssoRoutes = require('./sso');
 
 // Super admin routes (uses master database)
 router.use('/super-admin', superAdminRoutes);
@@ -22,5 +30,13 @@ router.use('/jobs', jobRoutes);
 router.use('/applications', applicationRoutes);
 router.use('/candidates', candidateRoutes);
 router.use('/dashboard', dashboardRoutes);
+router.use('/domains', domainRoutes);
+router.use('/usage', usageRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/branding', brandingRoutes);
+router.use('/public', publicRoutes);
+router.use('/features', featureRoutes);
+router.use('/onboarding', onboardingRoutes);
+router.use('/sso', ssoRoutes);
 
 module.exports = router;
\ No newline at end of file
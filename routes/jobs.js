@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const { requireOpenSubscription } = require('../middleware/subscription');
+const { enforceQuota } = require('../middleware/quota');
+const { requireFeature } = require('../middleware/feature');
 
 const {
   getJobs,
@@ -16,13 +19,13 @@ const {
 } = require('../controllers/jobController');
 
 // Public routes (for candidates to view jobs)
-router.get('/public/:shareableLink', getJobByLink);
+router.get('/public/:shareableLink', requireOpenSubscription, getJobByLink);
 
 // Protected routes
 router.use(protect);
 
 router.get('/', getJobs);
-router.post('/', authorize('company_admin', 'recruiter'), createJob);
+router.post('/', authorize('company_admin', 'recruiter'), enforceQuota('activeJobs'), createJob);
 
 router.get('/:id', getJob);
 router.put('/:id', updateJob);
@@ -30,6 +33,6 @@ router.delete('/:id', deleteJob);
 router.patch('/:id/publish', authorize('company_admin', 'recruiter'), publishJob);
 router.patch('/:id/close', authorize('company_admin', 'recruiter'), closeJob);
 router.get('/:id/applications', getJobApplications);
-router.post('/ai-generate', protect, authorize('company_admin', 'recruiter'), createAIJob);
+router.post('/ai-generate', protect, authorize('company_admin', 'recruiter'), requireFeature('aiJobGeneration'), enforceQuota('activeJobs', 'aiGenerations'), createAIJob);
 
 module.exports = router;
\ No newline at end of file
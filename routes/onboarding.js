@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+
+const { getOnboarding } = require('../controllers/onboardingController');
+
+router.use(protect);
+
+router.get('/', getOnboarding);
+
+module.exports = router;
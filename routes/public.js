@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const { getPublicBranding } = require('../controllers/brandingController');
+const { getPublicPasswordPolicy } = require('../controllers/settingsController');
+
+// Unauthenticated tenant information for the careers site
+router.get('/branding', getPublicBranding);
+router.get('/password-policy', getPublicPasswordPolicy);
+
+module.exports = router;
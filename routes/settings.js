@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+
+const {
+  getSettings,
+  updateSettings,
+  getPasswordPolicy,
+  updatePasswordPolicy
+} = require('../controllers/settingsController');
+
+router.use(protect);
+router.use(authorize('company_admin'));
+
+router.get('/', getSettings);
+router.put('/', updateSettings);
+router.get('/password-policy', getPasswordPolicy);
+router.put('/password-policy', updatePasswordPolicy);
+
+module.exports = router;
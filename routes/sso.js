@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { requireFeature } = require('../middleware/feature');
+
+const {
+  getSsoStatus,
+  ssoLogin,
+  oidcCallback,
+  samlAcs,
+  exchangeSsoCode,
+  samlMetadata,
+  getSsoConfig,
+  updateSsoConfig,
+  deleteSsoConfig
+} = require('../controllers/ssoController');
+
+// Public routes (login page and identity provider)
+router.get('/', getSsoStatus);
+router.get('/login', ssoLogin);
+router.get('/oidc/callback', oidcCallback);
+router.post('/saml/acs', samlAcs);
+router.post('/exchange', exchangeSsoCode);
+router.get('/saml/metadata', requireFeature('sso'), samlMetadata);
+
+// Configuration (company admin, plans with the sso feature)
+router.use(protect);
+router.use(authorize('company_admin'));
+router.use(requireFeature('sso'));
+
+router.get('/config', getSsoConfig);
+router.put('/config', updateSsoConfig);
+router.delete('/config', deleteSsoConfig);
+
+module.exports = router;
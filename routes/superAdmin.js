@@ -4,32 +4,170 @@ const { protect, superAdminOnly } = require('../middleware/auth');
 const {
   registerSuperAdmin,
   loginSuperAdmin,
+  setupSuperAdminTwoFactorLogin,
+  verifySuperAdminTwoFactorLogin,
+  updateSuperAdminPassword,
   createTenant,
   getAllTenants,
   getTenant,
   updateTenant,
   deactivateTenant,
   getTenantStats,
-  getDashboardStats
-} = require('../controllers/superAdminController');
+  getDashboardStats,
+  getConnectionStats,
+  addTenantDomain,
+  verifyTenantDomain,
+  removeTenantDomain,
+  retryTenantProvisioning,
+  abortTenantProvisioning,
+  exportTenant,
+  importTenant,
+  scheduleTenantDeletion,
+  reactivateTenant,
+  getTenantTombstones,
+  getMigrationStatus,
+  runMigrations,
+  changeTenantTenancy,
+  renameTenant,
+  changeTenantPlacement,
+  resetTenantPlacement,
+  extendTenantSubscription,
+  reinstateTenantSubscription,
+  getTenantUsage,
+  impersonateTenantUser,
+  getImpersonationSessions,
+  getImpersonationLogs,
+  endImpersonationSession,
+  getTenantCacheStatistics,
+  flushTenantCache,
+  getSecurityEvents,
+  getFeatureFlags,
+  getFeatureFlag,
+  createFeatureFlag,
+  updateFeatureFlag,
+  deleteFeatureFlag,
+  setFeatureFlagOverride,
+  removeFeatureFlagOverride,
+  getTenantFeatures,
+  getStuckOnboardingTenants
+} =  require('../controllers/superAdminController');
+const {
+  getPriceBooks,
+  updatePriceBook,
+  resetPriceBook,
+  generateInvoices,
+  getInvoices,
+  getInvoice,
+  downloadInvoicePdf,
+  chargeInvoice,
+  markInvoicePaid,
+  voidInvoice
+} = require('../controllers/billingController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes
+} = require('../controllers/twoFactorController');
 
 // Auth routes
 router.post('/register', registerSuperAdmin);
 router.post('/login', loginSuperAdmin);
+router.post('/login/2fa', verifySuperAdminTwoFactorLogin);
+router.post('/login/2fa/setup', setupSuperAdminTwoFactorLogin);
 
 // Protected routes (require super admin authentication)
 router.use(protect);
 router.use(superAdminOnly);
 
+// Two-factor authentication of the signed-in super admin
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', enableTwoFactor);
+router.post('/2fa/disable', disableTwoFactorAuth);
+router.post('/2fa/recovery-codes', regenerateTwoFactorRecoveryCodes);
+router.put('/update-password', updateSuperAdminPassword);
+
 // Tenant management
 router.post('/tenants', createTenant);
 router.get('/tenants', getAllTenants);
 router.get('/tenants/:id', getTenant);
 router.put('/tenants/:id', updateTenant);
 router.patch('/tenants/:id/deactivate', deactivateTenant);
+router.post('/tenants/:id/schedule-deletion', scheduleTenantDeletion);
+router.patch('/tenants/:id/reactivate', reactivateTenant);
 router.get('/tenants/:id/stats', getTenantStats);
+router.get('/tenants/:id/usage', getTenantUsage);
+router.get('/tenants/:id/features', getTenantFeatures);
+router.post('/tenants/:id/tenancy', changeTenantTenancy);
+router.post('/tenants/:id/rename', renameTenant);
+router.put('/tenants/:id/placement', changeTenantPlacement);
+router.delete('/tenants/:id/placement', resetTenantPlacement);
+
+// Tenant subscriptions
+router.post('/tenants/:id/subscription/extend', extendTenantSubscription);
+router.post('/tenants/:id/subscription/reinstate', reinstateTenantSubscription);
+
+// Tenant data export / import
+router.post('/tenants/import', importTenant);
+router.post('/tenants/:id/export', exportTenant);
+
+// Tenant provisioning
+router.post('/tenants/:id/provision/retry', retryTenantProvisioning);
+router.post('/tenants/:id/provision/abort', abortTenantProvisioning);
+
+// Tenant custom domains
+router.post('/tenants/:id/domains', addTenantDomain);
+router.post('/tenants/:id/domains/:domain/verify', verifyTenantDomain);
+router.delete('/tenants/:id/domains/:domain', removeTenantDomain);
+
+// Impersonation (audited)
+router.post('/tenants/:id/impersonate/:userId', impersonateTenantUser);
+router.get('/impersonations', getImpersonationSessions);
+router.get('/impersonations/:sessionId/logs', getImpersonationLogs);
+router.post('/impersonations/:sessionId/end', endImpersonationSession);
+
+// Feature flags (plan defaults, tenant overrides, percentage rollouts)
+router.get('/feature-flags', getFeatureFlags);
+router.post('/feature-flags', createFeatureFlag);
+router.get('/feature-flags/:key', getFeatureFlag);
+router.put('/feature-flags/:key', updateFeatureFlag);
+router.delete('/feature-flags/:key', deleteFeatureFlag);
+router.put('/feature-flags/:key/tenants/:tenantId', setFeatureFlagOverride);
+router.delete('/feature-flags/:key/tenants/:tenantId', removeFeatureFlagOverride);
+
+// Billing
+router.get('/billing/price-books', getPriceBooks);
+router.put('/billing/price-books/:plan', updatePriceBook);
+router.delete('/billing/price-books/:plan', resetPriceBook);
+router.post('/billing/invoices/generate', generateInvoices);
+router.get('/billing/invoices', getInvoices);
+router.get('/billing/invoices/:id', getInvoice);
+router.get('/billing/invoices/:id/pdf', downloadInvoicePdf);
+router.post('/billing/invoices/:id/charge', chargeInvoice);
+router.post('/billing/invoices/:id/mark-paid', markInvoicePaid);
+router.post('/billing/invoices/:id/void', voidInvoice);
+
+// Onboarding progress
+router.get('/onboarding/stuck', getStuckOnboardingTenants);
+
+// Security audit trail
+router.get('/security-events', getSecurityEvents);
+
+// Offboarding audit trail
+router.get('/tombstones', getTenantTombstones);
 
 // Dashboard
 router.get('/dashboard/stats', getDashboardStats);
 
+// System
+router.get('/system/connections', getConnectionStats);
+router.get('/system/tenant-cache', getTenantCacheStatistics);
+router.delete('/system/tenant-cache', flushTenantCache);
+
+// Tenant schema migrations
+router.get('/migrations', getMigrationStatus);
+router.post('/migrations/run', runMigrations);
+
 module.exports = router;
\ No newline at end of file
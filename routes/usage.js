@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+
+const { getUsage } = require('../controllers/usageController');
+
+router.use(protect);
+
+router.get('/', authorize('company_admin'), getUsage);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const { enforceQuota } = require('../middleware/quota');
 
 // All routes are protected
 router.use(protect);
@@ -17,8 +18,8 @@ const {
 
 // Routes accessible by company_admin and rmg_admin
 router.get('/', authorize('company_admin', 'rmg_admin'), getUsers);
-router.post('/', authorize('company_admin', 'rmg_admin'), createUser);
-router.post('/invite', authorize('company_admin', 'rmg_admin'), inviteUser);
+router.post('/', authorize('company_admin', 'rmg_admin'), enforceQuota('users', 'recruiters'), createUser);
+router.post('/invite', authorize('company_admin', 'rmg_admin'), enforceQuota('users', 'recruiters'), inviteUser);
 
 // Routes accessible by all authenticated users
 router.get('/:id', getUser);
@@ -0,0 +1,86 @@
+require('dotenv').config();
+
+const dbManager = require('../config/database');
+const { loadMigrations, getLatestVersion, migrateTenants } = require('../utils/migrationRunner');
+
+const USAGE = `
+Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  up        Apply pending migrations (default)
+  down      Roll back migrations above --to
+  status    Show pending migrations without changing anything
+
+Options:
+  --tenant=a,b        Only migrate these subdomains (default: all tenants)
+  --to=<version>      Target version (required for down)
+  --dry-run           Report what would run without applying it
+  --concurrency=<n>   Tenants migrated in parallel (default: MIGRATION_CONCURRENCY or 4)
+`;
+
+const parseArgs = (argv) => {
+  const options = { command: 'up' };
+
+  argv.forEach(arg => {
+    if (!arg.startsWith('--')) {
+      options.command = arg;
+      return;
+    }
+
+    const [key, value] = arg.slice(2).split('=');
+    options[key] = value === undefined ? true : value;
+  });
+
+  return options;
+};
+
+const printResult = (result) => {
+  const icons = { migrated: '✅', up_to_date: '✔️ ', pending: '⏳', failed: '❌' };
+  const detail = result.status === 'failed'
+    ? result.error
+    : (result.executed.length ? result.executed : result.planned).join(', ') || 'nothing to do';
+
+  console.log(`${icons[result.status] || '•'} ${result.tenant}: ${result.status} (${detail})`);
+};
+
+const runMigrations = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  let exitCode = 0;
+
+  if (!['up', 'down', 'status'].includes(options.command) || options.help) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  try {
+    const migrations = loadMigrations();
+    console.log(`📦 ${migrations.length} migration(s) found, latest version ${getLatestVersion()}`);
+
+    await dbManager.initializeMasterDB();
+
+    const report = await migrateTenants({
+      tenants: typeof options.tenant === 'string' ? options.tenant.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+      direction: options.command === 'down' ? 'down' : 'up',
+      targetVersion: options.to !== undefined ? parseInt(options.to) : undefined,
+      dryRun: options.command === 'status' || !!options['dry-run'],
+      concurrency: options.concurrency || process.env.MIGRATION_CONCURRENCY,
+      onResult: printResult
+    });
+
+    console.log(`\n📋 ${report.total} tenant(s):`, JSON.stringify(report.summary));
+    if (report.summary.failed) exitCode = 1;
+  } catch (error) {
+    console.error('❌ Migration run failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await dbManager.closeAllConnections();
+    process.exit(exitCode);
+  }
+};
+
+// Run migrations if called directly
+if (require.main === module) {
+  runMigrations();
+}
+
+module.exports = runMigrations;
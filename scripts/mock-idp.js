@@ -0,0 +1,256 @@
+require('dotenv').config();
+
+// Local identity provider for trying tenant SSO end to end (never use it in production).
+// OIDC: discovery at http://localhost:<port>, authorization code flow with PKCE.
+// SAML: single sign-on URL http://localhost:<port>/saml/sso, signing key at /saml/cert.pem.
+// Every sign-in shows a form to choose the user's email, name and groups, and whether the email is verified.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { signXml } = require('@node-saml/node-saml/lib/xml');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 4000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const SAML_ISSUER = `${ISSUER}/saml`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+const DEFAULT_USER = {
+  email: process.env.MOCK_IDP_EMAIL || 'jane.doe@example.com',
+  name: process.env.MOCK_IDP_NAME || 'Jane Doe',
+  groups: process.env.MOCK_IDP_GROUPS || 'ats-admins'
+};
+const CODE_TTL_MS = 60 * 1000;
+
+// New keys on every start: register the SAML key again after a restart (OIDC keys are discovered)
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const PUBLIC_KEY_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+const PRIVATE_KEY_PEM = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const codes = new Map();
+
+const escapeHtml = (value) => String(value === undefined ? '' : value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toGroups = (value) => String(value || '').split(',').map(group => group.trim()).filter(Boolean);
+
+// email_verified as chosen on the form: 'true' (the default), 'false' or '' to leave it out
+const toEmailVerified = (value) => (value === undefined ? 'true' : String(value));
+
+// Sign-in form; hidden fields carry the protocol parameters to the POST handler
+const renderLogin = (res, action, hidden) => {
+  const hiddenInputs = Object.entries(hidden)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+
+  res.send(`<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+  <h2>Mock identity provider</h2>
+  <form method="post" action="${escapeHtml(action)}">
+    ${hiddenInputs}
+    <p><label>Email<br><input name="email" value="${escapeHtml(DEFAULT_USER.email)}" size="40"></label></p>
+    <p><label>Name<br><input name="name" value="${escapeHtml(DEFAULT_USER.name)}" size="40"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups" value="${escapeHtml(DEFAULT_USER.groups)}" size="40"></label></p>
+    <p><label>Email verified<br><select name="email_verified">
+      <option value="true">true</option><option value="false">false</option><option value="">(not sent)</option>
+    </select></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+};
+
+const oauthError = (res, status, error, description) => {
+  res.status(status).json({ error, error_description: description });
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// ---- OIDC ----
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name', 'groups', 'nonce']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID) return oauthError(res, 400, 'unauthorized_client', `Unknown client_id (expected ${CLIENT_ID})`);
+  if (response_type !== 'code' || !redirect_uri) return oauthError(res, 400, 'invalid_request', 'response_type=code and redirect_uri are required');
+
+  renderLogin(res, '/authorize', { redirect_uri, state, nonce, code_challenge, code_challenge_method });
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, code_challenge_method, email, name, groups, email_verified } = req.body;
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    codeChallengeMethod: code_challenge_method,
+    user: { email, name, groups: toGroups(groups), emailVerified: toEmailVerified(email_verified) },
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(302, url.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || '');
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return oauthError(res, 400, 'invalid_grant', 'Unknown or expired code');
+  }
+  if (grant.redirectUri !== req.body.redirect_uri) {
+    return oauthError(res, 400, 'invalid_grant', 'redirect_uri does not match');
+  }
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (grant.codeChallengeMethod !== 'S256' || challenge !== grant.codeChallenge) {
+      return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+    }
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(grant.user.email.toLowerCase()).digest('hex').slice(0, 24),
+      email: grant.user.email,
+      email_verified: grant.user.emailVerified ? grant.user.emailVerified === 'true' : undefined,
+      name: grant.user.name,
+      groups: grant.user.groups,
+      nonce: grant.nonce
+    },
+    PRIVATE_KEY_PEM,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+// ---- SAML ----
+
+app.get('/saml/cert.pem', (req, res) => {
+  res.type('text/plain').send(PUBLIC_KEY_PEM);
+});
+
+// HTTP-Redirect binding: SAMLRequest is a deflated, base64-encoded AuthnRequest
+app.get('/saml/sso', (req, res) => {
+  let authnRequest;
+  try {
+    authnRequest = zlib.inflateRawSync(Buffer.from(req.query.SAMLRequest || '', 'base64')).toString();
+  } catch (error) {
+    return res.status(400).send('Invalid SAMLRequest');
+  }
+
+  const attribute = (name) => (authnRequest.match(new RegExp(`${name}="([^"]+)"`)) || [])[1];
+  const issuer = (authnRequest.match(/<(?:saml:)?Issuer[^>]*>([^<]+)</) || [])[1];
+
+  renderLogin(res, '/saml/sso', {
+    requestId: attribute('ID'),
+    acsUrl: attribute('AssertionConsumerServiceURL'),
+    audience: issuer,
+    RelayState: req.query.RelayState
+  });
+});
+
+app.post('/saml/sso', (req, res) => {
+  const { requestId, acsUrl, audience, RelayState, email, name, groups, email_verified } = req.body;
+  const emailVerified = toEmailVerified(email_verified);
+  const now = new Date();
+  const notOnOrAfter = new Date(now.getTime() + 5 * 60 * 1000).toISOString();
+  const id = (prefix) => `_${prefix}${crypto.randomBytes(16).toString('hex')}`;
+  const groupValues = toGroups(groups).map(group => `<saml:AttributeValue>${escapeHtml(group)}</saml:AttributeValue>`).join('');
+
+  const response = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${id('r')}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escapeHtml(acsUrl)}" InResponseTo="${escapeHtml(requestId)}">` +
+    `<saml:Issuer>${SAML_ISSUER}</saml:Issuer>` +
+    '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>' +
+    `<saml:Assertion ID="${id('a')}" Version="2.0" IssueInstant="${now.toISOString()}">` +
+    `<saml:Issuer>${SAML_ISSUER}</saml:Issuer>` +
+    '<saml:Subject>' +
+    `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escapeHtml(email)}</saml:NameID>` +
+    '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+    `<saml:SubjectConfirmationData InResponseTo="${escapeHtml(requestId)}" NotOnOrAfter="${notOnOrAfter}" Recipient="${escapeHtml(acsUrl)}"/>` +
+    '</saml:SubjectConfirmation></saml:Subject>' +
+    `<saml:Conditions NotBefore="${now.toISOString()}" NotOnOrAfter="${notOnOrAfter}">` +
+    `<saml:AudienceRestriction><saml:Audience>${escapeHtml(audience)}</saml:Audience></saml:AudienceRestriction></saml:Conditions>` +
+    `<saml:AuthnStatement AuthnInstant="${now.toISOString()}"><saml:AuthnContext>` +
+    '<saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef>' +
+    '</saml:AuthnContext></saml:AuthnStatement>' +
+    '<saml:AttributeStatement>' +
+    `<saml:Attribute Name="email"><saml:AttributeValue>${escapeHtml(email)}</saml:AttributeValue></saml:Attribute>` +
+    `<saml:Attribute Name="displayName"><saml:AttributeValue>${escapeHtml(name)}</saml:AttributeValue></saml:Attribute>` +
+    `<saml:Attribute Name="groups">${groupValues}</saml:Attribute>` +
+    (emailVerified ? `<saml:Attribute Name="email_verified"><saml:AttributeValue>${emailVerified}</saml:AttributeValue></saml:Attribute>` : '') +
+    '</saml:AttributeStatement></saml:Assertion></samlp:Response>';
+
+  const assertion = "//*[local-name(.)='Assertion']";
+  const signed = signXml(
+    response,
+    assertion,
+    { reference: `${assertion}/*[local-name(.)='Issuer']`, action: 'after' },
+    { privateKey: PRIVATE_KEY_PEM, signatureAlgorithm: 'sha256' }
+  );
+
+  // HTTP-POST binding: the browser posts the response to the service provider
+  res.send(`<!DOCTYPE html>
+<html><body onload="document.forms[0].submit()">
+  <form method="post" action="${escapeHtml(acsUrl)}">
+    <input type="hidden" name="SAMLResponse" value="${Buffer.from(signed).toString('base64')}">
+    <input type="hidden" name="RelayState" value="${escapeHtml(RelayState)}">
+    <noscript><button type="submit">Continue</button></noscript>
+  </form>
+</body></html>`);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock IdP running at ${ISSUER}`);
+  console.log(`The API only calls it with SSO_ALLOWED_HOSTS=${new URL(ISSUER).hostname}`);
+  console.log('\nOIDC configuration for PUT /api/sso/config:');
+  console.log(JSON.stringify({ protocol: 'oidc', oidc: { issuer: ISSUER, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET } }, null, 2));
+  console.log('\nSAML configuration for PUT /api/sso/config:');
+  console.log(JSON.stringify({ protocol: 'saml', saml: { entryPoint: `${ISSUER}/saml/sso`, idpIssuer: SAML_ISSUER, idpCert: PUBLIC_KEY_PEM } }, null, 2));
+});
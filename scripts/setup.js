@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
 const dbManager = require('../config/database');
+const { migrateTenant } = require('../utils/migrationRunner');
 
 // Setup script to initialize the application
 const setupApplication = async () => {
@@ -70,18 +71,23 @@ const setupApplication = async () => {
 
         // Create tenant database
   await dbManager.createTenantDB(demoTenant.subdomain);
+        await migrateTenant(demoTenant.subdomain);
 
         // Create demo company admin
-  const tenantDB = await dbManager.getTenantDB(demoTenant.subdomain);
-        const User = require('../models/tenant/User')(tenantDB);
+        const { connection, release } = await dbManager.leaseTenantDB(demoTenant.subdomain);
+        try {
+          const User = require('../models/tenant/User')(connection);
 
-        await User.create({
-          name: 'Demo Admin',
-          email: 'demo@example.com',
-          password: tempPassword,
-          role: 'company_admin',
-          isEmailVerified: true
-        });
+          await User.create({
+            name: 'Demo Admin',
+            email: 'demo@example.com',
+            password: tempPassword,
+            role: 'company_admin',
+            isEmailVerified: true
+          });
+        } finally {
+          release();
+        }
 
         console.log('✅ Demo tenant created successfully');
         console.log('🌐 Access at: http://demo.localhost:3000');
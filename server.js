@@ -7,8 +7,13 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const tenantMiddleware = require('./middleware/tenant');
+const { subscriptionGuard } = require('./middleware/subscription');
 const errorHandler = require('./middleware/errorHandler');
 const routes = require('./routes');
+const { isAllowedCustomDomainOrigin } = require('./utils/customDomains');
+const { startPurgeScheduler } = require('./utils/tenantOffboarding');
+const { startRetentionScheduler } = require('./utils/tenantSettings');
+const { startBillingScheduler } = require('./utils/billing');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -19,8 +24,8 @@ app.use(compression());
 
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use(limiter);
@@ -46,7 +51,15 @@ app.use(cors({
       return pattern.test(origin);
     });
     
-    callback(null, isAllowed);
+    if (isAllowed) return callback(null, true);
+
+    // Fall back to the tenant custom domain registry (verified domains only)
+    isAllowedCustomDomainOrigin(origin)
+      .then(allowed => callback(null, allowed))
+      .catch(error => {
+        console.error('CORS custom domain lookup failed:', error.message);
+        callback(null, false);
+      });
   },
   credentials: true
 }));
@@ -55,16 +68,19 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Logging
-if (process.env.NODE_ENV !== 'production') {
-  app.use(morgan('dev'));
-} else {
+// Logging (none under tests, where it would bury the test output)
+if (process.env.NODE_ENV === 'production') {
   app.use(morgan('combined'));
+} else if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
 }
 
 // Tenant resolution middleware (must be before routes)
 app.use(tenantMiddleware);
 
+// Read-only mode for tenants with an inactive subscription
+app.use(subscriptionGuard);
+
 // Routes
 app.use('/api', routes);
 
@@ -88,9 +104,21 @@ app.use('*', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Tests load the app through supertest without starting the server or its schedulers
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // Background purge of tenants whose deletion grace period has ended
+    startPurgeScheduler();
+
+    // Removal of closed applications past each tenant's retention period
+    startRetentionScheduler();
+
+    // Monthly invoices for the previous billing period, charged through the payment provider
+    startBillingScheduler();
+  });
+}
 
 module.exports = app;
\ No newline at end of file
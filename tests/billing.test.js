@@ -0,0 +1,189 @@
+const dbManager = require('../config/database');
+const { getPeriodKey } = require('../utils/quota');
+const { getPreviousPeriodKey } = require('../utils/billing');
+const { FAKE_DECLINED_METHOD, getPaymentProvider, setPaymentProvider } = require('../utils/paymentProviders');
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  updateTenant,
+  registerSuperAdmin,
+  createTenant
+} = require('./helpers');
+
+// Basic plan: $49 base, 5 recruiter seats and 20 AI generations included
+const BASIC_BASE_PRICE = 4900;
+const SEAT_PRICE = 1500;
+const AI_GENERATION_PRICE = 50;
+
+const period = getPreviousPeriodKey();
+
+describe('billing with the fake payment provider', () => {
+  let superAdminToken;
+  let tenant;
+  let invoice;
+
+  const superAdmin = (method, path) => api()[method](`/api/super-admin${path}`).set(bearer(superAdminToken));
+
+  const setPaymentMethod = (paymentMethod) => {
+    return superAdmin('put', `/tenants/${tenant.id}`).send({ billing: { paymentMethod } }).expect(200);
+  };
+
+  beforeAll(async () => {
+    await resetDatabases();
+
+    superAdminToken = await registerSuperAdmin();
+    tenant = await createTenant(superAdminToken, { companyName: 'Initech', plan: 'basic' });
+
+    // Subscribed since the start of last month
+    await updateTenant(tenant.subdomain, { 'subscription.startDate': new Date(`${period}-01T00:00:00Z`) });
+
+    // Last month: up to 7 active recruiters (2 above the plan) and 25 AI generations (5 above the plan).
+    // None of the recruiters is left, so seats have to come from the period's usage.
+    const TenantUsage = require('../models/master/TenantUsage')(dbManager.getMasterConnection());
+    await TenantUsage.create({ tenantId: tenant.id, period, counters: { aiGenerations: 25, recruiterSeats: 7 } });
+  });
+
+  afterAll(async () => {
+    await closeConnections();
+  });
+
+  it('refuses to invoice a period that has not ended', async () => {
+    const res = await superAdmin('post', '/billing/invoices/generate').send({ period: getPeriodKey() }).expect(400);
+
+    expect(res.body.message).toBe('Cannot invoice a period that has not ended');
+  });
+
+  it('invoices the plan and the add-ons used above it', async () => {
+    const res = await superAdmin('post', '/billing/invoices/generate').send({ period }).expect(200);
+    expect(res.body.data.created).toHaveLength(1);
+
+    const list = await superAdmin('get', `/billing/invoices?tenant=${tenant.id}`).expect(200);
+    [invoice] = list.body.data.invoices;
+
+    expect(invoice).toMatchObject({ status: 'open', period, currency: 'USD' });
+    expect(invoice.lineItems.map(({ code, quantity, amount }) => ({ code, quantity, amount }))).toEqual([
+      { code: 'plan', quantity: 1, amount: BASIC_BASE_PRICE },
+      { code: 'extraRecruiterSeats', quantity: 2, amount: 2 * SEAT_PRICE },
+      { code: 'aiGenerations', quantity: 5, amount: 5 * AI_GENERATION_PRICE }
+    ]);
+    expect(invoice.total).toBe(BASIC_BASE_PRICE + 2 * SEAT_PRICE + 5 * AI_GENERATION_PRICE);
+  });
+
+  it('does not invoice a period twice', async () => {
+    const res = await superAdmin('post', '/billing/invoices/generate').send({ period }).expect(200);
+
+    expect(res.body.data.created).toHaveLength(0);
+    expect(res.body.data.skipped).toEqual([tenant.subdomain]);
+  });
+
+  it('keeps issued invoices when the price book changes', async () => {
+    await superAdmin('put', '/billing/price-books/basic').send({ basePrice: 5900 }).expect(200);
+
+    const res = await superAdmin('get', `/billing/invoices/${invoice._id}`).expect(200);
+    expect(res.body.data.invoice.lineItems[0].amount).toBe(BASIC_BASE_PRICE);
+
+    await superAdmin('delete', '/billing/price-books/basic').expect(200);
+  });
+
+  it('fails the charge without a payment method', async () => {
+    const res = await superAdmin('post', `/billing/invoices/${invoice._id}/charge`).expect(402);
+
+    expect(res.body.data.invoice.status).toBe('payment_failed');
+    expect(res.body.data.invoice.payments).toEqual([
+      expect.objectContaining({ provider: 'fake', status: 'failed', error: 'No payment method on file' })
+    ]);
+  });
+
+  it('records a declined card as another failed attempt', async () => {
+    await setPaymentMethod(FAKE_DECLINED_METHOD);
+
+    const res = await superAdmin('post', `/billing/invoices/${invoice._id}/charge`).expect(402);
+
+    expect(res.body.message).toBe('Payment failed: Card declined');
+    expect(res.body.data.invoice.status).toBe('payment_failed');
+    expect(res.body.data.invoice.payments).toHaveLength(2);
+  });
+
+  it('releases the invoice when the provider outcome is unknown', async () => {
+    const fake = getPaymentProvider();
+    setPaymentProvider({
+      ...fake,
+      charge: async () => {
+        throw new Error('Connection reset');
+      }
+    });
+
+    try {
+      await setPaymentMethod('pm_fake_visa');
+      const res = await superAdmin('post', `/billing/invoices/${invoice._id}/charge`).expect(502);
+      expect(res.body.message).toBe('Payment provider error: Connection reset');
+    } finally {
+      setPaymentProvider(fake);
+    }
+
+    const res = await superAdmin('get', `/billing/invoices/${invoice._id}`).expect(200);
+    expect(res.body.data.invoice.status).toBe('payment_failed');
+    expect(res.body.data.invoice.payments).toHaveLength(2);
+  });
+
+  it('collects the invoice once a working card is on file', async () => {
+    const res = await superAdmin('post', `/billing/invoices/${invoice._id}/charge`).expect(200);
+
+    expect(res.body.data.invoice.status).toBe('paid');
+    expect(res.body.data.invoice.paidAt).toBeTruthy();
+    expect(res.body.data.invoice.payments[2]).toMatchObject({
+      provider: 'fake',
+      status: 'succeeded',
+      amount: invoice.total,
+      reference: expect.stringMatching(/^fake_ch_/)
+    });
+
+    const tenantRes = await superAdmin('get', `/tenants/${tenant.id}`).expect(200);
+    expect(JSON.stringify(tenantRes.body)).toContain(`fake_cus_${tenant.id}`);
+  });
+
+  it('never charges or voids a paid invoice again', async () => {
+    const charge = await superAdmin('post', `/billing/invoices/${invoice._id}/charge`).expect(409);
+    expect(charge.body.message).toBe('Invoice is paid and cannot be charged');
+
+    await superAdmin('post', `/billing/invoices/${invoice._id}/void`).send({ reason: 'test' }).expect(409);
+    await superAdmin('post', `/billing/invoices/${invoice._id}/mark-paid`).send({ reference: 'wire-1' }).expect(409);
+  });
+
+  it('renders the invoice as a PDF', async () => {
+    const res = await superAdmin('get', `/billing/invoices/${invoice._id}/pdf`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('records the most recruiters active during the current period', async () => {
+    const createRecruiter = (i) => {
+      return api().post('/api/users').set('Host', hostFor(tenant.subdomain)).set(bearer(tenant.admin.token))
+        .send({ name: `Recruiter ${i}`, email: `recruiter${i}@initech.com`, role: 'recruiter', department: 'recruitment' })
+        .expect(201);
+    };
+
+    const first = await createRecruiter(1);
+    await createRecruiter(2);
+    await api().delete(`/api/users/${first.body.data.user.id}`).set('Host', hostFor(tenant.subdomain)).set(bearer(tenant.admin.token)).expect(200);
+
+    const TenantUsage = require('../models/master/TenantUsage')(dbManager.getMasterConnection());
+    const usage = await TenantUsage.findOne({ tenantId: tenant.id, period: getPeriodKey() }).lean();
+    expect(usage.counters.recruiterSeats).toBe(2);
+  });
+
+  it('answers 404 for unknown invoices', async () => {
+    await superAdmin('post', `/billing/invoices/${tenant.id}/charge`).expect(404);
+  });
+});
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { sendEmail } = require('../utils/email');
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  withTenantDB,
+  registerSuperAdmin,
+  createTenant,
+  sentEmails
+} = require('./helpers');
+
+const OLD_PASSWORD = 'Candidate-Passw0rd';
+const NEW_PASSWORD = 'Brand-New-Passw0rd';
+const VERIFIED_EMAIL = 'casey@example.com';
+const UNVERIFIED_EMAIL = 'riley@example.com';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Token from the frontend link in a reset email (#token=...&tenant=...)
+const readResetToken = (email) => new URLSearchParams(new URL(email.data.resetUrl).hash.slice(1)).get('token');
+
+describe('candidate password reset', () => {
+  let tenant;
+
+  const host = () => hostFor(tenant.subdomain);
+
+  const forgotPassword = (email) => {
+    return api().post('/api/candidates/forgot-password').set('Host', host()).send({ email });
+  };
+
+  const resetPassword = (token, password) => {
+    return api().put(`/api/candidates/reset-password/${token}`).set('Host', host()).send({ password });
+  };
+
+  const candidateLogin = (email, password) => {
+    return api().post('/api/candidates/login').set('Host', host()).send({ email, password });
+  };
+
+  // Ask for a reset link and return the token it carries
+  const requestResetToken = async (email) => {
+    jest.clearAllMocks();
+    await forgotPassword(email).expect(200);
+    return readResetToken(sentEmails('candidate-password-reset')[0]);
+  };
+
+  const findCandidate = (email) => {
+    return withTenantDB(tenant.subdomain, (connection) => {
+      const Candidate = require('../models/tenant/Candidate')(connection);
+      return Candidate.findOne({ 'personalInfo.email': email }).lean();
+    });
+  };
+
+  beforeAll(async () => {
+    await resetDatabases();
+
+    const superAdminToken = await registerSuperAdmin();
+    tenant = await createTenant(superAdminToken, { companyName: 'Oscorp' });
+
+    await withTenantDB(tenant.subdomain, async (connection) => {
+      const Candidate = require('../models/tenant/Candidate')(connection);
+
+      await Candidate.create({
+        personalInfo: { firstName: 'Casey', lastName: 'Jones', email: VERIFIED_EMAIL, phone: '+1 555 0101' },
+        account: { password: OLD_PASSWORD, isEmailVerified: true }
+      });
+      await Candidate.create({
+        personalInfo: { firstName: 'Riley', lastName: 'Quinn', email: UNVERIFIED_EMAIL, phone: '+1 555 0102' },
+        account: { password: OLD_PASSWORD, isEmailVerified: false }
+      });
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await closeConnections();
+  });
+
+  describe('requesting a link', () => {
+    it('answers the same for known and unknown addresses', async () => {
+      const unknown = await forgotPassword('nobody@example.com').expect(200);
+      expect(sentEmails()).toHaveLength(0);
+
+      const known = await forgotPassword(VERIFIED_EMAIL.toUpperCase()).expect(200);
+      expect(known.body).toEqual(unknown.body);
+      expect(sentEmails('candidate-password-reset')).toHaveLength(1);
+    });
+
+    it('links to the frontend reset page with a token that is only stored hashed', async () => {
+      const token = await requestResetToken(VERIFIED_EMAIL);
+      const [email] = sentEmails('candidate-password-reset');
+
+      expect(email.to).toBe(VERIFIED_EMAIL);
+      expect(email.data.companyName).toBe('Oscorp');
+      expect(email.data.branding).toBeDefined();
+      expect(email.data.resetUrl).toBe(`http://app.test/candidates/reset-password#token=${token}&tenant=${tenant.subdomain}`);
+
+      const candidate = await findCandidate(VERIFIED_EMAIL);
+      expect(candidate.account.resetPasswordToken).toBe(hashToken(token));
+      expect(candidate.account.resetPasswordExpire.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('does not reveal a failed delivery', async () => {
+      sendEmail.mockRejectedValueOnce(new Error('SMTP connection refused'));
+
+      const failed = await forgotPassword(UNVERIFIED_EMAIL).expect(200);
+      const unknown = await forgotPassword('nobody.else@example.com').expect(200);
+
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      expect(failed.body).toEqual(unknown.body);
+      expect(JSON.stringify(failed.body)).not.toContain('SMTP');
+    });
+
+    it('sends at most three links per address and window', async () => {
+      const email = 'flooded@example.com';
+
+      for (let i = 0; i < 3; i++) {
+        await forgotPassword(email).expect(200);
+      }
+
+      const res = await forgotPassword(email).expect(429);
+      expect(res.body.code).toBe('PASSWORD_RESET_THROTTLED');
+    });
+  });
+
+  describe('setting a new password', () => {
+    let session;
+
+    beforeAll(async () => {
+      const res = await candidateLogin(VERIFIED_EMAIL, OLD_PASSWORD).expect(200);
+      session = res.body.data;
+    });
+
+    it('rejects unknown tokens', async () => {
+      const res = await resetPassword('0'.repeat(40), NEW_PASSWORD).expect(400);
+
+      expect(res.body.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('signs the candidate out everywhere and in with the new password', async () => {
+      const token = await requestResetToken(VERIFIED_EMAIL);
+
+      // The policy still applies, and a rejected password does not use the link up
+      const weak = await resetPassword(token, 'short').expect(400);
+      expect(weak.body.code).toBe('PASSWORD_POLICY_VIOLATION');
+
+      const res = await resetPassword(token, NEW_PASSWORD).expect(200);
+      expect(res.body.data.token).toBeTruthy();
+      expect(res.body.data.refreshToken).toBeTruthy();
+
+      await api().get('/api/candidates/profile').set('Host', host()).set(bearer(session.token)).expect(401);
+      await api().post('/api/auth/refresh').set('Host', host()).send({ refreshToken: session.refreshToken }).expect(401);
+      await api().get('/api/candidates/profile').set('Host', host()).set(bearer(res.body.data.token)).expect(200);
+
+      await candidateLogin(VERIFIED_EMAIL, OLD_PASSWORD).expect(401);
+      await candidateLogin(VERIFIED_EMAIL, NEW_PASSWORD).expect(200);
+
+      // Links work once
+      await resetPassword(token, 'Another-New-Passw0rd').expect(400);
+    });
+
+    it('rejects expired links', async () => {
+      const token = await requestResetToken(UNVERIFIED_EMAIL);
+
+      await withTenantDB(tenant.subdomain, async (connection) => {
+        const Candidate = require('../models/tenant/Candidate')(connection);
+        await Candidate.updateOne(
+          { 'personalInfo.email': UNVERIFIED_EMAIL },
+          { $set: { 'account.resetPasswordExpire': new Date(Date.now() - 1000) } }
+        );
+      });
+
+      const res = await resetPassword(token, NEW_PASSWORD).expect(400);
+      expect(res.body.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('verifies the email address of the inbox the link was sent to', async () => {
+      await candidateLogin(UNVERIFIED_EMAIL, OLD_PASSWORD).expect(403);
+
+      const token = await requestResetToken(UNVERIFIED_EMAIL);
+      await resetPassword(token, NEW_PASSWORD).expect(200);
+
+      expect((await findCandidate(UNVERIFIED_EMAIL)).account.isEmailVerified).toBe(true);
+      await candidateLogin(UNVERIFIED_EMAIL, NEW_PASSWORD).expect(200);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { setTxtResolver } = require('../utils/customDomains');
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  getTenantModel,
+  registerSuperAdmin,
+  createTenant
+} = require('./helpers');
+
+const DOMAIN = 'careers.acme.com';
+
+describe('custom domains', () => {
+  let acme;
+  let rival;
+  // TXT values the fake DNS answers with
+  const txtValues = [];
+
+  const domains = (tenant, method, path = '') => {
+    return api()[method](`/api/domains${path}`).set('Host', hostFor(tenant.subdomain)).set(bearer(tenant.admin.token));
+  };
+
+  const getEntry = async (tenant) => {
+    const stored = await getTenantModel().findById(tenant.id).lean();
+    return stored.customDomains.find(entry => entry.domain === DOMAIN);
+  };
+
+  beforeAll(async () => {
+    await resetDatabases();
+    setTxtResolver(async () => txtValues.map(value => [value]));
+
+    const superAdminToken = await registerSuperAdmin();
+    await getTenantModel().createIndexes();
+    acme = await createTenant(superAdminToken, { companyName: 'Acme' });
+    rival = await createTenant(superAdminToken, { companyName: 'Rival' });
+
+    // Both claim the domain, and the DNS holds both challenges
+    for (const tenant of [acme, rival]) {
+      const res = await domains(tenant, 'post').send({ domain: DOMAIN }).expect(201);
+      txtValues.push(res.body.data.domain.dnsRecord.value);
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    setTxtResolver(null);
+    await closeConnections();
+  });
+
+  it('refuses a second owner when both verify at the same time', async () => {
+    // Acme's verification is saved while the rival's request is past its ownership check
+    const Tenant = getTenantModel();
+    const stored = await Tenant.findById(acme.id);
+    stored.getCustomDomain(DOMAIN).status = 'verified';
+    await stored.save();
+
+    const exists = Tenant.exists.bind(Tenant);
+    jest.spyOn(Tenant, 'exists').mockImplementation(filter => (filter.customDomains ? Promise.resolve(null) : exists(filter)));
+
+    const res = await domains(rival, 'post', `/${DOMAIN}/verify`).expect(409);
+    expect(res.body.message).toBe('Domain is already verified by another tenant');
+
+    expect(await getEntry(rival)).toMatchObject({ status: 'pending', lastError: 'Domain is already verified by another tenant' });
+    expect(await getEntry(acme)).toMatchObject({ status: 'verified' });
+  });
+});
@@ -0,0 +1,287 @@
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  withTenantDB,
+  registerSuperAdmin,
+  createTenant,
+  sentEmails
+} = require('./helpers');
+
+const CANDIDATE_PASSWORD = 'Candidate-Passw0rd';
+
+// Frontend page, token and tenant of a verification link (...#token=...&tenant=...)
+const readVerificationLink = (value) => {
+  const url = new URL(value);
+  const params = new URLSearchParams(url.hash.slice(1));
+  return { page: `${url.origin}${url.pathname}`, token: params.get('token'), tenant: params.get('tenant') };
+};
+
+const readEmailLink = (email) => readVerificationLink(email.data.verificationUrl);
+
+describe('email verification', () => {
+  let tenant;
+
+  const host = () => hostFor(tenant.subdomain);
+
+  const registerCandidate = (email) => {
+    return api()
+      .post('/api/candidates/register')
+      .set('Host', host())
+      .send({
+        personalInfo: { firstName: 'Casey', lastName: 'Jones', email, phone: '+1 555 0101' },
+        account: { password: CANDIDATE_PASSWORD }
+      });
+  };
+
+  const candidateLogin = (email) => {
+    return api().post('/api/candidates/login').set('Host', host()).send({ email, password: CANDIDATE_PASSWORD });
+  };
+
+  const verifyCandidate = (token) => {
+    return api().post(`/api/candidates/verify-email/${token}`).set('Host', host());
+  };
+
+  const resendCandidateVerification = (email) => {
+    return api().post('/api/candidates/resend-verification').set('Host', host()).send({ email });
+  };
+
+  beforeAll(async () => {
+    await resetDatabases();
+
+    const superAdminToken = await registerSuperAdmin();
+    tenant = await createTenant(superAdminToken, { companyName: 'Stark' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(async () => {
+    await closeConnections();
+  });
+
+  describe('candidate registration', () => {
+    const email = 'casey@example.com';
+
+    it('emails a verification link instead of starting a session', async () => {
+      const res = await registerCandidate(email).expect(201);
+
+      expect(res.body.data.emailVerificationRequired).toBe(true);
+      expect(res.body.data.token).toBeUndefined();
+      expect(res.body.data.refreshToken).toBeUndefined();
+
+      const emails = sentEmails('candidate-email-verification');
+      expect(emails).toHaveLength(1);
+      expect(emails[0].to).toBe(email);
+
+      const link = readEmailLink(emails[0]);
+      expect(link.page).toBe('http://app.test/candidates/verify-email');
+      expect(link.tenant).toBe(tenant.subdomain);
+      expect(link.token).toMatch(/^[0-9a-f]+$/);
+    });
+
+    it('refuses to sign the candidate in before they verify', async () => {
+      const res = await candidateLogin(email).expect(403);
+
+      expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('rejects unknown verification tokens', async () => {
+      const res = await verifyCandidate('not-a-token').expect(400);
+
+      expect(res.body.code).toBe('INVALID_VERIFICATION_TOKEN');
+    });
+
+    it('verifies the email once and then lets the candidate in', async () => {
+      await resendCandidateVerification(email).expect(200);
+      const { token } = readEmailLink(sentEmails('candidate-email-verification')[0]);
+
+      await verifyCandidate(token).expect(200);
+      await verifyCandidate(token).expect(400);
+
+      const res = await candidateLogin(email).expect(200);
+      expect(res.body.data.token).toBeTruthy();
+    });
+
+    it('starts a session right away when the tenant does not require verification', async () => {
+      await api().put('/api/settings').set('Host', host()).set(bearer(tenant.admin.token))
+        .send({ requireEmailVerification: false }).expect(200);
+
+      try {
+        const res = await registerCandidate('quinn@example.com').expect(201);
+
+        expect(res.body.data.token).toBeTruthy();
+        expect(res.body.data.emailVerificationRequired).toBeUndefined();
+        expect(sentEmails('candidate-email-verification')).toHaveLength(0);
+      } finally {
+        await api().put('/api/settings').set('Host', host()).set(bearer(tenant.admin.token))
+          .send({ requireEmailVerification: true }).expect(200);
+      }
+    });
+  });
+
+  describe('resending the link', () => {
+    const email = 'riley@example.com';
+
+    beforeAll(async () => {
+      await registerCandidate(email).expect(201);
+    });
+
+    it('replaces the previous link', async () => {
+      await resendCandidateVerification(email).expect(200);
+      await resendCandidateVerification(email).expect(200);
+      const [first, second] = sentEmails('candidate-email-verification').map(readEmailLink);
+
+      expect(second.token).not.toBe(first.token);
+      await verifyCandidate(first.token).expect(400);
+    });
+
+    it('answers the same for unknown and verified addresses without sending anything', async () => {
+      const unknown = await resendCandidateVerification('nobody@example.com').expect(200);
+      const verified = await resendCandidateVerification('casey@example.com').expect(200);
+
+      expect(verified.body).toEqual(unknown.body);
+      expect(sentEmails()).toHaveLength(0);
+    });
+
+    it('sends at most three emails per address and window', async () => {
+      // Two were sent above; the address is matched whatever its case and spacing
+      await resendCandidateVerification(` ${email.toUpperCase()} `).expect(200);
+
+      const res = await resendCandidateVerification(email).expect(429);
+      expect(res.body.code).toBe('VERIFICATION_EMAIL_THROTTLED');
+      expect(sentEmails('candidate-email-verification')).toHaveLength(1);
+
+      // Other addresses are not affected
+      await resendCandidateVerification('someone.else@example.com').expect(200);
+    });
+  });
+
+  describe('applying to a job', () => {
+    let job;
+    const candidateData = {
+      personalInfo: { firstName: 'Alex', lastName: 'Applicant', email: 'alex@example.com', phone: '+1 555 0103' }
+    };
+
+    beforeAll(async () => {
+      job = await withTenantDB(tenant.subdomain, async (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        const Requirement = require('../models/tenant/Requirement')(connection);
+        const JobDescription = require('../models/tenant/JobDescription')(connection);
+
+        const recruiter = await User.create({
+          name: 'Stark Recruiter',
+          email: 'recruiter@stark.com',
+          password: 'Recruiter-Passw0rd',
+          role: 'recruiter',
+          department: 'recruitment',
+          isEmailVerified: true
+        });
+        const requirement = await Requirement.create({
+          title: 'Engineering',
+          description: 'Grow the team',
+          experience: { minimum: 2 },
+          positions: 1,
+          location: { locationType: 'remote' },
+          employmentType: 'full-time',
+          dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+          createdBy: recruiter._id,
+          assignedTo: recruiter._id
+        });
+
+        return JobDescription.create({
+          requirementId: requirement._id,
+          title: 'Engineer',
+          description: 'Build things',
+          experience: { minimum: 2 },
+          location: { locationType: 'remote' },
+          employmentType: 'full-time',
+          status: 'published',
+          publishedAt: new Date(),
+          createdBy: recruiter._id
+        });
+      });
+    });
+
+    const apply = () => {
+      return api().post(`/api/candidates/apply/${job._id}`).set('Host', host()).send({ candidateData });
+    };
+
+    it('holds the first application of a new address until it is verified', async () => {
+      const res = await apply().expect(403);
+
+      expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+      expect(sentEmails('candidate-email-verification')).toHaveLength(1);
+
+      await withTenantDB(tenant.subdomain, async (connection) => {
+        const Application = require('../models/tenant/Application')(connection);
+        expect(await Application.countDocuments({ jobDescriptionId: job._id })).toBe(0);
+      });
+    });
+
+    it('accepts the application once the address is verified', async () => {
+      const held = await apply().expect(403);
+      expect(held.body.message).toBe('Please verify your email address before applying');
+
+      await resendCandidateVerification(candidateData.personalInfo.email).expect(200);
+      const { token } = readEmailLink(sentEmails('candidate-email-verification')[0]);
+
+      await verifyCandidate(token).expect(200);
+      await apply().expect(201);
+    });
+  });
+
+  describe('staff invited by the company admin', () => {
+    const email = 'morgan@stark.com';
+    let password;
+    let link;
+
+    beforeAll(async () => {
+      await api()
+        .post('/api/users')
+        .set('Host', host())
+        .set(bearer(tenant.admin.token))
+        .send({ name: 'Morgan Recruiter', email, role: 'recruiter', department: 'recruitment' })
+        .expect(201);
+
+      const [invitation] = sentEmails().filter(options => options.to === email);
+      password = invitation.html.match(/<b>Password:<\/b> (\S+)<\/p>/)[1];
+      link = readVerificationLink(invitation.html.match(/href="([^"]*\/verify-email#[^"]+)"/)[1]);
+    });
+
+    const staffLogin = () => api().post('/api/auth/login').set('Host', host()).send({ email, password });
+
+    it('get a verification link with their credentials and cannot sign in before using it', async () => {
+      expect(link.page).toBe('http://app.test/verify-email');
+      expect(link.tenant).toBe(tenant.subdomain);
+
+      const res = await staffLogin().expect(403);
+      expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('can sign in once the link is opened', async () => {
+      await api().post(`/api/auth/verify-email/${link.token}`).set('Host', host()).expect(200);
+
+      const res = await staffLogin().expect(200);
+      expect(res.body.data.token).toBeTruthy();
+    });
+
+    it('can ask for a new link, within the same limit', async () => {
+      await api().post('/api/users').set('Host', host()).set(bearer(tenant.admin.token))
+        .send({ name: 'Jordan Recruiter', email: 'jordan@stark.com', role: 'recruiter', department: 'recruitment' })
+        .expect(201);
+      jest.clearAllMocks();
+
+      for (let i = 0; i < 3; i++) {
+        await api().post('/api/auth/resend-verification').set('Host', host()).send({ email: 'jordan@stark.com' }).expect(200);
+      }
+      expect(sentEmails('user-email-verification')).toHaveLength(3);
+
+      const res = await api().post('/api/auth/resend-verification').set('Host', host()).send({ email: 'jordan@stark.com' }).expect(429);
+      expect(res.body.code).toBe('VERIFICATION_EMAIL_THROTTLED');
+    });
+  });
+});
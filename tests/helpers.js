@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+const dbManager = require('../config/database');
+
+const SUPER_ADMIN_PASSWORD = 'Super-Admin-Passw0rd';
+const ADMIN_PASSWORD = 'Company-Admin-Passw0rd';
+
+const api = () => request(app);
+
+const hostFor = (subdomain) => `${subdomain}.localhost`;
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+// Drop the master, shared and tenant databases so every suite starts empty
+const resetDatabases = async () => {
+  const connection = await mongoose.createConnection(
+    `${process.env.MONGODB_URI}admin?${process.env.MONGODB_OPTIONS}`
+  ).asPromise();
+
+  try {
+    const { databases } = await connection.db.admin().listDatabases();
+
+    for (const { name } of databases) {
+      if (name === 'master_tenant_db' || name === dbManager.sharedDbName || name.startsWith('tenant_')) {
+        await connection.useDb(name).dropDatabase();
+      }
+    }
+  } finally {
+    await connection.close();
+  }
+};
+
+const closeConnections = () => dbManager.closeAllConnections();
+
+const getTenantModel = () => require('../models/master/Tenant')(dbManager.getMasterConnection());
+
+// Run fn with a leased connection to the tenant's data, e.g. to seed documents
+const withTenantDB = async (subdomain, fn) => {
+  const { connection, release } = await dbManager.leaseTenantDB(subdomain);
+
+  try {
+    return await fn(connection);
+  } finally {
+    release();
+  }
+};
+
+// Change a tenant record through the model, so the resolution cache is invalidated like in production
+const updateTenant = async (subdomain, changes) => {
+  const tenant = await getTenantModel().findOne({ subdomain });
+  tenant.set(changes);
+  await tenant.save();
+  return tenant;
+};
+
+const registerSuperAdmin = async (email = 'root@platform.com') => {
+  const res = await api()
+    .post('/api/super-admin/register')
+    .send({ name: 'Platform Admin', email, password: SUPER_ADMIN_PASSWORD })
+    .expect(201);
+
+  return res.body.data.token;
+};
+
+// Provision a tenant through the super admin API and sign in as its company admin.
+// The admin's temporary password is replaced so tests know it.
+const createTenant = async (superAdminToken, { companyName, tenancyMode = 'dedicated', plan = 'premium' }) => {
+  const email = `admin@${companyName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.com`;
+
+  const res = await api()
+    .post('/api/super-admin/tenants')
+    .set(bearer(superAdminToken))
+    .send({ companyName, email, phone: '+1 555 0100', subscription: { plan }, tenancyMode })
+    .expect(201);
+
+  const { subdomain } = res.body.data.tenant;
+
+  await withTenantDB(subdomain, async (connection) => {
+    const User = require('../models/tenant/User')(connection);
+    const admin = await User.findOne({ email });
+    admin.password = ADMIN_PASSWORD;
+    await admin.save();
+  });
+
+  const token = await login(subdomain, email, ADMIN_PASSWORD);
+
+  return { subdomain, id: res.body.data.tenant.id, admin: { email, password: ADMIN_PASSWORD, token } };
+};
+
+const login = async (subdomain, email, password) => {
+  const res = await api()
+    .post('/api/auth/login')
+    .set('Host', hostFor(subdomain))
+    .send({ email, password })
+    .expect(200);
+
+  return res.body.data.token;
+};
+
+// Emails recorded by the mocked utils/email since the last jest.clearAllMocks()
+const sentEmails = (template) => {
+  const { sendEmail } = require('../utils/email');
+  return sendEmail.mock.calls
+    .map(([options]) => options)
+    .filter(options => !template || options.template === template);
+};
+
+module.exports = {
+  SUPER_ADMIN_PASSWORD,
+  ADMIN_PASSWORD,
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  getTenantModel,
+  withTenantDB,
+  updateTenant,
+  registerSuperAdmin,
+  createTenant,
+  login,
+  sentEmails
+};
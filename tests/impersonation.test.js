@@ -0,0 +1,108 @@
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  withTenantDB,
+  registerSuperAdmin,
+  createTenant
+} = require('./helpers');
+
+describe('impersonation', () => {
+  let superAdminToken;
+  let tenant;
+  let adminId;
+  let job;
+
+  const host = () => hostFor(tenant.subdomain);
+
+  const impersonateAdmin = async ({ allowDestructive } = {}) => {
+    const res = await api()
+      .post(`/api/super-admin/tenants/${tenant.id}/impersonate/${adminId}`)
+      .set(bearer(superAdminToken))
+      .send({ reason: 'Ticket 4711: settings do not save', allowDestructive })
+      .expect(201);
+
+    return res.body.data.token;
+  };
+
+  beforeAll(async () => {
+    await resetDatabases();
+
+    superAdminToken = await registerSuperAdmin();
+    tenant = await createTenant(superAdminToken, { companyName: 'Vandelay' });
+
+    const me = await api().get('/api/auth/me').set('Host', host()).set(bearer(tenant.admin.token)).expect(200);
+    adminId = me.body.data.user._id;
+
+    job = await withTenantDB(tenant.subdomain, async (connection) => {
+      const Requirement = require('../models/tenant/Requirement')(connection);
+      const JobDescription = require('../models/tenant/JobDescription')(connection);
+
+      const requirement = await Requirement.create({
+        title: 'Importing',
+        description: 'Grow the team',
+        experience: { minimum: 2 },
+        positions: 1,
+        location: { locationType: 'remote' },
+        employmentType: 'full-time',
+        dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        createdBy: adminId,
+        assignedTo: adminId
+      });
+
+      return JobDescription.create({
+        requirementId: requirement._id,
+        title: 'Importer',
+        description: 'Import things',
+        experience: { minimum: 2 },
+        location: { locationType: 'remote' },
+        employmentType: 'full-time',
+        createdBy: adminId
+      });
+    });
+  });
+
+  afterAll(async () => {
+    await closeConnections();
+  });
+
+  it('refuses every change outside the recruiting allowlist', async () => {
+    const token = await impersonateAdmin();
+    const changes = [
+      ['put', '/api/settings', { requireEmailVerification: false }],
+      ['put', '/api/settings/password-policy', { staff: { minLength: 8 } }],
+      ['put', '/api/sso/config', { protocol: 'oidc' }],
+      ['post', '/api/domains', { domain: 'careers.vandelay.com' }],
+      ['put', '/api/branding', { primaryColor: '#000000' }],
+      ['put', `/api/users/${adminId}`, { isActive: false }],
+      ['post', '/api/users', { name: 'Art Vandelay', email: 'art@vandelay.com', role: 'recruiter', department: 'recruitment' }],
+      ['post', '/api/auth/2fa/setup', {}],
+      ['delete', `/api/jobs/${job._id}`, undefined]
+    ];
+
+    for (const [method, path, body] of changes) {
+      const res = await api()[method](path).set('Host', host()).set(bearer(token)).send(body);
+      expect({ path, status: res.status, code: res.body.code }).toEqual({ path, status: 403, code: 'IMPERSONATION_RESTRICTED' });
+    }
+
+    await withTenantDB(tenant.subdomain, async (connection) => {
+      const User = require('../models/tenant/User')(connection);
+      expect((await User.findById(adminId)).isActive).toBe(true);
+    });
+  });
+
+  it('allows reads and routine recruiting updates', async () => {
+    const token = await impersonateAdmin();
+
+    await api().get('/api/settings').set('Host', host()).set(bearer(token)).expect(200);
+    await api().put(`/api/jobs/${job._id}`).set('Host', host()).set(bearer(token)).send({ title: 'Senior Importer' }).expect(200);
+  });
+
+  it('allows everything when the session was started with allowDestructive', async () => {
+    const token = await impersonateAdmin({ allowDestructive: true });
+
+    await api().put('/api/settings').set('Host', host()).set(bearer(token)).send({ requireEmailVerification: false }).expect(200);
+  });
+});
@@ -0,0 +1,281 @@
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  withTenantDB,
+  registerSuperAdmin,
+  createTenant,
+  login
+} = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECRUITER_EMAIL = 'recruiter@wayne.com';
+const RECRUITER_PASSWORD = 'Recruiter-Passw0rd';
+const CANDIDATE_EMAIL = 'casey@example.com';
+const CANDIDATE_PASSWORD = 'Candidate-Passw0rd';
+
+// Pretend the account's password was last changed `days` ago
+const agePassword = (subdomain, modelName, filter, field, days) => {
+  return withTenantDB(subdomain, async (connection) => {
+    const Model = require(`../models/tenant/${modelName}`)(connection);
+    await Model.updateOne(filter, { $set: { [field]: new Date(Date.now() - days * DAY_MS) } });
+  });
+};
+
+describe('password policies', () => {
+  let tenant;
+
+  const host = () => hostFor(tenant.subdomain);
+
+  const updatePolicy = (policy) => {
+    return api()
+      .put('/api/settings/password-policy')
+      .set('Host', host())
+      .set(bearer(tenant.admin.token))
+      .send(policy);
+  };
+
+  const updatePassword = (token, currentPassword, newPassword) => {
+    return api()
+      .put('/api/auth/update-password')
+      .set('Host', host())
+      .set(bearer(token))
+      .send({ currentPassword, newPassword });
+  };
+
+  beforeAll(async () => {
+    await resetDatabases();
+
+    const superAdminToken = await registerSuperAdmin();
+    tenant = await createTenant(superAdminToken, { companyName: 'Wayne' });
+
+    await withTenantDB(tenant.subdomain, async (connection) => {
+      const User = require('../models/tenant/User')(connection);
+      const Candidate = require('../models/tenant/Candidate')(connection);
+
+      await User.create({
+        name: 'Robin Recruiter',
+        email: RECRUITER_EMAIL,
+        password: RECRUITER_PASSWORD,
+        role: 'recruiter',
+        department: 'recruitment',
+        isEmailVerified: true
+      });
+      await Candidate.create({
+        personalInfo: { firstName: 'Casey', lastName: 'Jones', email: CANDIDATE_EMAIL, phone: '+1 555 0101' },
+        account: { password: CANDIDATE_PASSWORD, isEmailVerified: true }
+      });
+    });
+  });
+
+  afterAll(async () => {
+    await closeConnections();
+  });
+
+  describe('configuration', () => {
+    it('starts from the defaults', async () => {
+      const res = await api().get('/api/settings/password-policy').set('Host', host()).set(bearer(tenant.admin.token)).expect(200);
+
+      expect(res.body.data.policy.staff).toEqual({
+        minLength: 8,
+        requireUppercase: false,
+        requireLowercase: false,
+        requireNumber: false,
+        requireSymbol: false,
+        blockCommonPasswords: true,
+        historyCount: 0,
+        maxAgeDays: null
+      });
+      expect(res.body.data.schema.minLength).toEqual({ type: 'integer', default: 8, min: 8, max: 64, nullable: false });
+    });
+
+    it('rejects an update with any invalid value and keeps the rest unchanged', async () => {
+      const res = await updatePolicy({
+        staff: { minLength: 4, requireNumber: true, maxDays: 30 },
+        admins: { minLength: 12 }
+      }).expect(400);
+
+      expect(res.body.errors.map(error => error.setting).sort()).toEqual(['admins', 'staff.maxDays', 'staff.minLength']);
+
+      const policy = await api().get('/api/public/password-policy').set('Host', host()).expect(200);
+      expect(policy.body.data.policy.staff.requireNumber).toBe(false);
+    });
+
+    it('stores each audience separately and publishes them for sign-up forms', async () => {
+      await updatePolicy({
+        staff: { minLength: 12, requireNumber: true, requireSymbol: true, historyCount: 3 },
+        candidate: { minLength: 10, requireUppercase: true }
+      }).expect(200);
+
+      const res = await api().get('/api/public/password-policy').set('Host', host()).expect(200);
+
+      expect(res.body.data.policy.staff).toMatchObject({ minLength: 12, requireNumber: true, requireSymbol: true, historyCount: 3 });
+      expect(res.body.data.policy.candidate).toMatchObject({ minLength: 10, requireUppercase: true, requireNumber: false });
+    });
+
+    it('is only changed by company admins', async () => {
+      const token = await login(tenant.subdomain, RECRUITER_EMAIL, RECRUITER_PASSWORD);
+
+      await api().put('/api/settings/password-policy').set('Host', host()).set(bearer(token))
+        .send({ staff: { minLength: 8 } }).expect(403);
+    });
+  });
+
+  describe('staff password changes', () => {
+    let token;
+
+    beforeAll(async () => {
+      token = await login(tenant.subdomain, RECRUITER_EMAIL, RECRUITER_PASSWORD);
+    });
+
+    it('lists every rule a new password breaks', async () => {
+      const res = await updatePassword(token, RECRUITER_PASSWORD, 'short').expect(400);
+
+      expect(res.body.code).toBe('PASSWORD_POLICY_VIOLATION');
+      expect(res.body.errors.map(error => error.message)).toEqual([
+        'must be at least 12 characters',
+        'must contain a number',
+        'must contain a symbol'
+      ]);
+    });
+
+    it('rejects common passwords dressed up with digits and symbols', async () => {
+      const res = await updatePassword(token, RECRUITER_PASSWORD, 'Password2024!!').expect(400);
+
+      expect(res.body.errors).toEqual([{ field: 'password', message: 'is too common or has appeared in a data breach' }]);
+    });
+
+    it('refuses the last passwords and signs other devices out on a change', async () => {
+      const otherDevice = await login(tenant.subdomain, RECRUITER_EMAIL, RECRUITER_PASSWORD);
+
+      let res = await updatePassword(token, RECRUITER_PASSWORD, 'Second-Secret-42').expect(200);
+      token = res.body.data.token;
+
+      await api().get('/api/auth/me').set('Host', host()).set(bearer(otherDevice)).expect(401);
+      await api().get('/api/auth/me').set('Host', host()).set(bearer(token)).expect(200);
+
+      res = await updatePassword(token, 'Second-Secret-42', RECRUITER_PASSWORD).expect(400);
+      expect(res.body.code).toBe('PASSWORD_REUSED');
+      expect(res.body.message).toBe('Password cannot be one of your last 3 passwords');
+    });
+
+    it('allows a password again once it falls out of the history', async () => {
+      token = (await updatePassword(token, 'Second-Secret-42', 'Third-Secret-43').expect(200)).body.data.token;
+      token = (await updatePassword(token, 'Third-Secret-43', 'Fourth-Secret-44').expect(200)).body.data.token;
+
+      // Remembered: Fourth (current), Third and Second
+      await updatePassword(token, 'Fourth-Secret-44', 'Second-Secret-42').expect(400);
+      await updatePassword(token, 'Fourth-Secret-44', RECRUITER_PASSWORD).expect(200);
+    });
+  });
+
+  describe('expiry', () => {
+    beforeAll(async () => {
+      await updatePolicy({ staff: { maxAgeDays: 30 }, candidate: { maxAgeDays: 90 } }).expect(200);
+    });
+
+    it('makes staff choose a new password before they get a session', async () => {
+      await agePassword(tenant.subdomain, 'User', { email: RECRUITER_EMAIL }, 'passwordChangedAt', 31);
+
+      const res = await api()
+        .post('/api/auth/login')
+        .set('Host', host())
+        .send({ email: RECRUITER_EMAIL, password: RECRUITER_PASSWORD })
+        .expect(200);
+
+      expect(res.body.data.passwordChangeRequired).toBe(true);
+      expect(res.body.data.token).toBeUndefined();
+      const { challengeToken } = res.body.data;
+
+      // The new password still has to follow the policy and the history
+      const reused = await api().post('/api/auth/login/password').set('Host', host())
+        .send({ challengeToken, newPassword: RECRUITER_PASSWORD }).expect(400);
+      expect(reused.body.code).toBe('PASSWORD_REUSED');
+
+      const changed = await api().post('/api/auth/login/password').set('Host', host())
+        .send({ challengeToken, newPassword: 'Fifth-Secret-45' }).expect(200);
+      expect(changed.body.data.token).toBeTruthy();
+      await api().get('/api/auth/me').set('Host', host()).set(bearer(changed.body.data.token)).expect(200);
+
+      // The challenge was for the expired password only
+      const replayed = await api().post('/api/auth/login/password').set('Host', host())
+        .send({ challengeToken, newPassword: 'Sixth-Secret-46' }).expect(401);
+      expect(replayed.body.code).toBe('INVALID_CHALLENGE');
+
+      expect(await login(tenant.subdomain, RECRUITER_EMAIL, 'Fifth-Secret-45')).toBeTruthy();
+    });
+
+    it('applies the candidate policy to candidates', async () => {
+      await agePassword(tenant.subdomain, 'Candidate', { 'personalInfo.email': CANDIDATE_EMAIL }, 'account.passwordChangedAt', 91);
+
+      const res = await api()
+        .post('/api/candidates/login')
+        .set('Host', host())
+        .send({ email: CANDIDATE_EMAIL, password: CANDIDATE_PASSWORD })
+        .expect(200);
+      expect(res.body.data.passwordChangeRequired).toBe(true);
+
+      const weak = await api().post('/api/candidates/login/password').set('Host', host())
+        .send({ challengeToken: res.body.data.challengeToken, newPassword: 'lowercase-only' }).expect(400);
+      expect(weak.body.errors).toEqual([{ field: 'password', message: 'must contain an uppercase letter' }]);
+
+      const changed = await api().post('/api/candidates/login/password').set('Host', host())
+        .send({ challengeToken: res.body.data.challengeToken, newPassword: 'Candidate-Secret' }).expect(200);
+      expect(changed.body.data.token).toBeTruthy();
+    });
+  });
+
+  describe('candidate registration', () => {
+    const register = (password) => {
+      return api()
+        .post('/api/candidates/register')
+        .set('Host', host())
+        .send({
+          personalInfo: { firstName: 'Riley', lastName: 'Quinn', email: 'riley@example.com', phone: '+1 555 0102' },
+          account: { password }
+        });
+    };
+
+    it('rejects passwords the candidate policy does not allow', async () => {
+      const res = await register('short').expect(400);
+
+      expect(res.body.code).toBe('PASSWORD_POLICY_VIOLATION');
+      expect(res.body.message).toBe('Password must be at least 10 characters, must contain an uppercase letter');
+    });
+
+    it('accepts passwords that only meet the candidate policy', async () => {
+      await register('Riley-Secret').expect(201);
+    });
+  });
+
+  describe('candidate profile updates', () => {
+    it('change profile fields but not the account around the policy', async () => {
+      const session = await api().post('/api/candidates/login').set('Host', host())
+        .send({ email: CANDIDATE_EMAIL, password: 'Candidate-Secret' }).expect(200);
+
+      await api()
+        .put('/api/candidates/profile')
+        .set('Host', host())
+        .set(bearer(session.body.data.token))
+        .send({
+          personalInfo: { firstName: 'Cassidy', email: 'someone.else@example.com' },
+          professionalInfo: { currentTitle: 'Engineer' },
+          account: { password: 'short', passwordHistory: [], isEmailVerified: false, isActive: false }
+        })
+        .expect(200);
+
+      const candidate = await withTenantDB(tenant.subdomain, (connection) => {
+        const Candidate = require('../models/tenant/Candidate')(connection);
+        return Candidate.findOne({ 'personalInfo.email': CANDIDATE_EMAIL }).lean();
+      });
+      expect(candidate.personalInfo).toMatchObject({ firstName: 'Cassidy', lastName: 'Jones' });
+      expect(candidate.professionalInfo.currentTitle).toBe('Engineer');
+      expect(candidate.account).toMatchObject({ isEmailVerified: true, isActive: true });
+
+      await api().post('/api/candidates/login').set('Host', host())
+        .send({ email: CANDIDATE_EMAIL, password: 'Candidate-Secret' }).expect(200);
+    });
+  });
+});
@@ -0,0 +1,22 @@
+// Configuration for the app under test. Suites drop the master, shared and tenant
+// databases on this server, so MONGODB_TEST_URI must never point at real data.
+const testKey = (seed) => require('crypto').createHash('sha256').update(seed).digest('hex');
+
+const uri = process.env.MONGODB_TEST_URI;
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  MONGODB_URI: uri.endsWith('/') ? uri : `${uri}/`,
+  MONGODB_OPTIONS: 'directConnection=true',
+  JWT_SECRET: 'test-jwt-secret',
+  JWT_EXPIRE: '15m',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  FRONTEND_URL: 'http://app.test',
+  PLACEMENT_ENCRYPTION_KEY: testKey('placement'),
+  TWO_FACTOR_ENCRYPTION_KEY: testKey('two-factor'),
+  SSO_ENCRYPTION_KEY: testKey('sso'),
+  SSO_ALLOWED_HOSTS: 'localhost',
+  SUPER_ADMIN_REQUIRE_2FA: 'false',
+  PAYMENT_PROVIDER: 'fake',
+  RATE_LIMIT_MAX_REQUESTS: '100000'
+});
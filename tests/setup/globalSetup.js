@@ -0,0 +1,10 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// One MongoDB for the whole run: the server in MONGODB_TEST_URI if given, otherwise an in-memory one
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  const mongod = await MongoMemoryServer.create();
+  global.__MONGOD__ = mongod;
+  process.env.MONGODB_TEST_URI = mongod.getUri();
+};
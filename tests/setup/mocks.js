@@ -0,0 +1,2 @@
+// Emails are recorded instead of sent; suites read links and tokens from sendEmail.mock.calls
+jest.mock('../../utils/email');
@@ -0,0 +1,512 @@
+const dns = require('dns');
+const http = require('http');
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  withTenantDB,
+  registerSuperAdmin,
+  createTenant,
+  login
+} = require('./helpers');
+
+const RECRUITER_PASSWORD = 'Recruiter-Passw0rd';
+const ROLE_MAPPINGS = [
+  { group: 'ats-admins', role: 'rmg_admin' },
+  { group: 'ats-recruiters', role: 'recruiter' }
+];
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Run scripts/mock-idp.js as developers do, on a free port; resolves once it listens
+const startMockIdp = async () => {
+  const port = await getFreePort();
+  const issuer = `http://localhost:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, '../scripts/mock-idp.js')], {
+    env: { ...process.env, MOCK_IDP_PORT: String(port), MOCK_IDP_ISSUER: issuer },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Mock IdP did not start:\n${output}`)), 10000);
+
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Mock IdP running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Mock IdP exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return { child, issuer };
+};
+
+const unescapeHtml = (value) => value
+  .replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+
+// The action and hidden fields of the (only) form on an IdP page
+const readForm = (html) => {
+  const action = unescapeHtml(html.match(/<form method="post" action="([^"]*)"/)[1]);
+  const fields = {};
+  for (const [, name, value] of html.matchAll(/<input type="hidden" name="([^"]*)" value="([^"]*)">/g)) {
+    fields[unescapeHtml(name)] = unescapeHtml(value);
+  }
+  return { action, fields };
+};
+
+// Parameters the API sent to the frontend's SSO callback page
+const readFrontendRedirect = (res) => {
+  expect(res.status).toBe(302);
+
+  const url = new URL(res.headers.location);
+  expect(`${url.origin}${url.pathname}`).toBe('http://app.test/sso/callback');
+  return Object.fromEntries(new URLSearchParams(url.hash.slice(1)));
+};
+
+// Follow a redirect that points back at the API, keeping the tenant host it names
+const followToApi = (location) => {
+  const url = new URL(location);
+  return api().get(`${url.pathname}${url.search}`).set('Host', url.host);
+};
+
+describe('single sign-on with the mock identity provider', () => {
+  let idp;
+  let superAdminToken;
+  let tenant;
+
+  const host = () => hostFor(tenant.subdomain);
+
+  const saveConfig = (config) => {
+    return api()
+      .put('/api/sso/config')
+      .set('Host', host())
+      .set(bearer(tenant.admin.token))
+      .send({ roleMappings: ROLE_MAPPINGS, ...config });
+  };
+
+  // Sign in at the IdP as the given user. Resolves with a function that hands the IdP's answer
+  // to the API, by default with the cookie of the browser that started the sign-in.
+  const signInAtIdp = async (user, { returnTo } = {}) => {
+    const start = await api()
+      .get('/api/sso/login')
+      .query(returnTo ? { returnTo } : {})
+      .set('Host', host())
+      .expect(302);
+    expect(start.headers.location.startsWith(idp.issuer)).toBe(true);
+    const browserCookie = start.headers['set-cookie'].map(cookie => cookie.split(';')[0]).join('; ');
+
+    const page = await fetch(start.headers.location);
+    expect(page.status).toBe(200);
+    const login = readForm(await page.text());
+
+    const submitted = await fetch(new URL(login.action, idp.issuer), {
+      method: 'POST',
+      body: new URLSearchParams({ ...login.fields, ...user }),
+      redirect: 'manual'
+    });
+
+    // OIDC: the IdP redirects to our callback. SAML: it returns a form the browser posts to our ACS.
+    if (submitted.status === 302) {
+      const location = submitted.headers.get('location');
+      return ({ cookie = browserCookie } = {}) => followToApi(location).set('Cookie', cookie);
+    }
+
+    const acs = readForm(await submitted.text());
+    const acsUrl = new URL(acs.action);
+    return ({ cookie = browserCookie } = {}) => {
+      return api().post(acsUrl.pathname).set('Host', acsUrl.host).set('Cookie', cookie).type('form').send(acs.fields);
+    };
+  };
+
+  // Sign in at the IdP as the given user; resolves with the API's redirect to the frontend
+  const ssoSignIn = async (user, options) => {
+    const deliver = await signInAtIdp(user, options);
+    return deliver();
+  };
+
+  const exchangeCode = (code, { subdomain = tenant.subdomain } = {}) => {
+    return api().post('/api/sso/exchange').set('Host', hostFor(subdomain)).send({ code });
+  };
+
+  // Exchange the code from a frontend redirect for a session and look the user up with it
+  const currentUser = async (code) => {
+    const exchanged = await exchangeCode(code).expect(200);
+
+    const res = await api().get('/api/auth/me').set('Host', host()).set(bearer(exchanged.body.data.token)).expect(200);
+    return res.body.data.user;
+  };
+
+  beforeAll(async () => {
+    idp = await startMockIdp();
+    await resetDatabases();
+
+    superAdminToken = await registerSuperAdmin();
+    tenant = await createTenant(superAdminToken, { companyName: 'Umbrella', plan: 'enterprise' });
+  });
+
+  afterAll(async () => {
+    if (idp) idp.child.kill();
+    await closeConnections();
+  });
+
+  describe('identity provider addresses', () => {
+    const saveIssuer = (issuer) => {
+      return saveConfig({ protocol: 'oidc', oidc: { issuer, clientId: 'mock-client', clientSecret: 'mock-secret' } });
+    };
+
+    it('must be https on a public address unless the host is allowed', async () => {
+      for (const issuer of ['http://idp.example.com', 'https://127.0.0.1:8443', 'https://[::ffff:169.254.169.254]']) {
+        const res = await saveIssuer(issuer).expect(400);
+        expect(res.body.errors).toEqual([{ field: 'oidc.issuer', message: 'must be an https URL on a public address' }]);
+      }
+    });
+
+    it('are checked on the address the host name resolves to', async () => {
+      const lookup = dns.lookup;
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        if (hostname !== 'idp.umbrella.com') return lookup(hostname, options, callback);
+        return options.all ? callback(null, [{ address: '10.0.0.5', family: 4 }]) : callback(null, '10.0.0.5', 4);
+      });
+
+      try {
+        const res = await saveIssuer('https://idp.umbrella.com').expect(400);
+        expect(res.body.code).toBe('SSO_PROVIDER_ERROR');
+        expect(res.body.message).toContain('must be https on a public address');
+      } finally {
+        dns.lookup.mockRestore();
+      }
+    });
+
+    it('include the endpoints the discovery document points to', async () => {
+      // Discovery on an allowed host, with the key set on the loopback address
+      const server = http.createServer((req, res) => {
+        const issuer = `http://localhost:${server.address().port}`;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `http://127.0.0.1:${server.address().port}/jwks`
+        }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const res = await saveIssuer(`http://localhost:${server.address().port}`).expect(400);
+        expect(res.body.message).toContain('jwks_uri must be https on a public address');
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  describe('OIDC', () => {
+    beforeAll(async () => {
+      await saveConfig({
+        protocol: 'oidc',
+        oidc: { issuer: idp.issuer, clientId: 'mock-client', clientSecret: 'mock-secret' }
+      }).expect(200);
+    });
+
+    it('reports SSO on the login page', async () => {
+      const res = await api().get('/api/sso').set('Host', host()).expect(200);
+
+      expect(res.body.data).toEqual({ enabled: true, protocol: 'oidc', enforced: false, loginUrl: '/api/sso/login' });
+    });
+
+    it('never returns the client secret', async () => {
+      const res = await api().get('/api/sso/config').set('Host', host()).set(bearer(tenant.admin.token)).expect(200);
+
+      expect(res.body.data.config.oidc).toEqual(expect.objectContaining({ clientId: 'mock-client', hasClientSecret: true }));
+      expect(JSON.stringify(res.body)).not.toContain('mock-secret');
+    });
+
+    it('creates a new user with the role of their groups and starts a session', async () => {
+      const res = await ssoSignIn(
+        { email: 'Jane.Doe@umbrella.com', name: 'Jane Doe', groups: 'staff, ats-recruiters' },
+        { returnTo: '/jobs' }
+      );
+      const params = readFrontendRedirect(res);
+
+      expect(params).toEqual({ code: expect.any(String), tenant: tenant.subdomain, returnTo: '/jobs' });
+      expect(await currentUser(params.code)).toMatchObject({
+        email: 'jane.doe@umbrella.com',
+        name: 'Jane Doe',
+        role: 'recruiter',
+        department: 'recruitment',
+        isEmailVerified: true
+      });
+    });
+
+    it('signs the same user in again and follows their groups', async () => {
+      const params = readFrontendRedirect(await ssoSignIn({ email: 'jane.doe@umbrella.com', name: 'Jane Doe', groups: 'ats-recruiters,ats-admins' }));
+
+      expect(await currentUser(params.code)).toMatchObject({ email: 'jane.doe@umbrella.com', role: 'rmg_admin', department: 'rmg' });
+
+      await withTenantDB(tenant.subdomain, async (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        expect(await User.countDocuments({ email: 'jane.doe@umbrella.com' })).toBe(1);
+      });
+    });
+
+    it('refuses users none of whose groups has a role', async () => {
+      const params = readFrontendRedirect(await ssoSignIn({ email: 'guest@umbrella.com', name: 'Guest', groups: 'visitors' }));
+
+      expect(params).toEqual({ error: 'SSO_NO_ROLE', message: 'None of your groups has access to this application' });
+    });
+
+    it('ignores return addresses outside the frontend', async () => {
+      const params = readFrontendRedirect(await ssoSignIn(
+        { email: 'jane.doe@umbrella.com', name: 'Jane Doe', groups: 'ats-admins' },
+        { returnTo: '//evil.example.com' }
+      ));
+
+      expect(params.code).toBeTruthy();
+      expect(params.returnTo).toBeUndefined();
+    });
+
+    it('rejects a callback whose state was not issued for this tenant', async () => {
+      const res = await api()
+        .get('/api/sso/oidc/callback')
+        .query({ code: 'anything', state: 'forged' })
+        .set('Host', host());
+
+      expect(readFrontendRedirect(res)).toMatchObject({ error: 'SSO_INVALID_STATE' });
+    });
+
+    it('refuses a callback in a browser that did not start the sign-in', async () => {
+      const deliver = await signInAtIdp({ email: 'jane.doe@umbrella.com', name: 'Jane Doe', groups: 'ats-admins' });
+      const otherBrowser = await api().get('/api/sso/login').set('Host', host()).expect(302);
+
+      for (const cookie of ['', otherBrowser.headers['set-cookie'][0].split(';')[0]]) {
+        expect(readFrontendRedirect(await deliver({ cookie }))).toEqual({
+          error: 'SSO_INVALID_STATE',
+          message: 'Sign-in was not started in this browser. Please try again.'
+        });
+      }
+    });
+
+    it('accepts each callback once', async () => {
+      const deliver = await signInAtIdp({ email: 'jane.doe@umbrella.com', name: 'Jane Doe', groups: 'ats-admins' });
+
+      expect(readFrontendRedirect(await deliver()).code).toBeTruthy();
+      expect(readFrontendRedirect(await deliver())).toEqual({
+        error: 'SSO_INVALID_STATE',
+        message: 'Sign-in request was already used. Please try again.'
+      });
+    });
+
+    it('hands the frontend a code that signs in once, on its own tenant', async () => {
+      const { code } = readFrontendRedirect(await ssoSignIn({ email: 'jane.doe@umbrella.com', name: 'Jane Doe', groups: 'ats-admins' }));
+      const otherTenant = await createTenant(superAdminToken, { companyName: 'Initech', plan: 'enterprise' });
+
+      const elsewhere = await exchangeCode(code, { subdomain: otherTenant.subdomain }).expect(400);
+      expect(elsewhere.body.code).toBe('SSO_INVALID_CODE');
+
+      const res = await exchangeCode(code).expect(200);
+      expect(res.body.data).toMatchObject({ user: { email: 'jane.doe@umbrella.com' }, token: expect.any(String), refreshToken: expect.any(String) });
+
+      const replayed = await exchangeCode(code).expect(400);
+      expect(replayed.body.code).toBe('SSO_INVALID_CODE');
+    });
+
+    it('links an existing account by email only when the IdP verified the address', async () => {
+      const existing = await withTenantDB(tenant.subdomain, (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        return User.create({
+          name: 'Pat Password',
+          email: 'pat.password@umbrella.com',
+          password: RECRUITER_PASSWORD,
+          role: 'recruiter',
+          department: 'recruitment',
+          isEmailVerified: true
+        });
+      });
+      const pat = { email: 'pat.password@umbrella.com', name: 'Pat Password', groups: 'ats-recruiters' };
+
+      const refused = readFrontendRedirect(await ssoSignIn({ ...pat, email_verified: '' }));
+      expect(refused).toMatchObject({ error: 'SSO_EMAIL_NOT_VERIFIED' });
+      await withTenantDB(tenant.subdomain, async (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        expect((await User.findById(existing._id).lean()).sso).toBeUndefined();
+      });
+
+      const linked = readFrontendRedirect(await ssoSignIn(pat));
+      expect((await currentUser(linked.code))._id).toBe(String(existing._id));
+    });
+
+    it('still asks for the second factor the tenant requires', async () => {
+      const setRequireTwoFactor = (requireTwoFactor) => {
+        return api().put('/api/settings').set('Host', host()).set(bearer(tenant.admin.token)).send({ requireTwoFactor }).expect(200);
+      };
+      await setRequireTwoFactor(true);
+
+      try {
+        const { code } = readFrontendRedirect(await ssoSignIn({ email: 'jane.doe@umbrella.com', name: 'Jane Doe', groups: 'ats-admins' }));
+        const res = await exchangeCode(code).expect(200);
+
+        expect(res.body.data).toEqual({ twoFactorRequired: true, setupRequired: true, challengeToken: expect.any(String) });
+
+        const setup = await api().post('/api/auth/login/2fa/setup').set('Host', host()).send({ challengeToken: res.body.data.challengeToken });
+        expect(setup.status).toBe(200);
+      } finally {
+        await setRequireTwoFactor(false);
+      }
+    });
+
+    it('only lets existing users in without just-in-time provisioning', async () => {
+      await saveConfig({ jitProvisioning: false }).expect(200);
+
+      try {
+        const refused = readFrontendRedirect(await ssoSignIn({ email: 'new.hire@umbrella.com', name: 'New Hire', groups: 'ats-recruiters' }));
+        expect(refused).toMatchObject({ error: 'SSO_USER_NOT_FOUND' });
+
+        const existing = readFrontendRedirect(await ssoSignIn({ email: 'jane.doe@umbrella.com', name: 'Jane Doe', groups: 'ats-admins' }));
+        expect(existing.code).toBeTruthy();
+      } finally {
+        await saveConfig({ jitProvisioning: true }).expect(200);
+      }
+    });
+  });
+
+  describe('enforcement', () => {
+    beforeAll(async () => {
+      await withTenantDB(tenant.subdomain, async (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        await User.create({
+          name: 'Password Recruiter',
+          email: 'recruiter@umbrella.com',
+          password: RECRUITER_PASSWORD,
+          role: 'recruiter',
+          department: 'recruitment',
+          isEmailVerified: true
+        });
+      });
+
+      await saveConfig({ enforced: true }).expect(200);
+    });
+
+    afterAll(async () => {
+      await saveConfig({ enforced: false, allowAdminPasswordLogin: true }).expect(200);
+    });
+
+    it('sends staff to the identity provider instead of checking passwords', async () => {
+      const res = await api()
+        .post('/api/auth/login')
+        .set('Host', host())
+        .send({ email: 'recruiter@umbrella.com', password: RECRUITER_PASSWORD })
+        .expect(403);
+
+      expect(res.body).toMatchObject({ code: 'SSO_REQUIRED', loginUrl: '/api/sso/login' });
+    });
+
+    it('keeps password login for company admins unless it is turned off', async () => {
+      expect(await login(tenant.subdomain, tenant.admin.email, tenant.admin.password)).toBeTruthy();
+
+      await saveConfig({ allowAdminPasswordLogin: false }).expect(200);
+
+      const res = await api()
+        .post('/api/auth/login')
+        .set('Host', host())
+        .send({ email: tenant.admin.email, password: tenant.admin.password })
+        .expect(403);
+      expect(res.body.code).toBe('SSO_REQUIRED');
+    });
+  });
+
+  describe('SAML', () => {
+    let idpCert;
+
+    beforeAll(async () => {
+      idpCert = await (await fetch(`${idp.issuer}/saml/cert.pem`)).text();
+
+      await saveConfig({
+        protocol: 'saml',
+        saml: { entryPoint: `${idp.issuer}/saml/sso`, idpIssuer: `${idp.issuer}/saml`, idpCert }
+      }).expect(200);
+    });
+
+    it('publishes service provider metadata', async () => {
+      const res = await api().get('/api/sso/saml/metadata').set('Host', host()).expect(200);
+
+      expect(res.text).toContain(`http://${host()}/api/sso/saml/acs`);
+    });
+
+    it('signs a user in from a signed assertion and maps their groups', async () => {
+      const params = readFrontendRedirect(await ssoSignIn(
+        { email: 'sam.smith@umbrella.com', name: 'Sam Smith', groups: 'ats-recruiters' },
+        { returnTo: '/candidates' }
+      ));
+
+      expect(params).toEqual({ code: expect.any(String), tenant: tenant.subdomain, returnTo: '/candidates' });
+      expect(await currentUser(params.code)).toMatchObject({
+        email: 'sam.smith@umbrella.com',
+        name: 'Sam Smith',
+        role: 'recruiter'
+      });
+    });
+
+    it('accepts each assertion once', async () => {
+      const deliver = await signInAtIdp({ email: 'sam.smith@umbrella.com', name: 'Sam Smith', groups: 'ats-recruiters' });
+
+      expect(readFrontendRedirect(await deliver()).code).toBeTruthy();
+      expect(readFrontendRedirect(await deliver())).toMatchObject({ error: 'SSO_INVALID_STATE' });
+      expect(readFrontendRedirect(await deliver({ cookie: '' }))).toMatchObject({ error: 'SSO_INVALID_STATE' });
+    });
+
+    it('rejects assertions that the registered key did not sign', async () => {
+      const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      await saveConfig({ saml: { idpCert: publicKey.export({ type: 'spki', format: 'pem' }) } }).expect(200);
+
+      try {
+        const params = readFrontendRedirect(await ssoSignIn({ email: 'sam.smith@umbrella.com', name: 'Sam Smith', groups: 'ats-recruiters' }));
+        expect(params).toMatchObject({ error: 'SSO_INVALID_RESPONSE' });
+      } finally {
+        await saveConfig({ saml: { idpCert } }).expect(200);
+      }
+    });
+  });
+
+  describe('plans without SSO', () => {
+    let basicTenant;
+
+    beforeAll(async () => {
+      basicTenant = await createTenant(superAdminToken, { companyName: 'Hooli', plan: 'basic' });
+    });
+
+    it('neither offer nor configure single sign-on', async () => {
+      const status = await api().get('/api/sso').set('Host', hostFor(basicTenant.subdomain)).expect(200);
+      expect(status.body.data).toEqual({ enabled: false });
+
+      const res = await api()
+        .put('/api/sso/config')
+        .set('Host', hostFor(basicTenant.subdomain))
+        .set(bearer(basicTenant.admin.token))
+        .send({ protocol: 'oidc', oidc: { issuer: idp.issuer, clientId: 'mock-client', clientSecret: 'mock-secret' } })
+        .expect(403);
+      expect(res.body.code).toBe('FEATURE_DISABLED');
+    });
+  });
+});
@@ -0,0 +1,554 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dbManager = require('../config/database');
+const routes = require('../routes');
+const { protect } = require('../middleware/auth');
+const { issueChallengeToken } = require('../utils/twoFactor');
+const { issuePasswordChangeToken } = require('../utils/passwordPolicy');
+const {
+  api,
+  hostFor,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  withTenantDB,
+  registerSuperAdmin,
+  createTenant,
+  sentEmails
+} = require('./helpers');
+
+const RECRUITER_PASSWORD = 'Recruiter-Passw0rd';
+const CANDIDATE_PASSWORD = 'Candidate-Passw0rd';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Every tenant route the API mounts, read from the routers so that new routes are covered too.
+// A route is protected when `protect` runs before it, as router middleware or on the route itself.
+const listTenantRoutes = () => {
+  const list = [];
+
+  for (const mount of routes.stack) {
+    const prefix = `/api${mount.regexp.source.replace('^', '').replace('\\/?(?=\\/|$)', '').replace(/\\\//g, '/')}`;
+    if (prefix === '/api/super-admin') continue;
+
+    let routerProtected = false;
+    for (const layer of mount.handle.stack) {
+      if (!layer.route) {
+        routerProtected = routerProtected || layer.handle === protect;
+        continue;
+      }
+
+      const isProtected = routerProtected || layer.route.stack.some(handler => handler.handle === protect);
+      const path = layer.route.path === '/' ? prefix : `${prefix}${layer.route.path}`;
+      for (const method of Object.keys(layer.route.methods)) {
+        list.push({ method: method.toUpperCase(), path, isProtected });
+      }
+    }
+  }
+
+  return list;
+};
+
+// A recruiter, a requirement with a published job and a verified candidate in the tenant's own storage
+const seedTenant = async (tenant) => {
+  return withTenantDB(tenant.subdomain, async (connection) => {
+    const User = require('../models/tenant/User')(connection);
+    const Requirement = require('../models/tenant/Requirement')(connection);
+    const JobDescription = require('../models/tenant/JobDescription')(connection);
+    const Candidate = require('../models/tenant/Candidate')(connection);
+
+    const recruiter = await User.create({
+      name: `${tenant.subdomain} Recruiter`,
+      email: `recruiter@${tenant.subdomain}.com`,
+      password: RECRUITER_PASSWORD,
+      role: 'recruiter',
+      department: 'recruitment',
+      isEmailVerified: true
+    });
+
+    const requirement = await Requirement.create({
+      title: `${tenant.subdomain} hiring`,
+      description: 'Grow the team',
+      experience: { minimum: 2 },
+      positions: 1,
+      location: { locationType: 'remote' },
+      employmentType: 'full-time',
+      dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      createdBy: recruiter._id,
+      assignedTo: recruiter._id
+    });
+
+    const job = await JobDescription.create({
+      requirementId: requirement._id,
+      title: `${tenant.subdomain} Engineer`,
+      description: 'Build things',
+      experience: { minimum: 2 },
+      location: { locationType: 'remote' },
+      employmentType: 'full-time',
+      status: 'published',
+      publishedAt: new Date(),
+      createdBy: recruiter._id
+    });
+
+    const candidate = await Candidate.create({
+      personalInfo: {
+        firstName: 'Casey',
+        lastName: tenant.subdomain,
+        email: `casey@${tenant.subdomain}.com`,
+        phone: '+1 555 0101'
+      },
+      account: { password: CANDIDATE_PASSWORD, isEmailVerified: true }
+    });
+
+    return { recruiter, job, candidate };
+  });
+};
+
+const candidateLogin = async (tenant, email) => {
+  const res = await api()
+    .post('/api/candidates/login')
+    .set('Host', hostFor(tenant.subdomain))
+    .send({ email, password: CANDIDATE_PASSWORD })
+    .expect(200);
+
+  return res.body.data.token;
+};
+
+const findSecurityEvents = (type) => {
+  const SecurityEvent = require('../models/master/SecurityEvent')(dbManager.getMasterConnection());
+  return SecurityEvent.find({ type }).lean();
+};
+
+afterAll(async () => {
+  await closeConnections();
+});
+
+describe.each(['dedicated', 'shared'])('tenant isolation with %s tenancy', (tenancyMode) => {
+  let tenantA;
+  let tenantB;
+  let dataA;
+  let dataB;
+  let candidateTokenA;
+
+  beforeAll(async () => {
+    await resetDatabases();
+
+    const superAdminToken = await registerSuperAdmin();
+    tenantA = await createTenant(superAdminToken, { companyName: `Acme ${tenancyMode}`, tenancyMode });
+    tenantB = await createTenant(superAdminToken, { companyName: `Globex ${tenancyMode}`, tenancyMode });
+
+    dataA = await seedTenant(tenantA);
+    dataB = await seedTenant(tenantB);
+    candidateTokenA = await candidateLogin(tenantA, dataA.candidate.personalInfo.email);
+  });
+
+  it('stores both tenants with the requested tenancy', async () => {
+    const { connection, release } = await dbManager.leaseTenantDB(tenantA.subdomain);
+    release();
+
+    expect(connection.tenancyMode).toBe(tenancyMode);
+  });
+
+  describe("tenant A's staff token", () => {
+    it("is rejected on tenant B's host by every protected route", async () => {
+      const protectedRoutes = listTenantRoutes().filter(route => route.isProtected);
+      expect(protectedRoutes.length).toBeGreaterThan(50);
+
+      for (const { method, path } of protectedRoutes) {
+        // Ids of tenant B's records where the route takes one; the tenant check runs before any lookup
+        const res = await api()[method.toLowerCase()](path.replace(/:\w+/g, String(dataB.job._id)))
+          .set('Host', hostFor(tenantB.subdomain))
+          .set(bearer(tenantA.admin.token));
+
+        expect({ method, path, status: res.status, code: res.body.code }).toEqual({ method, path, status: 403, code: 'TENANT_MISMATCH' });
+      }
+    });
+
+    it("cannot change tenant B's users or jobs through B's host", async () => {
+      const host = hostFor(tenantB.subdomain);
+
+      await api().put(`/api/users/${dataB.recruiter._id}`).set('Host', host).set(bearer(tenantA.admin.token))
+        .send({ name: 'Taken over' }).expect(403);
+      await api().put(`/api/jobs/${dataB.job._id}`).set('Host', host).set(bearer(tenantA.admin.token))
+        .send({ title: 'Taken over' }).expect(403);
+      await api().delete(`/api/jobs/${dataB.job._id}`).set('Host', host).set(bearer(tenantA.admin.token))
+        .expect(403);
+      await api().post('/api/users').set('Host', host).set(bearer(tenantA.admin.token))
+        .send({ name: 'Intruder', email: 'intruder@acme.com', password: 'Intruder-Passw0rd', role: 'recruiter', department: 'recruitment' })
+        .expect(403);
+
+      await withTenantDB(tenantB.subdomain, async (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        const JobDescription = require('../models/tenant/JobDescription')(connection);
+
+        expect((await User.findById(dataB.recruiter._id)).name).toBe(dataB.recruiter.name);
+        expect(await JobDescription.findById(dataB.job._id)).toMatchObject({ title: dataB.job.title });
+        expect(await User.exists({ email: 'intruder@acme.com' })).toBeNull();
+      });
+    });
+
+    it("is rejected with tenant B's x-tenant-id header, on A's host or without a tenant host", async () => {
+      for (const host of [hostFor(tenantA.subdomain), 'localhost']) {
+        const res = await api()
+          .get('/api/users')
+          .set('Host', host)
+          .set('x-tenant-id', tenantB.subdomain)
+          .set(bearer(tenantA.admin.token));
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('TENANT_MISMATCH');
+      }
+    });
+
+    it('records every rejection as a security event', async () => {
+      const events = await findSecurityEvents('TENANT_MISMATCH');
+
+      expect(events.length).toBeGreaterThan(0);
+      expect(events.every(event => event.tenants.token === tenantA.subdomain)).toBe(true);
+    });
+
+    it("finds none of tenant B's records on its own host", async () => {
+      const host = hostFor(tenantA.subdomain);
+
+      const users = await api().get('/api/users').set('Host', host).set(bearer(tenantA.admin.token)).expect(200);
+      const emails = JSON.stringify(users.body);
+      expect(emails).toContain(dataA.recruiter.email);
+      expect(emails).not.toContain(tenantB.subdomain);
+
+      const jobs = await api().get('/api/jobs').set('Host', host).set(bearer(tenantA.admin.token)).expect(200);
+      expect(JSON.stringify(jobs.body)).toContain(dataA.job.title);
+      expect(JSON.stringify(jobs.body)).not.toContain(dataB.job.title);
+
+      await api().get(`/api/users/${dataB.recruiter._id}`).set('Host', host).set(bearer(tenantA.admin.token)).expect(404);
+      await api().get(`/api/jobs/${dataB.job._id}`).set('Host', host).set(bearer(tenantA.admin.token)).expect(404);
+    });
+
+    it("cannot change tenant B's records by id on its own host", async () => {
+      const host = hostFor(tenantA.subdomain);
+
+      await api().put(`/api/users/${dataB.recruiter._id}`).set('Host', host).set(bearer(tenantA.admin.token))
+        .send({ name: 'Taken over' }).expect(404);
+      await api().put(`/api/jobs/${dataB.job._id}`).set('Host', host).set(bearer(tenantA.admin.token))
+        .send({ title: 'Taken over' }).expect(404);
+      await api().delete(`/api/users/${dataB.recruiter._id}`).set('Host', host).set(bearer(tenantA.admin.token))
+        .expect(404);
+
+      await withTenantDB(tenantB.subdomain, async (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        const JobDescription = require('../models/tenant/JobDescription')(connection);
+
+        expect(await User.findById(dataB.recruiter._id)).toMatchObject({ name: dataB.recruiter.name });
+        expect(await JobDescription.findById(dataB.job._id)).toMatchObject({ title: dataB.job.title });
+      });
+    });
+  });
+
+  describe("tenant A's candidate token", () => {
+    it("is rejected on tenant B's host", async () => {
+      const host = hostFor(tenantB.subdomain);
+
+      const read = await api().get('/api/candidates/profile').set('Host', host).set(bearer(candidateTokenA));
+      expect(read.status).toBe(403);
+      expect(read.body.code).toBe('TENANT_MISMATCH');
+
+      await api().put('/api/candidates/profile').set('Host', host).set(bearer(candidateTokenA))
+        .send({ professionalInfo: { currentTitle: 'Taken over' } }).expect(403);
+    });
+
+    it("is rejected on tenant B's host by every protected route", async () => {
+      for (const { method, path } of listTenantRoutes().filter(route => route.isProtected)) {
+        const res = await api()[method.toLowerCase()](path.replace(/:\w+/g, String(dataB.job._id)))
+          .set('Host', hostFor(tenantB.subdomain))
+          .set(bearer(candidateTokenA));
+
+        expect({ method, path, status: res.status, code: res.body.code }).toEqual({ method, path, status: 403, code: 'TENANT_MISMATCH' });
+      }
+    });
+
+    it('only ever sees its own profile', async () => {
+      const res = await api()
+        .get('/api/candidates/profile')
+        .set('Host', hostFor(tenantA.subdomain))
+        .set(bearer(candidateTokenA))
+        .expect(200);
+
+      expect(JSON.stringify(res.body)).toContain(dataA.candidate.personalInfo.email);
+      expect(JSON.stringify(res.body)).not.toContain(dataB.candidate.personalInfo.email);
+    });
+  });
+
+  describe('public job links', () => {
+    it("do not resolve tenant B's jobs on tenant A's host", async () => {
+      await api()
+        .get(`/api/jobs/public/${dataB.job.shareableLink}`)
+        .set('Host', hostFor(tenantA.subdomain))
+        .expect(404);
+
+      await api()
+        .get(`/api/jobs/public/${dataB.job.shareableLink}`)
+        .set('Host', hostFor(tenantB.subdomain))
+        .expect(200);
+    });
+
+    it("do not accept applications to tenant B's jobs on tenant A's host", async () => {
+      const res = await api()
+        .post(`/api/candidates/apply/${dataB.job._id}`)
+        .set('Host', hostFor(tenantA.subdomain))
+        .set(bearer(candidateTokenA))
+        .send({});
+
+      expect(res.status).toBe(404);
+
+      await withTenantDB(tenantB.subdomain, async (connection) => {
+        const Application = require('../models/tenant/Application')(connection);
+        expect(await Application.countDocuments({ jobDescriptionId: dataB.job._id })).toBe(0);
+      });
+    });
+  });
+
+  describe('forged tokens', () => {
+    it('are rejected without a tenant claim, whatever the header says', async () => {
+      const token = jwt.sign({ id: dataB.recruiter._id, role: 'recruiter' }, process.env.JWT_SECRET);
+
+      const res = await api()
+        .get('/api/users/me')
+        .set('Host', 'localhost')
+        .set('x-tenant-id', tenantB.subdomain)
+        .set(bearer(token));
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('TOKEN_TENANT_MISSING');
+    });
+
+    it("are rejected when they claim tenant B for a user of tenant A's", async () => {
+      const token = jwt.sign(
+        { id: dataA.recruiter._id, role: 'recruiter', tenant: tenantB.subdomain },
+        process.env.JWT_SECRET
+      );
+
+      const res = await api()
+        .get('/api/jobs')
+        .set('Host', hostFor(tenantB.subdomain))
+        .set(bearer(token));
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  // Each public route is called on tenant B's host with tenant A's credentials, links or records
+  describe('public routes', () => {
+    const PENDING_PASSWORD = 'Pending-Passw0rd';
+    let pendingUser;
+    let pendingCandidate;
+    let refreshTokenA;
+
+    const onB = (method, path) => api()[method](path).set('Host', hostFor(tenantB.subdomain));
+
+    // Raw tokens of tenant A's links; the accounts store them hashed
+    const linkOfA = (name) => `${name}-of-${tenantA.subdomain}`;
+
+    const expectError = async (request, status, code) => {
+      const res = await request.expect(status);
+      if (code) expect(res.body.code).toBe(code);
+    };
+
+    const ssoStateOfA = (protocol) => {
+      return jwt.sign({ type: 'sso_state', tenant: tenantA.subdomain, protocol, nonce: 'nonce-of-a' }, process.env.JWT_SECRET);
+    };
+
+    const expectSsoError = async (request) => {
+      const res = await request.expect(302);
+      const fragment = new URLSearchParams(new URL(res.headers.location).hash.slice(1));
+      expect(fragment.get('error')).toBeTruthy();
+      expect(fragment.get('code')).toBeNull();
+    };
+
+    const cases = {
+      'POST /api/auth/login': () => expectError(
+        onB('post', '/api/auth/login').send({ email: dataA.recruiter.email, password: RECRUITER_PASSWORD }), 401
+      ),
+      'POST /api/auth/login/2fa': () => expectError(
+        onB('post', '/api/auth/login/2fa').send({
+          challengeToken: issueChallengeToken({ subjectType: 'user', subject: dataA.recruiter, tenant: tenantA }),
+          code: '000000'
+        }),
+        401, 'INVALID_CHALLENGE'
+      ),
+      'POST /api/auth/login/2fa/setup': () => expectError(
+        onB('post', '/api/auth/login/2fa/setup').send({
+          challengeToken: issueChallengeToken({ subjectType: 'user', subject: dataA.recruiter, tenant: tenantA })
+        }),
+        401, 'INVALID_CHALLENGE'
+      ),
+      'POST /api/auth/login/password': () => expectError(
+        onB('post', '/api/auth/login/password').send({
+          challengeToken: issuePasswordChangeToken({ subjectType: 'user', subject: dataA.recruiter, tenant: tenantA }),
+          newPassword: 'Brand-New-Passw0rd'
+        }),
+        401, 'INVALID_CHALLENGE'
+      ),
+      'POST /api/auth/register': () => expectError(
+        onB('post', '/api/auth/register').send({ invitationToken: linkOfA('invitation'), name: 'Intruder', password: 'Intruder-Passw0rd' }), 400
+      ),
+      'GET /api/auth/verify-email/:token': () => expectError(
+        onB('get', `/api/auth/verify-email/${linkOfA('user-verification')}`), 400, 'INVALID_VERIFICATION_TOKEN'
+      ),
+      'POST /api/auth/verify-email/:token': () => expectError(
+        onB('post', `/api/auth/verify-email/${linkOfA('user-verification')}`), 400, 'INVALID_VERIFICATION_TOKEN'
+      ),
+      'POST /api/auth/resend-verification': async () => {
+        await onB('post', '/api/auth/resend-verification').send({ email: pendingUser.email });
+        expect(sentEmails()).toHaveLength(0);
+      },
+      'POST /api/auth/forgot-password': async () => {
+        await onB('post', '/api/auth/forgot-password').send({ email: pendingUser.email });
+        expect(sentEmails()).toHaveLength(0);
+      },
+      'PUT /api/auth/reset-password/:resetToken': () => expectError(
+        onB('put', `/api/auth/reset-password/${linkOfA('user-reset')}`).send({ password: 'Brand-New-Passw0rd' }), 400
+      ),
+      'POST /api/auth/refresh': () => expectError(
+        onB('post', '/api/auth/refresh').send({ refreshToken: refreshTokenA }), 403, 'TENANT_MISMATCH'
+      ),
+      'POST /api/candidates/login': () => expectError(
+        onB('post', '/api/candidates/login').send({ email: dataA.candidate.personalInfo.email, password: CANDIDATE_PASSWORD }), 401
+      ),
+      'POST /api/candidates/login/password': () => expectError(
+        onB('post', '/api/candidates/login/password').send({
+          challengeToken: issuePasswordChangeToken({ subjectType: 'candidate', subject: dataA.candidate, tenant: tenantA }),
+          newPassword: 'Brand-New-Passw0rd'
+        }),
+        401, 'INVALID_CHALLENGE'
+      ),
+      'GET /api/candidates/verify-email/:token': () => expectError(
+        onB('get', `/api/candidates/verify-email/${linkOfA('candidate-verification')}`), 400, 'INVALID_VERIFICATION_TOKEN'
+      ),
+      'POST /api/candidates/verify-email/:token': () => expectError(
+        onB('post', `/api/candidates/verify-email/${linkOfA('candidate-verification')}`), 400, 'INVALID_VERIFICATION_TOKEN'
+      ),
+      'POST /api/candidates/resend-verification': async () => {
+        await onB('post', '/api/candidates/resend-verification').send({ email: pendingCandidate.personalInfo.email }).expect(200);
+        expect(sentEmails()).toHaveLength(0);
+      },
+      'POST /api/candidates/forgot-password': async () => {
+        await onB('post', '/api/candidates/forgot-password').send({ email: pendingCandidate.personalInfo.email }).expect(200);
+        expect(sentEmails()).toHaveLength(0);
+      },
+      'PUT /api/candidates/reset-password/:resetToken': () => expectError(
+        onB('put', `/api/candidates/reset-password/${linkOfA('candidate-reset')}`).send({ password: 'Brand-New-Passw0rd' }),
+        400, 'INVALID_RESET_TOKEN'
+      ),
+      'POST /api/candidates/apply/:jobId': async () => {
+        await onB('post', `/api/candidates/apply/${dataA.job._id}`).set(bearer(candidateTokenA)).send({}).expect(404);
+
+        await withTenantDB(tenantA.subdomain, async (connection) => {
+          const Application = require('../models/tenant/Application')(connection);
+          expect(await Application.countDocuments({ jobDescriptionId: dataA.job._id })).toBe(0);
+        });
+      },
+      // Signing up on B with an address that has an account on A creates B's own account and leaves A's alone
+      'POST /api/candidates/register': async () => {
+        await onB('post', '/api/candidates/register').send({
+          personalInfo: { firstName: 'Namesake', lastName: 'Jones', email: dataA.candidate.personalInfo.email, phone: '+1 555 0199' },
+          account: { password: 'Namesake-Passw0rd' }
+        }).expect(201);
+
+        await api().post('/api/candidates/login').set('Host', hostFor(tenantA.subdomain))
+          .send({ email: dataA.candidate.personalInfo.email, password: CANDIDATE_PASSWORD }).expect(200);
+      },
+      'GET /api/jobs/public/:shareableLink': () => expectError(
+        onB('get', `/api/jobs/public/${dataA.job.shareableLink}`), 404
+      ),
+      'GET /api/public/branding': async () => {
+        const res = await onB('get', '/api/public/branding').expect(200);
+        expect(res.body.data.branding).toMatchObject({ companyName: `Globex ${tenancyMode}`, subdomain: tenantB.subdomain });
+      },
+      'GET /api/public/password-policy': async () => {
+        const res = await onB('get', '/api/public/password-policy').expect(200);
+        expect(res.body.data.policy.staff.minLength).toBe(8);
+      },
+      'GET /api/sso': async () => {
+        const res = await onB('get', '/api/sso').expect(200);
+        expect(res.body.data).toEqual({ enabled: false });
+      },
+      'GET /api/sso/login': () => expectError(onB('get', '/api/sso/login'), 404, 'SSO_NOT_CONFIGURED'),
+      'GET /api/sso/oidc/callback': () => expectSsoError(
+        onB('get', '/api/sso/oidc/callback').query({ code: 'code-of-a', state: ssoStateOfA('oidc') })
+      ),
+      'POST /api/sso/saml/acs': () => expectSsoError(
+        onB('post', '/api/sso/saml/acs').type('form').send({ SAMLResponse: 'response-of-a', RelayState: ssoStateOfA('saml') })
+      ),
+      'POST /api/sso/exchange': async () => {
+        const SsoToken = require('../models/master/SsoToken')(dbManager.getMasterConnection());
+        const code = linkOfA('sso-code');
+        await SsoToken.create({
+          type: 'code',
+          tokenHash: hashToken(code),
+          tenantId: tenantA.id,
+          userId: dataA.recruiter._id,
+          expiresAt: new Date(Date.now() + 60 * 1000)
+        });
+
+        await expectError(onB('post', '/api/sso/exchange').send({ code }), 400, 'SSO_INVALID_CODE');
+        expect(await SsoToken.exists({ tokenHash: hashToken(code) })).toBeTruthy();
+      },
+      'GET /api/sso/saml/metadata': () => expectError(onB('get', '/api/sso/saml/metadata'), 403)
+    };
+
+    beforeAll(async () => {
+      await withTenantDB(tenantA.subdomain, async (connection) => {
+        const User = require('../models/tenant/User')(connection);
+        const Candidate = require('../models/tenant/Candidate')(connection);
+        const expire = new Date(Date.now() + 60 * 60 * 1000);
+
+        pendingUser = await User.create({
+          name: 'Pending Recruiter',
+          email: `pending@${tenantA.subdomain}.com`,
+          password: PENDING_PASSWORD,
+          role: 'recruiter',
+          department: 'recruitment',
+          isEmailVerified: false,
+          invitationToken: hashToken(linkOfA('invitation')),
+          invitationExpire: expire,
+          emailVerificationToken: hashToken(linkOfA('user-verification')),
+          emailVerificationExpire: expire,
+          resetPasswordToken: hashToken(linkOfA('user-reset')),
+          resetPasswordExpire: expire
+        });
+
+        pendingCandidate = await Candidate.create({
+          personalInfo: { firstName: 'Pat', lastName: 'Pending', email: `pat@${tenantA.subdomain}.com`, phone: '+1 555 0102' },
+          account: {
+            password: PENDING_PASSWORD,
+            isEmailVerified: false,
+            emailVerificationToken: hashToken(linkOfA('candidate-verification')),
+            emailVerificationExpire: expire,
+            resetPasswordToken: hashToken(linkOfA('candidate-reset')),
+            resetPasswordExpire: expire
+          }
+        });
+      });
+
+      const login = await api().post('/api/auth/login').set('Host', hostFor(tenantA.subdomain))
+        .send({ email: dataA.recruiter.email, password: RECRUITER_PASSWORD }).expect(200);
+      refreshTokenA = login.body.data.refreshToken;
+
+      await api().put('/api/settings/password-policy').set('Host', hostFor(tenantA.subdomain)).set(bearer(tenantA.admin.token))
+        .send({ staff: { minLength: 14 } }).expect(200);
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('all have a case', () => {
+      const publicRoutes = listTenantRoutes().filter(route => !route.isProtected).map(route => `${route.method} ${route.path}`);
+
+      expect(Object.keys(cases).sort()).toEqual(publicRoutes.sort());
+    });
+
+    it.each(Object.keys(cases))("%s refuses tenant A's data on tenant B's host", async (route) => {
+      await cases[route]();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const dbManager = require('../config/database');
+const {
+  api,
+  bearer,
+  resetDatabases,
+  closeConnections,
+  getTenantModel,
+  withTenantDB,
+  registerSuperAdmin,
+  createTenant
+} = require('./helpers');
+
+// The same server as MONGODB_URI under another name, which the host comparison cannot tell apart
+const aliasClusterUri = () => {
+  const uri = process.env.MONGODB_URI;
+  return uri.includes('127.0.0.1') ? uri.replace('127.0.0.1', 'localhost') : uri.replace('localhost', '127.0.0.1');
+};
+
+const countUsers = (subdomain) => {
+  return withTenantDB(subdomain, (connection) => require('../models/tenant/User')(connection).countDocuments());
+};
+
+const getTenancy = async (subdomain) => {
+  const tenant = await getTenantModel().findOne({ subdomain }).lean();
+  return tenant.tenancy;
+};
+
+describe('tenant storage moves', () => {
+  let superAdminToken;
+
+  const superAdmin = (method, path) => api()[method](`/api/super-admin${path}`).set(bearer(superAdminToken));
+
+  beforeAll(async () => {
+    await resetDatabases();
+    superAdminToken = await registerSuperAdmin();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeConnections();
+  });
+
+  describe('to another cluster', () => {
+    let tenant;
+
+    beforeAll(async () => {
+      tenant = await createTenant(superAdminToken, { companyName: 'Cyberdyne' });
+    });
+
+    it('refuses a cluster URI that reaches the current database and keeps its data', async () => {
+      const users = await countUsers(tenant.subdomain);
+      expect(users).toBeGreaterThan(0);
+
+      const res = await superAdmin('put', `/tenants/${tenant.id}/placement`)
+        .send({ cluster: 'alias', uri: aliasClusterUri(), options: process.env.MONGODB_OPTIONS })
+        .expect(409);
+      expect(res.body.message).toBe('Tenant database is already on this cluster');
+
+      expect(await getTenancy(tenant.subdomain)).toMatchObject({ status: 'ready' });
+      expect(await countUsers(tenant.subdomain)).toBe(users);
+      await api().get('/api/auth/me').set('Host', `${tenant.subdomain}.localhost`).set(bearer(tenant.admin.token)).expect(200);
+    });
+  });
+
+  it('answers a retryable 503 when a move starts while a request resolves its tenant', async () => {
+    const tenant = await createTenant(superAdminToken, { companyName: 'Weyland' });
+    jest.spyOn(dbManager, 'leaseTenantDB').mockRejectedValueOnce(Object.assign(
+      new Error(`Tenant storage is being migrated: ${tenant.subdomain}`),
+      { statusCode: 503, code: 'TENANT_MIGRATING' }
+    ));
+
+    const res = await api().get('/api/auth/me').set('Host', `${tenant.subdomain}.localhost`).set(bearer(tenant.admin.token)).expect(503);
+    expect(res.body.code).toBe('TENANT_MIGRATING');
+
+    await api().get('/api/auth/me').set('Host', `${tenant.subdomain}.localhost`).set(bearer(tenant.admin.token)).expect(200);
+  });
+
+  describe('between dedicated and shared storage', () => {
+    let tenant;
+
+    beforeAll(async () => {
+      tenant = await createTenant(superAdminToken, { companyName: 'Tyrell' });
+    });
+
+    it('records a failed copy and removes the partial target', async () => {
+      const users = await countUsers(tenant.subdomain);
+      jest.spyOn(dbManager, 'initializeTenantCollections').mockRejectedValueOnce(new Error('Index build failed'));
+
+      const res = await superAdmin('post', `/tenants/${tenant.id}/tenancy`).send({ mode: 'shared' }).expect(500);
+      expect(res.body.error).toBe('Index build failed');
+
+      expect(await getTenancy(tenant.subdomain)).toMatchObject({ mode: 'dedicated', status: 'failed', lastError: 'Index build failed' });
+      expect(await countUsers(tenant.subdomain)).toBe(users);
+
+      const shared = await dbManager.getSharedConnection();
+      const leftovers = await shared.useDb(dbManager.sharedDbName).collection('users').countDocuments({ tenantId: new mongoose.Types.ObjectId(tenant.id) });
+      expect(leftovers).toBe(0);
+    });
+
+    it('can be retried after a failure', async () => {
+      await superAdmin('post', `/tenants/${tenant.id}/tenancy`).send({ mode: 'shared' }).expect(200);
+
+      expect(await getTenancy(tenant.subdomain)).toMatchObject({ mode: 'shared', status: 'ready' });
+      expect(await countUsers(tenant.subdomain)).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dbManager = require('../config/database');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const DEFAULT_ACCESS_TOKEN_EXPIRE = '15m';
+const DEFAULT_REFRESH_TOKEN_EXPIRE = '30d';
+
+const sessionError = (message, statusCode, code) => Object.assign(new Error(message), { statusCode, code });
+
+const getSessionModel = () => require('../models/master/AuthSession')(dbManager.getMasterConnection());
+
+const hashTokenId = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+const newTokenId = () => crypto.randomBytes(32).toString('hex');
+
+// Refresh tokens carry type "refresh", so an access token is never accepted in their place
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Access token claims per kind of subject (the claims protect expects, plus the session id)
+const buildClaims = (session, subject, tenant) => {
+  if (session.subjectType === 'super_admin') {
+    return { id: subject._id, role: 'super_admin', sid: session._id };
+  }
+  if (session.subjectType === 'candidate') {
+    return { id: subject._id, tenant: tenant.subdomain, type: 'candidate', sid: session._id };
+  }
+  return { id: subject._id, role: subject.role, tenant: tenant.subdomain, sid: session._id };
+};
+
+// Short-lived access token for an existing session
+const issueAccessToken = (session, subject, tenant) => {
+  return jwt.sign(buildClaims(session, subject, tenant), process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRE
+  });
+};
+
+const signRefreshToken = (sessionId, jti) => {
+  const refreshToken = jwt.sign({ sid: sessionId, jti, type: 'refresh' }, getRefreshSecret(), {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || DEFAULT_REFRESH_TOKEN_EXPIRE
+  });
+  return { refreshToken, expiresAt: new Date(jwt.decode(refreshToken).exp * 1000) };
+};
+
+// Session filter for everything a subject is signed in with
+const subjectFilter = ({ subjectType, subjectId, tenantId }) => ({
+  subjectType,
+  subjectId,
+  tenantId: subjectType === 'super_admin' ? null : tenantId
+});
+
+// Subject of an authenticated request (after protect)
+const getRequestSubject = (req) => ({
+  subjectType: req.user.role === 'super_admin' ? 'super_admin' : (req.userType === 'candidate' ? 'candidate' : 'user'),
+  subjectId: req.user._id,
+  tenantId: req.tenant ? req.tenant._id : null
+});
+
+// Sign in: create a session and return its first access and refresh tokens
+const startSession = async (req, { subjectType, subject, tenant }) => {
+  const AuthSession = getSessionModel();
+  const jti = newTokenId();
+  const session = new AuthSession({
+    subjectType,
+    subjectId: subject._id,
+    tenantId: tenant ? tenant._id : undefined,
+    refreshTokenHash: hashTokenId(jti),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    lastIp: req.ip
+  });
+
+  const { refreshToken, expiresAt } = signRefreshToken(session._id, jti);
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  return {
+    token: issueAccessToken(session, subject, tenant),
+    refreshToken,
+    session
+  };
+};
+
+const revokeSession = async (sessionId, reason) => {
+  await getSessionModel().updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// End every session of a subject, optionally keeping one (e.g. the one that changed the password)
+const revokeSubjectSessions = async (subject, reason, { except } = {}) => {
+  const filter = { ...subjectFilter(subject), revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await getSessionModel().updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+// A refresh token that is valid but no longer current was stolen or replayed: end the whole session
+const handleReuse = async (req, session) => {
+  await revokeSession(session._id, 'reuse_detected');
+  await recordSecurityEvent(req, {
+    type: 'REFRESH_TOKEN_REUSE',
+    severity: 'high',
+    message: `Refresh token reused for ${session.subjectType} session ${session._id}; session revoked`,
+    decoded: {
+      id: session.subjectId,
+      type: session.subjectType === 'candidate' ? 'candidate' : undefined,
+      role: session.subjectType === 'super_admin' ? 'super_admin' : undefined
+    }
+  });
+
+  return sessionError('Refresh token has already been used. Please sign in again.', 401, 'REFRESH_TOKEN_REUSED');
+};
+
+// Current subject and tenant of a session; ends the session if the account is gone or inactive
+const loadSessionSubject = async (req, session) => {
+  const master = dbManager.getMasterConnection();
+
+  if (session.subjectType === 'super_admin') {
+    const superAdmin = await require('../models/master/SuperAdmin')(master).findById(session.subjectId);
+    if (!superAdmin || !superAdmin.isActive) {
+      await revokeSession(session._id, 'deactivated');
+      throw sessionError('Account is inactive', 401, 'ACCOUNT_INACTIVE');
+    }
+    return { subject: superAdmin, tenant: null };
+  }
+
+  const tenant = await require('../models/master/Tenant')(master).findById(session.tenantId);
+  if (!tenant || !tenant.isActive) {
+    throw sessionError('Tenant not found or inactive', 401, 'TENANT_NOT_FOUND');
+  }
+
+  if (req.tenant && !req.tenant._id.equals(tenant._id)) {
+    await recordSecurityEvent(req, {
+      type: 'TENANT_MISMATCH',
+      severity: 'high',
+      message: `Refresh token for tenant "${tenant.subdomain}" used with host tenant "${req.tenant.subdomain}"`,
+      tenants: { token: tenant.subdomain, host: req.tenant.subdomain },
+      decoded: { id: session.subjectId, type: session.subjectType === 'candidate' ? 'candidate' : undefined }
+    });
+    throw sessionError('Token is not valid for this tenant', 403, 'TENANT_MISMATCH');
+  }
+
+  const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+  let subject;
+
+  try {
+    const Model = session.subjectType === 'candidate'
+      ? require('../models/tenant/Candidate')(connection)
+      : require('../models/tenant/User')(connection);
+    subject = await Model.findById(session.subjectId);
+  } finally {
+    release();
+  }
+
+  const isActive = subject && (session.subjectType === 'candidate' ? subject.account.isActive : subject.isActive);
+  if (!isActive) {
+    await revokeSession(session._id, 'deactivated');
+    throw sessionError('Account is inactive', 401, 'ACCOUNT_INACTIVE');
+  }
+
+  return { subject, tenant };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token (the old one stops working)
+const refreshSession = async (req, refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken || '', getRefreshSecret());
+  } catch (error) {
+    throw sessionError('Invalid or expired refresh token', 401, 'REFRESH_TOKEN_INVALID');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+    throw sessionError('Invalid or expired refresh token', 401, 'REFRESH_TOKEN_INVALID');
+  }
+
+  const AuthSession = getSessionModel();
+  const presentedHash = hashTokenId(decoded.jti);
+  const session = await AuthSession.findById(decoded.sid).select('+refreshTokenHash');
+
+  if (!session || !session.isActive) {
+    throw sessionError('Session has ended. Please sign in again.', 401, 'SESSION_REVOKED');
+  }
+  if (session.refreshTokenHash !== presentedHash) {
+    throw await handleReuse(req, session);
+  }
+
+  // Checked before rotating, so a temporary failure (e.g. tenant migrating) does not burn the token
+  const { subject, tenant } = await loadSessionSubject(req, session);
+
+  const jti = newTokenId();
+  const next = signRefreshToken(session._id, jti);
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashTokenId(jti),
+        lastUsedAt: new Date(),
+        lastIp: req.ip,
+        expiresAt: next.expiresAt
+      },
+      $inc: { rotations: 1 }
+    },
+    { new: true }
+  );
+
+  // Another request rotated with the same token first
+  if (!rotated) {
+    throw await handleReuse(req, session);
+  }
+
+  return {
+    token: issueAccessToken(rotated, subject, tenant),
+    refreshToken: next.refreshToken
+  };
+};
+
+// Session behind an access token; throws SESSION_REVOKED once it is revoked or expired
+const verifySession = async (decoded) => {
+  const session = decoded.sid ? await getSessionModel().findById(decoded.sid) : null;
+
+  if (!session || !session.isActive || session.subjectId.toString() !== String(decoded.id)) {
+    throw sessionError('Session has ended. Please sign in again.', 401, 'SESSION_REVOKED');
+  }
+
+  return session;
+};
+
+// Active sessions of a subject, most recently used first
+const listSessions = async (subject) => {
+  return getSessionModel()
+    .find({ ...subjectFilter(subject), revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Revoke one of the subject's own sessions
+const revokeOwnSession = async (subject, sessionId) => {
+  const session = await getSessionModel().findOneAndUpdate(
+    { ...subjectFilter(subject), _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'revoked' } },
+    { new: true }
+  );
+
+  if (!session) {
+    throw sessionError('Session not found', 404);
+  }
+  return session;
+};
+
+module.exports = {
+  getRequestSubject,
+  startSession,
+  issueAccessToken,
+  refreshSession,
+  verifySession,
+  listSessions,
+  revokeSession,
+  revokeOwnSession,
+  revokeSubjectSessions
+};
@@ -0,0 +1,437 @@
+const dbManager = require('../config/database');
+const { ADD_ONS, PRICE_BOOKS } = require('../config/billing');
+const { PLANS } = require('../config/plans');
+const { getPeriodKey, recordPeakUsage } = require('./quota');
+const { getPaymentProvider } = require('./paymentProviders');
+
+const DEFAULT_DUE_DAYS = 14;
+const DEFAULT_BILLING_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const CHARGEABLE_STATUSES = ['open', 'payment_failed'];
+
+let billingTimer = null;
+
+const billingError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const getModels = () => {
+  const connection = dbManager.getMasterConnection();
+  return {
+    Tenant: require('../models/master/Tenant')(connection),
+    TenantUsage: require('../models/master/TenantUsage')(connection),
+    PriceBook: require('../models/master/PriceBook')(connection),
+    Invoice: require('../models/master/Invoice')(connection)
+  };
+};
+
+// Record the active recruiters as this period's seat usage if it is the highest so far.
+// Called when recruiters are added or reactivated and on every billing run; never fails the caller.
+const recordRecruiterSeats = async (tenant, db) => {
+  try {
+    const seats = await require('../models/tenant/User')(db).countDocuments({ role: 'recruiter', isActive: true });
+    await recordPeakUsage(tenant, 'recruiterSeats', seats);
+  } catch (error) {
+    console.error(`❌ Failed to record recruiter seats for ${tenant.subdomain}:`, error.message);
+  }
+};
+
+// Sample the seats of every tenant with a running subscription
+const recordAllRecruiterSeats = async () => {
+  const { Tenant } = getModels();
+  const tenants = await Tenant.find({
+    'provisioning.status': 'completed',
+    $or: [
+      { 'subscription.endDate': { $exists: false } },
+      { 'subscription.endDate': null },
+      { 'subscription.endDate': { $gte: new Date() } }
+    ]
+  });
+
+  for (const tenant of tenants) {
+    let lease;
+    try {
+      lease = await dbManager.leaseTenantDB(tenant.subdomain);
+    } catch (error) {
+      console.error(`❌ Failed to record recruiter seats for ${tenant.subdomain}:`, error.message);
+      continue;
+    }
+
+    try {
+      await recordRecruiterSeats(tenant, lease.connection);
+    } finally {
+      lease.release();
+    }
+  }
+};
+
+// "YYYY-MM" of the month before `date` (the period that is billed at the start of a month)
+const getPreviousPeriodKey = (date = new Date()) => {
+  return getPeriodKey(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+};
+
+const getPeriodRange = (period) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+    throw billingError('Billing period must be YYYY-MM', 400);
+  }
+
+  const [year, month] = period.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, month - 1, 1)),
+    end: new Date(Date.UTC(year, month, 1))
+  };
+};
+
+// Default price book of a plan in the same shape as a stored one
+const defaultPriceBook = (plan) => {
+  const defaults = PRICE_BOOKS[plan];
+  return {
+    plan,
+    currency: defaults.currency,
+    basePrice: defaults.basePrice,
+    addOns: Object.entries(defaults.addOns).map(([code, addOn]) => ({ code, ...addOn }))
+  };
+};
+
+// Effective price book of a plan (stored override or default)
+const getPriceBook = async (plan) => {
+  if (!PLANS[plan]) {
+    throw billingError('Unknown plan', 404);
+  }
+
+  const { PriceBook } = getModels();
+  const stored = await PriceBook.findOne({ plan }).lean();
+  return stored ? { ...stored, custom: true } : { ...defaultPriceBook(plan), custom: false };
+};
+
+const listPriceBooks = () => Promise.all(Object.keys(PLANS).map(getPriceBook));
+
+const updatePriceBook = async (plan, { currency, basePrice, addOns }, by) => {
+  const current = await getPriceBook(plan);
+  const { PriceBook } = getModels();
+
+  try {
+    return await PriceBook.findOneAndUpdate(
+      { plan },
+      {
+        $set: {
+          currency: currency === undefined ? current.currency : currency,
+          basePrice: basePrice === undefined ? current.basePrice : basePrice,
+          addOns: addOns === undefined ? current.addOns.map(({ code, included, unitPrice }) => ({ code, included, unitPrice })) : addOns,
+          updatedBy: by
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      throw billingError(error.message, 400);
+    }
+    throw error;
+  }
+};
+
+// Go back to the default price book of a plan
+const resetPriceBook = async (plan) => {
+  if (!PLANS[plan]) {
+    throw billingError('Unknown plan', 404);
+  }
+
+  const { PriceBook } = getModels();
+  await PriceBook.deleteOne({ plan });
+  return getPriceBook(plan);
+};
+
+// Line items for one tenant and period: the plan fee plus every add-on used above its included units
+const buildLineItems = async (tenant, period, priceBook) => {
+  const { TenantUsage } = getModels();
+  const usage = await TenantUsage.findOne({ tenantId: tenant._id, period }).lean();
+  const counters = (usage && usage.counters) || {};
+  const planName = PLANS[priceBook.plan].name;
+
+  const lineItems = [{
+    code: 'plan',
+    description: `${planName} plan (${period})`,
+    quantity: 1,
+    unitAmount: priceBook.basePrice,
+    amount: priceBook.basePrice
+  }];
+
+  for (const addOn of priceBook.addOns) {
+    const used = counters[ADD_ONS[addOn.code].usage] || 0;
+    const quantity = Math.max(0, used - (addOn.included || 0));
+
+    if (quantity > 0 && addOn.unitPrice > 0) {
+      lineItems.push({
+        code: addOn.code,
+        description: `${ADD_ONS[addOn.code].description} above ${addOn.included || 0} included`,
+        quantity,
+        unitAmount: addOn.unitPrice,
+        amount: quantity * addOn.unitPrice
+      });
+    }
+  }
+
+  return lineItems;
+};
+
+const getInvoiceNumber = (tenant, period) => {
+  return `INV-${period.replace('-', '')}-${tenant._id.toString().slice(-8).toUpperCase()}`;
+};
+
+const getDueDays = () => parseInt(process.env.BILLING_DUE_DAYS) || DEFAULT_DUE_DAYS;
+
+// Create a tenant's invoice for a period. Returns null if it already exists.
+const createInvoice = async (tenant, period) => {
+  const { Invoice } = getModels();
+  const plan = (tenant.subscription && tenant.subscription.plan) || 'basic';
+  const priceBook = await getPriceBook(plan);
+  const lineItems = await buildLineItems(tenant, period, priceBook);
+  const subtotal = lineItems.reduce((total, item) => total + item.amount, 0);
+  const issuedAt = new Date();
+
+  try {
+    return await Invoice.create({
+      number: getInvoiceNumber(tenant, period),
+      tenantId: tenant._id,
+      companyName: tenant.companyName,
+      subdomain: tenant.subdomain,
+      billingEmail: (tenant.billing && tenant.billing.email) || tenant.email,
+      plan,
+      period,
+      currency: priceBook.currency,
+      lineItems,
+      subtotal,
+      total: subtotal,
+      // Nothing to collect
+      status: subtotal === 0 ? 'paid' : 'open',
+      paidAt: subtotal === 0 ? issuedAt : undefined,
+      issuedAt,
+      dueAt: new Date(issuedAt.getTime() + getDueDays() * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Invoice every tenant that had a subscription during the period (or only `tenantId`).
+// Only finished periods are invoiced: there is one invoice per period, so usage after an
+// early run would never be billed. Safe to run again: existing invoices are skipped.
+const generateInvoices = async ({ period = getPreviousPeriodKey(), tenantId } = {}) => {
+  const { Tenant } = getModels();
+  const { start, end } = getPeriodRange(period);
+
+  if (end > new Date()) {
+    throw billingError('Cannot invoice a period that has not ended', 400);
+  }
+
+  const query = {
+    'provisioning.status': 'completed',
+    'subscription.startDate': { $lt: end },
+    $or: [
+      { 'subscription.endDate': { $exists: false } },
+      { 'subscription.endDate': null },
+      { 'subscription.endDate': { $gte: start } }
+    ]
+  };
+  if (tenantId) query._id = tenantId;
+
+  const tenants = await Tenant.find(query);
+  const summary = { period, created: [], skipped: [], failed: [] };
+
+  for (const tenant of tenants) {
+    try {
+      const invoice = await createInvoice(tenant, period);
+      if (invoice) {
+        summary.created.push(invoice.number);
+      } else {
+        summary.skipped.push(tenant.subdomain);
+      }
+    } catch (error) {
+      console.error(`❌ Invoice generation failed for ${tenant.subdomain}:`, error.message);
+      summary.failed.push({ subdomain: tenant.subdomain, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// Collect an open invoice through the payment provider
+const chargeInvoice = async (invoiceId) => {
+  const { Invoice, Tenant } = getModels();
+  const provider = getPaymentProvider();
+
+  // Claim the invoice so it is never charged twice at the same time
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: invoiceId, status: { $in: CHARGEABLE_STATUSES } },
+    { $set: { status: 'processing' } }
+  );
+
+  if (!invoice) {
+    const existing = await Invoice.findById(invoiceId);
+    if (!existing) {
+      throw billingError('Invoice not found', 404);
+    }
+    throw billingError(`Invoice is ${existing.status} and cannot be charged`, 409);
+  }
+
+  let result;
+
+  try {
+    const tenant = await Tenant.findById(invoice.tenantId);
+    if (!tenant) {
+      throw billingError('Tenant not found', 404);
+    }
+
+    if (!tenant.billing || !tenant.billing.customerId) {
+      const { customerId } = await provider.createCustomer(tenant);
+      await Tenant.updateOne({ _id: tenant._id }, { $set: { 'billing.customerId': customerId } });
+      tenant.set('billing.customerId', customerId);
+    }
+
+    result = await provider.charge({
+      customerId: tenant.billing.customerId,
+      paymentMethod: tenant.billing.paymentMethod,
+      amount: invoice.total,
+      currency: invoice.currency,
+      description: `Invoice ${invoice.number}`,
+      // The same attempt is never charged twice if it has to be retried
+      idempotencyKey: `${invoice._id}:${invoice.payments.length + 1}`
+    });
+  } catch (error) {
+    // Outcome unknown: release the invoice; a retry reuses the same idempotency key
+    await Invoice.updateOne({ _id: invoice._id }, { $set: { status: invoice.status } });
+    if (error.statusCode) throw error;
+    throw billingError(`Payment provider error: ${error.message}`, 502);
+  }
+
+  const paid = result.status === 'succeeded';
+
+  return Invoice.findByIdAndUpdate(
+    invoice._id,
+    {
+      $set: {
+        status: paid ? 'paid' : 'payment_failed',
+        ...(paid && { paidAt: new Date() })
+      },
+      $push: {
+        payments: {
+          provider: provider.name,
+          reference: result.reference,
+          status: paid ? 'succeeded' : 'failed',
+          amount: invoice.total,
+          error: result.error
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Record a payment received outside the provider (e.g. bank transfer)
+const markInvoicePaid = async (invoiceId, { reference, note } = {}, by) => {
+  const { Invoice } = getModels();
+  const existing = await Invoice.findById(invoiceId);
+
+  if (!existing) {
+    throw billingError('Invoice not found', 404);
+  }
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: existing._id, status: { $in: CHARGEABLE_STATUSES } },
+    {
+      $set: { status: 'paid', paidAt: new Date() },
+      $push: {
+        payments: { provider: 'manual', reference, status: 'succeeded', amount: existing.total, note, by }
+      }
+    },
+    { new: true }
+  );
+
+  if (!invoice) {
+    throw billingError(`Invoice is ${existing.status} and cannot be marked as paid`, 409);
+  }
+
+  return invoice;
+};
+
+// Cancel an unpaid invoice. Voiding is final: the period is not invoiced again for this tenant.
+const voidInvoice = async (invoiceId, { reason } = {}) => {
+  const { Invoice } = getModels();
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: invoiceId, status: { $in: CHARGEABLE_STATUSES } },
+    { $set: { status: 'void', voidedAt: new Date(), voidReason: reason } },
+    { new: true }
+  );
+
+  if (!invoice) {
+    const existing = await Invoice.findById(invoiceId);
+    if (!existing) {
+      throw billingError('Invoice not found', 404);
+    }
+    throw billingError(`Invoice is ${existing.status} and cannot be voided`, 409);
+  }
+
+  return invoice;
+};
+
+// Sample seat usage, invoice the previous month and charge the new invoices (nothing is invoiced twice)
+const runBillingCycle = async () => {
+  const { Invoice } = getModels();
+  await recordAllRecruiterSeats();
+  const summary = await generateInvoices();
+
+  if (process.env.BILLING_AUTO_CHARGE === 'false') {
+    return summary;
+  }
+
+  const pending = await Invoice.find({ period: summary.period, status: 'open', 'payments.0': { $exists: false } }).select('_id number');
+  summary.charged = [];
+
+  for (const invoice of pending) {
+    try {
+      const charged = await chargeInvoice(invoice._id);
+      summary.charged.push({ number: charged.number, status: charged.status });
+    } catch (error) {
+      console.error(`❌ Charging invoice ${invoice.number} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+const startBillingScheduler = () => {
+  if (billingTimer) return;
+
+  const interval = parseInt(process.env.BILLING_INTERVAL_MS) || DEFAULT_BILLING_INTERVAL_MS;
+
+  billingTimer = setInterval(async () => {
+    try {
+      if (!dbManager.masterConnection) {
+        await dbManager.initializeMasterDB();
+      }
+      const summary = await runBillingCycle();
+      if (summary.created.length) {
+        console.log(`🧾 Generated ${summary.created.length} invoices for ${summary.period}`);
+      }
+    } catch (error) {
+      console.error('❌ Billing run failed:', error.message);
+    }
+  }, interval);
+
+  if (billingTimer.unref) billingTimer.unref();
+};
+
+module.exports = {
+  getPreviousPeriodKey,
+  recordRecruiterSeats,
+  getPriceBook,
+  listPriceBooks,
+  updatePriceBook,
+  resetPriceBook,
+  generateInvoices,
+  chargeInvoice,
+  markInvoicePaid,
+  voidInvoice,
+  runBillingCycle,
+  startBillingScheduler
+};
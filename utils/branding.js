@@ -0,0 +1,132 @@
+const { cloudinary } = require('./cloudinary');
+
+const MB = 1024 * 1024;
+
+// Uploadable branding images and their size limits
+const BRANDING_IMAGES = {
+  logo: { maxBytes: 2 * MB },
+  wallpaper: { maxBytes: 5 * MB }
+};
+
+const HEX_COLOR = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+const THEMES = ['light', 'dark'];
+
+const brandingError = (message, statusCode, errors) => Object.assign(new Error(message), { statusCode, errors });
+
+// Branding safe to show on public pages and in emails (no Cloudinary IDs)
+const formatBranding = (tenant) => {
+  const branding = tenant.branding || {};
+
+  return {
+    companyName: tenant.companyName,
+    subdomain: tenant.subdomain,
+    logoUrl: (branding.logo && branding.logo.url) || null,
+    wallpaperUrl: (branding.wallpaper && branding.wallpaper.url) || null,
+    primaryColor: branding.primaryColor,
+    secondaryColor: branding.secondaryColor,
+    theme: branding.theme
+  };
+};
+
+// Remove an image from Cloudinary; failures only leave an orphaned asset, so they are logged
+const destroyAsset = async (publicId) => {
+  if (!publicId) return;
+
+  try {
+    await cloudinary.uploader.destroy(publicId, { invalidate: true });
+  } catch (error) {
+    console.error(`❌ Failed to delete branding asset ${publicId}:`, error.message);
+  }
+};
+
+const getUploadedImages = (files) => {
+  const images = {};
+
+  for (const name of Object.keys(BRANDING_IMAGES)) {
+    if (files && files[name] && files[name][0]) {
+      images[name] = files[name][0];
+    }
+  }
+
+  return images;
+};
+
+// Apply colour/theme changes and newly uploaded images; replaced images are deleted afterwards
+const updateBranding = async (tenant, { fields = {}, files } = {}) => {
+  const images = getUploadedImages(files);
+  const errors = [];
+
+  for (const key of ['primaryColor', 'secondaryColor']) {
+    if (fields[key] !== undefined && !HEX_COLOR.test(fields[key])) {
+      errors.push({ field: key, message: 'must be a hex colour such as #1a73e8' });
+    }
+  }
+
+  if (fields.theme !== undefined && !THEMES.includes(fields.theme)) {
+    errors.push({ field: 'theme', message: `must be one of ${THEMES.join(', ')}` });
+  }
+
+  for (const [name, file] of Object.entries(images)) {
+    if (file.size > BRANDING_IMAGES[name].maxBytes) {
+      errors.push({ field: name, message: `must be at most ${BRANDING_IMAGES[name].maxBytes / MB}MB` });
+    }
+  }
+
+  if (errors.length) {
+    await Promise.all(Object.values(images).map(file => destroyAsset(file.filename)));
+    throw brandingError('Invalid branding', 400, errors);
+  }
+
+  const replaced = [];
+
+  for (const key of ['primaryColor', 'secondaryColor', 'theme']) {
+    if (fields[key] !== undefined) {
+      tenant.set(`branding.${key}`, fields[key]);
+    }
+  }
+
+  for (const [name, file] of Object.entries(images)) {
+    const current = tenant.branding[name];
+    if (current && current.publicId) replaced.push(current.publicId);
+
+    tenant.set(`branding.${name}`, { url: file.path, publicId: file.filename });
+  }
+
+  try {
+    await tenant.save();
+  } catch (error) {
+    await Promise.all(Object.values(images).map(file => destroyAsset(file.filename)));
+    throw error;
+  }
+
+  await Promise.all(replaced.map(destroyAsset));
+
+  return formatBranding(tenant);
+};
+
+// Remove the logo or wallpaper
+const removeBrandingImage = async (tenant, name) => {
+  if (!BRANDING_IMAGES[name]) {
+    throw brandingError(`Unknown branding image "${name}"`, 400);
+  }
+
+  const current = tenant.branding[name];
+  if (!current || !current.url) {
+    throw brandingError(`No ${name} to remove`, 404);
+  }
+
+  const { publicId } = current;
+  tenant.set(`branding.${name}`, {});
+  await tenant.save();
+
+  await destroyAsset(publicId);
+
+  return formatBranding(tenant);
+};
+
+module.exports = {
+  BRANDING_IMAGES,
+  formatBranding,
+  updateBranding,
+  removeBrandingImage
+};
@@ -9,41 +9,64 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Configure storage
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'recruiter-ai/candidates',
-    allowed_formats: ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png'],
-    resource_type: 'auto',
-    public_id: (req, file) => {
-      const candidateId = req.user._id;
-      const timestamp = Date.now();
-      return `${candidateId}_${timestamp}`;
+// Build a multer instance that stores files in Cloudinary
+const createUpload = ({ folder, allowedFormats, mimeTypes, typeError, resourceType = 'auto', maxFileSize, publicId }) => {
+  const storage = new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: {
+      folder,
+      allowed_formats: allowedFormats,
+      resource_type: resourceType,
+      public_id: publicId
     }
-  }
-});
+  });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/pdf' || 
-      file.mimetype === 'application/msword' ||
-      file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-      file.mimetype === 'image/jpeg' ||
-      file.mimetype === 'image/png') {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, JPG, and PNG files are allowed.'), false);
-  }
+  const fileFilter = (req, file, cb) => {
+    if (mimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error(typeError), { statusCode: 400 }), false);
+    }
+  };
+
+  return multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: maxFileSize
+    }
+  });
 };
 
-// Create multer upload instance
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+// Candidate documents
+const upload = createUpload({
+  folder: 'recruiter-ai/candidates',
+  allowedFormats: ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png'],
+  mimeTypes: [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'image/jpeg',
+    'image/png'
+  ],
+  typeError: 'Invalid file type. Only PDF, DOC, DOCX, JPG, and PNG files are allowed.',
+  maxFileSize: 5 * 1024 * 1024, // 5MB limit
+  publicId: (req, file) => {
+    const candidateId = req.user._id;
+    const timestamp = Date.now();
+    return `${candidateId}_${timestamp}`;
   }
 });
 
-module.exports = { cloudinary, upload };
\ No newline at end of file
+// Tenant branding images (logo, wallpaper); per-image size limits are checked in utils/branding
+const brandingUpload = createUpload({
+  folder: 'recruiter-ai/branding',
+  allowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  typeError: 'Invalid image type. Only JPG, PNG and WEBP images are allowed.',
+  resourceType: 'image',
+  maxFileSize: 5 * 1024 * 1024, // largest allowed branding image
+  publicId: (req, file) => `${req.tenant.subdomain}_${file.fieldname}_${Date.now()}`
+});
+
+module.exports = { cloudinary, upload, brandingUpload };
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const dbManager = require('../config/database');
+
+// Hosts served by the platform itself; these can never be claimed as custom domains
+const PLATFORM_DOMAINS = ['localhost', 'lvh.me', 'myapp.com'];
+
+// DNS TXT record used to prove domain ownership
+const VERIFICATION_RECORD_PREFIX = '_recruiter-verification';
+const VERIFICATION_VALUE_PREFIX = 'recruiter-verification=';
+
+let txtResolver = null;
+
+const domainError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Default resolver; DNS_VERIFICATION_SERVERS (e.g. "127.0.0.1:5353") points it at a local stub
+const createDefaultResolver = () => {
+  const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+
+  if (process.env.DNS_VERIFICATION_SERVERS) {
+    resolver.setServers(
+      process.env.DNS_VERIFICATION_SERVERS.split(',').map(server => server.trim()).filter(Boolean)
+    );
+  }
+
+  return (name) => resolver.resolveTxt(name);
+};
+
+// Replace the TXT lookup function (resolves to an array of string chunk arrays, like dns.resolveTxt)
+const setTxtResolver = (resolveTxt) => {
+  txtResolver = resolveTxt;
+};
+
+const resolveTxt = (name) => {
+  if (!txtResolver) {
+    txtResolver = createDefaultResolver();
+  }
+  return txtResolver(name);
+};
+
+// Lowercase and strip scheme, port, path and trailing dot
+const normalizeDomain = (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split('/')[0]
+    .split(':')[0]
+    .replace(/\.$/, '') || null;
+};
+
+const isPlatformDomain = (domain) => {
+  return PLATFORM_DOMAINS.some(base => domain === base || domain.endsWith(`.${base}`));
+};
+
+const getDnsRecord = (entry) => ({
+  type: 'TXT',
+  name: `${VERIFICATION_RECORD_PREFIX}.${entry.domain}`,
+  value: `${VERIFICATION_VALUE_PREFIX}${entry.verificationToken}`
+});
+
+// Public representation of a custom domain entry
+const formatCustomDomain = (entry) => ({
+  domain: entry.domain,
+  status: entry.status,
+  verifiedAt: entry.verifiedAt,
+  lastCheckedAt: entry.lastCheckedAt,
+  lastError: entry.lastError,
+  createdAt: entry.createdAt,
+  dnsRecord: getDnsRecord(entry)
+});
+
+// Register a new (pending) custom domain on a tenant
+const addCustomDomain = async (tenant, value) => {
+  const domain = normalizeDomain(value);
+
+  if (!domain) {
+    throw domainError('Please provide a domain', 400);
+  }
+
+  if (isPlatformDomain(domain)) {
+    throw domainError('Platform domains cannot be registered as custom domains', 400);
+  }
+
+  if (tenant.getCustomDomain(domain)) {
+    throw domainError('Domain is already registered for this tenant', 400);
+  }
+
+  // Pending claims prove nothing, so only another tenant's verified domain blocks a new claim
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const owner = await Tenant.exists({
+    _id: { $ne: tenant._id },
+    customDomains: { $elemMatch: { domain, status: 'verified' } }
+  });
+
+  if (owner) {
+    throw domainError('Domain is already verified by another tenant', 409);
+  }
+
+  tenant.customDomains.push({
+    domain,
+    verificationToken: crypto.randomBytes(16).toString('hex')
+  });
+  await tenant.save();
+
+  return tenant.getCustomDomain(domain);
+};
+
+// Check the DNS TXT challenge and mark the domain verified when it matches
+const verifyCustomDomain = async (tenant, value) => {
+  const domain = normalizeDomain(value);
+  const entry = domain && tenant.getCustomDomain(domain);
+
+  if (!entry) {
+    throw domainError('Domain not found for this tenant', 404);
+  }
+
+  const record = getDnsRecord(entry);
+  let values = [];
+
+  try {
+    const records = await resolveTxt(record.name);
+    values = records.map(chunks => (Array.isArray(chunks) ? chunks.join('') : String(chunks)));
+  } catch (error) {
+    // No record yet is a normal "not verified" outcome, anything else is a lookup failure
+    if (!['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+      entry.lastCheckedAt = new Date();
+      entry.lastError = `DNS lookup failed: ${error.code || error.message}`;
+      await tenant.save();
+      throw domainError(entry.lastError, 502);
+    }
+  }
+
+  entry.lastCheckedAt = new Date();
+
+  if (!values.includes(record.value)) {
+    entry.lastError = `TXT record ${record.name} not found or does not match`;
+    await tenant.save();
+    return entry;
+  }
+
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const owner = await Tenant.exists({
+    _id: { $ne: tenant._id },
+    customDomains: { $elemMatch: { domain, status: 'verified' } }
+  });
+
+  if (owner) {
+    entry.lastError = 'Domain is already verified by another tenant';
+    await tenant.save();
+    throw domainError(entry.lastError, 409);
+  }
+
+  const previous = { status: entry.status, verifiedAt: entry.verifiedAt };
+  entry.status = 'verified';
+  entry.verifiedAt = entry.verifiedAt || new Date();
+  entry.lastError = undefined;
+
+  try {
+    await tenant.save();
+  } catch (error) {
+    // Another tenant verified the domain between the check above and this save
+    if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.verifiedDomains) throw error;
+
+    Object.assign(entry, previous);
+    entry.lastError = 'Domain is already verified by another tenant';
+    await tenant.save();
+    throw domainError(entry.lastError, 409);
+  }
+
+  // Whoever controls the DNS owns the domain: other tenants' pending claims are dropped
+  const claimants = await Tenant.find({ _id: { $ne: tenant._id }, 'customDomains.domain': domain });
+  for (const claimant of claimants) {
+    const claim = claimant.getCustomDomain(domain);
+    if (claim && claim.status === 'pending') {
+      claimant.customDomains.pull(claim._id);
+      await claimant.save();
+    }
+  }
+
+  return entry;
+};
+
+const removeCustomDomain = async (tenant, value) => {
+  const domain = normalizeDomain(value);
+  const entry = domain && tenant.getCustomDomain(domain);
+
+  if (!entry) {
+    throw domainError('Domain not found for this tenant', 404);
+  }
+
+  tenant.customDomains.pull(entry._id);
+  await tenant.save();
+
+  return entry;
+};
+
+// CORS check for browser origins served from a tenant's verified custom domain
+const isAllowedCustomDomainOrigin = async (origin) => {
+  if (!dbManager.masterConnection) {
+    await dbManager.initializeMasterDB();
+  }
+
+  // Lazy require: the tenant cache depends on this module
+  const { getTenantByCustomDomain } = require('./tenantCache');
+  const tenant = await getTenantByCustomDomain(origin);
+  return !!(tenant && tenant.isActive);
+};
+
+module.exports = {
+  PLATFORM_DOMAINS,
+  setTxtResolver,
+  normalizeDomain,
+  isPlatformDomain,
+  getDnsRecord,
+  formatCustomDomain,
+  addCustomDomain,
+  verifyCustomDomain,
+  removeCustomDomain,
+  isAllowedCustomDomainOrigin
+};
@@ -13,6 +13,18 @@ const createTransporter = () => {
   });
 };
 
+// Tenant logo for candidate-facing emails (branding as returned by utils/branding formatBranding)
+const brandingHeader = (branding) => {
+  if (!branding || !branding.logoUrl) return '';
+
+  return `
+        <div style="text-align: center; margin-bottom: 20px;">
+          <img src="${branding.logoUrl}" alt="${branding.companyName}" style="max-height: 60px;">
+        </div>`;
+};
+
+const brandColor = (branding) => (branding && branding.primaryColor) || '#007bff';
+
 // Email templates
 const emailTemplates = {
   'tenant-welcome': (data) => ({
@@ -117,8 +129,8 @@ const emailTemplates = {
   'application-received': (data) => ({
     subject: `Application Received - ${data.jobTitle}`,
     html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #333;">Application Received</h2>
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">${brandingHeader(data.branding)}
+        <h2 style="color: ${brandColor(data.branding)};">Application Received</h2>
         
         <p>Dear ${data.candidateName},</p>
         
@@ -139,6 +151,106 @@ const emailTemplates = {
         ${data.companyName} Recruitment Team</p>
       </div>
     `
+  }),
+
+  'candidate-password-reset': (data) => ({
+    subject: `Reset your ${data.companyName} candidate password`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">${brandingHeader(data.branding)}
+        <h2 style="color: ${brandColor(data.branding)};">Reset Your Password</h2>
+        
+        <p>Hello ${data.name},</p>
+        
+        <p>We received a request to reset the password of your <strong>${data.companyName}</strong> candidate account. Click the link below to choose a new password:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.resetUrl}" style="background-color: ${brandColor(data.branding)}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Reset Password
+          </a>
+        </div>
+        
+        <p>This link will expire in 1 hour.</p>
+        
+        <p>If you did not request this, please ignore this email. Your password will not change.</p>
+        
+        <p>Best regards,<br>
+        ${data.companyName} Recruitment Team</p>
+      </div>
+    `
+  }),
+
+  'candidate-email-verification': (data) => ({
+    subject: `Confirm your email for ${data.companyName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">${brandingHeader(data.branding)}
+        <h2 style="color: ${brandColor(data.branding)};">Confirm Your Email</h2>
+        
+        <p>Hello ${data.name},</p>
+        
+        <p>Please confirm your email address to sign in to your <strong>${data.companyName}</strong> candidate account:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.verificationUrl}" style="background-color: ${brandColor(data.branding)}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Confirm Email
+          </a>
+        </div>
+        
+        <p>This link will expire in 24 hours.</p>
+        
+        <p>Best regards,<br>
+        ${data.companyName} Recruitment Team</p>
+      </div>
+    `
+  }),
+
+  'user-email-verification': (data) => ({
+    subject: `Confirm your email for ${data.companyName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">${brandingHeader(data.branding)}
+        <h2 style="color: ${brandColor(data.branding)};">Confirm Your Email</h2>
+        
+        <p>Hello ${data.name},</p>
+        
+        <p>Please confirm your email address to sign in to your <strong>${data.companyName}</strong> account:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.verificationUrl}" style="background-color: ${brandColor(data.branding)}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Confirm Email
+          </a>
+        </div>
+        
+        <p>This link will expire in 24 hours. If you did not expect this email, you can ignore it.</p>
+        
+        <p>Best regards,<br>
+        The ${process.env.APP_NAME || 'Multi-Tenant App'} Team</p>
+      </div>
+    `
+  }),
+
+  'impersonation-started': (data) => ({
+    subject: `Support access to your ${data.companyName} account`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Support Access Started</h2>
+        
+        <p>Hello ${data.adminName},</p>
+        
+        <p>A member of the ${process.env.APP_NAME || 'Multi-Tenant App'} support team has started a session in your <strong>${data.companyName}</strong> account.</p>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Support agent:</strong> ${data.superAdminName}</p>
+          <p><strong>Acting as:</strong> ${data.userName} (${data.userEmail})</p>
+          <p><strong>Reason:</strong> ${data.reason}</p>
+          <p><strong>Started:</strong> ${data.startedAt}</p>
+          <p><strong>Expires:</strong> ${data.expiresAt}</p>
+        </div>
+        
+        <p>Every action taken during this session is recorded. If you did not expect this, please contact support.</p>
+        
+        <p>Best regards,<br>
+        The ${process.env.APP_NAME || 'Multi-Tenant App'} Team</p>
+      </div>
+    `
   })
 };
 
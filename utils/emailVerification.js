@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { sendEmail } = require('./email');
+const { formatBranding } = require('./branding');
+const { getTenantSettings } = require('./tenantSettings');
+
+// Where each kind of tenant account keeps its email and verification state
+const ACCOUNTS = {
+  user: {
+    model: 'User',
+    emailPath: 'email',
+    prefix: '',
+    pageEnv: 'USER_VERIFY_EMAIL_URL',
+    pagePath: '/verify-email',
+    template: 'user-email-verification'
+  },
+  candidate: {
+    model: 'Candidate',
+    emailPath: 'personalInfo.email',
+    prefix: 'account.',
+    pageEnv: 'CANDIDATE_VERIFY_EMAIL_URL',
+    pagePath: '/candidates/verify-email',
+    template: 'candidate-email-verification'
+  }
+};
+
+const verificationError = (message, statusCode, code) => Object.assign(new Error(message), { statusCode, code });
+
+const getModel = (db, subjectType) => require(`../models/tenant/${ACCOUNTS[subjectType].model}`)(db);
+
+// Users and candidates must confirm their email before signing in or applying
+const isEmailVerificationRequired = (tenant) => !!getTenantSettings(tenant).requireEmailVerification;
+
+// Frontend page that confirms the address by calling POST /api/{auth,candidates}/verify-email/:token.
+// The token travels in the URL fragment, which browsers never send to servers.
+const getVerificationUrl = (tenant, subjectType, token) => {
+  const { pageEnv, pagePath } = ACCOUNTS[subjectType];
+  const page = process.env[pageEnv] || `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pagePath}`;
+
+  return `${page}#token=${token}&tenant=${tenant.subdomain}`;
+};
+
+// Email a verification link (saves the new token on the account)
+const sendVerificationEmail = async (req, subjectType, account) => {
+  const { emailPath, template } = ACCOUNTS[subjectType];
+  const token = account.createEmailVerificationToken();
+  await account.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    to: account.get(emailPath),
+    template,
+    data: {
+      name: subjectType === 'candidate' ? account.fullName : account.name,
+      companyName: req.tenant.companyName,
+      branding: formatBranding(req.tenant),
+      verificationUrl: getVerificationUrl(req.tenant, subjectType, token)
+    }
+  });
+};
+
+// Mark the account a verification link was sent to as verified
+const verifyEmailToken = async (db, subjectType, token) => {
+  const { prefix } = ACCOUNTS[subjectType];
+  const Model = getModel(db, subjectType);
+
+  const account = await Model.findOne({
+    [`${prefix}emailVerificationToken`]: crypto.createHash('sha256').update(String(token)).digest('hex'),
+    [`${prefix}emailVerificationExpire`]: { $gt: Date.now() }
+  });
+
+  if (!account) {
+    throw verificationError('Invalid or expired verification token', 400, 'INVALID_VERIFICATION_TOKEN');
+  }
+
+  account.set(`${prefix}isEmailVerified`, true);
+  account.set(`${prefix}emailVerificationToken`, undefined);
+  account.set(`${prefix}emailVerificationExpire`, undefined);
+  await account.save({ validateBeforeSave: false });
+
+  return account;
+};
+
+// Send a new link to an active, unverified account. Other emails are silently ignored,
+// so the response cannot be used to find out which addresses have accounts.
+const resendVerificationEmail = async (req, subjectType, email) => {
+  if (!email || typeof email !== 'string') {
+    throw verificationError('Please provide an email address', 400);
+  }
+
+  const { emailPath, prefix } = ACCOUNTS[subjectType];
+  const account = await getModel(req.db, subjectType).findOne({ [emailPath]: email.trim().toLowerCase() });
+
+  if (!account || account.get(`${prefix}isEmailVerified`) || !account.get(`${prefix}isActive`)) {
+    return false;
+  }
+
+  await sendVerificationEmail(req, subjectType, account);
+  return true;
+};
+
+module.exports = {
+  isEmailVerificationRequired,
+  getVerificationUrl,
+  sendVerificationEmail,
+  verifyEmailToken,
+  resendVerificationEmail
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// AES-256-GCM with a key from PLACEMENT_ENCRYPTION_KEY (32 bytes, hex or base64) or another
+// environment variable named by the caller. Stored format: v1:<iv>:<auth tag>:<ciphertext>, each part base64.
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const DEFAULT_KEY_NAME = 'PLACEMENT_ENCRYPTION_KEY';
+
+const encryptionError = (message) => Object.assign(new Error(message), { statusCode: 500 });
+
+const getKey = (keyName) => {
+  const raw = process.env[keyName];
+  if (!raw) {
+    throw encryptionError(`${keyName} is not configured`);
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw encryptionError(`${keyName} must be 32 bytes (64 hex characters or base64)`);
+  }
+
+  return key;
+};
+
+const encryptSecret = (plaintext, keyName = DEFAULT_KEY_NAME) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(keyName), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+const decryptSecret = (value, keyName = DEFAULT_KEY_NAME) => {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw encryptionError('Unrecognised encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(keyName), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const { FEATURES } = require('../config/features');
+
+// Flags are read on every gated request, so they are cached; writes on this instance clear the cache,
+// other instances pick changes up within the TTL
+const DEFAULT_CACHE_TTL_MS = 30 * 1000;
+const EDITABLE_FIELDS = ['description', 'enabled', 'plans', 'rolloutPercentage'];
+
+let cache = null;
+
+const flagError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const getModels = () => {
+  const connection = dbManager.getMasterConnection();
+  return {
+    FeatureFlag: require('../models/master/FeatureFlag')(connection),
+    Tenant: require('../models/master/Tenant')(connection)
+  };
+};
+
+const getCacheTtl = () => {
+  return process.env.FEATURE_FLAG_CACHE_TTL_MS !== undefined
+    ? parseInt(process.env.FEATURE_FLAG_CACHE_TTL_MS) || 0
+    : DEFAULT_CACHE_TTL_MS;
+};
+
+// Built-in flag as it behaves before a super admin has stored it
+const builtInFlag = (key) => ({
+  key,
+  description: FEATURES[key].description,
+  enabled: true,
+  plans: FEATURES[key].plans || [],
+  rolloutPercentage: FEATURES[key].rolloutPercentage || 0,
+  tenantOverrides: []
+});
+
+// key -> flag (stored flags, plus built-ins that have no record yet)
+const loadFlags = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.flags;
+  }
+
+  const { FeatureFlag } = getModels();
+  const flags = new Map(Object.keys(FEATURES).map(key => [key, { ...builtInFlag(key), builtIn: true, stored: false }]));
+
+  for (const flag of await FeatureFlag.find().lean()) {
+    flags.set(flag.key, { ...flag, builtIn: !!FEATURES[flag.key], stored: true });
+  }
+
+  cache = { flags, expiresAt: Date.now() + getCacheTtl() };
+  return flags;
+};
+
+const clearFeatureFlagCache = () => {
+  cache = null;
+};
+
+// Stable 0-99 bucket per tenant and flag, so raising the percentage only ever adds tenants
+const getRolloutBucket = (key, tenantId) => {
+  const hash = crypto.createHash('sha1').update(`${key}:${tenantId}`).digest();
+  return hash.readUInt32BE(0) % 100;
+};
+
+// Decide one flag for one tenant: kill switch, then tenant override, then plan default, then rollout
+const evaluateFlag = (flag, tenant) => {
+  if (!flag || !tenant) return { enabled: false, reason: 'unknown' };
+  if (!flag.enabled) return { enabled: false, reason: 'disabled' };
+
+  const tenantId = tenant._id.toString();
+  const override = (flag.tenantOverrides || []).find(entry => entry.tenantId.toString() === tenantId);
+  if (override) return { enabled: override.enabled, reason: 'override' };
+
+  const plan = tenant.subscription && tenant.subscription.plan;
+  if ((flag.plans || []).includes(plan)) return { enabled: true, reason: 'plan' };
+
+  if (flag.rolloutPercentage > 0 && getRolloutBucket(flag.key, tenantId) < flag.rolloutPercentage) {
+    return { enabled: true, reason: 'rollout' };
+  }
+
+  return { enabled: false, reason: 'default' };
+};
+
+const isFeatureEnabled = async (tenant, key) => {
+  const flags = await loadFlags();
+  return evaluateFlag(flags.get(key), tenant).enabled;
+};
+
+// Keys of every feature enabled for a tenant
+const getEnabledFeatures = async (tenant) => {
+  const flags = await loadFlags();
+  return [...flags.values()]
+    .filter(flag => evaluateFlag(flag, tenant).enabled)
+    .map(flag => flag.key)
+    .sort();
+};
+
+// Every flag with the decision (and why) for one tenant
+const getTenantFeatureReport = async (tenant) => {
+  const flags = await loadFlags();
+  return [...flags.values()]
+    .map(flag => ({ key: flag.key, ...evaluateFlag(flag, tenant) }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+};
+
+const listFeatureFlags = async () => {
+  clearFeatureFlagCache();
+  const flags = await loadFlags();
+  return [...flags.values()].sort((a, b) => a.key.localeCompare(b.key));
+};
+
+const getFeatureFlag = async (key) => {
+  const flags = await listFeatureFlags();
+  const flag = flags.find(entry => entry.key === key);
+
+  if (!flag) {
+    throw flagError('Feature flag not found', 404);
+  }
+  return flag;
+};
+
+const pickEditable = (data = {}) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+const saveFlag = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      throw flagError(error.message, 400);
+    }
+    if (error.code === 11000) {
+      throw flagError('A feature flag with this key already exists', 409);
+    }
+    throw error;
+  } finally {
+    clearFeatureFlagCache();
+  }
+};
+
+const createFeatureFlag = async (data, by) => {
+  const { FeatureFlag } = getModels();
+  const key = data && typeof data.key === 'string' ? data.key.trim() : data && data.key;
+
+  // A built-in flag record starts from the built-in defaults
+  const defaults = FEATURES[key] ? pickEditable(builtInFlag(key)) : {};
+
+  return saveFlag(() => FeatureFlag.create({
+    ...defaults,
+    ...pickEditable(data),
+    key,
+    createdBy: by,
+    updatedBy: by
+  }));
+};
+
+// Stored record of a flag; built-in flags get one on their first change
+const findOrCreateFlag = async (key, by) => {
+  const { FeatureFlag } = getModels();
+  const flag = await FeatureFlag.findOne({ key });
+
+  if (flag) return flag;
+  if (!FEATURES[key]) {
+    throw flagError('Feature flag not found', 404);
+  }
+
+  return new FeatureFlag({ ...pickEditable(builtInFlag(key)), key, createdBy: by });
+};
+
+const updateFeatureFlag = async (key, data, by) => {
+  const flag = await findOrCreateFlag(key, by);
+
+  flag.set(pickEditable(data));
+  flag.updatedBy = by;
+
+  return saveFlag(() => flag.save());
+};
+
+// Built-in flags go back to their defaults; other flags are removed (gated routes then refuse requests)
+const deleteFeatureFlag = async (key) => {
+  const { FeatureFlag } = getModels();
+  const result = await saveFlag(() => FeatureFlag.deleteOne({ key }));
+
+  if (!result.deletedCount) {
+    throw flagError(FEATURES[key] ? 'Built-in feature flag already uses its defaults' : 'Feature flag not found', 404);
+  }
+
+  return { key, builtIn: !!FEATURES[key] };
+};
+
+const setTenantOverride = async (key, tenantId, { enabled, note } = {}, by) => {
+  if (typeof enabled !== 'boolean') {
+    throw flagError('enabled must be true or false', 400);
+  }
+
+  const { Tenant } = getModels();
+  const tenant = await Tenant.findById(tenantId).select('_id');
+  if (!tenant) {
+    throw flagError('Tenant not found', 404);
+  }
+
+  const flag = await findOrCreateFlag(key, by);
+  const existing = flag.tenantOverrides.find(entry => entry.tenantId.toString() === tenant._id.toString());
+
+  if (existing) {
+    existing.set({ enabled, note, updatedAt: new Date() });
+  } else {
+    flag.tenantOverrides.push({ tenantId: tenant._id, enabled, note });
+  }
+  flag.updatedBy = by;
+
+  return saveFlag(() => flag.save());
+};
+
+const removeTenantOverride = async (key, tenantId, by) => {
+  const { FeatureFlag } = getModels();
+  const flag = await FeatureFlag.findOne({ key });
+  const existing = flag && flag.tenantOverrides.find(entry => entry.tenantId.toString() === String(tenantId));
+
+  if (!existing) {
+    throw flagError('Tenant override not found', 404);
+  }
+
+  existing.deleteOne();
+  flag.updatedBy = by;
+
+  return saveFlag(() => flag.save());
+};
+
+// Forget a purged tenant's overrides
+const removeTenantFromFlags = async (tenantId) => {
+  const { FeatureFlag } = getModels();
+  await saveFlag(() => FeatureFlag.updateMany(
+    { 'tenantOverrides.tenantId': tenantId },
+    { $pull: { tenantOverrides: { tenantId } } }
+  ));
+};
+
+module.exports = {
+  evaluateFlag,
+  getRolloutBucket,
+  isFeatureEnabled,
+  getEnabledFeatures,
+  getTenantFeatureReport,
+  listFeatureFlags,
+  getFeatureFlag,
+  createFeatureFlag,
+  updateFeatureFlag,
+  deleteFeatureFlag,
+  setTenantOverride,
+  removeTenantOverride,
+  removeTenantFromFlags,
+  clearFeatureFlagCache
+};
@@ -0,0 +1,198 @@
+const jwt = require('jsonwebtoken');
+const dbManager = require('../config/database');
+const { sendEmail } = require('./email');
+
+const DEFAULT_TOKEN_EXPIRE = '15m';
+
+// Writes an impersonation session may make without allowDestructive: day-to-day recruiting work.
+// Every other request that is not a read (settings, users, security, SSO, domains, branding...) is
+// refused, so routes added later are blocked until they are listed here.
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const ALLOWED_WRITES = [
+  { method: 'POST', pattern: /^\/api\/requirements$/ },
+  { method: 'PUT', pattern: /^\/api\/requirements\/[^/]+$/ },
+  { method: 'PATCH', pattern: /^\/api\/requirements\/[^/]+\/assign$/ },
+  { method: 'POST', pattern: /^\/api\/requirements\/[^/]+\/notes$/ },
+  { method: 'POST', pattern: /^\/api\/jobs$/ },
+  { method: 'PUT', pattern: /^\/api\/jobs\/[^/]+$/ },
+  { method: 'PATCH', pattern: /^\/api\/jobs\/[^/]+\/(publish|close)$/ },
+  { method: 'PATCH', pattern: /^\/api\/applications\/[^/]+\/status$/ },
+  { method: 'POST', pattern: /^\/api\/applications\/[^/]+\/(interview|feedback)$/ }
+];
+
+const impersonationError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const getModels = () => {
+  const connection = dbManager.getMasterConnection();
+  return {
+    Tenant: require('../models/master/Tenant')(connection),
+    ImpersonationSession: require('../models/master/ImpersonationSession')(connection),
+    ImpersonationLog: require('../models/master/ImpersonationLog')(connection)
+  };
+};
+
+// Let every company admin know that support is acting inside their account
+const notifyTenantAdmins = async (tenant, connection, session) => {
+  const User = require('../models/tenant/User')(connection);
+  const admins = await User.find({ role: 'company_admin', isActive: true }).select('name email');
+
+  const results = await Promise.allSettled(admins.map(admin => sendEmail({
+    to: admin.email,
+    template: 'impersonation-started',
+    data: {
+      adminName: admin.name,
+      companyName: tenant.companyName,
+      superAdminName: session.superAdmin.name,
+      userName: session.user.name,
+      userEmail: session.user.email,
+      reason: session.reason,
+      startedAt: session.createdAt.toUTCString(),
+      expiresAt: session.expiresAt.toUTCString()
+    }
+  })));
+
+  return results.filter(result => result.status === 'fulfilled').length;
+};
+
+// Start an impersonation session and issue its short-lived token
+const startImpersonation = async ({ superAdmin, tenantId, userId, reason, allowDestructive = false, ip, userAgent }) => {
+  if (!reason || !reason.trim()) {
+    throw impersonationError('A reason for impersonation is required', 400);
+  }
+
+  const { Tenant, ImpersonationSession } = getModels();
+  const tenant = await Tenant.findById(tenantId);
+
+  if (!tenant) {
+    throw impersonationError('Tenant not found', 404);
+  }
+  if (tenant.provisioning.status !== 'completed' || tenant.lifecycle.state === 'purged') {
+    throw impersonationError('Tenant is not available for impersonation', 409);
+  }
+
+  const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+
+  try {
+    const User = require('../models/tenant/User')(connection);
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw impersonationError('User not found', 404);
+    }
+    if (!user.isActive) {
+      throw impersonationError('Cannot impersonate an inactive user', 409);
+    }
+
+    const session = new ImpersonationSession({
+      superAdmin: { id: superAdmin._id, name: superAdmin.name, email: superAdmin.email },
+      tenantId: tenant._id,
+      subdomain: tenant.subdomain,
+      user: { id: user._id, name: user.name, email: user.email, role: user.role },
+      reason: reason.trim(),
+      allowDestructive: !!allowDestructive,
+      ip,
+      userAgent
+    });
+
+    // Same claims as a normal login plus the impersonation marker that protect checks
+    const token = jwt.sign(
+      {
+        id: user._id,
+        role: user.role,
+        tenant: tenant.subdomain,
+        impersonation: { sessionId: session._id, by: superAdmin._id }
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRE || DEFAULT_TOKEN_EXPIRE }
+    );
+
+    session.expiresAt = new Date(jwt.decode(token).exp * 1000);
+    await session.save();
+
+    let notifiedAdmins = 0;
+    try {
+      notifiedAdmins = await notifyTenantAdmins(tenant, connection, session);
+    } catch (error) {
+      console.error(`❌ Failed to notify admins of ${tenant.subdomain} about impersonation:`, error.message);
+    }
+
+    console.log(`🕵️  ${superAdmin.email} started impersonating ${user.email} on ${tenant.subdomain}`);
+    return { token, session, notifiedAdmins };
+  } finally {
+    release();
+  }
+};
+
+// Check that the session behind an impersonation token is still usable
+const verifyImpersonation = async (decoded) => {
+  const { ImpersonationSession } = getModels();
+  const session = await ImpersonationSession.findById(decoded.impersonation.sessionId);
+
+  if (!session || !session.isActive) {
+    throw impersonationError('Impersonation session has ended', 401);
+  }
+  if (session.user.id.toString() !== decoded.id || session.subdomain !== decoded.tenant) {
+    throw impersonationError('Impersonation token does not match its session', 401);
+  }
+
+  return session;
+};
+
+// Whether a request needs a session started with allowDestructive
+const isRestrictedRequest = (req) => {
+  if (READ_METHODS.includes(req.method)) return false;
+
+  const path = req.originalUrl.split('?')[0];
+  return !ALLOWED_WRITES.some(rule => rule.method === req.method && rule.pattern.test(path));
+};
+
+// Record a request made under impersonation, attributed to the real super admin
+const logImpersonatedRequest = async (session, req, res, { blocked = false, startedAt } = {}) => {
+  const { ImpersonationSession, ImpersonationLog } = getModels();
+
+  await ImpersonationLog.create({
+    sessionId: session._id,
+    superAdminId: session.superAdmin.id,
+    tenantId: session.tenantId,
+    userId: session.user.id,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    blocked,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    durationMs: startedAt ? Date.now() - startedAt : undefined
+  });
+
+  await ImpersonationSession.updateOne(
+    { _id: session._id },
+    { $inc: { requestCount: 1 }, $set: { lastRequestAt: new Date() } }
+  );
+};
+
+// End a session early; its token stops working immediately
+const endImpersonation = async (sessionId, superAdminId) => {
+  const { ImpersonationSession } = getModels();
+  const session = await ImpersonationSession.findById(sessionId);
+
+  if (!session) {
+    throw impersonationError('Impersonation session not found', 404);
+  }
+  if (session.endedAt) {
+    throw impersonationError('Impersonation session has already ended', 409);
+  }
+
+  session.endedAt = new Date();
+  session.endedBy = superAdminId;
+  await session.save();
+
+  return session;
+};
+
+module.exports = {
+  startImpersonation,
+  verifyImpersonation,
+  isRestrictedRequest,
+  logImpersonatedRequest,
+  endImpersonation
+};
@@ -0,0 +1,73 @@
+const PDFDocument = require('pdfkit');
+
+const STATUS_LABELS = {
+  open: 'DUE',
+  processing: 'PROCESSING',
+  paid: 'PAID',
+  payment_failed: 'PAYMENT FAILED',
+  void: 'VOID'
+};
+
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount / 100);
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+// Render an invoice as a PDF document stream (pipe it to a response or file)
+const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}` } });
+  const appName = process.env.APP_NAME || 'Multi-Tenant App';
+  const columns = { description: 50, quantity: 330, unitAmount: 390, amount: 470 };
+
+  doc.fontSize(20).text(appName, 50, 50);
+  doc.fontSize(10).fillColor('#555555').text(`Invoice ${invoice.number}`, 50, 80);
+  doc.fontSize(14).fillColor('#000000').text(STATUS_LABELS[invoice.status] || invoice.status, 400, 50, { width: 145, align: 'right' });
+
+  doc.fontSize(10)
+    .text('Billed to', 50, 120)
+    .font('Helvetica-Bold').text(invoice.companyName || invoice.subdomain, 50, 135)
+    .font('Helvetica').text(invoice.billingEmail || '', 50, 150);
+
+  doc.text(`Period: ${invoice.period}`, 350, 120, { width: 195, align: 'right' })
+    .text(`Issued: ${formatDate(invoice.issuedAt)}`, 350, 135, { width: 195, align: 'right' })
+    .text(`Due: ${formatDate(invoice.dueAt)}`, 350, 150, { width: 195, align: 'right' });
+
+  if (invoice.paidAt) {
+    doc.text(`Paid: ${formatDate(invoice.paidAt)}`, 350, 165, { width: 195, align: 'right' });
+  }
+
+  let y = 210;
+  doc.font('Helvetica-Bold')
+    .text('Description', columns.description, y)
+    .text('Qty', columns.quantity, y, { width: 50, align: 'right' })
+    .text('Unit', columns.unitAmount, y, { width: 70, align: 'right' })
+    .text('Amount', columns.amount, y, { width: 75, align: 'right' });
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+  doc.font('Helvetica');
+
+  for (const item of invoice.lineItems) {
+    y += 25;
+    doc.text(item.description, columns.description, y, { width: 270 })
+      .text(String(item.quantity), columns.quantity, y, { width: 50, align: 'right' })
+      .text(formatMoney(item.unitAmount, invoice.currency), columns.unitAmount, y, { width: 70, align: 'right' })
+      .text(formatMoney(item.amount, invoice.currency), columns.amount, y, { width: 75, align: 'right' });
+  }
+
+  y += 30;
+  doc.moveTo(330, y - 5).lineTo(545, y - 5).stroke();
+  doc.font('Helvetica-Bold')
+    .text('Total', columns.quantity, y, { width: 130 })
+    .text(formatMoney(invoice.total, invoice.currency), columns.amount, y, { width: 75, align: 'right' });
+
+  if (invoice.status === 'void' && invoice.voidReason) {
+    doc.font('Helvetica').text(`Voided: ${invoice.voidReason}`, 50, y + 40);
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderInvoicePdf
+};
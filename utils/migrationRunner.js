@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_COLLECTION = 'migrations';
+const LOCK_ID = '__migration_lock__';
+const STALE_LOCK_MS = 30 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 4;
+const SHARED_TARGET = 'shared';
+
+const migrationError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+let cachedMigrations = null;
+
+// Load numbered migration files (e.g. 001-add-field.js), sorted by version
+const loadMigrations = () => {
+  if (cachedMigrations) return cachedMigrations;
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      const version = parseInt(file.split('-')[0]);
+
+      if (migration.version !== version) {
+        throw new Error(`Migration ${file} declares version ${migration.version}, expected ${version}`);
+      }
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return { ...migration, name: file.replace(/\.js$/, '') };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  cachedMigrations = migrations;
+  return migrations;
+};
+
+const getLatestVersion = () => {
+  const migrations = loadMigrations();
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+};
+
+const getAppliedVersions = async (collection) => {
+  const records = await collection
+    .find({ version: { $exists: true } })
+    .sort({ version: 1 })
+    .toArray();
+  return records.map(record => record.version);
+};
+
+// Work out which migrations would run to reach the target version
+const planMigrations = (appliedVersions, { direction = 'up', targetVersion } = {}) => {
+  const migrations = loadMigrations();
+  const applied = new Set(appliedVersions);
+
+  if (direction === 'down') {
+    if (targetVersion === undefined) {
+      throw migrationError('A target version is required to roll back', 400);
+    }
+    return migrations
+      .filter(migration => applied.has(migration.version) && migration.version > targetVersion)
+      .reverse();
+  }
+
+  const target = targetVersion === undefined ? getLatestVersion() : targetVersion;
+  return migrations.filter(migration => !applied.has(migration.version) && migration.version <= target);
+};
+
+// Per-tenant lock so two runners never migrate the same database at once
+const acquireLock = async (collection) => {
+  try {
+    await collection.insertOne({ _id: LOCK_ID, lockedAt: new Date() });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const result = await collection.updateOne(
+      { _id: LOCK_ID, lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { lockedAt: new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+};
+
+// Apply (or roll back) migrations on a single tenant database.
+// Shared tenants all live in one database, so migrating any of them migrates the
+// shared database as a whole through its unscoped connection.
+const migrateTenant = async (subdomain, { direction = 'up', targetVersion, dryRun = false } = {}) => {
+  const { connection: tenantConnection, release } = await dbManager.leaseTenantDB(subdomain);
+
+  try {
+    const connection = dbManager.isSharedConnection(tenantConnection)
+      ? await dbManager.getSharedConnection()
+      : tenantConnection;
+    const collection = connection.collection(MIGRATIONS_COLLECTION);
+
+    const appliedVersions = await getAppliedVersions(collection);
+    const plan = planMigrations(appliedVersions, { direction, targetVersion });
+
+    const report = {
+      tenant: subdomain,
+      direction,
+      appliedVersions,
+      planned: plan.map(migration => migration.name),
+      executed: [],
+      dryRun
+    };
+
+    if (dryRun || !plan.length) {
+      report.status = plan.length ? 'pending' : 'up_to_date';
+      return report;
+    }
+
+    if (!(await acquireLock(collection))) {
+      throw new Error('Another migration run holds the lock for this tenant');
+    }
+
+    try {
+      for (const migration of plan) {
+        const startedAt = Date.now();
+
+        if (direction === 'down') {
+          await migration.down(connection);
+          await collection.deleteOne({ version: migration.version });
+        } else {
+          await migration.up(connection);
+          await collection.insertOne({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            appliedAt: new Date(),
+            durationMs: Date.now() - startedAt
+          });
+        }
+
+        report.executed.push(migration.name);
+      }
+    } finally {
+      await collection.deleteOne({ _id: LOCK_ID });
+    }
+
+    report.status = 'migrated';
+    return report;
+  } finally {
+    release();
+  }
+};
+
+// Tenants whose databases exist and can be migrated
+const findMigratableTenants = async (subdomains) => {
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const query = {
+    'provisioning.status': 'completed',
+    'lifecycle.state': { $ne: 'purged' }
+  };
+
+  if (subdomains && subdomains.length) {
+    query.subdomain = { $in: subdomains };
+  }
+
+  const tenants = await Tenant.find(query).select('subdomain tenancy.mode').sort({ createdAt: 1 });
+
+  if (subdomains && subdomains.length) {
+    const found = new Set(tenants.map(tenant => tenant.subdomain));
+    const missing = subdomains.filter(subdomain => !found.has(subdomain));
+    if (missing.length) {
+      throw migrationError(`Unknown or unprovisioned tenants: ${missing.join(', ')}`, 404);
+    }
+  }
+
+  return tenants;
+};
+
+// One migration target per dedicated tenant, plus a single target for the shared database
+const groupMigrationTargets = (tenants) => {
+  const targets = [];
+  let sharedTarget = null;
+
+  tenants.forEach(tenant => {
+    if (tenant.tenancy && tenant.tenancy.mode === 'shared') {
+      if (!sharedTarget) {
+        sharedTarget = { subdomain: tenant.subdomain, sharedTenants: [] };
+        targets.push(sharedTarget);
+      }
+      sharedTarget.sharedTenants.push(tenant.subdomain);
+    } else {
+      targets.push({ subdomain: tenant.subdomain });
+    }
+  });
+
+  return targets;
+};
+
+// Migrate many tenants with a concurrency limit; one tenant failing never stops the others
+const migrateTenants = async ({ tenants, concurrency = DEFAULT_CONCURRENCY, onResult, ...options } = {}) => {
+  const targets = groupMigrationTargets(await findMigratableTenants(tenants));
+  const limit = Math.max(1, parseInt(concurrency) || DEFAULT_CONCURRENCY);
+  const results = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < targets.length) {
+      const { subdomain, sharedTenants } = targets[next++];
+      let result;
+
+      try {
+        result = await migrateTenant(subdomain, options);
+      } catch (error) {
+        console.error(`❌ Migration failed for ${subdomain}:`, error.message);
+        result = { tenant: subdomain, status: 'failed', error: error.message };
+      }
+
+      if (sharedTenants) {
+        result = { ...result, tenant: SHARED_TARGET, sharedTenants };
+      }
+
+      results.push(result);
+      if (onResult) onResult(result);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, targets.length) }, worker));
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    latestVersion: getLatestVersion(),
+    dryRun: !!options.dryRun,
+    total: results.length,
+    summary,
+    results: results.sort((a, b) => a.tenant.localeCompare(b.tenant))
+  };
+};
+
+module.exports = {
+  loadMigrations,
+  getLatestVersion,
+  migrateTenant,
+  migrateTenants
+};
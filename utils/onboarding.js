@@ -0,0 +1,197 @@
+const dbManager = require('../config/database');
+
+const DEFAULT_STUCK_DAYS = 7;
+
+// Setup checklist from the tenant-welcome email, in wizard order.
+// detect() finds steps done before tracking started (or outside the hooked endpoints);
+// set is applied to the tenant record when the step completes.
+const ONBOARDING_STEPS = [
+  {
+    key: 'changePassword',
+    title: 'Change the temporary password',
+    set: { 'adminCredentials.passwordChanged': true },
+    detect: async (tenant) => !!(tenant.adminCredentials && tenant.adminCredentials.passwordChanged)
+  },
+  {
+    key: 'setupBranding',
+    title: 'Set up company branding',
+    detect: async (tenant) => {
+      const branding = tenant.branding || {};
+      return !!((branding.logo && branding.logo.url) || (branding.wallpaper && branding.wallpaper.url));
+    }
+  },
+  {
+    key: 'createRmgDepartment',
+    title: 'Create the RMG department',
+    detect: async (tenant, db) => !!(await require('../models/tenant/User')(db).exists({ role: 'rmg_admin' }))
+  },
+  {
+    key: 'addRecruiters',
+    title: 'Add recruiters',
+    detect: async (tenant, db) => !!(await require('../models/tenant/User')(db).exists({ role: 'recruiter' }))
+  },
+  {
+    key: 'createRequirement',
+    title: 'Create the first requirement',
+    detect: async (tenant, db) => !!(await require('../models/tenant/Requirement')(db).exists({}))
+  },
+  {
+    key: 'createJob',
+    title: 'Create the first job description',
+    detect: async (tenant, db) => !!(await require('../models/tenant/JobDescription')(db).exists({}))
+  }
+];
+
+// New users complete these steps
+const USER_ROLE_STEPS = {
+  rmg_admin: 'createRmgDepartment',
+  recruiter: 'addRecruiters'
+};
+
+const getTenantModel = () => require('../models/master/Tenant')(dbManager.getMasterConnection());
+
+const isStepCompleted = (tenant, key) => {
+  return !!(tenant.onboarding && tenant.onboarding.steps.some(step => step.key === key));
+};
+
+// Mark the checklist done once every step is
+const markCompletedIfDone = async (Tenant, tenantId) => {
+  await Tenant.updateOne(
+    {
+      _id: tenantId,
+      'onboarding.completedAt': null,
+      $and: ONBOARDING_STEPS.map(step => ({ 'onboarding.steps.key': step.key }))
+    },
+    { $set: { 'onboarding.completedAt': new Date() } }
+  );
+};
+
+// Record a completed step; repeated calls are no-ops. Never throws, so hooks cannot break the request.
+// Steps found in existing data are flagged as detected: when they happened is unknown.
+const completeOnboardingStep = async (tenant, key, userId, { detected = false } = {}) => {
+  if (!tenant || isStepCompleted(tenant, key)) return;
+
+  try {
+    const Tenant = getTenantModel();
+    const { set } = ONBOARDING_STEPS.find(step => step.key === key);
+    const result = await Tenant.updateOne(
+      { _id: tenant._id, 'onboarding.steps.key': { $ne: key } },
+      {
+        $push: { 'onboarding.steps': { key, completedAt: new Date(), completedBy: userId, detected } },
+        ...(set && { $set: set })
+      }
+    );
+
+    if (result.modifiedCount) {
+      await markCompletedIfDone(Tenant, tenant._id);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to record onboarding step ${key} for ${tenant.subdomain}:`, error.message);
+  }
+};
+
+const formatOnboarding = (tenant) => {
+  const onboarding = tenant.onboarding || {};
+  const completed = new Map((onboarding.steps || []).map(step => [step.key, step]));
+
+  const steps = ONBOARDING_STEPS.map(({ key, title }) => ({
+    key,
+    title,
+    completed: completed.has(key),
+    completedAt: completed.has(key) ? completed.get(key).completedAt : null
+  }));
+  const completedCount = steps.filter(step => step.completed).length;
+
+  return {
+    steps,
+    completedCount,
+    totalSteps: steps.length,
+    completed: completedCount === steps.length,
+    completedAt: onboarding.completedAt || null,
+    nextStep: (steps.find(step => !step.completed) || {}).key || null
+  };
+};
+
+// Record steps that the tenant's data shows are done; returns the up-to-date tenant
+const syncDetectedSteps = async (tenant, db) => {
+  if (tenant.onboarding && tenant.onboarding.completedAt) return tenant;
+
+  const pending = ONBOARDING_STEPS.filter(step => !isStepCompleted(tenant, step.key));
+  let detected = false;
+
+  for (const step of pending) {
+    if (await step.detect(tenant, db)) {
+      await completeOnboardingStep(tenant, step.key, null, { detected: true });
+      detected = true;
+    }
+  }
+
+  return detected ? getTenantModel().findById(tenant._id) : tenant;
+};
+
+// Checklist for the frontend wizard
+const getOnboarding = async (tenant, db) => {
+  return formatOnboarding(await syncDetectedSteps(tenant, db));
+};
+
+// Tenants that have not finished onboarding and made no progress for `stuckDays`
+const getStuckTenants = async ({ stuckDays } = {}) => {
+  const days = parseInt(stuckDays) || parseInt(process.env.ONBOARDING_STUCK_DAYS) || DEFAULT_STUCK_DAYS;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const tenants = await getTenantModel().find({
+    isActive: true,
+    'provisioning.status': 'completed',
+    'onboarding.completedAt': null,
+    createdAt: { $lt: cutoff }
+  });
+  const results = [];
+
+  for (let tenant of tenants) {
+    // Tenants created before onboarding was tracked may have done steps already
+    try {
+      const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+      try {
+        tenant = await syncDetectedSteps(tenant, connection);
+      } finally {
+        release();
+      }
+    } catch (error) {
+      console.error(`❌ Failed to check onboarding of ${tenant.subdomain}:`, error.message);
+    }
+
+    if (!tenant.onboarding.completedAt) results.push(tenant);
+  }
+
+  return results
+    .map(tenant => {
+      const lastStep = (tenant.onboarding.steps || []).filter(step => !step.detected).reduce(
+        (latest, step) => (!latest || step.completedAt > latest ? step.completedAt : latest),
+        null
+      );
+      const progress = formatOnboarding(tenant);
+
+      return {
+        tenantId: tenant._id,
+        companyName: tenant.companyName,
+        subdomain: tenant.subdomain,
+        email: tenant.email,
+        plan: tenant.subscription && tenant.subscription.plan,
+        createdAt: tenant.createdAt,
+        lastProgressAt: lastStep || tenant.createdAt,
+        completedCount: progress.completedCount,
+        totalSteps: progress.totalSteps,
+        missingSteps: progress.steps.filter(step => !step.completed).map(step => step.key)
+      };
+    })
+    .filter(tenant => tenant.lastProgressAt < cutoff)
+    .sort((a, b) => a.lastProgressAt - b.lastProgressAt);
+};
+
+module.exports = {
+  ONBOARDING_STEPS,
+  USER_ROLE_STEPS,
+  completeOnboardingStep,
+  getOnboarding,
+  getStuckTenants
+};
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { validateSetting } = require('./tenantSettings');
+
+// Staff (tenant users) and candidates each have their own policy per tenant
+const AUDIENCES = ['staff', 'candidate'];
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_HISTORY = 10; // every remembered password costs a bcrypt comparison on change
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_CHANGE_TOKEN_EXPIRE = '10m';
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+let blocklist = null;
+
+const policyError = (message, statusCode, code, errors) => Object.assign(new Error(message), { statusCode, code, errors });
+
+// Every policy setting with its type, default and constraints (same shape as tenant SETTINGS)
+const POLICY_SETTINGS = {
+  minLength: {
+    type: 'integer',
+    default: 8,
+    min: 8,
+    max: 64
+  },
+  requireUppercase: {
+    type: 'boolean',
+    default: false
+  },
+  requireLowercase: {
+    type: 'boolean',
+    default: false
+  },
+  requireNumber: {
+    type: 'boolean',
+    default: false
+  },
+  requireSymbol: {
+    type: 'boolean',
+    default: false
+  },
+  // Reject passwords from the common/breached password list
+  blockCommonPasswords: {
+    type: 'boolean',
+    default: true
+  },
+  // New passwords cannot match the current one or the ones before it, up to this many in total
+  historyCount: {
+    type: 'integer',
+    default: 0,
+    min: 0,
+    max: MAX_HISTORY
+  },
+  // Passwords older than this must be changed at the next login
+  maxAgeDays: {
+    type: 'integer',
+    default: null,
+    min: 1,
+    nullable: true // null: passwords never expire
+  }
+};
+
+// Super admins belong to no tenant; they always get this stricter policy
+const SUPER_ADMIN_POLICY = {
+  minLength: 12,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  blockCommonPasswords: true,
+  historyCount: 5,
+  maxAgeDays: null
+};
+
+// Effective policy for an audience, with defaults for anything the tenant has not set
+const getPasswordPolicy = (tenant, audience = 'staff') => {
+  if (audience === 'super_admin') return { ...SUPER_ADMIN_POLICY };
+
+  const stored = (tenant && tenant.passwordPolicy && tenant.passwordPolicy[audience]) || {};
+  const policy = {};
+
+  for (const [key, definition] of Object.entries(POLICY_SETTINGS)) {
+    policy[key] = stored[key] === undefined ? definition.default : stored[key];
+  }
+
+  return policy;
+};
+
+const getPasswordPolicies = (tenant) => {
+  return Object.fromEntries(AUDIENCES.map(audience => [audience, getPasswordPolicy(tenant, audience)]));
+};
+
+// Validate and store a partial update such as { staff: { minLength: 12 } }; bad values are rejected together
+const updatePasswordPolicies = async (tenant, updates) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw policyError('Password policy must be an object', 400);
+  }
+
+  const errors = [];
+  const values = {};
+
+  for (const [audience, policyUpdates] of Object.entries(updates)) {
+    if (!AUDIENCES.includes(audience)) {
+      errors.push({ setting: audience, message: `is not one of ${AUDIENCES.join(', ')}` });
+      continue;
+    }
+    if (!policyUpdates || typeof policyUpdates !== 'object' || Array.isArray(policyUpdates)) {
+      errors.push({ setting: audience, message: 'must be an object' });
+      continue;
+    }
+
+    for (const [key, raw] of Object.entries(policyUpdates)) {
+      if (!POLICY_SETTINGS[key]) {
+        errors.push({ setting: `${audience}.${key}`, message: 'is not a known setting' });
+        continue;
+      }
+
+      const { value, error } = validateSetting(POLICY_SETTINGS[key], raw);
+      if (error) {
+        errors.push({ setting: `${audience}.${key}`, message: error });
+      } else {
+        values[`${audience}.${key}`] = value;
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw policyError('Invalid password policy', 400, 'INVALID_PASSWORD_POLICY', errors);
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    tenant.set(`passwordPolicy.${key}`, value);
+  }
+  await tenant.save();
+
+  return getPasswordPolicies(tenant);
+};
+
+// One password per line, '#' starts a comment; compared case-insensitively
+const loadBlocklist = () => {
+  if (blocklist) return blocklist;
+
+  const file = process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE;
+  try {
+    blocklist = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.error(`❌ Could not load the password blocklist ${file}:`, error.message);
+    blocklist = new Set();
+  }
+
+  return blocklist;
+};
+
+// "Summer2024!" is as weak as "summer": trailing digits and symbols are ignored too
+const isCommonPassword = (password) => {
+  const list = loadBlocklist();
+  const lower = password.toLowerCase();
+  return list.has(lower) || list.has(lower.replace(/[\d\W_]+$/, ''));
+};
+
+// Rules the password breaks, as messages that follow "Password"
+const getPasswordErrors = (password, policy) => {
+  if (typeof password !== 'string' || !password) return ['is required'];
+
+  const errors = [];
+  if (password.length < policy.minLength) errors.push(`must be at least ${policy.minLength} characters`);
+  if (password.length > MAX_PASSWORD_LENGTH) errors.push(`cannot exceed ${MAX_PASSWORD_LENGTH} characters`);
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) errors.push('must contain an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(password)) errors.push('must contain a lowercase letter');
+  if (policy.requireNumber && !/\d/.test(password)) errors.push('must contain a number');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) errors.push('must contain a symbol');
+  if (policy.blockCommonPasswords && isCommonPassword(password)) errors.push('is too common or has appeared in a data breach');
+
+  return errors;
+};
+
+const assertPasswordPolicy = (password, policy) => {
+  const errors = getPasswordErrors(password, policy);
+
+  if (errors.length) {
+    throw policyError(
+      `Password ${errors.join(', ')}`,
+      400,
+      'PASSWORD_POLICY_VIOLATION',
+      errors.map(message => ({ field: 'password', message }))
+    );
+  }
+};
+
+// Candidates keep their credentials under account.*
+const fieldPrefix = (subjectType) => (subjectType === 'candidate' ? 'account.' : '');
+
+// Fields setPassword needs; select them when loading the account
+const passwordFields = (subjectType) => {
+  const prefix = fieldPrefix(subjectType);
+  return `+${prefix}password +${prefix}passwordHistory`;
+};
+
+// Replace an account's password after checking the policy and its recent passwords.
+// The account must be loaded with passwordFields(); the model hashes the new password on save.
+const setPassword = async (subject, password, policy, subjectType = 'user') => {
+  assertPasswordPolicy(password, policy);
+
+  const prefix = fieldPrefix(subjectType);
+  const current = subject.get(`${prefix}password`);
+  const recent = [current, ...(subject.get(`${prefix}passwordHistory`) || [])].filter(Boolean);
+
+  for (const hash of recent.slice(0, policy.historyCount)) {
+    if (await bcrypt.compare(password, hash)) {
+      throw policyError(
+        `Password cannot be one of your last ${policy.historyCount} passwords`,
+        400,
+        'PASSWORD_REUSED',
+        [{ field: 'password', message: 'was used recently' }]
+      );
+    }
+  }
+
+  // Only hashes are remembered: the current one joins the history
+  subject.set(`${prefix}passwordHistory`, recent.slice(0, Math.max(policy.historyCount - 1, 0)));
+  subject.set(`${prefix}password`, password);
+};
+
+const getPasswordExpiry = (subject, policy, subjectType = 'user') => {
+  if (!policy.maxAgeDays) return null;
+
+  const changedAt = subject.get(`${fieldPrefix(subjectType)}passwordChangedAt`);
+  return new Date((changedAt ? new Date(changedAt).getTime() : 0) + policy.maxAgeDays * DAY_MS);
+};
+
+const isPasswordExpired = (subject, policy, subjectType = 'user') => {
+  const expiresAt = getPasswordExpiry(subject, policy, subjectType);
+  return !!expiresAt && expiresAt.getTime() <= Date.now();
+};
+
+// Short-lived proof that the account signed in with an expired password. It is bound to the
+// password it was issued for, so it stops working once the password has been changed.
+const issuePasswordChangeToken = ({ subjectType, subject, tenant }) => {
+  const changedAt = subject.get(`${fieldPrefix(subjectType)}passwordChangedAt`);
+
+  return jwt.sign(
+    {
+      id: subject._id,
+      type: 'password_change',
+      subjectType,
+      tenant: tenant ? tenant.subdomain : undefined,
+      changedAt: changedAt ? new Date(changedAt).getTime() : null
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: PASSWORD_CHANGE_TOKEN_EXPIRE }
+  );
+};
+
+const verifyPasswordChangeToken = (challengeToken, subjectType, tenant) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken || '', process.env.JWT_SECRET);
+  } catch (error) {
+    throw policyError('Invalid or expired login challenge. Please sign in again.', 401, 'INVALID_CHALLENGE');
+  }
+
+  const tenantMatches = subjectType === 'super_admin' || (tenant && decoded.tenant === tenant.subdomain);
+  if (decoded.type !== 'password_change' || decoded.subjectType !== subjectType || !tenantMatches) {
+    throw policyError('Invalid or expired login challenge. Please sign in again.', 401, 'INVALID_CHALLENGE');
+  }
+
+  return decoded;
+};
+
+// A change token stops working once the password it was issued for has been replaced
+const assertPasswordChangeToken = (decoded, subject, subjectType = 'user') => {
+  const changedAt = subject.get(`${fieldPrefix(subjectType)}passwordChangedAt`);
+
+  if ((changedAt ? new Date(changedAt).getTime() : null) !== decoded.changedAt) {
+    throw policyError('Your password was already changed. Please sign in again.', 401, 'INVALID_CHALLENGE');
+  }
+};
+
+module.exports = {
+  AUDIENCES,
+  POLICY_SETTINGS,
+  getPasswordPolicy,
+  getPasswordPolicies,
+  updatePasswordPolicies,
+  getPasswordErrors,
+  assertPasswordPolicy,
+  passwordFields,
+  setPassword,
+  getPasswordExpiry,
+  isPasswordExpired,
+  issuePasswordChangeToken,
+  verifyPasswordChangeToken,
+  assertPasswordChangeToken
+};
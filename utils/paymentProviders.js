@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Payment method that the fake provider always declines (like a provider's test card)
+const FAKE_DECLINED_METHOD = 'pm_fake_declined';
+
+// Offline provider for development and tests: charges succeed unless the payment method is
+// FAKE_DECLINED_METHOD or missing. Charges only live in this process.
+const createFakeProvider = () => {
+  const charges = new Map();
+
+  return {
+    name: 'fake',
+    createCustomer: async (tenant) => ({
+      customerId: `fake_cus_${tenant._id}`
+    }),
+    charge: async ({ customerId, paymentMethod, amount, currency, idempotencyKey }) => {
+      if (idempotencyKey && charges.has(idempotencyKey)) {
+        return charges.get(idempotencyKey);
+      }
+
+      const reference = `fake_ch_${crypto.randomBytes(8).toString('hex')}`;
+      let result;
+
+      if (!paymentMethod) {
+        result = { status: 'failed', reference, error: 'No payment method on file' };
+      } else if (paymentMethod === FAKE_DECLINED_METHOD) {
+        result = { status: 'failed', reference, error: 'Card declined' };
+      } else {
+        result = { status: 'succeeded', reference };
+      }
+
+      charges.set(idempotencyKey || reference, { ...result, customerId, amount, currency });
+      return result;
+    }
+  };
+};
+
+const PROVIDERS = {
+  fake: createFakeProvider
+};
+
+let provider = null;
+
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown PAYMENT_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+};
+
+// Replace the payment provider, e.g. with a Stripe adapter.
+// A provider is { name, createCustomer(tenant) => { customerId },
+// charge({ customerId, paymentMethod, amount, currency, description, idempotencyKey }) => { status, reference, error } }.
+// charge resolves with status 'failed' for declines and only throws when the outcome is unknown.
+const setPaymentProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  FAKE_DECLINED_METHOD,
+  getPaymentProvider,
+  setPaymentProvider
+};
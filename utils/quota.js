@@ -0,0 +1,173 @@
+const dbManager = require('../config/database');
+const { getPlan } = require('../config/plans');
+
+// gauge: counted live from the tenant database
+// metered: counted per billing period in the master TenantUsage collection
+const METRICS = {
+  users: {
+    type: 'gauge',
+    label: 'users',
+    count: (db) => require('../models/tenant/User')(db).countDocuments({ isActive: true })
+  },
+  recruiters: {
+    type: 'gauge',
+    label: 'recruiters',
+    count: (db) => require('../models/tenant/User')(db).countDocuments({ role: 'recruiter', isActive: true })
+  },
+  activeJobs: {
+    type: 'gauge',
+    label: 'active jobs',
+    count: (db) => require('../models/tenant/JobDescription')(db).countDocuments({
+      isActive: true,
+      status: { $ne: 'closed' }
+    })
+  },
+  applications: {
+    type: 'metered',
+    label: 'applications this billing period'
+  },
+  aiGenerations: {
+    type: 'metered',
+    label: 'AI job generations this billing period'
+  },
+  storageBytes: {
+    type: 'metered',
+    label: 'bytes of uploads this billing period'
+  }
+};
+
+const getUsageModel = () => require('../models/master/TenantUsage')(dbManager.getMasterConnection());
+
+// Billing periods are calendar months in UTC
+const getPeriodKey = (date = new Date()) => date.toISOString().slice(0, 7);
+
+// Per-tenant maxUsers / maxRecruiters override the plan only when flagged with customLimits
+const getLimit = (tenant, metric) => {
+  const subscription = tenant.subscription || {};
+
+  if (subscription.customLimits) {
+    if (metric === 'users' && subscription.maxUsers) return subscription.maxUsers;
+    if (metric === 'recruiters' && subscription.maxRecruiters) return subscription.maxRecruiters;
+  }
+
+  const limit = getPlan(subscription.plan).limits[metric];
+  return limit === undefined ? null : limit;
+};
+
+const quotaExceeded = (tenant, metric, used, limit) => Object.assign(
+  new Error(`Your ${getPlan(tenant.subscription && tenant.subscription.plan).name} plan allows ${limit} ${METRICS[metric].label}`),
+  {
+    statusCode: 403,
+    code: 'QUOTA_EXCEEDED',
+    quota: { metric, used, limit, period: getPeriodKey() }
+  }
+);
+
+const getMeteredUsage = async (tenant, period = getPeriodKey()) => {
+  const usage = await getUsageModel().findOne({ tenantId: tenant._id, period }).lean();
+  return (usage && usage.counters) || {};
+};
+
+const getUsed = async (tenant, db, metric) => {
+  if (METRICS[metric].type === 'gauge') {
+    return METRICS[metric].count(db);
+  }
+  const counters = await getMeteredUsage(tenant);
+  return counters[metric] || 0;
+};
+
+// Throw QUOTA_EXCEEDED if adding `amount` would go over the limit (no usage is recorded)
+const assertQuota = async (tenant, db, metric, amount = 1) => {
+  const limit = getLimit(tenant, metric);
+  if (limit === null) return;
+
+  const used = await getUsed(tenant, db, metric);
+
+  if (used + amount > limit) {
+    throw quotaExceeded(tenant, metric, used, limit);
+  }
+};
+
+// Atomically reserve metered usage; the conditional update fails instead of going over the limit
+const consumeQuota = async (tenant, metric, amount = 1) => {
+  const limit = getLimit(tenant, metric);
+  const TenantUsage = getUsageModel();
+  const period = getPeriodKey();
+  const field = `counters.${metric}`;
+  const filter = { tenantId: tenant._id, period };
+
+  if (limit !== null) {
+    if (amount > limit) {
+      throw quotaExceeded(tenant, metric, 0, limit);
+    }
+    filter[field] = { $not: { $gt: limit - amount } };
+  }
+
+  try {
+    await TenantUsage.updateOne(filter, { $inc: { [field]: amount } }, { upsert: true });
+  } catch (error) {
+    // The period document exists but is at its limit, so the upsert collided with it
+    if (error.code === 11000) {
+      const counters = await getMeteredUsage(tenant, period);
+      throw quotaExceeded(tenant, metric, counters[metric] || 0, limit);
+    }
+    throw error;
+  }
+};
+
+// Record usage that has already happened, without a limit check
+const recordUsage = async (tenant, metric, amount = 1) => {
+  await getUsageModel().updateOne(
+    { tenantId: tenant._id, period: getPeriodKey() },
+    { $inc: { [`counters.${metric}`]: amount } },
+    { upsert: true }
+  );
+};
+
+// Keep the highest value seen in the current billing period (e.g. seats in use)
+const recordPeakUsage = async (tenant, metric, value) => {
+  await getUsageModel().updateOne(
+    { tenantId: tenant._id, period: getPeriodKey() },
+    { $max: { [`counters.${metric}`]: value } },
+    { upsert: true }
+  );
+};
+
+// Give back usage reserved for an operation that did not complete
+const refundQuota = (tenant, metric, amount = 1) => recordUsage(tenant, metric, -amount);
+
+// Usage and limits for every metric in the current billing period
+const getUsageReport = async (tenant, db) => {
+  const counters = await getMeteredUsage(tenant);
+  const metrics = {};
+
+  for (const [metric, definition] of Object.entries(METRICS)) {
+    const used = definition.type === 'gauge' ? await definition.count(db) : (counters[metric] || 0);
+    const limit = getLimit(tenant, metric);
+
+    metrics[metric] = {
+      type: definition.type,
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(0, limit - used)
+    };
+  }
+
+  return {
+    plan: tenant.subscription && tenant.subscription.plan,
+    period: getPeriodKey(),
+    metrics
+  };
+};
+
+module.exports = {
+  METRICS,
+  getPeriodKey,
+  getLimit,
+  assertQuota,
+  consumeQuota,
+  recordUsage,
+  recordPeakUsage,
+  refundQuota,
+  getUsageReport
+};
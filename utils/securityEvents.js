@@ -0,0 +1,34 @@
+const dbManager = require('../config/database');
+
+const getSecurityEventModel = () => require('../models/master/SecurityEvent')(dbManager.getMasterConnection());
+
+// Record a security event for a request. Never throws: the request outcome must not depend on the audit write.
+const recordSecurityEvent = async (req, { type, severity, message, tenants = {}, decoded = {} }) => {
+  console.warn(`🚨 Security event ${type}: ${message} (${req.method} ${req.originalUrl}, ip ${req.ip})`);
+
+  try {
+    const SecurityEvent = getSecurityEventModel();
+
+    return await SecurityEvent.create({
+      type,
+      severity,
+      message,
+      tenants,
+      userId: decoded.id,
+      userType: decoded.type || (decoded.role ? 'user' : undefined),
+      role: decoded.role,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      host: req.get('host'),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('❌ Failed to record security event:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordSecurityEvent
+};
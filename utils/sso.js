@@ -0,0 +1,742 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const { SAML, generateServiceProviderMetadata } = require('@node-saml/node-saml');
+const dbManager = require('../config/database');
+const { encryptSecret, decryptSecret } = require('./encryption');
+const { isFeatureEnabled } = require('./featureFlags');
+const { assertQuota } = require('./quota');
+const { completeOnboardingStep, USER_ROLE_STEPS } = require('./onboarding');
+const { recordRecruiterSeats } = require('./billing');
+const { STAFF_ROLES } = require('../models/master/TenantSso');
+
+const ENCRYPTION_KEY_NAME = 'SSO_ENCRYPTION_KEY';
+const STATE_EXPIRE_SECONDS = 10 * 60;
+const LOGIN_CODE_EXPIRE_MS = 60 * 1000;
+const BINDING_COOKIE = 'sso_binding';
+const PROVIDER_TIMEOUT_MS = 10 * 1000;
+const PROVIDER_CACHE_TTL_MS = 60 * 60 * 1000; // discovery documents and signing keys
+const PROVIDER_MAX_RESPONSE_BYTES = 1024 * 1024;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const DEPARTMENTS = { rmg_admin: 'rmg', recruiter: 'recruitment' };
+
+const providerCache = new Map();
+
+// Loopback, private, link-local and other non-public ranges the API never calls on an IdP's behalf
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const ssoError = (message, statusCode, code, errors) => Object.assign(new Error(message), { statusCode, code, errors });
+
+const getSsoModel = () => require('../models/master/TenantSso')(dbManager.getMasterConnection());
+
+const getSsoTokenModel = () => require('../models/master/SsoToken')(dbManager.getMasterConnection());
+
+const hashValue = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const getTenantSso = (tenant, { withSecret = false } = {}) => {
+  const query = getSsoModel().findOne({ tenantId: tenant._id });
+  return withSecret ? query.select('+oidc.encryptedClientSecret') : query;
+};
+
+// SSO configured, switched on and included in the tenant's plan; returns the config or null
+const getActiveSso = async (tenant, options) => {
+  if (!tenant) return null;
+
+  const config = await getTenantSso(tenant, options);
+  if (!config || !config.enabled || !(await isFeatureEnabled(tenant, 'sso'))) return null;
+  return config;
+};
+
+// Whether SSO enforcement stops this user from signing in with a password
+const isPasswordLoginBlocked = async (tenant, user) => {
+  const config = await getActiveSso(tenant);
+  if (!config || !config.enforced) return false;
+  return !(user.role === 'company_admin' && config.allowAdminPasswordLogin);
+};
+
+// Configuration for the company admin, without the client secret
+const describeSso = (config) => {
+  if (!config) return null;
+
+  return {
+    protocol: config.protocol,
+    enabled: config.enabled,
+    enforced: config.enforced,
+    allowAdminPasswordLogin: config.allowAdminPasswordLogin,
+    oidc: config.protocol === 'oidc' ? {
+      issuer: config.oidc.issuer,
+      clientId: config.oidc.clientId,
+      scopes: config.oidc.scopes,
+      hasClientSecret: !!config.oidc.encryptedClientSecret
+    } : undefined,
+    saml: config.protocol === 'saml' ? {
+      entryPoint: config.saml.entryPoint,
+      idpIssuer: config.saml.idpIssuer,
+      idpCert: config.saml.idpCert
+    } : undefined,
+    groupsClaim: config.groupsClaim,
+    roleMappings: config.roleMappings,
+    defaultRole: config.defaultRole,
+    jitProvisioning: config.jitProvisioning,
+    updatedAt: config.updatedAt
+  };
+};
+
+// URLs the identity provider is configured with; they use the host the request came in on
+const getServiceProviderUrls = (req) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}/api/sso`;
+
+  return {
+    oidcRedirectUri: `${baseUrl}/oidc/callback`,
+    samlEntityId: `${baseUrl}/saml/metadata`,
+    samlAcsUrl: `${baseUrl}/saml/acs`
+  };
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Hosts listed in SSO_ALLOWED_HOSTS may use http and internal addresses (an on-premises IdP, the mock IdP)
+const isAllowedProviderHost = (hostname) => {
+  const allowed = (process.env.SSO_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  return allowed.includes(hostname.toLowerCase());
+};
+
+const isInternalAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return INTERNAL_ADDRESSES.check(mapped[1], 'ipv4');
+  return INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// URL the API itself calls (discovery, keys, tokens): https on a public address, unless allowlisted
+const isProviderUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (isAllowedProviderHost(url.hostname)) return ['http:', 'https:'].includes(url.protocol);
+
+  const literal = url.hostname.replace(/^\[|\]$/g, '');
+  return url.protocol === 'https:' && !(net.isIP(literal) && isInternalAddress(literal));
+};
+
+const providerAddressError = (url) => {
+  return ssoError(`Identity provider URL must be https on a public address (${url})`, 502, 'SSO_PROVIDER_ERROR');
+};
+
+// Resolves like dns.lookup but refuses internal addresses, so the address checked is the one connected to
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isInternalAddress(entry.address))) {
+      return callback(providerAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Redirects are not followed: they could lead to an address that was never checked
+const requestProvider = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method,
+    headers: { Accept: 'application/json', ...headers },
+    lookup: isAllowedProviderHost(url.hostname) ? undefined : lookupPublicAddress,
+    timeout: PROVIDER_TIMEOUT_MS
+  }, (response) => {
+    const chunks = [];
+    let size = 0;
+
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > PROVIDER_MAX_RESPONSE_BYTES) {
+        request.destroy(new Error('Response is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({ status: response.statusCode, text: Buffer.concat(chunks).toString('utf8') }));
+    response.on('error', reject);
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Request timed out')));
+  request.on('error', reject);
+  request.end(body === undefined ? undefined : String(body));
+});
+
+const fetchJson = async (url, options = {}) => {
+  if (!isProviderUrl(url)) {
+    throw providerAddressError(url);
+  }
+
+  let response;
+  try {
+    response = await requestProvider(new URL(url), options);
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw ssoError(`Identity provider is unreachable (${url})`, 502, 'SSO_PROVIDER_ERROR');
+  }
+
+  let body = null;
+  try {
+    body = JSON.parse(response.text);
+  } catch (error) {
+    // reported below with the status
+  }
+
+  if (response.status < 200 || response.status >= 300 || !body) {
+    const detail = body && (body.error_description || body.error);
+    throw ssoError(`Identity provider request failed (${response.status}${detail ? `: ${detail}` : ''})`, 502, 'SSO_PROVIDER_ERROR');
+  }
+  return body;
+};
+
+const fetchCachedJson = async (url, { refresh = false } = {}) => {
+  const cached = providerCache.get(url);
+  if (!refresh && cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const value = await fetchJson(url);
+  providerCache.set(url, { value, expiresAt: Date.now() + PROVIDER_CACHE_TTL_MS });
+  return value;
+};
+
+const getOidcMetadata = async (issuer) => {
+  const metadata = await fetchCachedJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+  if (!metadata.issuer || metadata.issuer.replace(/\/$/, '') !== issuer.replace(/\/$/, '')) {
+    throw ssoError(`Discovery document issuer "${metadata.issuer}" does not match "${issuer}"`, 502, 'SSO_PROVIDER_ERROR');
+  }
+  // The API calls these itself; the browser-facing authorization endpoint only has to be http(s)
+  for (const key of ['jwks_uri', 'token_endpoint']) {
+    if (!isProviderUrl(metadata[key])) {
+      throw ssoError(`Discovery document ${key} must be https on a public address`, 502, 'SSO_PROVIDER_ERROR');
+    }
+  }
+  if (!isHttpUrl(metadata.authorization_endpoint)) {
+    throw ssoError('Discovery document authorization_endpoint must be an http(s) URL', 502, 'SSO_PROVIDER_ERROR');
+  }
+  return metadata;
+};
+
+// Public key that signed an ID token; the key set is fetched again once for an unknown key id
+const getSigningKey = async (metadata, kid) => {
+  const findKey = (jwks) => (jwks.keys || []).find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let jwk = findKey(await fetchCachedJson(metadata.jwks_uri));
+  if (!jwk) {
+    jwk = findKey(await fetchCachedJson(metadata.jwks_uri, { refresh: true }));
+  }
+  if (!jwk) {
+    throw ssoError('ID token is signed with an unknown key', 401, 'SSO_INVALID_RESPONSE');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+// The PKCE verifier is derived from the state's nonce, so it never leaves the server
+const getCodeVerifier = (nonce) => base64Url(crypto.createHmac('sha256', process.env.JWT_SECRET).update(`pkce:${nonce}`).digest());
+
+// Cookie that ties a sign-in to the browser that started it; SAML responses arrive as a
+// cross-site form post, so it has to be SameSite=None (and therefore Secure)
+const BINDING_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none',
+  path: '/api/sso'
+};
+
+const readBindingCookie = (req) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === BINDING_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return undefined;
+};
+
+// Signed state carried through the identity provider and back
+const createState = (tenant, protocol, { returnTo, requestId, binding }) => {
+  return jwt.sign(
+    {
+      type: 'sso_state',
+      tenant: tenant.subdomain,
+      protocol,
+      nonce: crypto.randomBytes(16).toString('hex'),
+      requestId,
+      returnTo,
+      binding: hashValue(binding)
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_EXPIRE_SECONDS }
+  );
+};
+
+// The state must be for this tenant, come back to the browser it was issued to and be used once
+const verifyState = async (req, state, protocol) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(state || '', process.env.JWT_SECRET);
+  } catch (error) {
+    throw ssoError('Sign-in request expired. Please try again.', 400, 'SSO_INVALID_STATE');
+  }
+
+  if (decoded.type !== 'sso_state' || decoded.tenant !== req.tenant.subdomain || decoded.protocol !== protocol) {
+    throw ssoError('Sign-in request is not valid for this tenant', 400, 'SSO_INVALID_STATE');
+  }
+
+  const binding = readBindingCookie(req);
+  if (!binding || hashValue(binding) !== decoded.binding) {
+    throw ssoError('Sign-in was not started in this browser. Please try again.', 400, 'SSO_INVALID_STATE');
+  }
+
+  const result = await getSsoTokenModel().updateOne(
+    { tokenHash: hashValue(decoded.nonce) },
+    { $setOnInsert: { type: 'state', tenantId: req.tenant._id, expiresAt: new Date(decoded.exp * 1000) } },
+    { upsert: true }
+  );
+  if (!result.upsertedCount) {
+    throw ssoError('Sign-in request was already used. Please try again.', 400, 'SSO_INVALID_STATE');
+  }
+
+  return decoded;
+};
+
+const createSaml = (req, config, requestId) => {
+  const urls = getServiceProviderUrls(req);
+
+  return new SAML({
+    entryPoint: config.saml.entryPoint,
+    issuer: urls.samlEntityId,
+    callbackUrl: urls.samlAcsUrl,
+    audience: urls.samlEntityId,
+    idpCert: config.saml.idpCert,
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    disableRequestedAuthnContext: true,
+    acceptedClockSkewMs: 60 * 1000,
+    // InResponseTo is checked against the signed RelayState instead of a per-process cache;
+    // verifyState accepts each RelayState once, from the browser that started the sign-in
+    validateInResponseTo: 'never',
+    generateUniqueId: () => requestId
+  });
+};
+
+// Service provider metadata for the tenant's SAML identity provider
+const getSamlMetadata = (req) => {
+  const urls = getServiceProviderUrls(req);
+
+  return generateServiceProviderMetadata({
+    issuer: urls.samlEntityId,
+    callbackUrl: urls.samlAcsUrl,
+    wantAssertionsSigned: true
+  });
+};
+
+// Only paths on our own frontend, so the return address cannot send users elsewhere
+const normalizeReturnTo = (returnTo) => {
+  return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : undefined;
+};
+
+// URL of the identity provider's sign-in page for this tenant, and the browser binding to set as a cookie
+const startSsoLogin = async (req, config, { returnTo } = {}) => {
+  const binding = crypto.randomBytes(32).toString('hex');
+
+  if (config.protocol === 'saml') {
+    const requestId = `_${crypto.randomBytes(20).toString('hex')}`;
+    const state = createState(req.tenant, 'saml', { returnTo: normalizeReturnTo(returnTo), requestId, binding });
+    return { url: await createSaml(req, config, requestId).getAuthorizeUrlAsync(state, undefined, {}), binding };
+  }
+
+  const metadata = await getOidcMetadata(config.oidc.issuer);
+  const state = createState(req.tenant, 'oidc', { returnTo: normalizeReturnTo(returnTo), binding });
+  const { nonce } = jwt.decode(state);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.oidc.clientId,
+    redirect_uri: getServiceProviderUrls(req).oidcRedirectUri,
+    scope: config.oidc.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: base64Url(crypto.createHash('sha256').update(getCodeVerifier(nonce)).digest()),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), binding };
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+// OIDC callback: exchange the code and verify the ID token. Returns the user's identity.
+const completeOidcLogin = async (req, config, { code, state }) => {
+  const decoded = await verifyState(req, state, 'oidc');
+  const metadata = await getOidcMetadata(config.oidc.issuer);
+  const clientSecret = decryptSecret(config.oidc.encryptedClientSecret, ENCRYPTION_KEY_NAME);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: code || '',
+    redirect_uri: getServiceProviderUrls(req).oidcRedirectUri,
+    code_verifier: getCodeVerifier(decoded.nonce)
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(config.oidc.clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', config.oidc.clientId);
+    body.set('client_secret', clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw ssoError('Identity provider did not return an ID token', 502, 'SSO_PROVIDER_ERROR');
+  }
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(metadata, header && header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.oidc.clientId
+    });
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw ssoError(`Invalid ID token: ${error.message}`, 401, 'SSO_INVALID_RESPONSE');
+  }
+
+  if (claims.nonce !== decoded.nonce) {
+    throw ssoError('ID token does not belong to this sign-in', 401, 'SSO_INVALID_RESPONSE');
+  }
+  if (claims.email_verified === false) {
+    throw ssoError('Your email address is not verified with the identity provider', 403, 'SSO_EMAIL_NOT_VERIFIED');
+  }
+
+  return {
+    subject: claims.sub,
+    email: claims.email,
+    emailVerified: claims.email_verified === true,
+    name: claims.name,
+    groups: toList(claims[config.groupsClaim]),
+    returnTo: decoded.returnTo
+  };
+};
+
+// SAML assertion consumer: validate the signed response. Returns the user's identity.
+const completeSamlLogin = async (req, config, { SAMLResponse, RelayState }) => {
+  const decoded = await verifyState(req, RelayState, 'saml');
+
+  let profile;
+  try {
+    ({ profile } = await createSaml(req, config, decoded.requestId).validatePostResponseAsync({ SAMLResponse }));
+  } catch (error) {
+    throw ssoError(`Invalid SAML response: ${error.message}`, 401, 'SSO_INVALID_RESPONSE');
+  }
+
+  if (!profile || profile.inResponseTo !== decoded.requestId) {
+    throw ssoError('SAML response does not belong to this sign-in', 401, 'SSO_INVALID_RESPONSE');
+  }
+  // node-saml only checks idpIssuer on logout responses
+  if (config.saml.idpIssuer && profile.issuer !== config.saml.idpIssuer) {
+    throw ssoError(`SAML response is from an unexpected issuer "${profile.issuer}"`, 401, 'SSO_INVALID_RESPONSE');
+  }
+
+  const email = profile.email || profile.mail ||
+    profile['http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'] ||
+    (String(profile.nameID).includes('@') ? profile.nameID : undefined);
+  const name = profile.displayName || profile.name ||
+    [profile.givenName || profile.firstName, profile.surname || profile.lastName].filter(Boolean).join(' ');
+
+  return {
+    subject: profile.nameID,
+    email,
+    // SAML has no standard claim for this; IdPs that vouch for the address release an email_verified attribute
+    emailVerified: String(profile.email_verified).toLowerCase() === 'true',
+    name: name || undefined,
+    groups: toList(profile[config.groupsClaim]),
+    returnTo: decoded.returnTo
+  };
+};
+
+// Most privileged role among the user's mapped groups, else the default role
+const mapRole = (config, groups) => {
+  const mapped = new Set(config.roleMappings.filter(mapping => groups.includes(mapping.group)).map(mapping => mapping.role));
+  return STAFF_ROLES.find(role => mapped.has(role)) || config.defaultRole || null;
+};
+
+// Find, link or create (just in time) the user for an identity; the role follows the IdP groups
+const provisionSsoUser = async (tenant, db, config, identity) => {
+  if (!identity.subject || !identity.email) {
+    throw ssoError('Identity provider did not send a user id and email address', 403, 'SSO_EMAIL_MISSING');
+  }
+
+  const User = require('../models/tenant/User')(db);
+  const email = identity.email.toLowerCase();
+  const role = mapRole(config, identity.groups);
+  const sso = { protocol: config.protocol, subject: identity.subject, lastLoginAt: new Date() };
+
+  let user = await User.findOne({ 'sso.protocol': config.protocol, 'sso.subject': identity.subject });
+  if (!user) {
+    user = await User.findOne({ email });
+
+    // Same email, but already linked to another identity of this provider
+    if (user && user.sso && user.sso.subject && user.sso.protocol === config.protocol) {
+      throw ssoError('This account is linked to a different identity provider user', 403, 'SSO_ACCOUNT_CONFLICT');
+    }
+    // Linking hands the account over to the IdP user, so the IdP has to vouch for the address
+    if (user && !identity.emailVerified) {
+      throw ssoError('Your email address is not verified with the identity provider, so it cannot be linked to your account', 403, 'SSO_EMAIL_NOT_VERIFIED');
+    }
+  }
+
+  if (user) {
+    if (!user.isActive) {
+      throw ssoError('Account is deactivated', 403, 'ACCOUNT_INACTIVE');
+    }
+
+    if (role && role !== user.role) {
+      if (role === 'recruiter') await assertQuota(tenant, db, 'recruiters');
+      user.role = role;
+      user.department = DEPARTMENTS[role];
+    }
+
+    user.sso = sso;
+    user.isEmailVerified = true;
+    user.lastLogin = new Date();
+    await user.save();
+
+    if (user.role === 'recruiter') await recordRecruiterSeats(tenant, db);
+    return user;
+  }
+
+  if (!config.jitProvisioning) {
+    throw ssoError('No account exists for this user. Ask your administrator for access.', 403, 'SSO_USER_NOT_FOUND');
+  }
+  if (!role) {
+    throw ssoError('None of your groups has access to this application', 403, 'SSO_NO_ROLE');
+  }
+
+  await assertQuota(tenant, db, 'users');
+  if (role === 'recruiter') await assertQuota(tenant, db, 'recruiters');
+
+  user = await User.create({
+    name: identity.name || email.split('@')[0],
+    email,
+    // Never shown to anyone: SSO users sign in through their identity provider
+    password: crypto.randomBytes(32).toString('hex'),
+    role,
+    department: DEPARTMENTS[role],
+    isEmailVerified: true,
+    lastLogin: new Date(),
+    sso
+  });
+
+  if (USER_ROLE_STEPS[role]) {
+    await completeOnboardingStep(tenant, USER_ROLE_STEPS[role], user._id);
+  }
+  if (role === 'recruiter') await recordRecruiterSeats(tenant, db);
+
+  return user;
+};
+
+// Short-lived code the frontend exchanges for a session, so no token travels in a URL
+const issueLoginCode = async (tenant, user) => {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  await getSsoTokenModel().create({
+    type: 'code',
+    tokenHash: hashValue(code),
+    tenantId: tenant._id,
+    userId: user._id,
+    expiresAt: new Date(Date.now() + LOGIN_CODE_EXPIRE_MS)
+  });
+  return code;
+};
+
+// The user a login code was issued to; each code works once, on its own tenant
+const redeemLoginCode = async (tenant, db, code) => {
+  const token = await getSsoTokenModel().findOneAndDelete({
+    type: 'code',
+    tokenHash: hashValue(code || ''),
+    tenantId: tenant._id,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!token) {
+    throw ssoError('Invalid or expired sign-in code. Please sign in again.', 400, 'SSO_INVALID_CODE');
+  }
+
+  const User = require('../models/tenant/User')(db);
+  const user = await User.findById(token.userId);
+  if (!user || !user.isActive) {
+    throw ssoError('Account is deactivated', 403, 'ACCOUNT_INACTIVE');
+  }
+  return user;
+};
+
+// Validate a configuration update; the client secret is kept when not sent again
+const normalizeSsoConfig = (input, existing) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw ssoError('SSO configuration must be an object', 400);
+  }
+
+  const errors = [];
+  const values = {};
+  const protocol = input.protocol || (existing && existing.protocol);
+
+  if (!['oidc', 'saml'].includes(protocol)) {
+    errors.push({ field: 'protocol', message: 'must be oidc or saml' });
+  }
+
+  for (const key of ['enabled', 'enforced', 'allowAdminPasswordLogin', 'jitProvisioning']) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== 'boolean') errors.push({ field: key, message: 'must be true or false' });
+    else values[key] = input[key];
+  }
+
+  if (protocol === 'oidc') {
+    const stored = existing && existing.protocol === 'oidc' ? existing.toObject().oidc : {};
+    const { issuer, clientId, clientSecret, scopes } = input.oidc || {};
+    const oidc = {
+      issuer: issuer || stored.issuer,
+      clientId: clientId || stored.clientId,
+      clientSecret,
+      encryptedClientSecret: stored.encryptedClientSecret,
+      scopes: scopes || stored.scopes || ['openid', 'email', 'profile']
+    };
+
+    if (!isProviderUrl(oidc.issuer)) errors.push({ field: 'oidc.issuer', message: 'must be an https URL on a public address' });
+    if (!oidc.clientId) errors.push({ field: 'oidc.clientId', message: 'is required' });
+    if (!oidc.clientSecret && !oidc.encryptedClientSecret) errors.push({ field: 'oidc.clientSecret', message: 'is required' });
+
+    if (!Array.isArray(oidc.scopes) || !oidc.scopes.includes('openid')) {
+      errors.push({ field: 'oidc.scopes', message: 'must be a list that includes openid' });
+    }
+
+    values.oidc = {
+      issuer: oidc.issuer,
+      clientId: oidc.clientId,
+      encryptedClientSecret: oidc.clientSecret ? encryptSecret(String(oidc.clientSecret), ENCRYPTION_KEY_NAME) : oidc.encryptedClientSecret,
+      scopes: oidc.scopes
+    };
+    values.saml = {};
+  }
+
+  if (protocol === 'saml') {
+    const stored = existing && existing.protocol === 'saml' ? existing.toObject().saml : {};
+    const { entryPoint, idpIssuer, idpCert } = input.saml || {};
+    const saml = {
+      entryPoint: entryPoint || stored.entryPoint,
+      idpIssuer: idpIssuer === undefined ? stored.idpIssuer : idpIssuer,
+      idpCert: idpCert || stored.idpCert
+    };
+
+    if (!isHttpUrl(saml.entryPoint)) errors.push({ field: 'saml.entryPoint', message: 'must be an http(s) URL' });
+    if (!saml.idpCert) errors.push({ field: 'saml.idpCert', message: 'is required' });
+
+    values.saml = { entryPoint: saml.entryPoint, idpIssuer: saml.idpIssuer, idpCert: saml.idpCert };
+    values.oidc = {};
+  }
+
+  if (input.groupsClaim !== undefined) {
+    if (typeof input.groupsClaim !== 'string' || !input.groupsClaim.trim()) errors.push({ field: 'groupsClaim', message: 'must be a claim name' });
+    else values.groupsClaim = input.groupsClaim.trim();
+  }
+
+  if (input.roleMappings !== undefined) {
+    const valid = Array.isArray(input.roleMappings) && input.roleMappings.every(mapping =>
+      mapping && typeof mapping.group === 'string' && mapping.group.trim() && STAFF_ROLES.includes(mapping.role)
+    );
+    if (!valid) errors.push({ field: 'roleMappings', message: `must be a list of { group, role } with role one of ${STAFF_ROLES.join(', ')}` });
+    else values.roleMappings = input.roleMappings.map(({ group, role }) => ({ group: group.trim(), role }));
+  }
+
+  if (input.defaultRole !== undefined) {
+    if (input.defaultRole !== null && !STAFF_ROLES.includes(input.defaultRole)) {
+      errors.push({ field: 'defaultRole', message: `must be null or one of ${STAFF_ROLES.join(', ')}` });
+    } else {
+      values.defaultRole = input.defaultRole;
+    }
+  }
+
+  if (errors.length) {
+    throw ssoError('Invalid SSO configuration', 400, undefined, errors);
+  }
+
+  values.protocol = protocol;
+  return values;
+};
+
+// Create or replace the tenant's identity provider. OIDC issuers must serve a discovery document.
+const saveTenantSso = async (tenant, input, { by } = {}) => {
+  const existing = await getTenantSso(tenant, { withSecret: true });
+  const values = normalizeSsoConfig(input, existing);
+
+  if (values.protocol === 'oidc') {
+    try {
+      await getOidcMetadata(values.oidc.issuer);
+    } catch (error) {
+      throw ssoError(`Could not load the OIDC discovery document: ${error.message}`, 400, 'SSO_PROVIDER_ERROR');
+    }
+  }
+
+  return getSsoModel().findOneAndUpdate(
+    { tenantId: tenant._id },
+    { $set: { ...values, updatedBy: by } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).select('+oidc.encryptedClientSecret');
+};
+
+const deleteTenantSso = async (tenant) => {
+  const result = await getSsoModel().deleteOne({ tenantId: tenant._id });
+  if (!result.deletedCount) {
+    throw ssoError('SSO is not configured', 404);
+  }
+};
+
+module.exports = {
+  STATE_EXPIRE_SECONDS,
+  BINDING_COOKIE,
+  BINDING_COOKIE_OPTIONS,
+  getTenantSso,
+  getActiveSso,
+  isPasswordLoginBlocked,
+  describeSso,
+  getServiceProviderUrls,
+  getSamlMetadata,
+  startSsoLogin,
+  completeOidcLogin,
+  completeSamlLogin,
+  provisionSsoUser,
+  issueLoginCode,
+  redeemLoginCode,
+  saveTenantSso,
+  deleteTenantSso
+};
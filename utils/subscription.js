@@ -0,0 +1,110 @@
+const dbManager = require('../config/database');
+
+const DEFAULT_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const subscriptionError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const getSubscriptionGraceDays = () => {
+  const days = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS);
+  return Number.isNaN(days) ? DEFAULT_GRACE_DAYS : days;
+};
+
+// Effective subscription state of a tenant:
+//   active    - paid up
+//   grace     - past endDate but within the grace period (full access)
+//   expired   - past the grace period (read-only)
+//   suspended - suspended by an operator (read-only)
+//   cancelled - cancelled (read-only, public job pages and applications disabled)
+const getSubscriptionState = (tenant, now = new Date()) => {
+  const subscription = tenant.subscription || {};
+  const endDate = subscription.endDate ? new Date(subscription.endDate) : null;
+  const graceEndsAt = endDate ? new Date(endDate.getTime() + getSubscriptionGraceDays() * DAY_MS) : null;
+
+  let status = subscription.status || 'active';
+
+  if (status === 'active' && endDate && endDate < now) {
+    status = graceEndsAt > now ? 'grace' : 'expired';
+  }
+
+  return {
+    plan: subscription.plan,
+    status,
+    readOnly: ['expired', 'suspended', 'cancelled'].includes(status),
+    endDate,
+    graceEndsAt
+  };
+};
+
+const findTenantOrFail = async (tenantId) => {
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const tenant = await Tenant.findById(tenantId);
+
+  if (!tenant) {
+    throw subscriptionError('Tenant not found', 404);
+  }
+  return tenant;
+};
+
+// Resolve the new end date from either an explicit date or a number of days.
+// Days are added to the current end date, or to today if it has already passed.
+const resolveEndDate = (subscription, { days, endDate }) => {
+  if (endDate) {
+    const date = new Date(endDate);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw subscriptionError('End date must be a valid date in the future', 400);
+    }
+    return date;
+  }
+
+  const extraDays = parseInt(days);
+  if (Number.isNaN(extraDays) || extraDays <= 0) {
+    throw subscriptionError('Provide a positive number of days or an end date', 400);
+  }
+
+  const current = subscription.endDate && subscription.endDate > new Date() ? subscription.endDate : new Date();
+  return new Date(current.getTime() + extraDays * DAY_MS);
+};
+
+// Push the subscription end date out
+const extendSubscription = async (tenantId, { days, endDate } = {}) => {
+  const tenant = await findTenantOrFail(tenantId);
+
+  if (tenant.subscription.status === 'cancelled') {
+    throw subscriptionError('Cancelled subscriptions must be reinstated first', 409);
+  }
+
+  tenant.subscription.endDate = resolveEndDate(tenant.subscription, { days, endDate });
+  await tenant.save();
+
+  return tenant;
+};
+
+// Bring a suspended, cancelled or expired subscription back to active
+const reinstateSubscription = async (tenantId, { days, endDate } = {}) => {
+  const tenant = await findTenantOrFail(tenantId);
+  const state = getSubscriptionState(tenant);
+
+  if (days || endDate) {
+    tenant.subscription.endDate = resolveEndDate(tenant.subscription, { days, endDate });
+  } else if (state.status === 'active' || state.status === 'grace') {
+    throw subscriptionError('Subscription is already active', 409);
+  }
+
+  tenant.subscription.status = 'active';
+
+  if (getSubscriptionState(tenant).status === 'expired') {
+    throw subscriptionError('Subscription end date has passed: provide days or an end date to reinstate it', 400);
+  }
+
+  await tenant.save();
+
+  return tenant;
+};
+
+module.exports = {
+  getSubscriptionGraceDays,
+  getSubscriptionState,
+  extendSubscription,
+  reinstateSubscription
+};
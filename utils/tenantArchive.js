@@ -0,0 +1,532 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const zlib = require('zlib');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const dbManager = require('../config/database');
+const { generatePassword } = require('./helpers');
+const { migrateTenant } = require('./migrationRunner');
+const { scopeFilter } = require('../models/plugins/tenantScope');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Archive layout: gzip-compressed NDJSON, one record per line:
+//   header -> tenant -> document* -> footer
+const ARCHIVE_FORMAT = 'recruiter-ai-tenant-archive';
+const ARCHIVE_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// Tenant collections in export order
+const TENANT_COLLECTIONS = ['users', 'requirements', 'jobdescriptions', 'candidates', 'applications'];
+
+const IMPORT_MODES = ['create', 'replace', 'merge'];
+const BATCH_SIZE = 500;
+const PROGRESS_INTERVAL = 500;
+
+// Accounts that already exist in the target are kept when merging, matched by these fields
+const MERGE_KEYS = {
+  users: 'email',
+  candidates: 'personalInfo.email'
+};
+
+const archiveError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const serialize = (record) => EJSON.stringify(record, { relaxed: false }) + '\n';
+
+// Master tenant fields that are safe to carry between environments
+const exportableTenant = (tenant) => {
+  const doc = tenant.toObject ? tenant.toObject() : { ...tenant };
+
+  if (doc.adminCredentials) {
+    delete doc.adminCredentials.tempPassword;
+  }
+
+  return doc;
+};
+
+// Stream a tenant's collections plus its master record as a gzip-compressed archive
+const createExportStream = (tenant, { onProgress } = {}) => {
+  const generate = async function* () {
+    const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+    const counts = {};
+
+    try {
+      yield serialize({
+        type: 'header',
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date(),
+        source: { tenantId: tenant._id, subdomain: tenant.subdomain },
+        collections: TENANT_COLLECTIONS
+      });
+
+      yield serialize({ type: 'tenant', doc: exportableTenant(tenant) });
+
+      for (const name of TENANT_COLLECTIONS) {
+        counts[name] = 0;
+        // tenantId only exists in shared storage and is re-applied on import
+        const cursor = connection.collection(name).find(scopeFilter(connection), { projection: { tenantId: 0 } });
+
+        for await (const doc of cursor) {
+          counts[name] += 1;
+          if (onProgress && counts[name] % PROGRESS_INTERVAL === 0) {
+            onProgress({ collection: name, processed: counts[name] });
+          }
+          yield serialize({ type: 'document', collection: name, doc });
+        }
+
+        if (onProgress) onProgress({ collection: name, processed: counts[name], done: true });
+      }
+
+      yield serialize({ type: 'footer', counts });
+    } finally {
+      release();
+    }
+  };
+
+  // pipeline passes a failing read (e.g. a tenant being migrated) on to the gzip stream,
+  // where the consumer's own pipeline sees it instead of an unhandled 'error' event
+  return stream.pipeline(stream.Readable.from(generate()), zlib.createGzip(), () => {});
+};
+
+// Read archive records one line at a time from a gzip file
+const readArchive = async function* (filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+
+    try {
+      yield { lineNumber, record: EJSON.parse(line, { relaxed: true }) };
+    } catch (error) {
+      throw archiveError(`Invalid archive record on line ${lineNumber}: ${error.message}`);
+    }
+  }
+};
+
+// Validation pass: checks structure and counts without writing anything
+const validateArchive = async (filePath) => {
+  let header = null;
+  let tenant = null;
+  let footer = null;
+  const counts = {};
+
+  for await (const { lineNumber, record } of readArchive(filePath)) {
+    if (!header) {
+      if (record.type !== 'header' || record.format !== ARCHIVE_FORMAT) {
+        throw archiveError('Not a tenant archive');
+      }
+      if (!SUPPORTED_VERSIONS.includes(record.version)) {
+        throw archiveError(`Unsupported archive version ${record.version}`);
+      }
+      header = record;
+      continue;
+    }
+
+    if (footer) {
+      throw archiveError(`Unexpected data after archive footer on line ${lineNumber}`);
+    }
+
+    switch (record.type) {
+      case 'tenant':
+        tenant = record.doc;
+        break;
+      case 'document':
+        if (!TENANT_COLLECTIONS.includes(record.collection)) {
+          throw archiveError(`Unknown collection "${record.collection}" on line ${lineNumber}`);
+        }
+        if (!record.doc || !record.doc._id) {
+          throw archiveError(`Document without _id on line ${lineNumber}`);
+        }
+        counts[record.collection] = (counts[record.collection] || 0) + 1;
+        break;
+      case 'footer':
+        footer = record;
+        break;
+      default:
+        throw archiveError(`Unknown record type "${record.type}" on line ${lineNumber}`);
+    }
+  }
+
+  if (!header) throw archiveError('Archive is empty');
+  if (!tenant) throw archiveError('Archive does not contain a tenant record');
+  if (!footer) throw archiveError('Archive is truncated (missing footer)');
+
+  for (const name of TENANT_COLLECTIONS) {
+    if ((footer.counts[name] || 0) !== (counts[name] || 0)) {
+      throw archiveError(`Document count mismatch for ${name}: expected ${footer.counts[name] || 0}, found ${counts[name] || 0}`);
+    }
+  }
+
+  return { header, tenant, counts };
+};
+
+// Consistently replace every ObjectId in a document (ids and references alike)
+// so imported data never collides with existing documents.
+const remapIds = (value, idMap) => {
+  if (value === null || value === undefined) return value;
+
+  if (value._bsontype === 'ObjectId') {
+    const key = value.toHexString();
+    if (!idMap.has(key)) {
+      idMap.set(key, new mongoose.Types.ObjectId());
+    }
+    return idMap.get(key);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+
+  if (value instanceof Date || value._bsontype) {
+    return value;
+  }
+
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) {
+      result[key] = remapIds(nested, idMap);
+    }
+    return result;
+  }
+
+  return value;
+};
+
+const getPath = (doc, keyPath) => keyPath.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Undo a tenant created for a failed import: its data first (the lease needs the record), then the record
+const discardCreatedTenant = async (Tenant, tenant) => {
+  try {
+    await dbManager.dropTenantDB(tenant.subdomain);
+  } catch (error) {
+    console.error(`❌ Could not drop data of discarded tenant ${tenant.subdomain}:`, error.message);
+  }
+  await Tenant.deleteOne({ _id: tenant._id });
+};
+
+// Create a tenant record for an archive restored into a subdomain that does not exist yet
+const createTenantFromArchive = async (Tenant, source, subdomain, createdBy) => {
+  const tempPassword = generatePassword();
+
+  const tenant = await Tenant.create({
+    companyName: source.companyName,
+    email: source.email,
+    phone: source.phone,
+    address: source.address,
+    subdomain,
+    branding: source.branding,
+    subscription: source.subscription,
+    settings: source.settings,
+    passwordPolicy: source.passwordPolicy,
+    tenancy: { mode: source.tenancy ? source.tenancy.mode : 'dedicated' },
+    adminCredentials: {
+      username: `${subdomain}_admin`,
+      tempPassword: await bcrypt.hash(tempPassword, 12),
+      passwordChanged: source.adminCredentials ? source.adminCredentials.passwordChanged : false
+    },
+    isActive: true,
+    createdBy
+  });
+
+  try {
+    await dbManager.createTenantDB(subdomain);
+    await migrateTenant(subdomain);
+  } catch (error) {
+    await discardCreatedTenant(Tenant, tenant);
+    throw error;
+  }
+
+  return tenant;
+};
+
+// Merge plan: archived users and candidates whose email already exists in the target are
+// skipped, and every reference to them is pointed at the existing account instead.
+const planMerge = async (filePath, connection) => {
+  const idMap = new Map();
+  const skipped = new Set();
+  const pending = { users: [], candidates: [] };
+
+  const match = async (name) => {
+    const docs = pending[name];
+    if (!docs.length) return;
+    pending[name] = [];
+
+    const keyPath = MERGE_KEYS[name];
+    const existing = await connection.collection(name)
+      .find({ ...scopeFilter(connection), [keyPath]: { $in: docs.map(doc => getPath(doc, keyPath)) } }, { projection: { [keyPath]: 1 } })
+      .toArray();
+    const existingIds = new Map(existing.map(doc => [getPath(doc, keyPath), doc._id]));
+
+    for (const doc of docs) {
+      const existingId = existingIds.get(getPath(doc, keyPath));
+      if (existingId) {
+        idMap.set(doc._id.toHexString(), existingId);
+        skipped.add(doc._id.toHexString());
+      }
+    }
+  };
+
+  for await (const { record } of readArchive(filePath)) {
+    const keyPath = record.type === 'document' && MERGE_KEYS[record.collection];
+    if (!keyPath || !getPath(record.doc, keyPath)) continue;
+
+    pending[record.collection].push(record.doc);
+    if (pending[record.collection].length >= BATCH_SIZE) await match(record.collection);
+  }
+  await match('users');
+  await match('candidates');
+
+  return { idMap, skipped };
+};
+
+// Give merged jobs whose shareable link is already used in the target a new link
+const renameTakenLinks = async (connection, docs) => {
+  const links = docs.map(doc => doc.shareableLink).filter(Boolean);
+  if (!links.length) return 0;
+
+  const taken = new Set(
+    (await connection.collection('jobdescriptions')
+      .find({ ...scopeFilter(connection), shareableLink: { $in: links } }, { projection: { shareableLink: 1 } })
+      .toArray()).map(doc => doc.shareableLink)
+  );
+
+  let renamed = 0;
+  for (const doc of docs) {
+    if (taken.has(doc.shareableLink)) {
+      doc.shareableLink = uuidv4();
+      renamed += 1;
+    }
+  }
+  return renamed;
+};
+
+const backupCollectionName = (token, name) => `__import_backup_${token}_${name}`;
+
+// Replace mode: move the tenant's current documents aside so a failed import can put them back
+const backupTenantData = async (connection, token) => {
+  for (const name of TENANT_COLLECTIONS) {
+    const backup = connection.collection(backupCollectionName(token, name));
+    let batch = [];
+
+    for await (const doc of connection.collection(name).find(scopeFilter(connection))) {
+      batch.push(doc);
+      if (batch.length >= BATCH_SIZE) {
+        await backup.insertMany(batch, { ordered: false });
+        batch = [];
+      }
+    }
+    if (batch.length) await backup.insertMany(batch, { ordered: false });
+
+    await connection.collection(name).deleteMany(scopeFilter(connection));
+  }
+};
+
+const dropBackups = async (connection, token) => {
+  for (const name of TENANT_COLLECTIONS) {
+    await connection.collection(backupCollectionName(token, name)).drop().catch(() => {});
+  }
+};
+
+const restoreTenantData = async (connection, token) => {
+  for (const name of TENANT_COLLECTIONS) {
+    await connection.collection(name).deleteMany(scopeFilter(connection));
+
+    let batch = [];
+    for await (const doc of connection.collection(backupCollectionName(token, name)).find({})) {
+      batch.push(doc);
+      if (batch.length >= BATCH_SIZE) {
+        await connection.collection(name).insertMany(batch, { ordered: false });
+        batch = [];
+      }
+    }
+    if (batch.length) await connection.collection(name).insertMany(batch, { ordered: false });
+  }
+};
+
+// Merge mode: remove exactly the documents this import wrote
+const removeInserted = async (connection, inserted) => {
+  for (const [name, ids] of Object.entries(inserted)) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      await connection.collection(name).deleteMany({ ...scopeFilter(connection), _id: { $in: ids.slice(i, i + BATCH_SIZE) } });
+    }
+  }
+};
+
+// Write the archive's documents into a tenant. On failure the tenant's data is put back
+// the way it was: replaced data is restored and merged documents are removed again.
+const writeArchive = async (filePath, connection, { mode, onProgress }) => {
+  const { idMap, skipped } = mode === 'merge'
+    ? await planMerge(filePath, connection)
+    : { idMap: new Map(), skipped: new Set() };
+
+  const backupToken = crypto.randomBytes(6).toString('hex');
+  let keepBackups = false;
+  const imported = {};
+  const inserted = {};
+  const result = { imported, skipped: {}, renamedLinks: 0, idMap };
+
+  try {
+    if (mode === 'replace') {
+      await backupTenantData(connection, backupToken);
+    }
+
+    let batch = [];
+    let batchCollection = null;
+
+    const flush = async () => {
+      if (!batch.length) return;
+
+      if (mode === 'merge' && batchCollection === 'jobdescriptions') {
+        result.renamedLinks += await renameTakenLinks(connection, batch);
+      }
+
+      // Recorded before writing: a failing batch may still have written some documents
+      inserted[batchCollection] = (inserted[batchCollection] || []).concat(batch.map(doc => doc._id));
+      await connection.collection(batchCollection).insertMany(batch, { ordered: true });
+
+      imported[batchCollection] = (imported[batchCollection] || 0) + batch.length;
+      if (onProgress) onProgress({ stage: 'importing', collection: batchCollection, processed: imported[batchCollection] });
+      batch = [];
+    };
+
+    for await (const { record } of readArchive(filePath)) {
+      if (record.type !== 'document') continue;
+
+      if (skipped.has(record.doc._id.toHexString())) {
+        result.skipped[record.collection] = (result.skipped[record.collection] || 0) + 1;
+        continue;
+      }
+
+      if (record.collection !== batchCollection || batch.length >= BATCH_SIZE) {
+        await flush();
+        batchCollection = record.collection;
+      }
+
+      batch.push({ ...remapIds(record.doc, idMap), ...scopeFilter(connection) });
+    }
+    await flush();
+  } catch (error) {
+    if (onProgress) onProgress({ stage: 'rolling_back' });
+
+    try {
+      if (mode === 'replace') {
+        await restoreTenantData(connection, backupToken);
+      } else if (mode === 'merge') {
+        await removeInserted(connection, inserted);
+      }
+    } catch (rollbackError) {
+      // Backups of replaced data are kept for a manual restore
+      keepBackups = mode === 'replace';
+      console.error('❌ Tenant import rollback failed:', rollbackError.message);
+      error.message = keepBackups
+        ? `${error.message} (rollback failed: ${rollbackError.message}; previous data kept in ${backupCollectionName(backupToken, '*')})`
+        : `${error.message} (rollback failed: ${rollbackError.message})`;
+    }
+
+    throw error;
+  } finally {
+    if (mode === 'replace' && !keepBackups) {
+      await dropBackups(connection, backupToken);
+    }
+  }
+
+  return result;
+};
+
+// Restore an archive (gzip NDJSON file) into a new or existing subdomain.
+// mode: create (subdomain must be new) | replace (wipe existing data first) | merge
+const importArchive = async (filePath, { subdomain, mode = 'create', dryRun = false, createdBy, onProgress } = {}) => {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw archiveError(`Invalid import mode. Use one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const { header, tenant: sourceTenant, counts } = await validateArchive(filePath);
+  if (onProgress) onProgress({ stage: 'validated', counts });
+
+  const targetSubdomain = (subdomain || header.source.subdomain || '').toLowerCase();
+  if (!/^[a-z0-9-]{3,30}$/.test(targetSubdomain)) {
+    throw archiveError('Invalid target subdomain');
+  }
+
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const existingTenant = await Tenant.findOne({ subdomain: targetSubdomain });
+
+  if (existingTenant && mode === 'create') {
+    throw archiveError(`Tenant "${targetSubdomain}" already exists. Use mode "replace" or "merge".`, 409);
+  }
+  if (!existingTenant && mode === 'create' && await Tenant.isSubdomainTaken(targetSubdomain)) {
+    throw archiveError(`Subdomain "${targetSubdomain}" is still reserved by a renamed tenant`, 409);
+  }
+  if (!existingTenant && mode !== 'create') {
+    throw archiveError(`Tenant "${targetSubdomain}" does not exist. Use mode "create".`, 404);
+  }
+
+  const summary = {
+    dryRun,
+    mode,
+    archiveVersion: header.version,
+    exportedAt: header.exportedAt,
+    source: header.source,
+    target: { subdomain: targetSubdomain, exists: !!existingTenant },
+    counts
+  };
+
+  if (dryRun) return summary;
+
+  const tenant = existingTenant ||
+    await createTenantFromArchive(Tenant, sourceTenant, targetSubdomain, createdBy);
+
+  let result;
+  try {
+    const { connection, release } = await dbManager.leaseTenantDB(targetSubdomain);
+    try {
+      result = await writeArchive(filePath, connection, { mode, onProgress });
+    } finally {
+      release();
+    }
+  } catch (error) {
+    // A tenant created for this import is removed again, record and database alike
+    if (!existingTenant) {
+      await discardCreatedTenant(Tenant, tenant);
+    }
+    throw error;
+  }
+
+  summary.tenant = { id: tenant._id, subdomain: tenant.subdomain };
+  summary.imported = result.imported;
+  summary.skipped = result.skipped;
+  summary.renamedLinks = result.renamedLinks;
+  summary.remappedIds = result.idMap.size;
+
+  console.log(`✅ Tenant archive imported into ${targetSubdomain} (${mode})`);
+  return summary;
+};
+
+// Spool an uploaded archive to a temporary file so it can be validated before importing
+const saveUploadedArchive = async (input) => {
+  const filePath = path.join(os.tmpdir(), `tenant-import-${crypto.randomBytes(8).toString('hex')}.ndjson.gz`);
+  await pipeline(input, fs.createWriteStream(filePath));
+  return filePath;
+};
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  TENANT_COLLECTIONS,
+  createExportStream,
+  validateArchive,
+  importArchive,
+  saveUploadedArchive
+};
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const { normalizeDomain, isPlatformDomain } = require('./customDomains');
+
+// Tenant resolution cache limits (overridable through the environment)
+const DEFAULT_TTL_MS = 60 * 1000;
+const DEFAULT_NEGATIVE_TTL_MS = 10 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Capped master collection used by the mongo backend to fan out invalidations
+const EVENTS_COLLECTION = 'tenant_cache_events';
+const EVENTS_COLLECTION_SIZE = 1024 * 1024;
+const EVENTS_RETRY_MS = 1000;
+
+const ttlMs = process.env.TENANT_CACHE_TTL_MS !== undefined
+  ? parseInt(process.env.TENANT_CACHE_TTL_MS) || 0
+  : DEFAULT_TTL_MS;
+const negativeTtlMs = process.env.TENANT_CACHE_NEGATIVE_TTL_MS !== undefined
+  ? parseInt(process.env.TENANT_CACHE_NEGATIVE_TTL_MS) || 0
+  : DEFAULT_NEGATIVE_TTL_MS;
+const maxEntries = parseInt(process.env.TENANT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+
+// Identifies this process so it can ignore its own broadcast messages
+const instanceId = crypto.randomBytes(8).toString('hex');
+
+// key -> { tenant: plain tenant object or null (unknown host), tenantId, expiresAt }, kept in LRU order
+const entries = new Map();
+// tenantId -> keys that currently hold that tenant
+const keysByTenant = new Map();
+// Lookups in flight, so concurrent misses for one host share a single master query
+const pendingLookups = new Map();
+// Bumped on every invalidation; lookups started before it must not repopulate the cache
+let generation = 0;
+
+let backend = null;
+let subscribed = false;
+
+const stats = {
+  hits: 0,
+  negativeHits: 0,
+  misses: 0,
+  coalesced: 0,
+  expirations: 0,
+  evictions: 0,
+  invalidations: 0,
+  remoteInvalidations: 0
+};
+
+const getTenantModel = () => require('../models/master/Tenant')(dbManager.getMasterConnection());
+
+const subdomainKey = (subdomain) => `subdomain:${subdomain}`;
+const aliasKey = (subdomain) => `alias:${subdomain}`;
+const formerKey = (subdomain) => `former:${subdomain}`;
+const domainKey = (domain) => `domain:${domain}`;
+
+// Invalidation messages only reach this process (single-instance deployments)
+const createMemoryBackend = () => ({
+  name: 'memory',
+  publish: async () => {},
+  subscribe: () => {}
+});
+
+// Invalidation messages are written to a capped master collection that every instance tails
+const createMongoBackend = () => {
+  let handler = null;
+  let lastSeenId = null;
+
+  const getCollection = async () => {
+    if (!dbManager.masterConnection) {
+      await dbManager.initializeMasterDB();
+    }
+
+    const db = dbManager.getMasterConnection().db;
+    const exists = await db.listCollections({ name: EVENTS_COLLECTION }).hasNext();
+
+    if (!exists) {
+      try {
+        await db.createCollection(EVENTS_COLLECTION, { capped: true, size: EVENTS_COLLECTION_SIZE });
+      } catch (error) {
+        // Another instance created it first
+        if (error.codeName !== 'NamespaceExists') throw error;
+      }
+    }
+
+    return db.collection(EVENTS_COLLECTION);
+  };
+
+  const wait = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (timer.unref) timer.unref();
+  });
+
+  const tail = async () => {
+    for (;;) {
+      try {
+        const collection = await getCollection();
+
+        if (!lastSeenId) {
+          const latest = await collection.find().sort({ $natural: -1 }).limit(1).next();
+          lastSeenId = latest ? latest._id : null;
+        }
+
+        // Tailable cursors die on an empty collection or when they fall behind, so reopen them in a loop
+        const cursor = collection.find(
+          lastSeenId ? { _id: { $gt: lastSeenId } } : {},
+          { tailable: true, awaitData: true }
+        );
+
+        for await (const event of cursor) {
+          lastSeenId = event._id;
+          if (event.origin !== instanceId && handler) {
+            handler(event.message);
+          }
+        }
+      } catch (error) {
+        console.error('❌ Tenant cache invalidation feed error:', error.message);
+      }
+
+      await wait(EVENTS_RETRY_MS);
+    }
+  };
+
+  return {
+    name: 'mongo',
+    publish: async (message) => {
+      const collection = await getCollection();
+      await collection.insertOne({ origin: instanceId, message, at: new Date() });
+    },
+    subscribe: (onMessage) => {
+      handler = onMessage;
+      tail();
+    }
+  };
+};
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  mongo: createMongoBackend
+};
+
+const getBackend = () => {
+  if (!backend) {
+    const name = process.env.TENANT_CACHE_BACKEND || 'memory';
+    if (!BACKENDS[name]) {
+      throw new Error(`Unknown TENANT_CACHE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    backend = BACKENDS[name]();
+  }
+  return backend;
+};
+
+// Replace the invalidation backend, e.g. with a Redis pub/sub adapter.
+// A backend is { name, publish(message) => Promise, subscribe(handler) }.
+const setTenantCacheBackend = (customBackend) => {
+  backend = customBackend;
+  subscribed = false;
+};
+
+const removeEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  entries.delete(key);
+
+  if (entry.tenantId) {
+    const keys = keysByTenant.get(entry.tenantId);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) keysByTenant.delete(entry.tenantId);
+    }
+  }
+};
+
+const storeEntry = (key, tenant) => {
+  const ttl = tenant ? ttlMs : negativeTtlMs;
+  if (ttl <= 0) return;
+
+  removeEntry(key);
+
+  const tenantId = tenant ? tenant._id.toString() : null;
+  entries.set(key, { tenant, tenantId, expiresAt: Date.now() + ttl });
+
+  if (tenantId) {
+    if (!keysByTenant.has(tenantId)) keysByTenant.set(tenantId, new Set());
+    keysByTenant.get(tenantId).add(key);
+  }
+
+  // Evict the least recently used entries
+  while (entries.size > maxEntries) {
+    removeEntry(entries.keys().next().value);
+    stats.evictions++;
+  }
+};
+
+const applyInvalidation = (message) => {
+  generation++;
+
+  if (message.type === 'clear') {
+    entries.clear();
+    keysByTenant.clear();
+    return;
+  }
+
+  if (message.tenantId) {
+    for (const key of [...(keysByTenant.get(message.tenantId) || [])]) {
+      removeEntry(key);
+    }
+  }
+  (message.keys || []).forEach(removeEntry);
+
+  // A changed tenant may now answer for a host that was cached as unknown
+  for (const [key, entry] of [...entries]) {
+    if (!entry.tenant) removeEntry(key);
+  }
+};
+
+const ensureSubscribed = () => {
+  if (subscribed) return;
+  subscribed = true;
+
+  getBackend().subscribe((message) => {
+    stats.remoteInvalidations++;
+    applyInvalidation(message);
+  });
+};
+
+const publish = async (message) => {
+  try {
+    await getBackend().publish(message);
+  } catch (error) {
+    console.error('❌ Failed to broadcast tenant cache invalidation:', error.message);
+  }
+};
+
+// Lookups leave out select: false fields. Hydrating with the same projection marks them as not
+// loaded, so saving the document neither validates nor overwrites them.
+const hydrate = (Tenant, tenant) => {
+  const projection = {};
+  Tenant.schema.eachPath((path, schemaType) => {
+    if (schemaType.options.select === false) projection[path] = 0;
+  });
+  return Tenant.hydrate(tenant, projection);
+};
+
+// Cached lookup; each caller gets its own hydrated document so request handlers can modify and save it
+const resolve = async (key, lookup) => {
+  const Tenant = getTenantModel();
+  const cached = entries.get(key);
+
+  ensureSubscribed();
+
+  if (cached) {
+    if (cached.expiresAt > Date.now()) {
+      // Refresh LRU position
+      entries.delete(key);
+      entries.set(key, cached);
+
+      if (!cached.tenant) {
+        stats.negativeHits++;
+        return null;
+      }
+      stats.hits++;
+      return hydrate(Tenant, cached.tenant);
+    }
+
+    stats.expirations++;
+    removeEntry(key);
+  }
+
+  let pending = pendingLookups.get(key);
+
+  if (pending) {
+    stats.coalesced++;
+  } else {
+    stats.misses++;
+    const startedAt = generation;
+
+    pending = lookup(Tenant)
+      .then(tenant => {
+        if (generation === startedAt) {
+          storeEntry(key, tenant);
+        }
+        return tenant;
+      })
+      .finally(() => pendingLookups.delete(key));
+
+    pendingLookups.set(key, pending);
+  }
+
+  const tenant = await pending;
+  return tenant ? hydrate(Tenant, tenant) : null;
+};
+
+// Tenant for a platform subdomain (any state; callers check isActive)
+const getTenantBySubdomain = (subdomain) => {
+  return resolve(subdomainKey(subdomain), (Tenant) => Tenant.findOne({ subdomain }).lean());
+};
+
+// Tenant that was renamed away from this subdomain and still redirects from it
+const getTenantBySubdomainAlias = (subdomain) => {
+  return resolve(aliasKey(subdomain), (Tenant) => Tenant.findBySubdomainAlias(subdomain).lean());
+};
+
+// Tenant that was renamed away from this subdomain at any time, also after its alias expired
+const getTenantByFormerSubdomain = (subdomain) => {
+  return resolve(formerKey(subdomain), (Tenant) => Tenant.findByFormerSubdomain(subdomain));
+};
+
+// Tenant that verified the request host as a custom domain
+const getTenantByCustomDomain = async (host) => {
+  const domain = normalizeDomain(host);
+  if (!domain || isPlatformDomain(domain)) return null;
+
+  return resolve(domainKey(domain), (Tenant) => Tenant.findByCustomDomain(domain).lean());
+};
+
+// Drop every cached copy of a tenant, here and on other instances
+const invalidateTenant = async (tenant) => {
+  if (!tenant) return;
+
+  const message = {
+    type: 'invalidate',
+    tenantId: tenant._id ? tenant._id.toString() : null,
+    keys: [
+      ...(tenant.subdomain ? [subdomainKey(tenant.subdomain)] : []),
+      ...(tenant.subdomainAliases || []).map(alias => aliasKey(alias.subdomain)),
+      ...(tenant.subdomainAliases || []).map(alias => formerKey(alias.subdomain)),
+      ...(tenant.customDomains || []).map(entry => domainKey(entry.domain))
+    ]
+  };
+
+  stats.invalidations++;
+  applyInvalidation(message);
+  await publish(message);
+};
+
+// Drop the whole cache, here and on other instances
+const clearTenantCache = async () => {
+  stats.invalidations++;
+  applyInvalidation({ type: 'clear' });
+  await publish({ type: 'clear' });
+};
+
+// Cache statistics (exposed through the super admin API)
+const getTenantCacheStats = () => {
+  const lookups = stats.hits + stats.negativeHits + stats.misses + stats.coalesced;
+  let negativeEntries = 0;
+
+  for (const entry of entries.values()) {
+    if (!entry.tenant) negativeEntries++;
+  }
+
+  return {
+    backend: getBackend().name,
+    ttlMs,
+    negativeTtlMs,
+    maxEntries,
+    size: entries.size,
+    negativeEntries,
+    pendingLookups: pendingLookups.size,
+    ...stats,
+    hitRate: lookups ? Number(((stats.hits + stats.negativeHits + stats.coalesced) / lookups).toFixed(4)) : null
+  };
+};
+
+module.exports = {
+  getTenantBySubdomain,
+  getTenantBySubdomainAlias,
+  getTenantByFormerSubdomain,
+  getTenantByCustomDomain,
+  invalidateTenant,
+  clearTenantCache,
+  getTenantCacheStats,
+  setTenantCacheBackend
+};
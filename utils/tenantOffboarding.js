@@ -0,0 +1,266 @@
+const dbManager = require('../config/database');
+const { cloudinary } = require('./cloudinary');
+const { TENANT_COLLECTIONS } = require('./tenantArchive');
+const { scopeFilter } = require('../models/plugins/tenantScope');
+const { removeTenantFromFlags } = require('./featureFlags');
+
+// Lifecycle: active -> deactivated -> scheduled_for_deletion -> purged
+const DEFAULT_GRACE_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const STALE_PURGE_MS = 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+const lifecycleError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const getGraceDays = () => {
+  const days = parseInt(process.env.TENANT_DELETION_GRACE_DAYS);
+  return Number.isNaN(days) ? DEFAULT_GRACE_DAYS : days;
+};
+
+const getTenantModel = () => require('../models/master/Tenant')(dbManager.getMasterConnection());
+
+const findTenantOrFail = async (tenantId) => {
+  const tenant = await getTenantModel().findById(tenantId);
+  if (!tenant) {
+    throw lifecycleError('Tenant not found', 404);
+  }
+  if (tenant.lifecycle.state === 'purged') {
+    throw lifecycleError('Tenant has already been purged', 410);
+  }
+  return tenant;
+};
+
+// Stop serving the tenant but keep all data
+const deactivateTenant = async (tenantId, { by, reason } = {}) => {
+  const tenant = await findTenantOrFail(tenantId);
+
+  if (tenant.lifecycle.state === 'scheduled_for_deletion') {
+    throw lifecycleError('Tenant is already scheduled for deletion', 409);
+  }
+
+  tenant.isActive = false;
+  tenant.lifecycle.state = 'deactivated';
+  tenant.lifecycle.deactivatedAt = new Date();
+  tenant.lifecycle.deactivatedBy = by;
+  if (reason) tenant.lifecycle.reason = reason;
+
+  await tenant.save();
+  return tenant;
+};
+
+// Start the grace period after which the background purge deletes everything
+const scheduleTenantDeletion = async (tenantId, { by, reason, graceDays } = {}) => {
+  const tenant = await findTenantOrFail(tenantId);
+  const days = graceDays !== undefined ? parseInt(graceDays) : getGraceDays();
+
+  if (Number.isNaN(days) || days < 0) {
+    throw lifecycleError('Grace period must be a non-negative number of days', 400);
+  }
+
+  if (tenant.lifecycle.state === 'active') {
+    tenant.lifecycle.deactivatedAt = new Date();
+    tenant.lifecycle.deactivatedBy = by;
+  }
+
+  tenant.isActive = false;
+  tenant.lifecycle.state = 'scheduled_for_deletion';
+  tenant.lifecycle.scheduledDeletionAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  tenant.lifecycle.deletionScheduledBy = by;
+  if (reason) tenant.lifecycle.reason = reason;
+
+  await tenant.save();
+  return tenant;
+};
+
+// Bring a tenant back during the grace period
+const reactivateTenant = async (tenantId) => {
+  const tenant = await findTenantOrFail(tenantId);
+
+  if (tenant.lifecycle.purgeStartedAt) {
+    throw lifecycleError('Tenant purge is already in progress', 409);
+  }
+
+  tenant.isActive = true;
+  tenant.lifecycle.state = 'active';
+  tenant.lifecycle.reactivatedAt = new Date();
+  tenant.lifecycle.scheduledDeletionAt = undefined;
+  tenant.lifecycle.deletionScheduledBy = undefined;
+  tenant.lifecycle.reason = undefined;
+
+  await tenant.save();
+  return tenant;
+};
+
+// Every Cloudinary public ID referenced by the tenant's data
+const collectAssetPublicIds = async (tenant, connection) => {
+  const publicIds = new Set();
+  const filter = scopeFilter(connection);
+  const add = (asset) => {
+    if (asset && asset.publicId) publicIds.add(asset.publicId);
+  };
+
+  add(tenant.branding && tenant.branding.logo);
+  add(tenant.branding && tenant.branding.wallpaper);
+
+  for await (const user of connection.collection('users').find(filter, { projection: { 'profile.avatar': 1 } })) {
+    add(user.profile && user.profile.avatar);
+  }
+
+  for await (const candidate of connection.collection('candidates').find(filter, {
+    projection: { 'personalInfo.profilePicture': 1, documents: 1 }
+  })) {
+    const documents = candidate.documents || {};
+    add(candidate.personalInfo && candidate.personalInfo.profilePicture);
+    add(documents.resume);
+    add(documents.coverLetter);
+    add(documents.profilePicture);
+    add(documents.certificate);
+    (documents.portfolio || []).forEach(add);
+    (documents.certificates || []).forEach(add);
+  }
+
+  for await (const requirement of connection.collection('requirements').find(filter, { projection: { attachments: 1 } })) {
+    (requirement.attachments || []).forEach(add);
+  }
+
+  for await (const application of connection.collection('applications').find(filter, { projection: { documents: 1 } })) {
+    const documents = application.documents || {};
+    add(documents.resume);
+    (documents.additionalDocuments || []).forEach(add);
+  }
+
+  return [...publicIds];
+};
+
+// Uploads use resource_type "auto", so documents may be stored as image or raw assets
+const destroyAsset = async (publicId) => {
+  const result = await cloudinary.uploader.destroy(publicId);
+  if (result && result.result === 'not found') {
+    await cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
+  }
+};
+
+// Drop the tenant database, delete its Cloudinary assets and leave a tombstone
+const purgeTenant = async (tenant) => {
+  const Tenant = getTenantModel();
+  const TenantTombstone = require('../models/master/TenantTombstone')(dbManager.getMasterConnection());
+
+  const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+  const documentCounts = {};
+  const assets = { deleted: 0, failed: 0 };
+  let publicIds;
+
+  try {
+    for (const name of TENANT_COLLECTIONS) {
+      documentCounts[name] = await connection.collection(name).countDocuments(scopeFilter(connection));
+    }
+    publicIds = await collectAssetPublicIds(tenant, connection);
+  } finally {
+    release();
+  }
+
+  for (const publicId of publicIds) {
+    try {
+      await destroyAsset(publicId);
+      assets.deleted += 1;
+    } catch (error) {
+      assets.failed += 1;
+      console.error(`❌ Failed to delete asset ${publicId} for ${tenant.subdomain}:`, error.message);
+    }
+  }
+
+  // Shared tenants only have their own documents removed from the shared database
+  await dbManager.dropTenantDB(tenant.subdomain);
+
+  await TenantTombstone.create({
+    tenantId: tenant._id,
+    companyName: tenant.companyName,
+    subdomain: tenant.subdomain,
+    plan: tenant.subscription && tenant.subscription.plan,
+    reason: tenant.lifecycle.reason,
+    tenantCreatedAt: tenant.createdAt,
+    deactivatedAt: tenant.lifecycle.deactivatedAt,
+    scheduledDeletionAt: tenant.lifecycle.scheduledDeletionAt,
+    deletionScheduledBy: tenant.lifecycle.deletionScheduledBy,
+    databaseDropped: tenant.tenancy.mode !== 'shared',
+    documentCounts,
+    assets
+  });
+
+  await Tenant.deleteOne({ _id: tenant._id });
+  await require('../models/master/TenantPlacement')(dbManager.getMasterConnection()).deleteOne({ tenantId: tenant._id });
+  await require('../models/master/TenantSso')(dbManager.getMasterConnection()).deleteOne({ tenantId: tenant._id });
+  await removeTenantFromFlags(tenant._id);
+  await require('../models/master/AuthSession')(dbManager.getMasterConnection()).deleteMany({ tenantId: tenant._id });
+
+  console.log(`🗑️  Tenant purged: ${tenant.subdomain} (${assets.deleted} assets deleted, ${assets.failed} failed)`);
+  return { documentCounts, assets };
+};
+
+// Purge every tenant whose grace period has ended
+const purgeDueTenants = async () => {
+  const Tenant = getTenantModel();
+  const results = [];
+
+  for (;;) {
+    // Claim one tenant at a time so multiple instances never purge the same tenant
+    const tenant = await Tenant.findOneAndUpdate(
+      {
+        'lifecycle.state': 'scheduled_for_deletion',
+        'lifecycle.scheduledDeletionAt': { $lte: new Date() },
+        $or: [
+          { 'lifecycle.purgeStartedAt': { $exists: false } },
+          { 'lifecycle.purgeStartedAt': { $lt: new Date(Date.now() - STALE_PURGE_MS) } }
+        ]
+      },
+      { $set: { 'lifecycle.purgeStartedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!tenant) break;
+
+    try {
+      const result = await purgeTenant(tenant);
+      results.push({ subdomain: tenant.subdomain, success: true, ...result });
+    } catch (error) {
+      console.error(`❌ Tenant purge failed for ${tenant.subdomain}:`, error.message);
+      await Tenant.updateOne(
+        { _id: tenant._id },
+        { $set: { 'lifecycle.lastPurgeError': error.message } }
+      );
+      results.push({ subdomain: tenant.subdomain, success: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+const startPurgeScheduler = () => {
+  if (purgeTimer) return;
+
+  const interval = parseInt(process.env.TENANT_PURGE_INTERVAL_MS) || DEFAULT_PURGE_INTERVAL_MS;
+
+  purgeTimer = setInterval(async () => {
+    try {
+      if (!dbManager.masterConnection) {
+        await dbManager.initializeMasterDB();
+      }
+      await purgeDueTenants();
+    } catch (error) {
+      console.error('❌ Tenant purge run failed:', error.message);
+    }
+  }, interval);
+
+  if (purgeTimer.unref) purgeTimer.unref();
+};
+
+module.exports = {
+  getGraceDays,
+  deactivateTenant,
+  scheduleTenantDeletion,
+  reactivateTenant,
+  purgeTenant,
+  purgeDueTenants,
+  startPurgeScheduler
+};
@@ -0,0 +1,223 @@
+const bcrypt = require('bcryptjs');
+const dbManager = require('../config/database');
+const { sendEmail } = require('./email');
+const { generatePassword } = require('./helpers');
+const { migrateTenant } = require('./migrationRunner');
+
+// Ordered provisioning steps. Each step must be safe to run again after a failure.
+const PROVISIONING_STEPS = [
+  'create_database',
+  'create_admin_user',
+  'send_welcome_email',
+  'activate_tenant'
+];
+
+// A run that has been "in progress" this long is assumed to have crashed and may be retried
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const provisioningError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Initial provisioning state for a freshly created tenant record
+const createProvisioningState = () => ({
+  status: 'pending',
+  steps: PROVISIONING_STEPS.map(name => ({ name, status: 'pending', attempts: 0 }))
+});
+
+// The plain temporary password only lives in memory. When a retry needs it again
+// (after a restart or a failed email) a new one is issued and stored hashed.
+const ensureTempPassword = async (tenant, context) => {
+  if (context.tempPassword) return context.tempPassword;
+
+  context.tempPassword = generatePassword();
+  context.passwordRotated = true;
+  tenant.adminCredentials.tempPassword = await bcrypt.hash(context.tempPassword, 12);
+
+  return context.tempPassword;
+};
+
+const stepHandlers = {
+  create_database: async (tenant) => {
+    await dbManager.createTenantDB(tenant.subdomain);
+    // New tenants start at the latest schema version
+    await migrateTenant(tenant.subdomain);
+  },
+
+  create_admin_user: async (tenant, context) => {
+    const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+
+    try {
+      const User = require('../models/tenant/User')(connection);
+
+      const existingAdmin = await User.findOne({ email: tenant.email });
+      if (existingAdmin) return;
+
+      await User.create({
+        name: `${tenant.companyName} Admin`,
+        email: tenant.email,
+        password: await ensureTempPassword(tenant, context),
+        role: 'company_admin',
+        isEmailVerified: true,
+        createdBy: null // First user, no creator
+      });
+    } finally {
+      release();
+    }
+  },
+
+  send_welcome_email: async (tenant, context) => {
+    if (!context.tempPassword) {
+      // Credentials from the original run are gone: reset the admin to a new temporary password
+      const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+
+      try {
+        const User = require('../models/tenant/User')(connection);
+        const admin = await User.findOne({ email: tenant.email, role: 'company_admin' });
+
+        if (!admin) {
+          throw new Error('Company admin user not found');
+        }
+
+        admin.password = await ensureTempPassword(tenant, context);
+        await admin.save();
+      } finally {
+        release();
+      }
+    }
+
+    await sendEmail({
+      to: tenant.email,
+      subject: `Welcome to ${process.env.APP_NAME || 'Multi-Tenant App'} - Your Account is Ready!`,
+      template: 'tenant-welcome',
+      data: {
+        companyName: tenant.companyName,
+        subdomain: tenant.subdomain,
+        username: tenant.adminCredentials.username,
+        password: context.tempPassword,
+        loginUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}`
+      }
+    });
+  },
+
+  activate_tenant: async (tenant) => {
+    tenant.isActive = true;
+  }
+};
+
+// Atomically mark the tenant as being provisioned so two runs never overlap
+const claimProvisioning = async (Tenant, tenantId) => {
+  return Tenant.findOneAndUpdate(
+    {
+      _id: tenantId,
+      $or: [
+        { 'provisioning.status': { $in: ['pending', 'failed'] } },
+        { 'provisioning.status': 'in_progress', 'provisioning.lockedAt': { $lt: new Date(Date.now() - STALE_LOCK_MS) } }
+      ]
+    },
+    {
+      $set: {
+        'provisioning.status': 'in_progress',
+        'provisioning.lockedAt': new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+// Run every step that has not completed yet, persisting progress after each one.
+// Returns { completed, failedStep, error, tenant, context }.
+const runProvisioning = async (tenantId, context = {}) => {
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const tenant = await claimProvisioning(Tenant, tenantId);
+
+  if (!tenant) {
+    const existing = await Tenant.findById(tenantId);
+    if (!existing) {
+      throw provisioningError('Tenant not found', 404);
+    }
+    throw provisioningError(`Tenant provisioning is ${existing.provisioning.status}`, 409);
+  }
+
+  if (!tenant.provisioning.startedAt) {
+    tenant.provisioning.startedAt = new Date();
+  }
+
+  for (const name of PROVISIONING_STEPS) {
+    let step = tenant.getProvisioningStep(name);
+    if (!step) {
+      tenant.provisioning.steps.push({ name, status: 'pending', attempts: 0 });
+      step = tenant.getProvisioningStep(name);
+    }
+
+    if (step.status === 'completed') continue;
+
+    step.status = 'in_progress';
+    step.attempts += 1;
+    step.startedAt = new Date();
+    await tenant.save();
+
+    try {
+      await stepHandlers[name](tenant, context);
+
+      step.status = 'completed';
+      step.completedAt = new Date();
+      step.lastError = undefined;
+      await tenant.save();
+    } catch (error) {
+      console.error(`❌ Tenant provisioning step ${name} failed for ${tenant.subdomain}:`, error.message);
+
+      step.status = 'failed';
+      step.lastError = error.message;
+      tenant.provisioning.status = 'failed';
+      tenant.provisioning.lastError = `${name}: ${error.message}`;
+      tenant.provisioning.lockedAt = undefined;
+      await tenant.save();
+
+      return { completed: false, failedStep: name, error, tenant, context };
+    }
+  }
+
+  tenant.provisioning.status = 'completed';
+  tenant.provisioning.completedAt = new Date();
+  tenant.provisioning.lastError = undefined;
+  tenant.provisioning.lockedAt = undefined;
+  await tenant.save();
+
+  console.log(`✅ Tenant provisioned: ${tenant.subdomain}`);
+  return { completed: true, tenant, context };
+};
+
+// Compensating rollback for a tenant that never finished provisioning:
+// drop its database and delete the tenant record.
+const abortProvisioning = async (tenantId) => {
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const tenant = await claimProvisioning(Tenant, tenantId);
+
+  if (!tenant) {
+    const existing = await Tenant.findById(tenantId);
+    if (!existing) {
+      throw provisioningError('Tenant not found', 404);
+    }
+    throw provisioningError(`Cannot abort provisioning while it is ${existing.provisioning.status}`, 409);
+  }
+
+  try {
+    await dbManager.dropTenantDB(tenant.subdomain);
+    await Tenant.deleteOne({ _id: tenant._id });
+  } catch (error) {
+    tenant.provisioning.status = 'failed';
+    tenant.provisioning.lastError = `rollback: ${error.message}`;
+    tenant.provisioning.lockedAt = undefined;
+    await tenant.save();
+    throw error;
+  }
+
+  console.log(`🗑️  Tenant provisioning aborted and rolled back: ${tenant.subdomain}`);
+  return tenant;
+};
+
+module.exports = {
+  PROVISIONING_STEPS,
+  createProvisioningState,
+  runProvisioning,
+  abortProvisioning
+};
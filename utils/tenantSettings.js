@@ -0,0 +1,223 @@
+const dbManager = require('../config/database');
+
+// Closed applications are the only ones removed by the retention policy
+const RETENTION_STATUSES = ['rejected', 'withdrawn'];
+const DEFAULT_RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+let retentionTimer = null;
+
+const settingsError = (message, statusCode, errors) => Object.assign(new Error(message), { statusCode, errors });
+
+const isValidTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Every tenant setting with its type, default and constraints
+const SETTINGS = {
+  allowCandidateRegistration: {
+    type: 'boolean',
+    default: true
+  },
+  requireEmailVerification: {
+    type: 'boolean',
+    default: true
+  },
+  requireTwoFactor: {
+    type: 'boolean',
+    default: false
+  },
+  maxApplicationsPerCandidate: {
+    type: 'integer',
+    default: 10,
+    min: 1,
+    nullable: true // null: no limit
+  },
+  defaultCurrency: {
+    type: 'string',
+    default: 'USD',
+    normalize: (value) => value.trim().toUpperCase(),
+    validate: (value) => /^[A-Z]{3}$/.test(value) || 'must be a 3-letter ISO currency code'
+  },
+  timezone: {
+    type: 'string',
+    default: 'UTC',
+    normalize: (value) => value.trim(),
+    validate: (value) => isValidTimezone(value) || 'must be an IANA timezone such as Europe/Berlin'
+  },
+  applicationRetentionDays: {
+    type: 'integer',
+    default: null,
+    min: 30,
+    nullable: true // null: keep applications forever
+  }
+};
+
+// Effective settings of a tenant, with defaults for anything not stored yet
+const getTenantSettings = (tenant) => {
+  const stored = (tenant && tenant.settings) || {};
+  const settings = {};
+
+  for (const [key, definition] of Object.entries(SETTINGS)) {
+    settings[key] = stored[key] === undefined ? definition.default : stored[key];
+  }
+
+  return settings;
+};
+
+// Check a value against a setting definition; also used for other definition maps (see utils/passwordPolicy)
+const validateSetting = (definition, value) => {
+  if (value === null) {
+    return definition.nullable ? { value } : { error: 'cannot be null' };
+  }
+
+  if (definition.type === 'boolean' && typeof value !== 'boolean') {
+    return { error: 'must be true or false' };
+  }
+
+  if (definition.type === 'integer') {
+    if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+    if (definition.min !== undefined && value < definition.min) return { error: `must be at least ${definition.min}` };
+    if (definition.max !== undefined && value > definition.max) return { error: `must be at most ${definition.max}` };
+  }
+
+  if (definition.type === 'string') {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    value = definition.normalize ? definition.normalize(value) : value;
+  }
+
+  if (definition.validate) {
+    const result = definition.validate(value);
+    if (result !== true) return { error: result };
+  }
+
+  return { value };
+};
+
+// Validate and store a partial settings update; unknown keys and bad values are rejected together
+const updateTenantSettings = async (tenant, updates) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw settingsError('Settings must be an object', 400);
+  }
+
+  const errors = [];
+  const values = {};
+
+  for (const [key, raw] of Object.entries(updates)) {
+    if (!SETTINGS[key]) {
+      errors.push({ setting: key, message: 'is not a known setting' });
+      continue;
+    }
+
+    const { value, error } = validateSetting(SETTINGS[key], raw);
+    if (error) {
+      errors.push({ setting: key, message: error });
+    } else {
+      values[key] = value;
+    }
+  }
+
+  if (errors.length) {
+    throw settingsError('Invalid settings', 400, errors);
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    tenant.set(`settings.${key}`, value);
+  }
+  await tenant.save();
+
+  return getTenantSettings(tenant);
+};
+
+// Salary objects without a currency get the tenant's default currency
+const applyDefaultCurrency = (salary, tenant) => {
+  if (!salary || typeof salary !== 'object' || salary.currency) return salary;
+  return { ...salary, currency: getTenantSettings(tenant).defaultCurrency };
+};
+
+// Format a date for emails and messages in the tenant's timezone
+const formatTenantDate = (date, tenant) => {
+  return new Date(date).toLocaleDateString('en-US', { timeZone: getTenantSettings(tenant).timezone });
+};
+
+// Delete closed applications older than the tenant's retention period
+const purgeExpiredApplications = async (tenant) => {
+  const { applicationRetentionDays } = getTenantSettings(tenant);
+  if (!applicationRetentionDays) return 0;
+
+  const cutoff = new Date(Date.now() - applicationRetentionDays * 24 * 60 * 60 * 1000);
+  const { connection, release } = await dbManager.leaseTenantDB(tenant.subdomain);
+
+  try {
+    const Application = require('../models/tenant/Application')(connection);
+    const result = await Application.deleteMany({
+      status: { $in: RETENTION_STATUSES },
+      updatedAt: { $lt: cutoff }
+    });
+
+    if (result.deletedCount) {
+      console.log(`🧹 Removed ${result.deletedCount} expired applications from ${tenant.subdomain}`);
+    }
+    return result.deletedCount;
+  } finally {
+    release();
+  }
+};
+
+// Apply the retention policy of every tenant that has one
+const purgeAllExpiredApplications = async () => {
+  const Tenant = require('../models/master/Tenant')(dbManager.getMasterConnection());
+  const tenants = await Tenant.find({
+    isActive: true,
+    'provisioning.status': 'completed',
+    'settings.applicationRetentionDays': { $gt: 0 }
+  }).select('subdomain settings tenancy');
+
+  const results = [];
+
+  for (const tenant of tenants) {
+    try {
+      results.push({ subdomain: tenant.subdomain, success: true, deleted: await purgeExpiredApplications(tenant) });
+    } catch (error) {
+      console.error(`❌ Application retention failed for ${tenant.subdomain}:`, error.message);
+      results.push({ subdomain: tenant.subdomain, success: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+const startRetentionScheduler = () => {
+  if (retentionTimer) return;
+
+  const interval = parseInt(process.env.APPLICATION_RETENTION_INTERVAL_MS) || DEFAULT_RETENTION_INTERVAL_MS;
+
+  retentionTimer = setInterval(async () => {
+    try {
+      if (!dbManager.masterConnection) {
+        await dbManager.initializeMasterDB();
+      }
+      await purgeAllExpiredApplications();
+    } catch (error) {
+      console.error('❌ Application retention run failed:', error.message);
+    }
+  }, interval);
+
+  if (retentionTimer.unref) retentionTimer.unref();
+};
+
+module.exports = {
+  SETTINGS,
+  getTenantSettings,
+  validateSetting,
+  updateTenantSettings,
+  applyDefaultCurrency,
+  formatTenantDate,
+  purgeExpiredApplications,
+  purgeAllExpiredApplications,
+  startRetentionScheduler
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { encryptSecret, decryptSecret } = require('./encryption');
+const { getTenantSettings } = require('./tenantSettings');
+const { revokeSubjectSessions } = require('./authSessions');
+
+// TOTP as in RFC 6238 (what authenticator apps implement): HMAC-SHA1, 6 digits, 30 second steps
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // codes from the previous and next step are accepted too
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const DEFAULT_CHALLENGE_EXPIRE = '5m';
+const ENCRYPTION_KEY_NAME = 'TWO_FACTOR_ENCRYPTION_KEY';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message, statusCode, code) => Object.assign(new Error(message), { statusCode, code });
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  const bits = value.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP code of one counter value (RFC 4226 dynamic truncation)
+const generateCode = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+// Time step the code belongs to, or null. Steps up to lastUsedStep are spent.
+const matchCode = (secret, code, lastUsedStep) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - TOTP_DRIFT_STEPS; step <= now + TOTP_DRIFT_STEPS; step++) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI for the authenticator app (rendered as a QR code by the frontend)
+const buildProvisioningUri = (secret, accountName) => {
+  const issuer = process.env.APP_NAME || 'Multi-Tenant App';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS,
+    period: TOTP_STEP_SECONDS
+  }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Fresh recovery codes: the plain codes are shown once, only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+};
+
+// Whether the account must use two-factor authentication to sign in
+const isTwoFactorRequired = (subjectType, tenant) => {
+  if (subjectType === 'super_admin') {
+    return process.env.SUPER_ADMIN_REQUIRE_2FA !== 'false';
+  }
+  return !!getTenantSettings(tenant).requireTwoFactor;
+};
+
+// Summary for the account's security page
+const describeTwoFactor = (account, required) => {
+  const recoveryCodes = account.twoFactor.recoveryCodes || [];
+
+  return {
+    enabled: account.twoFactor.enabled,
+    enabledAt: account.twoFactor.enabledAt || null,
+    required,
+    recoveryCodesRemaining: account.twoFactor.enabled ? recoveryCodes.filter(code => !code.usedAt).length : 0
+  };
+};
+
+// Start enrolment; the account must be loaded with SECRET_FIELDS. Nothing changes until confirmEnrolment.
+const beginEnrolment = async (account, accountName) => {
+  if (account.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+  account.twoFactor.pendingSecret = encryptSecret(secret, ENCRYPTION_KEY_NAME);
+  await account.save();
+
+  return {
+    secret,
+    otpauthUri: buildProvisioningUri(secret, accountName)
+  };
+};
+
+// Finish enrolment with a first code from the app; returns the recovery codes (shown only now)
+const confirmEnrolment = async (account, code) => {
+  if (account.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+  if (!account.twoFactor.pendingSecret) {
+    throw twoFactorError('Start two-factor setup first', 400, 'TWO_FACTOR_SETUP_REQUIRED');
+  }
+
+  const step = matchCode(decryptSecret(account.twoFactor.pendingSecret, ENCRYPTION_KEY_NAME), code);
+  if (step === null) {
+    throw twoFactorError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  account.twoFactor.secret = account.twoFactor.pendingSecret;
+  account.twoFactor.pendingSecret = undefined;
+  account.twoFactor.enabled = true;
+  account.twoFactor.enabledAt = new Date();
+  account.twoFactor.lastUsedStep = step;
+  account.twoFactor.recoveryCodes = recoveryCodes.stored;
+  await account.save();
+
+  return recoveryCodes.codes;
+};
+
+// Check a code from the app, or use up a recovery code. Throws INVALID_TWO_FACTOR_CODE.
+const verifySecondFactor = async (account, { code, recoveryCode }) => {
+  if (!account.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const match = account.twoFactor.recoveryCodes.find(stored => stored.hash === hash && !stored.usedAt);
+    if (!match) {
+      throw twoFactorError('Invalid recovery code', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    match.usedAt = new Date();
+    await account.save();
+    return { method: 'recovery_code' };
+  }
+
+  const step = matchCode(
+    decryptSecret(account.twoFactor.secret, ENCRYPTION_KEY_NAME),
+    code,
+    account.twoFactor.lastUsedStep
+  );
+  if (step === null) {
+    throw twoFactorError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  account.twoFactor.lastUsedStep = step;
+  await account.save();
+  return { method: 'totp' };
+};
+
+// Second login step: check the code, or finish the enrolment that a required setup started.
+// Wrong codes count as failed logins, so they lock the account like wrong passwords do.
+const completeChallenge = async (account, { code, recoveryCode }) => {
+  try {
+    if (!account.twoFactor.enabled) {
+      return { recoveryCodes: await confirmEnrolment(account, code) };
+    }
+
+    await verifySecondFactor(account, { code, recoveryCode });
+    return {};
+  } catch (error) {
+    if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+      await account.incLoginAttempts();
+    }
+    throw error;
+  }
+};
+
+const disableTwoFactor = async (account) => {
+  account.twoFactor = { enabled: false };
+  await account.save();
+};
+
+const regenerateRecoveryCodes = async (account) => {
+  const recoveryCodes = generateRecoveryCodes();
+  account.twoFactor.recoveryCodes = recoveryCodes.stored;
+  await account.save();
+  return recoveryCodes.codes;
+};
+
+// Short-lived proof that the password was right; exchanged with a code for the real tokens.
+// It has no session id, so protect never accepts it as an access token.
+const issueChallengeToken = ({ subjectType, subject, tenant }) => {
+  return jwt.sign(
+    { id: subject._id, type: 'two_factor_challenge', subjectType, tenant: tenant ? tenant.subdomain : undefined },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || DEFAULT_CHALLENGE_EXPIRE }
+  );
+};
+
+const verifyChallengeToken = (challengeToken, subjectType, tenant) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken || '', process.env.JWT_SECRET);
+  } catch (error) {
+    throw twoFactorError('Invalid or expired login challenge. Please sign in again.', 401, 'INVALID_CHALLENGE');
+  }
+
+  const tenantMatches = subjectType === 'super_admin' || (tenant && decoded.tenant === tenant.subdomain);
+  if (decoded.type !== 'two_factor_challenge' || decoded.subjectType !== subjectType || !tenantMatches) {
+    throw twoFactorError('Invalid or expired login challenge. Please sign in again.', 401, 'INVALID_CHALLENGE');
+  }
+
+  return decoded;
+};
+
+// When a tenant starts requiring two-factor authentication, users signed in without it must sign in again
+const revokeSessionsWithoutTwoFactor = async (tenant, db, { except } = {}) => {
+  const User = require('../models/tenant/User')(db);
+  const users = await User.find({ 'twoFactor.enabled': { $ne: true } }).select('_id');
+  let revoked = 0;
+
+  for (const user of users) {
+    revoked += await revokeSubjectSessions(
+      { subjectType: 'user', subjectId: user._id, tenantId: tenant._id },
+      'two_factor_required',
+      { except }
+    );
+  }
+
+  return revoked;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  describeTwoFactor,
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  completeChallenge,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  issueChallengeToken,
+  verifyChallengeToken,
+  revokeSessionsWithoutTwoFactor
+};